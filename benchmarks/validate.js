@@ -0,0 +1,162 @@
+/**
+ * 迭代驗證效能測試
+ * 以離線模擬資料（stub 資料來源）執行與 POST /api/lottery/validate 相同的 100 期迭代驗證，
+ * 比較三種模式執行一次驗證（不重試）的耗時：
+ * - 每次分析各自建立索引，每個計算器重新計算整個訓練資料
+ * - 共用號碼出現索引（每個資料集只建立一次，見 services/drawIndex.js），每個計算器重新計算
+ * - 共用索引並以逐期累計狀態更新計算器（見 services/rollingCalculators.js，/validate 的預設做法）
+ * 三種模式的計算器都讀取號碼出現索引，第一種模式只是不共用索引，並不是加入索引之前的做法；
+ * 加入索引之前（計算器逐期掃描號碼）的耗時以同一個效能測試在當時的版本量得，記錄在 README 的「效能測試」
+ * 然後以 /validate 的設定（最多重試 retries 次，未達標時以調整後的權重重新驗證）執行一次逐期累計模式，
+ * 報告總耗時及實際執行的驗證次數，即 /validate 實際需要的時間
+ * 驗證在目前執行緒依序執行（不傳入分析 worker 池），只比較計算本身的耗時
+ *
+ * 用法：npm run benchmark -- [--lookback 100] [--retries 50] [--years 2022-2024]
+ * - lookback：回溯驗證的期數（與 /validate 的 lookbackPeriods 相同）
+ * - retries：最大重試次數，預設 50（與 /validate 相同）
+ * - years：產生模擬資料的年份範圍
+ *
+ * 各模式使用相同的亂數種子，執行完全相同的分析，結果必須一致
+ */
+
+const analysisService = require('../services/analysisService');
+const validation = require('../services/validation');
+const stub = require('../services/dataSources/stub');
+
+/**
+ * 解析命令列參數
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} { lookback, retries, fromYear, toYear }
+ */
+function parseArgs(argv) {
+  const options = { lookback: 100, retries: 50, fromYear: 2022, toYear: 2024 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const value = argv[i + 1];
+    if (argv[i] === '--lookback') {
+      options.lookback = parseInt(value, 10);
+    } else if (argv[i] === '--retries') {
+      options.retries = parseInt(value, 10);
+    } else if (argv[i] === '--years') {
+      const [from, to] = String(value).split('-').map(year => parseInt(year, 10));
+      options.fromYear = from;
+      options.toYear = to || from;
+    } else {
+      throw new Error(`未知的參數: ${argv[i]}`);
+    }
+  }
+  if (!(options.lookback > 0) || !(options.retries > 0) || !(options.fromYear <= options.toYear)) {
+    throw new Error('參數無效：lookback 及 retries 必須大於 0，years 格式為 2022-2024');
+  }
+  return options;
+}
+
+/**
+ * 以固定種子取代 Math.random（權重調整及號碼選擇使用亂數，各模式必須執行相同的分析）
+ * @param {number} seed - 種子
+ */
+function seedRandom(seed) {
+  let state = seed;
+  Math.random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+// 效能測試模式
+const MODES = [
+  { id: 'perCall', label: '每次分析各自建立索引：', sharedIndex: false, rolling: false },
+  { id: 'shared', label: '共用號碼出現索引：    ', sharedIndex: true, rolling: false },
+  { id: 'rolling', label: '共用索引並逐期累計：  ', sharedIndex: true, rolling: true }
+];
+
+/**
+ * 執行一次迭代驗證並計時
+ * @param {Array} results - 攪珠結果（最新的在前）
+ * @param {Object} options - { lookback, retries }
+ * @param {Object} mode - MODES 的項目
+ * @returns {Promise<Object>} { ms, analyses, passes: 實際執行的驗證次數, meetsTarget, statistics }
+ */
+async function run(results, { lookback, retries }, mode) {
+  let analyses = 0;
+  // 不共用索引時每次分析使用結果的複本，analyzeNumbers 無法從已建立的索引取視窗，每次都重新建立
+  // 不逐期累計時去掉 iterativeValidation 建立的累計狀態，每個計算器都重新計算
+  validation.setAnalyzeNumbers((data, weights, excludePeriodNumbers, { rolling, ...analysisOptions } = {}) => {
+    analyses++;
+    return analysisService.analyzeNumbers(
+      mode.sharedIndex ? data : data.map(result => ({ ...result })),
+      weights,
+      excludePeriodNumbers,
+      mode.rolling ? { ...analysisOptions, rolling } : analysisOptions
+    );
+  });
+  seedRandom(20240101);
+
+  // 驗證過程的進度訊息很多，計時期間不輸出
+  const log = console.log;
+  console.log = () => {};
+  const start = process.hrtime.bigint();
+  let validationResult;
+  try {
+    validationResult = await validation.iterativeValidation(results, lookback, retries, null, {});
+  } finally {
+    console.log = log;
+  }
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+  return {
+    ms,
+    analyses,
+    passes: validationResult.retryInfo.allRetryResults.length,
+    meetsTarget: validationResult.retryInfo.meetsTarget,
+    statistics: validationResult.statistics
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // analysisService 載入後以 setImmediate 設定 validation 使用的 analyzeNumbers，等它執行完再替換
+  await new Promise(resolve => setImmediate(resolve));
+
+  let results = [];
+  for (let year = options.toYear; year >= options.fromYear; year--) {
+    results = results.concat(await stub.fetchYear(year));
+  }
+  console.log(`模擬資料 ${options.fromYear}-${options.toYear} 年共 ${results.length} 期，回溯 ${options.lookback} 期`);
+
+  // 先以少量期數預熱，避免第一種模式承擔 JIT 編譯的時間；各模式依 ABCCBA 順序各跑兩次取較快的一次，減少執行順序的影響
+  await run(results, { lookback: 10, retries: 1 }, MODES[2]);
+
+  // 重試只是以不同權重重複同樣的驗證，比較模式時每次只驗證一次以縮短時間
+  const single = { lookback: options.lookback, retries: 1 };
+  const runs = [];
+  for (const mode of MODES.concat([...MODES].reverse())) {
+    runs.push({ mode, ...await run(results, single, mode) });
+  }
+  const fastest = mode => runs
+    .filter(item => item.mode === mode)
+    .reduce((best, item) => (item.ms < best.ms ? item : best));
+
+  const format = ({ ms, analyses }) => `${(ms / 1000).toFixed(2)} 秒（${analyses} 次分析，平均 ${(ms / analyses).toFixed(1)} 毫秒）`;
+  console.log('單次驗證（不重試）：');
+  const baseline = fastest(MODES[0]);
+  MODES.forEach(mode => {
+    const item = fastest(mode);
+    const speedup = mode === MODES[0] ? '' : `，${(baseline.ms / item.ms).toFixed(2)} 倍`;
+    console.log(`${mode.label}${format(item)}${speedup}`);
+  });
+
+  if (runs.some(item => JSON.stringify(item.statistics) !== JSON.stringify(runs[0].statistics))) {
+    throw new Error('各模式的驗證結果不一致');
+  }
+
+  // /validate 的設定：未達標時最多重試 retries 次，耗時取決於實際執行的驗證次數
+  const full = await run(results, options, MODES[2]);
+  const outcome = full.meetsTarget ? '達標後停止' : '未達標';
+  console.log(`/validate 設定（最多重試 ${options.retries} 次，共用索引並逐期累計）：${format(full)}，共驗證 ${full.passes} 次，${outcome}`);
+}
+
+main().catch(error => {
+  console.error('效能測試失敗:', error.message);
+  process.exit(1);
+});
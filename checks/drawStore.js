@@ -0,0 +1,82 @@
+/**
+ * 本地資料庫持久化檢查
+ * 寫入附有 provenance 的攪珠結果，再以內容不一致的同一期結果更新（產生 provenance.conflicts），
+ * 保存後清除記憶體快取並重新從檔案載入，檢查 provenance 及 conflicts 都完整保留；
+ * 再保存一次後重新載入，確認載入後寫回的檔案不會遺失 provenance
+ *
+ * 使用暫存的 DATA_DIR，不影響平常使用的本地資料庫
+ *
+ * 用法：npm run check:draw-store
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// drawStore 在載入時讀取 DATA_DIR，必須先設定
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mark-six-draw-store-'));
+process.env.DATA_DIR = DATA_DIR;
+
+const drawStore = require('../services/drawStore');
+const provenance = require('../services/provenance');
+
+// 第一次抓取的結果（特別號碼有誤）及之後更正的結果
+const FIRST = provenance.attachProvenance(
+  { periodNumber: '25/100', date: '2025-09-02', numbers: { main: [1, 8, 15, 23, 31, 45], extra: 41 }, source: 'lotteryhk', raw: { url: 'https://example.invalid/2025', row: '<tr>first</tr>', fetchedAt: '2025-09-02T13:00:00.000Z' } },
+  { source: 'lotteryhk', parserVersion: 2 }
+);
+const CORRECTED = provenance.attachProvenance(
+  { periodNumber: '25/100', date: '2025-09-02', numbers: { main: [1, 8, 15, 23, 31, 45], extra: 40 }, source: 'jsonFeed', raw: { url: 'https://example.invalid/feed', row: { extra: 40 }, fetchedAt: '2025-09-03T08:00:00.000Z' } },
+  { source: 'jsonFeed', parserVersion: 1 }
+);
+
+/**
+ * 清除快取後重新載入，檢查 provenance 及 conflicts
+ * @param {string} label - 檢查階段說明
+ */
+function assertReloaded(label) {
+  drawStore.resetCache();
+  const [draw] = drawStore.getAllDraws();
+
+  assert.ok(draw, `${label}：載入後沒有攪珠結果`);
+  assert.deepStrictEqual(draw.numbers, CORRECTED.numbers, `${label}：號碼`);
+  const { conflicts, ...current } = draw.provenance || {};
+  assert.deepStrictEqual(current, CORRECTED.provenance, `${label}：provenance`);
+  assert.strictEqual(conflicts.length, 1, `${label}：conflicts 數量`);
+  assert.deepStrictEqual(conflicts[0].numbers, FIRST.numbers, `${label}：被取代版本的號碼`);
+  assert.deepStrictEqual(conflicts[0].provenance, FIRST.provenance, `${label}：被取代版本的 provenance`);
+
+  console.log(`${label}：provenance 及 ${conflicts.length} 個不一致版本已保留`);
+}
+
+function main() {
+  try {
+    drawStore.upsertDraws([FIRST]);
+    // 內容不一致的更新會發出警告，檢查期間不輸出
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      drawStore.upsertDraws([CORRECTED]);
+    } finally {
+      console.warn = warn;
+    }
+    drawStore.saveStore();
+
+    assertReloaded('重新載入');
+    // 載入後再保存，檔案內容也必須保留 provenance
+    drawStore.saveStore();
+    assertReloaded('再次保存後重新載入');
+  } finally {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+  }
+
+  console.log('本地資料庫持久化檢查通過');
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('本地資料庫持久化檢查失敗:', error.message);
+  process.exit(1);
+}
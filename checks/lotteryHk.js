@@ -0,0 +1,162 @@
+/**
+ * lottery.hk 解析器檢查
+ * 以 replay 模式重播 fixtures/http 的頁面執行 lotteryHk.fetchYear，檢查解析出的期數、日期、號碼及詳情頁的派彩資料，不發出任何網絡請求
+ *
+ * 專案附帶的是合成頁面（仿 lottery.hk 的表格結構，放在 synthetic.invalid 網址下，見 manifest.json 的 note），
+ * 以 record 模式錄製實際頁面後，可以把 BASE_URL 改為 https://lottery.hk/liuhecai/jieguo 並更新 EXPECTED
+ *
+ * 用法：npm run check:lottery-hk
+ */
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+
+// 資料來源及 fixture 模組在載入時讀取環境變數，必須先設定
+const BASE_URL = 'https://synthetic.invalid/liuhecai/jieguo';
+process.env.HTTP_FIXTURE_MODE = 'replay';
+process.env.LOTTERY_HK_BASE_URL = BASE_URL;
+process.env.DATA_DIR = process.env.DATA_DIR || path.join(os.tmpdir(), 'mark-six-check');
+
+const lotteryHk = require('../services/dataSources/lotteryHk');
+const { FETCH_STATUS } = require('../services/dataSources/fetchStatus');
+
+// 各年份頁面的預期解析結果：期數、最新一期及最早一期
+const EXPECTED = [
+  {
+    year: 2021,
+    count: 156,
+    first: { periodNumber: '21/156', date: '2021-12-30', main: [2, 5, 17, 21, 38, 49], extra: 20 },
+    last: { periodNumber: '21/001', date: '2021-01-02', main: [10, 24, 27, 38, 39, 47], extra: 33 }
+  },
+  {
+    year: 2022,
+    count: 157,
+    first: { periodNumber: '22/157', date: '2022-12-31', main: [18, 30, 33, 35, 42, 48], extra: 12 },
+    last: { periodNumber: '22/001', date: '2022-01-01', main: [12, 34, 36, 42, 43, 47], extra: 22 }
+  },
+  {
+    year: 2023,
+    count: 156,
+    first: { periodNumber: '23/156', date: '2023-12-30', main: [6, 11, 12, 16, 36, 39], extra: 18 },
+    last: { periodNumber: '23/001', date: '2023-01-03', main: [8, 16, 26, 27, 35, 45], extra: 1 }
+  }
+];
+
+// 有詳情頁 fixture 的期數的預期派彩資料（2023 年其餘期數沒有詳情頁 fixture）
+const EXPECTED_DETAILS = {
+  '23/156': {
+    drawType: 'normal',
+    turnover: 112459728,
+    jackpot: null,
+    snowball: null,
+    prizes: [
+      { division: 1, dividend: 17560470, winningUnits: 0.5 },
+      { division: 2, dividend: 1024960, winningUnits: 3.5 },
+      { division: 3, dividend: 68430, winningUnits: 112 },
+      { division: 4, dividend: 9600, winningUnits: 361 },
+      { division: 5, dividend: 640, winningUnits: 7289.5 },
+      { division: 6, dividend: 320, winningUnits: 10532 },
+      { division: 7, dividend: 40, winningUnits: 141207.5 }
+    ]
+  },
+  '23/155': {
+    drawType: 'snowball',
+    turnover: 135872316,
+    jackpot: null,
+    snowball: 20000000,
+    prizes: [
+      { division: 1, dividend: null, winningUnits: 0 },
+      { division: 2, dividend: 2316750, winningUnits: 2 },
+      { division: 3, dividend: 99290, winningUnits: 70 },
+      { division: 4, dividend: 9600, winningUnits: 412.5 },
+      { division: 5, dividend: 640, winningUnits: 8035 },
+      { division: 6, dividend: 320, winningUnits: 11876.5 },
+      { division: 7, dividend: 40, winningUnits: 152604 }
+    ]
+  }
+};
+
+/**
+ * 檢查單一期的解析結果
+ * @param {Object} result - fetchYear 返回的攪珠結果
+ * @param {Object} expected - { periodNumber, date, main, extra }
+ */
+function assertDraw(result, expected) {
+  assert.strictEqual(result.periodNumber, expected.periodNumber);
+  assert.strictEqual(result.date, expected.date);
+  assert.deepStrictEqual(result.numbers, { main: expected.main, extra: expected.extra });
+}
+
+/**
+ * 檢查單一年份
+ * @param {Object} expected - EXPECTED 的項目
+ */
+async function checkYear(expected) {
+  const results = await lotteryHk.fetchYear(expected.year, { details: false });
+
+  assert.strictEqual(results.length, expected.count, `${expected.year} 年期數`);
+  assertDraw(results[0], expected.first);
+  assertDraw(results[results.length - 1], expected.last);
+
+  // 每期都有 6 個不重複的正選號碼及 1 個特別號碼，期數由新到舊連續
+  const prefix = String(expected.year).slice(2);
+  results.forEach((result, index) => {
+    const label = `${expected.year} 年第 ${index + 1} 列 (${result.periodNumber})`;
+    assert.strictEqual(result.periodNumber, `${prefix}/${String(expected.count - index).padStart(3, '0')}`, label);
+    assert.ok(result.date.startsWith(`${expected.year}-`), label);
+    assert.strictEqual(new Set(result.numbers.main).size, 6, label);
+    assert.ok(Number.isInteger(result.numbers.extra) && !result.numbers.main.includes(result.numbers.extra), label);
+    assert.strictEqual(result.raw.url, `${BASE_URL}/${expected.year}`, label);
+  });
+
+  console.log(`${expected.year} 年：${results.length} 期，${results[0].periodNumber} 至 ${results[results.length - 1].periodNumber}`);
+}
+
+/**
+ * 檢查詳情頁：有 fixture 的期數帶有派彩資料，其餘期數抓取失敗但不影響整年結果，並合併成一個警告
+ */
+async function checkDetails() {
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(' '));
+  let results;
+  try {
+    results = await lotteryHk.fetchYear(2023, { details: true });
+  } finally {
+    console.warn = warn;
+  }
+
+  Object.entries(EXPECTED_DETAILS).forEach(([periodNumber, expected]) => {
+    const result = results.find(item => item.periodNumber === periodNumber);
+    const { drawType, turnover, jackpot, snowball, prizes } = result;
+    assert.deepStrictEqual({ drawType, turnover, jackpot, snowball, prizes }, expected, periodNumber);
+  });
+
+  const withoutDetails = results.filter(result => !EXPECTED_DETAILS[result.periodNumber]);
+  assert.ok(withoutDetails.every(result => result.prizes.length === 0 && result.drawType === null));
+  assert.strictEqual(warnings.length, 1);
+  assert.ok(warnings[0].includes(`${withoutDetails.length} 期詳情頁抓取失敗`), warnings[0]);
+
+  console.log(`詳情頁：${Object.keys(EXPECTED_DETAILS).join('、')} 的派彩資料與頁面一致`);
+
+  // 沒有派彩表格的頁面視為頁面結構改變，而不是沒有派彩
+  assert.throws(() => lotteryHk.parseDrawDetails('<html><body><p>總投注額 $1,000</p></body></html>'), error => error.fetchStatus === FETCH_STATUS.LAYOUT_CHANGED);
+}
+
+async function main() {
+  for (const expected of EXPECTED) {
+    await checkYear(expected);
+  }
+  await checkDetails();
+
+  // 沒有 fixture 的年份與伺服器回應 404 相同，不會改為發出網絡請求
+  await assert.rejects(lotteryHk.fetchYear(2020), error => error.fixtureMissing === true && error.response.status === 404);
+
+  console.log('lottery.hk 解析器檢查通過');
+}
+
+main().catch(error => {
+  console.error('lottery.hk 解析器檢查失敗:', error.message);
+  process.exit(1);
+});
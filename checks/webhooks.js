@@ -0,0 +1,202 @@
+/**
+ * Webhook 發送檢查
+ * 在本機啟動一個 Webhook 接收端，以 X-Webhook-Signature 驗證每個請求的簽名，並依路徑模擬不同的回應：
+ * - /ok：簽名正確時回應 204，否則 401
+ * - /flaky：每個發送 ID 第一次回應 503，之後與 /ok 相同
+ * - /down：一律回應 500
+ * - /reject：一律回應 400
+ * 然後透過 webhookService 發送 ping、新攪珠結果寫入（draw.ingested）及預測評分（prediction.scored）事件，
+ * 檢查接收端收到的簽名、重試次數及發送記錄
+ *
+ * 使用暫存的 DATA_DIR，重試等待時間縮短為 10 毫秒，最多嘗試 3 次，不影響平常使用的本地資料庫
+ *
+ * 用法：npm run check:webhooks
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// 各模組在載入時讀取環境變數，必須先設定
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mark-six-webhooks-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const drawStore = require('../services/drawStore');
+const predictionStore = require('../services/predictionStore');
+const webhookService = require('../services/webhookService');
+
+// 接收端使用的密鑰
+const SECRET = 'local-receiver-secret-0123456789';
+
+// 簽名時間與接收時間最多相差的秒數
+const TOLERANCE_SECONDS = 300;
+
+/**
+ * 驗證 Webhook 簽名：HMAC-SHA256(secret, `${timestamp}.${原始請求內容}`)，並拒絕過舊的時間戳
+ * @param {Object} headers - 請求標頭
+ * @param {string} rawBody - 原始請求內容
+ * @returns {boolean} 是否有效
+ */
+function verifySignature(headers, rawBody) {
+  const timestamp = headers['x-webhook-timestamp'];
+  const signature = headers['x-webhook-signature'] || '';
+  if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${rawBody}`).digest('hex')}`;
+  return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * 啟動本機接收端
+ * @returns {Promise<Object>} { baseUrl, requests: 收到的請求 { path, id, event, valid, status, body }, close }
+ */
+function startReceiver() {
+  const requests = [];
+  const seen = new Set();
+
+  const server = http.createServer((req, res) => {
+    let rawBody = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { rawBody += chunk; });
+    req.on('end', () => {
+      const id = req.headers['x-webhook-id'];
+      const valid = verifySignature(req.headers, rawBody);
+
+      let status = valid ? 204 : 401;
+      if (req.url === '/flaky' && !seen.has(id)) {
+        status = 503;
+      } else if (req.url === '/down') {
+        status = 500;
+      } else if (req.url === '/reject') {
+        status = 400;
+      }
+      seen.add(id);
+
+      requests.push({ path: req.url, id, event: req.headers['x-webhook-event'], valid, status, body: JSON.parse(rawBody) });
+      res.statusCode = status;
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * 等待指定訂閱的發送記錄全部完成
+ * @param {string} subscriptionId - 訂閱 ID
+ * @param {number} count - 預期的發送記錄數量
+ * @returns {Promise<Array>} 發送記錄陣列（最新的在前）
+ */
+async function waitForDeliveries(subscriptionId, count) {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const deliveries = webhookService.getDeliveries({ subscriptionId });
+    if (deliveries.length >= count && deliveries.every(delivery => delivery.status !== webhookService.DELIVERY_STATUS.PENDING)) {
+      return deliveries;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`等待發送記錄逾時（訂閱 ${subscriptionId}）`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * 建立訂閱並發送 ping，檢查發送結果
+ * @param {Object} receiver - startReceiver 的返回值
+ * @param {string} route - 接收端路徑
+ * @param {Object} expected - { status, httpStatuses: 每次嘗試的狀態碼, secret (可選，預設為接收端的密鑰) }
+ */
+async function checkPing(receiver, route, expected) {
+  const subscription = webhookService.createSubscription({
+    url: `${receiver.baseUrl}${route}`,
+    events: ['*'],
+    secret: expected.secret || SECRET
+  });
+  const delivery = await webhookService.sendPing(subscription.id);
+  // 只用於這次 ping，避免之後的事件也發送給它
+  webhookService.deleteSubscription(subscription.id);
+
+  assert.strictEqual(delivery.status, expected.status, `${route} 發送狀態`);
+  assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.httpStatus), expected.httpStatuses, `${route} 每次嘗試的狀態碼`);
+
+  const received = receiver.requests.filter(request => request.id === delivery.id);
+  assert.strictEqual(received.length, expected.httpStatuses.length, `${route} 接收端收到的請求數量`);
+  assert.ok(received.every(request => request.valid === !expected.secret), `${route} 簽名驗證結果`);
+
+  console.log(`${route}：${delivery.status}，嘗試 ${delivery.attempts.length} 次（${expected.httpStatuses.join(' → ')}）`);
+}
+
+/**
+ * 寫入新攪珠結果，檢查 draw.ingested 及 prediction.scored 事件
+ * @param {Object} receiver - startReceiver 的返回值
+ */
+async function checkEvents(receiver) {
+  const subscription = webhookService.createSubscription({
+    url: `${receiver.baseUrl}/ok`,
+    events: ['draw.ingested', 'prediction.scored'],
+    secret: SECRET
+  });
+  // 本地資料庫還沒有攪珠結果時，沒有 targetPeriod 的預測無法決定對應的期數
+  assert.ok(predictionStore.validatePrediction({ numbers: [3, 8, 15, 22, 31, 40] }));
+  const prediction = predictionStore.addPrediction({ numbers: [3, 8, 15, 22, 31, 40], targetPeriod: '25/101' });
+
+  drawStore.upsertDraws([
+    { periodNumber: '25/100', date: '2025-09-02', numbers: { main: [1, 8, 15, 23, 31, 45], extra: 40 } },
+    { periodNumber: '25/101', date: '2025-09-04', numbers: { main: [3, 8, 16, 22, 30, 41], extra: 15 } }
+  ]);
+
+  const deliveries = await waitForDeliveries(subscription.id, 2);
+  assert.deepStrictEqual(deliveries.map(delivery => delivery.event).sort(), ['draw.ingested', 'prediction.scored']);
+  assert.ok(deliveries.every(delivery => delivery.status === webhookService.DELIVERY_STATUS.DELIVERED));
+
+  const received = receiver.requests.filter(request => request.path === '/ok' && request.valid);
+  const ingested = received.find(request => request.event === 'draw.ingested');
+  assert.strictEqual(ingested.body.data.count, 2);
+  assert.strictEqual(ingested.body.data.latestPeriod, '25/101');
+
+  const scored = received.find(request => request.event === 'prediction.scored');
+  assert.strictEqual(scored.body.data.prediction.id, prediction.id);
+  assert.deepStrictEqual(scored.body.data.prediction.result.hitNumbers, [3, 8, 22]);
+  assert.strictEqual(scored.body.data.prediction.result.extraHit, true);
+
+  console.log('draw.ingested 及 prediction.scored：已送達，簽名正確');
+}
+
+async function main() {
+  const receiver = await startReceiver();
+  try {
+    await checkPing(receiver, '/ok', { status: 'delivered', httpStatuses: [204] });
+    await checkPing(receiver, '/flaky', { status: 'delivered', httpStatuses: [503, 204] });
+    await checkPing(receiver, '/down', { status: 'failed', httpStatuses: [500, 500, 500] });
+    await checkPing(receiver, '/reject', { status: 'failed', httpStatuses: [400] });
+    // 密鑰不符：接收端回應 401，不重試
+    await checkPing(receiver, '/ok', { status: 'failed', httpStatuses: [401], secret: 'some-other-secret-0123456789' });
+    await checkEvents(receiver);
+  } finally {
+    await receiver.close();
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+  }
+
+  console.log('Webhook 檢查通過');
+}
+
+main().catch(error => {
+  console.error('Webhook 檢查失敗:', error.message);
+  process.exit(1);
+});
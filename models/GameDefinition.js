@@ -0,0 +1,336 @@
+/**
+ * 遊戲定義
+ * 描述一種「從 N 個號碼中攪出 K 個」的彩票：號碼池大小、每期正選號碼數量、特別號碼規則、每注價格及獎項表
+ * 分析、驗證、模擬及投注建議都以遊戲定義取代原本寫死的 49 及 6，預設為六合彩
+ *
+ * 遊戲定義結構：
+ * {
+ *   id, name,
+ *   poolSize: 號碼池大小（號碼為 1..poolSize）,
+ *   pickCount: 每期攪出的正選號碼數量（同時是每注選擇的號碼數量）,
+ *   extraCount: 每期額外攪出的特別號碼數量（0 或 1，從同一號碼池攪出）,
+ *   betPrice: 每注價格,
+ *   prizeTable: [{ division, main, extra, prize }]
+ *     main 為需要命中的正選號碼數量；extra 為 true（需要命中特別號碼）、false（不可命中）或 null（不限）；
+ *     prize 為固定獎金，浮動獎金（依投注額分配）為 null
+ *   eras: 可選，遊戲規則的歷史年代 [{ id, name, poolSize, pickCount, extraCount, from, to }]（由舊至新）
+ *     from / to 為年代的有效期間（含），可以是日期（yyyy-mm-dd）或期數（25/132、2025132），null 表示不限；
+ *     最後一個年代為現行規則，號碼池大小及號碼數量與遊戲本身相同；
+ *     內建遊戲不附帶年代（分界必須有可查證的來源），可由 GAME_ERAS_FILE 設定，見 services/eraService.js
+ *   erasSource: 可選，年代分界的資料來源（例如官方公告的網址），列在分析結果的年代摘要
+ * }
+ */
+
+const PeriodId = require('./PeriodId');
+
+// 號碼池及每注號碼數量的上下限（號碼組合數量隨這兩個數字急速增長）
+const MIN_POOL_SIZE = 10;
+const MAX_POOL_SIZE = 99;
+const MIN_PICK_COUNT = 3;
+const MAX_PICK_COUNT = 10;
+
+/**
+ * 內建遊戲
+ */
+const GAMES = {
+  // 香港六合彩：49 選 6，另攪出 1 個特別號碼；四獎至七獎為固定獎金
+  markSix: {
+    id: 'markSix',
+    name: '六合彩',
+    poolSize: 49,
+    pickCount: 6,
+    extraCount: 1,
+    betPrice: 10,
+    prizeTable: [
+      { division: 1, main: 6, extra: null, prize: null },
+      { division: 2, main: 5, extra: true, prize: null },
+      { division: 3, main: 5, extra: false, prize: null },
+      { division: 4, main: 4, extra: true, prize: 9600 },
+      { division: 5, main: 4, extra: false, prize: 640 },
+      { division: 6, main: 3, extra: true, prize: 320 },
+      { division: 7, main: 3, extra: false, prize: 40 }
+    ]
+  },
+  // 45 選 6，另攪出 1 個特別號碼（例如韓國樂透 6/45）
+  lotto645: {
+    id: 'lotto645',
+    name: '樂透 6/45',
+    poolSize: 45,
+    pickCount: 6,
+    extraCount: 1,
+    betPrice: 1000,
+    prizeTable: [
+      { division: 1, main: 6, extra: null, prize: null },
+      { division: 2, main: 5, extra: true, prize: null },
+      { division: 3, main: 5, extra: false, prize: null },
+      { division: 4, main: 4, extra: null, prize: 50000 },
+      { division: 5, main: 3, extra: null, prize: 5000 }
+    ]
+  },
+  // 35 選 5，沒有特別號碼
+  lotto535: {
+    id: 'lotto535',
+    name: '樂透 5/35',
+    poolSize: 35,
+    pickCount: 5,
+    extraCount: 0,
+    betPrice: 10,
+    prizeTable: [
+      { division: 1, main: 5, extra: null, prize: null },
+      { division: 2, main: 4, extra: null, prize: null },
+      { division: 3, main: 3, extra: null, prize: null }
+    ]
+  },
+  // 49 選 7，沒有特別號碼
+  lotto749: {
+    id: 'lotto749',
+    name: '樂透 7/49',
+    poolSize: 49,
+    pickCount: 7,
+    extraCount: 0,
+    betPrice: 10,
+    prizeTable: [
+      { division: 1, main: 7, extra: null, prize: null },
+      { division: 2, main: 6, extra: null, prize: null },
+      { division: 3, main: 5, extra: null, prize: null },
+      { division: 4, main: 4, extra: null, prize: null }
+    ]
+  }
+};
+
+const DEFAULT_GAME_ID = 'markSix';
+const DEFAULT_GAME = GAMES[DEFAULT_GAME_ID];
+
+/**
+ * 為自訂遊戲產生預設獎項表：命中全部正選號碼為頭獎，之後每少命中一個為下一個獎項，直到命中一半號碼
+ * 有特別號碼時，同一命中數再分為「命中特別號碼」及「未命中特別號碼」兩個獎項
+ * @param {number} pickCount - 每期正選號碼數量
+ * @param {number} extraCount - 特別號碼數量
+ * @returns {Array} 獎項表
+ */
+function buildDefaultPrizeTable(pickCount, extraCount) {
+  const prizeTable = [{ division: 1, main: pickCount, extra: null, prize: null }];
+
+  for (let main = pickCount - 1; main >= Math.ceil(pickCount / 2); main--) {
+    if (extraCount > 0) {
+      prizeTable.push({ division: prizeTable.length + 1, main, extra: true, prize: null });
+      prizeTable.push({ division: prizeTable.length + 1, main, extra: false, prize: null });
+    } else {
+      prizeTable.push({ division: prizeTable.length + 1, main, extra: null, prize: null });
+    }
+  }
+
+  return prizeTable;
+}
+
+/**
+ * 驗證獎項表
+ * @param {Array} prizeTable - 獎項表
+ * @param {number} pickCount - 每期正選號碼數量
+ * @returns {string|null} 錯誤訊息，沒有錯誤時返回 null
+ */
+function validatePrizeTable(prizeTable, pickCount) {
+  if (!Array.isArray(prizeTable) || prizeTable.length === 0) {
+    return 'prizeTable 必須是非空陣列';
+  }
+
+  for (const entry of prizeTable) {
+    if (!entry || !Number.isInteger(entry.division) || entry.division < 1) {
+      return 'prizeTable 每一項必須有正整數 division';
+    }
+    if (!Number.isInteger(entry.main) || entry.main < 1 || entry.main > pickCount) {
+      return `prizeTable 第 ${entry.division} 獎的 main 必須是 1-${pickCount} 的整數`;
+    }
+    if (entry.extra !== undefined && entry.extra !== null && typeof entry.extra !== 'boolean') {
+      return `prizeTable 第 ${entry.division} 獎的 extra 必須是 true、false 或 null`;
+    }
+    if (entry.prize !== undefined && entry.prize !== null && !(typeof entry.prize === 'number' && entry.prize >= 0)) {
+      return `prizeTable 第 ${entry.division} 獎的 prize 必須是非負數或 null`;
+    }
+  }
+
+  if (new Set(prizeTable.map(entry => entry.division)).size !== prizeTable.length) {
+    return 'prizeTable 的 division 不可重複';
+  }
+  return null;
+}
+
+/**
+ * 年代有效期間的邊界是否有效（日期或期數）
+ * @param {*} bound - 邊界
+ * @returns {boolean} 是否有效
+ */
+function isValidEraBound(bound) {
+  if (bound === undefined || bound === null) return true;
+  if (typeof bound !== 'string') return false;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(bound)) return !isNaN(new Date(bound).getTime());
+  return PeriodId.parse(bound) !== null;
+}
+
+/**
+ * 驗證規則年代
+ * 各年代的號碼池不可大於遊戲本身，最後一個年代必須與遊戲的號碼池大小及號碼數量相同
+ * @param {Array} eras - 年代陣列（由舊至新）
+ * @param {Object} game - { poolSize, pickCount, extraCount }
+ * @returns {string|null} 錯誤訊息，沒有錯誤時返回 null
+ */
+function validateEras(eras, game) {
+  if (!Array.isArray(eras) || eras.length === 0) {
+    return 'eras 必須是非空陣列';
+  }
+
+  for (const era of eras) {
+    if (!era || typeof era.id !== 'string' || era.id === '') {
+      return 'eras 每一項必須有 id';
+    }
+    if (!Number.isInteger(era.poolSize) || era.poolSize < MIN_POOL_SIZE || era.poolSize > game.poolSize) {
+      return `年代 ${era.id} 的 poolSize 必須是 ${MIN_POOL_SIZE}-${game.poolSize} 的整數`;
+    }
+    const pickCount = era.pickCount === undefined ? game.pickCount : era.pickCount;
+    if (!Number.isInteger(pickCount) || pickCount < MIN_PICK_COUNT || pickCount > MAX_PICK_COUNT) {
+      return `年代 ${era.id} 的 pickCount 必須是 ${MIN_PICK_COUNT}-${MAX_PICK_COUNT} 的整數`;
+    }
+    if (era.extraCount !== undefined && era.extraCount !== 0 && era.extraCount !== 1) {
+      return `年代 ${era.id} 的 extraCount 必須是 0 或 1`;
+    }
+    if (!isValidEraBound(era.from) || !isValidEraBound(era.to)) {
+      return `年代 ${era.id} 的 from / to 必須是 yyyy-mm-dd 日期、期數或 null`;
+    }
+  }
+
+  if (new Set(eras.map(era => era.id)).size !== eras.length) {
+    return 'eras 的 id 不可重複';
+  }
+  const current = eras[eras.length - 1];
+  if (current.poolSize !== game.poolSize || (current.pickCount !== undefined && current.pickCount !== game.pickCount)) {
+    return '最後一個年代必須是現行規則（poolSize 及 pickCount 與遊戲相同）';
+  }
+  return null;
+}
+
+/**
+ * 驗證遊戲參數
+ * 接受內建遊戲 ID（字串）或自訂遊戲定義物件；未提供時使用預設遊戲
+ * @param {string|Object} input - 遊戲 ID 或遊戲定義
+ * @returns {string|null} 錯誤訊息，沒有錯誤時返回 null
+ */
+function validateGame(input) {
+  if (input === undefined || input === null) return null;
+
+  if (typeof input === 'string') {
+    return GAMES[input] ? null : `不支援的遊戲: ${input}（支援 ${Object.keys(GAMES).join('、')}，或提供自訂遊戲定義）`;
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return 'game 必須是遊戲 ID 或遊戲定義物件';
+  }
+
+  const { poolSize, pickCount, extraCount = 0, betPrice } = input;
+  if (!Number.isInteger(poolSize) || poolSize < MIN_POOL_SIZE || poolSize > MAX_POOL_SIZE) {
+    return `poolSize 必須是 ${MIN_POOL_SIZE}-${MAX_POOL_SIZE} 的整數`;
+  }
+  if (!Number.isInteger(pickCount) || pickCount < MIN_PICK_COUNT || pickCount > MAX_PICK_COUNT) {
+    return `pickCount 必須是 ${MIN_PICK_COUNT}-${MAX_PICK_COUNT} 的整數`;
+  }
+  if (extraCount !== 0 && extraCount !== 1) {
+    return 'extraCount 必須是 0 或 1';
+  }
+  if (pickCount + extraCount > poolSize / 2) {
+    return 'pickCount 加上 extraCount 不可超過號碼池大小的一半';
+  }
+  if (betPrice !== undefined && !(typeof betPrice === 'number' && betPrice > 0)) {
+    return 'betPrice 必須是正數';
+  }
+  if (input.prizeTable !== undefined) {
+    const prizeTableError = validatePrizeTable(input.prizeTable, pickCount);
+    if (prizeTableError) return prizeTableError;
+  }
+  if (input.erasSource !== undefined && (typeof input.erasSource !== 'string' || input.erasSource.trim() === '')) {
+    return 'erasSource 必須是非空字串';
+  }
+  if (input.eras !== undefined) {
+    return validateEras(input.eras, { poolSize, pickCount, extraCount });
+  }
+  return null;
+}
+
+/**
+ * 取得遊戲定義（請先以 validateGame 驗證）
+ * @param {string|Object} input - 遊戲 ID 或自訂遊戲定義，未提供時返回預設遊戲
+ * @returns {Object} 遊戲定義
+ */
+function resolveGame(input) {
+  if (input === undefined || input === null) return DEFAULT_GAME;
+  if (typeof input === 'string') return GAMES[input];
+
+  const extraCount = input.extraCount || 0;
+  return {
+    id: input.id || 'custom',
+    name: input.name || `${input.pickCount}/${input.poolSize}`,
+    poolSize: input.poolSize,
+    pickCount: input.pickCount,
+    extraCount,
+    betPrice: input.betPrice || DEFAULT_GAME.betPrice,
+    prizeTable: (input.prizeTable || buildDefaultPrizeTable(input.pickCount, extraCount))
+      .map(entry => ({
+        division: entry.division,
+        main: entry.main,
+        extra: typeof entry.extra === 'boolean' ? entry.extra : null,
+        prize: typeof entry.prize === 'number' ? entry.prize : null
+      }))
+      .sort((a, b) => a.division - b.division),
+    ...(input.eras ? {
+      eras: input.eras.map(era => ({
+        id: era.id,
+        name: era.name || era.id,
+        poolSize: era.poolSize,
+        pickCount: era.pickCount === undefined ? input.pickCount : era.pickCount,
+        extraCount: era.extraCount === undefined ? extraCount : era.extraCount,
+        from: era.from || null,
+        to: era.to || null
+      })),
+      erasSource: input.erasSource || null
+    } : {})
+  };
+}
+
+/**
+ * 號碼是否在遊戲的號碼池內
+ * @param {Object} game - 遊戲定義
+ * @param {number} number - 號碼
+ * @returns {boolean} 是否有效
+ */
+function isValidNumber(game, number) {
+  return Number.isInteger(number) && number >= 1 && number <= game.poolSize;
+}
+
+/**
+ * 依命中數取得中獎獎項
+ * @param {Object} game - 遊戲定義
+ * @param {number} mainHits - 命中的正選號碼數量
+ * @param {boolean} extraHit - 是否命中特別號碼
+ * @returns {Object|null} 獎項 { division, main, extra, prize }，未中獎時返回 null
+ */
+function getPrizeDivision(game, mainHits, extraHit) {
+  return game.prizeTable.find(entry =>
+    entry.main === mainHits && (entry.extra === null || entry.extra === Boolean(extraHit))
+  ) || null;
+}
+
+/**
+ * 取得內建遊戲列表
+ * @returns {Array} 遊戲定義陣列
+ */
+function listGames() {
+  return Object.values(GAMES);
+}
+
+module.exports = {
+  GAMES,
+  DEFAULT_GAME_ID,
+  DEFAULT_GAME,
+  validateGame,
+  resolveGame,
+  isValidNumber,
+  getPrizeDivision,
+  listGames
+};
@@ -1,11 +1,125 @@
+const PeriodId = require('./PeriodId');
+const GameDefinition = require('./GameDefinition');
+
+/**
+ * 每期攪出的正選號碼數量（第7個號碼為特別號碼）
+ */
+const MAIN_NUMBER_COUNT = 6;
+
+/**
+ * 獎項數量（頭獎至七獎）
+ */
+const PRIZE_DIVISION_COUNT = 7;
+
+/**
+ * 攪珠類型
+ */
+const DRAW_TYPES = ['normal', 'jackpot', 'snowball'];
+
 /**
  * 攪珠結果 DTO
+ * periodNumber 統一為補零後的格式（25/1 -> 25/001），保留原本的 short / long 格式
+ * numbers 結構為 { main: [6個正選號碼], extra: 特別號碼 }
+ * source 為資料來源名稱（例如 lotteryhk、file、jsonFeed、import），舊資料為 null
+ * 派彩資料（prizes、turnover、jackpot、snowball、drawType）來源沒有提供時為空陣列或 null
  */
 class LotteryResultDTO {
-  constructor(data = {}) {
-    this.periodNumber = data.periodNumber || '';
+  /**
+   * @param {Object} data - 攪珠結果
+   * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及正選號碼數量
+   */
+  constructor(data = {}, game = GameDefinition.DEFAULT_GAME) {
+    this.periodNumber = PeriodId.format(data.periodNumber) || data.periodNumber || '';
     this.date = data.date || '';
-    this.numbers = data.numbers || [];
+    this.numbers = LotteryResultDTO.parseNumbers(data.numbers, game);
+    this.source = data.source || null;
+    this.drawType = DRAW_TYPES.includes(data.drawType) ? data.drawType : null;
+    this.prizes = LotteryResultDTO.parsePrizes(data.prizes);
+    this.turnover = LotteryResultDTO.parseAmount(data.turnover);
+    this.jackpot = LotteryResultDTO.parseAmount(data.jackpot);
+    this.snowball = LotteryResultDTO.parseAmount(data.snowball);
+  }
+
+  /**
+   * 將金額轉換為數字（支援 "$1,234,560"、"HK$ 8,000,000" 等格式）
+   * @param {number|string} value - 原始金額
+   * @returns {number|null} 金額，無法解析時返回 null
+   */
+  static parseAmount(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return isFinite(value) && value >= 0 ? value : null;
+
+    const cleaned = String(value).replace(/[^\d.]/g, '');
+    if (!cleaned) return null;
+    const amount = parseFloat(cleaned);
+    return isNaN(amount) ? null : amount;
+  }
+
+  /**
+   * 正規化各獎項派彩資料
+   * @param {Array} rawPrizes - [{ division, dividend, winningUnits }]
+   * @returns {Array} 依獎項排序的 { division, dividend, winningUnits }
+   */
+  static parsePrizes(rawPrizes) {
+    if (!Array.isArray(rawPrizes)) return [];
+
+    return rawPrizes
+      .map(prize => ({
+        division: parseInt(prize && prize.division, 10),
+        dividend: LotteryResultDTO.parseAmount(prize && prize.dividend),
+        winningUnits: LotteryResultDTO.parseAmount(prize && prize.winningUnits)
+      }))
+      .filter(prize => prize.division >= 1 && prize.division <= PRIZE_DIVISION_COUNT)
+      .sort((a, b) => a.division - b.division);
+  }
+
+  /**
+   * 將各種號碼格式正規化為 { main, extra }
+   * 支援：{ main, extra } 物件、抓取得到的字串陣列（如 ["01\n02\n...\n07"]）、數字陣列
+   * 陣列格式依攪出順序排列，前6個為正選號碼，第7個為特別號碼（其他遊戲依遊戲定義的 pickCount 及 extraCount）
+   * @param {Object|Array} rawNumbers - 原始號碼資料
+   * @param {Object} game - 可選，遊戲定義（預設為六合彩）
+   * @returns {Object} { main: Array<number>, extra: number|null }
+   */
+  static parseNumbers(rawNumbers, game = GameDefinition.DEFAULT_GAME) {
+    if (!rawNumbers) {
+      return { main: [], extra: null };
+    }
+
+    const toNumber = (value) => {
+      const parsed = parseInt(value, 10);
+      return isNaN(parsed) || parsed < 1 || parsed > game.poolSize ? null : parsed;
+    };
+
+    // 已是 { main, extra } 格式
+    if (!Array.isArray(rawNumbers) && typeof rawNumbers === 'object') {
+      const main = (Array.isArray(rawNumbers.main) ? rawNumbers.main : [])
+        .map(toNumber)
+        .filter(num => num !== null);
+      const extra = game.extraCount > 0 && rawNumbers.extra !== undefined && rawNumbers.extra !== null
+        ? toNumber(rawNumbers.extra)
+        : null;
+      return { main, extra };
+    }
+
+    // 陣列格式：每個元素可能是單一號碼或以空白分隔的多個號碼
+    const ordered = [];
+    rawNumbers.forEach(item => {
+      String(item)
+        .split(/[\n\t\s]+/)
+        .filter(str => str.trim() !== '')
+        .forEach(str => {
+          const num = toNumber(str.trim());
+          if (num !== null) {
+            ordered.push(num);
+          }
+        });
+    });
+
+    return {
+      main: ordered.slice(0, game.pickCount),
+      extra: game.extraCount > 0 && ordered.length > game.pickCount ? ordered[game.pickCount] : null
+    };
   }
 
   /**
@@ -15,10 +129,24 @@ class LotteryResultDTO {
     return new LotteryResultDTO({
       periodNumber: rowData.periodNumber,
       date: rowData.date,
-      numbers: rowData.numbers
+      numbers: rowData.numbers,
+      source: rowData.source,
+      drawType: rowData.drawType,
+      prizes: rowData.prizes,
+      turnover: rowData.turnover,
+      jackpot: rowData.jackpot,
+      snowball: rowData.snowball
     });
   }
 
+  /**
+   * 取得解析後的期數
+   * @returns {Object|null} { year, period, style }，期數無效時返回 null
+   */
+  getPeriodId() {
+    return PeriodId.parse(this.periodNumber);
+  }
+
   /**
    * 轉換為 JSON
    */
@@ -26,10 +154,22 @@ class LotteryResultDTO {
     return {
       periodNumber: this.periodNumber,
       date: this.date,
-      numbers: this.numbers
+      numbers: {
+        main: this.numbers.main,
+        extra: this.numbers.extra
+      },
+      source: this.source,
+      drawType: this.drawType,
+      prizes: this.prizes,
+      turnover: this.turnover,
+      jackpot: this.jackpot,
+      snowball: this.snowball
     };
   }
 }
 
-module.exports = LotteryResultDTO;
+LotteryResultDTO.MAIN_NUMBER_COUNT = MAIN_NUMBER_COUNT;
+LotteryResultDTO.PRIZE_DIVISION_COUNT = PRIZE_DIVISION_COUNT;
+LotteryResultDTO.DRAW_TYPES = DRAW_TYPES;
 
+module.exports = LotteryResultDTO;
@@ -0,0 +1,234 @@
+/**
+ * 攪珠期數識別碼
+ * 前後端共用：Node 以 require 載入，瀏覽器以 <script src="/js/PeriodId.js"> 載入後使用 window.PeriodId
+ *
+ * 支援兩種格式：
+ * - short：YY/PPP，例如 25/132
+ * - long：YYYYPPP，例如 2025132
+ * 解析後統一為 { year: 4位數年份, period: 期數, style: 'short' | 'long' }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PeriodId = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // 六合彩於1976年開始攪珠，2位數年份 76-99 為 19xx，00-75 為 20xx
+  const CENTURY_PIVOT = 76;
+
+  const SHORT_PATTERN = /^(\d{2})\/(\d{1,3})$/;
+  const LONG_PATTERN = /^(\d{4})(\d{3})$/;
+
+  /**
+   * 將2位數年份轉換為4位數
+   * @param {number} shortYear - 2位數年份
+   * @returns {number} 4位數年份
+   */
+  function expandYear(shortYear) {
+    return shortYear >= CENTURY_PIVOT ? 1900 + shortYear : 2000 + shortYear;
+  }
+
+  /**
+   * 解析期數
+   * @param {string|Object} value - 期數字串（25/132 或 2025132）或 { year, period } 物件
+   * @returns {Object|null} { year, period, style }，無法解析時返回 null
+   */
+  function parse(value) {
+    if (!value) return null;
+
+    if (typeof value === 'object') {
+      const year = parseInt(value.year, 10);
+      const period = parseInt(value.period, 10);
+      if (isNaN(year) || isNaN(period) || period < 1) return null;
+      return { year: year < 100 ? expandYear(year) : year, period, style: value.style || 'short' };
+    }
+
+    const str = String(value).trim();
+
+    const shortMatch = str.match(SHORT_PATTERN);
+    if (shortMatch) {
+      const period = parseInt(shortMatch[2], 10);
+      return period >= 1 ? { year: expandYear(parseInt(shortMatch[1], 10)), period, style: 'short' } : null;
+    }
+
+    const longMatch = str.match(LONG_PATTERN);
+    if (longMatch) {
+      const period = parseInt(longMatch[2], 10);
+      return period >= 1 ? { year: parseInt(longMatch[1], 10), period, style: 'long' } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * 格式化期數
+   * @param {string|Object} value - 期數
+   * @param {string} style - 'short'（25/132）或 'long'（2025132），預設沿用原本的格式
+   * @returns {string|null} 期數字串
+   */
+  function format(value, style) {
+    const id = parse(value);
+    if (!id) return null;
+
+    const period = String(id.period).padStart(3, '0');
+    if ((style || id.style) === 'long') {
+      return `${id.year}${period}`;
+    }
+    return `${String(id.year % 100).padStart(2, '0')}/${period}`;
+  }
+
+  /**
+   * 取得期數的唯一鍵（不同格式的同一期得到相同的鍵）
+   * @param {string|Object} value - 期數
+   * @returns {string|null} 唯一鍵（long 格式）
+   */
+  function key(value) {
+    return format(value, 'long');
+  }
+
+  /**
+   * 比較兩個期數的先後
+   * @param {string|Object} a - 期數
+   * @param {string|Object} b - 期數
+   * @returns {number} a 較早為負數，相同為 0，a 較晚為正數（無法解析的期數視為最早）
+   */
+  function compare(a, b) {
+    const idA = parse(a);
+    const idB = parse(b);
+
+    if (!idA || !idB) {
+      return (idA ? 1 : 0) - (idB ? 1 : 0);
+    }
+    if (idA.year !== idB.year) return idA.year - idB.year;
+    return idA.period - idB.period;
+  }
+
+  /**
+   * 判斷 b 是否為 a 的下一期（同年期數加1，或下一年的第1期）
+   * @param {string|Object} a - 當前期數
+   * @param {string|Object} b - 下一期期數
+   * @returns {boolean} 是否為下一期
+   */
+  function isNext(a, b) {
+    const current = parse(a);
+    const next = parse(b);
+
+    if (!current || !next) return false;
+
+    if (current.year === next.year && next.period === current.period + 1) {
+      return true;
+    }
+
+    return next.year === current.year + 1 && next.period === 1;
+  }
+
+  /**
+   * 取得下一期
+   * @param {string|Object} value - 期數
+   * @param {Object} options - 選項
+   * @param {number} options.lastPeriodOfYear - 該年份最後一期的期數（已知時才會跨年）
+   * @returns {Object|null} { year, period, style }
+   */
+  function next(value, options = {}) {
+    const id = parse(value);
+    if (!id) return null;
+
+    if (options.lastPeriodOfYear && id.period >= options.lastPeriodOfYear) {
+      return { year: id.year + 1, period: 1, style: id.style };
+    }
+    return { year: id.year, period: id.period + 1, style: id.style };
+  }
+
+  /**
+   * 取得上一期
+   * @param {string|Object} value - 期數
+   * @param {Object} options - 選項
+   * @param {number} options.lastPeriodOfPreviousYear - 上一年最後一期的期數（第1期往前跨年時需要）
+   * @returns {Object|null} { year, period, style }，第1期且不知道上一年期數時返回 null
+   */
+  function previous(value, options = {}) {
+    const id = parse(value);
+    if (!id) return null;
+
+    if (id.period > 1) {
+      return { year: id.year, period: id.period - 1, style: id.style };
+    }
+    if (options.lastPeriodOfPreviousYear) {
+      return { year: id.year - 1, period: options.lastPeriodOfPreviousYear, style: id.style };
+    }
+    return null;
+  }
+
+  /**
+   * 計算兩期之間相差的期數（b - a）
+   * @param {string|Object} a - 起始期數
+   * @param {string|Object} b - 結束期數
+   * @param {Object} options - 選項
+   * @param {Object} options.periodsPerYear - 每年的總期數 { 2024: 120, ... }（跨年時需要）
+   * @returns {number|null} 相差期數，跨年但缺少期數資料時返回 null
+   */
+  function distance(a, b, options = {}) {
+    const from = parse(a);
+    const to = parse(b);
+    if (!from || !to) return null;
+
+    if (from.year === to.year) {
+      return to.period - from.period;
+    }
+    if (from.year > to.year) {
+      const reversed = distance(b, a, options);
+      return reversed === null ? null : -reversed;
+    }
+
+    const periodsPerYear = options.periodsPerYear || {};
+    let total = 0;
+    for (let year = from.year; year < to.year; year++) {
+      if (!periodsPerYear[year]) return null;
+      // 第一年只計算 from 之後的期數
+      total += year === from.year ? periodsPerYear[year] - from.period : periodsPerYear[year];
+    }
+    return total + to.period;
+  }
+
+  /**
+   * 依序產生 from 到 to 之間（包含兩端）的所有期數
+   * @param {string|Object} from - 起始期數
+   * @param {string|Object} to - 結束期數
+   * @param {Object} options - 選項
+   * @param {Object} options.periodsPerYear - 每年的總期數（跨年時需要）
+   * @returns {Array<Object>} { year, period, style } 陣列
+   */
+  function range(from, to, options = {}) {
+    const start = parse(from);
+    const end = parse(to);
+    if (!start || !end || compare(start, end) > 0) return [];
+
+    const periodsPerYear = options.periodsPerYear || {};
+    const ids = [];
+    let current = start;
+
+    while (compare(current, end) <= 0) {
+      ids.push(current);
+      if (current.year < end.year && !periodsPerYear[current.year]) {
+        throw new Error(`缺少 ${current.year} 年的總期數，無法跨年產生期數範圍`);
+      }
+      current = next(current, { lastPeriodOfYear: current.year < end.year ? periodsPerYear[current.year] : null });
+    }
+
+    return ids;
+  }
+
+  return {
+    CENTURY_PIVOT,
+    parse,
+    format,
+    key,
+    compare,
+    isNext,
+    next,
+    previous,
+    distance,
+    range
+  };
+});
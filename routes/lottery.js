@@ -1,23 +1,79 @@
 const express = require('express');
 const router = express.Router();
+const GameDefinition = require('../models/GameDefinition');
 const lotteryService = require('../services/lotteryService');
 const analysisService = require('../services/analysisService');
+const analysisPool = require('../services/analysisPool');
 const simulationService = require('../services/simulation');
+const importService = require('../services/importService');
+const exportService = require('../services/exportService');
+const integrityService = require('../services/integrityService');
+const eraService = require('../services/eraService');
+const snapshotStore = require('../services/snapshotStore');
+const datasetService = require('../services/datasetService');
+const drawStore = require('../services/drawStore');
+const queryService = require('../services/queryService');
+const syncScheduler = require('../services/syncScheduler');
+const predictionStore = require('../services/predictionStore');
+const webhookService = require('../services/webhookService');
+const calculatorRegistry = require('../services/calculatorRegistry');
+const calculatorPlugins = require('../services/calculatorPlugins');
 
 /**
- * 取得攪珠結果
- * GET /api/lottery/results?startYear=2025&endYear=2025
+ * 取得攪珠結果（從本地資料庫讀取，必要時增量同步）
+ * GET /api/lottery/results?startYear=2025&endYear=2025&format=csv&headers=zh&refresh=true&includeProvenance=true
+ * format 可選 csv、jsonl、xml（SpreadsheetML），未指定時返回 JSON
+ * includeProvenance=true 時每筆結果附上來源資訊（匯出時加上來源資訊欄位）
+ * refresh=true 或請求標頭 Cache-Control: no-cache 時立即同步並重新驗證 HTTP 快取
  */
 router.get('/results', async (req, res) => {
   try {
-    const startYear = req.query.startYear ? parseInt(req.query.startYear) : null;
-    const endYear = req.query.endYear ? parseInt(req.query.endYear) : null;
+    const currentYear = new Date().getFullYear();
+    const startYear = req.query.startYear ? Number(req.query.startYear) : currentYear;
+    const endYear = req.query.endYear ? Number(req.query.endYear) : currentYear;
+    const { format, headers = 'en' } = req.query;
+
+    const yearError = lotteryService.validateYearRange(startYear, endYear);
+    if (yearError) {
+      return res.status(400).json({
+        success: false,
+        message: yearError
+      });
+    }
+
+    if (format) {
+      const exportError = exportService.validateExportOptions(format, headers);
+      if (exportError) {
+        return res.status(400).json({
+          success: false,
+          message: exportError
+        });
+      }
+    }
+
+    const refresh = req.query.refresh === 'true' || /no-cache/i.test(req.get('Cache-Control') || '');
+    const includeProvenance = req.query.includeProvenance === 'true';
+
+    const { results, warnings } = await lotteryService.getLotteryResults(startYear, endYear, { refresh, includeProvenance });
+
+    if (format) {
+      // 匯出檔案無法附帶 warnings，改以響應頭告知不完整年份數量
+      res.setHeader('X-Data-Warnings', String(warnings.length));
+      const columns = includeProvenance
+        ? [...exportService.DRAW_COLUMNS, ...exportService.PROVENANCE_COLUMNS]
+        : exportService.DRAW_COLUMNS;
+      return exportService.streamExport(res, results, columns, {
+        format,
+        headers,
+        filename: 'results'
+      });
+    }
 
-    const results = await lotteryService.fetchLotteryResults(startYear, endYear);
     res.json({
       success: true,
       data: results,
-      count: results.length
+      count: results.length,
+      warnings
     });
   } catch (error) {
     console.error('取得攪珠結果失敗:', error);
@@ -29,31 +85,506 @@ router.get('/results', async (req, res) => {
   }
 });
 
+/**
+ * 以 SSE 串流取得攪珠結果：每個年份的資料可用時立即推送，長年份範圍不必等待全部年份抓取完成
+ * GET /api/lottery/results/stream?startYear=1993&endYear=2025&refresh=true&includeProvenance=true
+ * 事件：start、year（該年份的攪珠結果及抓取狀態）、complete（總筆數及 warnings）、error
+ */
+router.get('/results/stream', async (req, res) => {
+  const currentYear = new Date().getFullYear();
+  const startYear = req.query.startYear ? Number(req.query.startYear) : currentYear;
+  const endYear = req.query.endYear ? Number(req.query.endYear) : currentYear;
+
+  const yearError = lotteryService.validateYearRange(startYear, endYear);
+  if (yearError) {
+    return res.status(400).json({
+      success: false,
+      message: yearError
+    });
+  }
+
+  const refresh = req.query.refresh === 'true' || /no-cache/i.test(req.get('Cache-Control') || '');
+  const totalYears = endYear - startYear + 1;
+  let completedYears = 0;
+  let count = 0;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // 禁用 nginx 緩衝
+
+  // 客戶端中斷後不再推送（抓取仍會完成並寫入本地資料庫）
+  const send = (event) => {
+    if (res.destroyed || res.closed) return;
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  send({
+    type: 'start',
+    message: `開始取得 ${startYear}-${endYear} 年的攪珠結果...`,
+    startYear,
+    endYear,
+    totalYears,
+    concurrency: lotteryService.FETCH_CONCURRENCY
+  });
+
+  try {
+    const { results, warnings } = await lotteryService.getLotteryResults(startYear, endYear, {
+      refresh,
+      includeProvenance: req.query.includeProvenance === 'true',
+      onYear: (yearData) => {
+        completedYears++;
+        count += yearData.draws.length;
+        send({
+          type: 'year',
+          ...yearData,
+          count: yearData.draws.length,
+          completedYears,
+          totalYears,
+          progress: totalYears > 0 ? Math.round(completedYears / totalYears * 100) : 100
+        });
+      }
+    });
+
+    send({
+      type: 'complete',
+      message: `共取得 ${results.length} 筆攪珠結果`,
+      count: results.length,
+      streamedCount: count,
+      warnings
+    });
+  } catch (error) {
+    console.error('串流取得攪珠結果失敗:', error);
+    send({
+      type: 'error',
+      message: '取得攪珠結果失敗',
+      error: error.message
+    });
+  }
+  res.end();
+});
+
+/**
+ * 查詢攪珠歷史（日期 / 期數範圍、包含號碼、星期、攪珠類型），支援排序及游標分頁
+ * GET /api/lottery/search?startDate=2025-01-01&containsAll=7,21&weekday=2,4&sort=date&order=asc&limit=50&cursor=...
+ * includeProvenance=true 時每筆結果附上來源資訊
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const criteria = queryService.parseQuery(req.query);
+    const refresh = req.query.refresh === 'true' || /no-cache/i.test(req.get('Cache-Control') || '');
+    const includeProvenance = req.query.includeProvenance === 'true';
+
+    const { results, total, nextCursor, warnings } = await lotteryService.searchLotteryResults(criteria, { refresh, includeProvenance });
+
+    res.json({
+      success: true,
+      data: results,
+      count: results.length,
+      total,
+      nextCursor,
+      warnings
+    });
+  } catch (error) {
+    if (error.isQueryError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('查詢攪珠結果失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '查詢攪珠結果失敗',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 立即增量同步最新攪珠結果到本地資料庫（略過 HTTP 快取時間）
+ * POST /api/lottery/sync
+ */
+router.post('/sync', async (req, res) => {
+  try {
+    const syncResult = await lotteryService.syncLotteryResults({ refresh: true });
+    res.json({
+      success: true,
+      data: {
+        added: syncResult.added,
+        latestPeriod: syncResult.latestPeriod,
+        syncedAt: syncResult.syncedAt,
+        years: syncResult.years
+      }
+    });
+  } catch (error) {
+    console.error('同步攪珠結果失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '同步攪珠結果失敗',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 取得背景同步狀態（上次 / 下次同步時間、最近的同步記錄）
+ * GET /api/lottery/sync/status
+ */
+router.get('/sync/status', (req, res) => {
+  res.json({
+    success: true,
+    data: syncScheduler.getStatus({ includeHistory: true })
+  });
+});
+
+/**
+ * 取得內建遊戲定義（分析、驗證及模擬的 game 參數），附上 GAME_ERAS_FILE 設定的規則年代
+ * GET /api/lottery/games
+ */
+router.get('/games', (req, res) => {
+  res.json({
+    success: true,
+    data: GameDefinition.listGames().map(eraService.withEras),
+    defaultGame: GameDefinition.DEFAULT_GAME_ID
+  });
+});
+
+/**
+ * 取得所有統計計算器（分析、驗證及模擬的 calculators 及 weights 參數）
+ * GET /api/lottery/calculators
+ * plugins 為外掛計算器目錄（CALCULATOR_PLUGIN_DIR）的載入結果
+ */
+router.get('/calculators', (req, res) => {
+  res.json({
+    success: true,
+    data: calculatorRegistry.listCalculators(),
+    plugins: calculatorPlugins.getStatus()
+  });
+});
+
+/**
+ * 建立資料集快照（內容相同時返回已有的快照）
+ * POST /api/lottery/snapshots
+ * Body: { results: [...] (可選，未提供時以本地資料庫建立), label: '...' (可選) }
+ */
+router.post('/snapshots', (req, res) => {
+  try {
+    const { results, label } = req.body || {};
+
+    if (results !== undefined && (!Array.isArray(results) || results.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: '請提供有效的攪珠結果資料'
+      });
+    }
+
+    if (!results && drawStore.getAllDraws().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: '本地資料庫沒有攪珠結果'
+      });
+    }
+
+    const { snapshot, created } = results
+      ? snapshotStore.saveSnapshot(results, { type: snapshotStore.SNAPSHOT_SOURCES.REQUEST, endpoint: '/snapshots', label: label || null })
+      : snapshotStore.snapshotLocalStore({ label });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: snapshot,
+      created
+    });
+  } catch (error) {
+    console.error('建立快照失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '建立快照失敗',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 取得所有快照資訊（不含攪珠結果，最新建立的在前）
+ * GET /api/lottery/snapshots
+ */
+router.get('/snapshots', (req, res) => {
+  res.json({
+    success: true,
+    data: snapshotStore.listSnapshots()
+  });
+});
+
+/**
+ * 取得快照（包含攪珠結果）
+ * GET /api/lottery/snapshots/:hash
+ */
+router.get('/snapshots/:hash', (req, res) => {
+  try {
+    const snapshot = snapshotStore.getSnapshot(req.params.hash);
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: `找不到快照: ${req.params.hash}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: snapshot
+    });
+  } catch (error) {
+    console.error('讀取快照失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '讀取快照失敗',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 刪除快照
+ * DELETE /api/lottery/snapshots/:hash
+ */
+router.delete('/snapshots/:hash', (req, res) => {
+  try {
+    if (!snapshotStore.deleteSnapshot(req.params.hash)) {
+      return res.status(404).json({
+        success: false,
+        message: `找不到快照: ${req.params.hash}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { hash: req.params.hash }
+    });
+  } catch (error) {
+    console.error('刪除快照失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '刪除快照失敗',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 從 CSV / JSON 檔案匯入歷史攪珠結果到本地資料庫
+ * POST /api/lottery/import?dryRun=true
+ * Content-Type: text/csv — 直接上傳 CSV 內容
+ * Content-Type: application/json — Body: [...] 或 { results: [...] } 或 { format: 'csv', content: '...', mapping: {...}, dryRun: false }
+ */
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), (req, res) => {
+  try {
+    const body = req.body;
+    let input;
+
+    if (typeof body === 'string') {
+      input = { format: 'csv', content: body };
+    } else if (Array.isArray(body)) {
+      input = { format: 'json', content: body };
+    } else if (body && Array.isArray(body.results)) {
+      input = { format: 'json', content: body.results, mapping: body.mapping };
+    } else if (body && body.content !== undefined) {
+      input = { format: body.format || 'csv', content: body.content, mapping: body.mapping };
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: '請提供 CSV 內容或 JSON 攪珠結果陣列'
+      });
+    }
+
+    input.dryRun = req.query.dryRun === 'true' || (body && body.dryRun === true);
+
+    const report = importService.importDraws(input);
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('匯入攪珠結果失敗:', error);
+    res.status(error.isImportError ? 400 : 500).json({
+      success: false,
+      message: '匯入攪珠結果失敗',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 檢查攪珠歷史的完整性（重複期數、期數缺口、號碼錯誤、日期順序）
+ * POST /api/lottery/integrity
+ * Body: { results: [...] (可選，未提供時檢查本地資料庫), repair: false, periodsPerYear: { 2024: 120 } (可選), game: 'markSix' (可選) }
+ */
+router.post('/integrity', (req, res) => {
+  try {
+    const results = req.body.results !== undefined ? req.body.results : drawStore.getAllDraws();
+
+    if (!Array.isArray(results)) {
+      return res.status(400).json({
+        success: false,
+        message: '請提供有效的攪珠結果資料'
+      });
+    }
+
+    const gameError = GameDefinition.validateGame(req.body.game);
+    if (gameError) {
+      return res.status(400).json({
+        success: false,
+        message: gameError
+      });
+    }
+
+    const periodsPerYear = req.body.periodsPerYear && typeof req.body.periodsPerYear === 'object'
+      ? req.body.periodsPerYear
+      : {};
+    const report = integrityService.checkIntegrity(results, {
+      repair: req.body.repair === true,
+      periodsPerYear,
+      game: GameDefinition.resolveGame(req.body.game)
+    });
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('完整性檢查失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '完整性檢查失敗',
+      error: error.message
+    });
+  }
+});
+
 /**
  * 分析攪珠結果並預測下一期最有可能的號碼
- * POST /api/lottery/analyze
- * Body: { results: [...] }
+ * POST /api/lottery/analyze?format=csv&table=topNumbers&headers=zh
+ * Body: { results: [...], weights: {...}, calculators: [...], includeExtra: false, repair: false, game: 'markSix', eraMode: 'single', era: 'pool49' }
+ * 可用 snapshot: '<快照雜湊>' 或 dataset: { snapshot } / { startYear, endYear } / { query: {...} } 取代 results，
+ * 以伺服器上的資料集分析；結果的 snapshot 為使用的資料的快照資訊，keepSnapshot: true 時保存快照（persisted 表示快照是否已保存）
+ * repair 為 true 時先移除有問題的記錄再分析，並在結果中附上 integrity 摘要
+ * game 可選內建遊戲 ID（見 GET /games）或自訂遊戲定義 { poolSize, pickCount, extraCount, betPrice, prizeTable, eras }，預設為六合彩
+ * eraMode 為 single（只分析單一規則年代，era 未指定時為資料中最新的年代）或 normalize（正規化各年代的頻率）；未指定 eraMode 及 era 時不依年代挑選
+ * calculators 可選啟用的計算器 ID 陣列，或 { 計算器 ID: true/false } 個別啟用或停用（見 GET /calculators），預設啟用全部
+ * format 可選 csv、jsonl、xml（SpreadsheetML），table 可選 topNumbers（預設）或 analysisDetails
  */
 router.post('/analyze', async (req, res) => {
   try {
-    const results = req.body.results;
     const weights = req.body.weights; // 可選的權重參數
+    const { format, headers = 'en', table = 'topNumbers' } = req.query;
 
-    if (!results || !Array.isArray(results) || results.length === 0) {
+    const datasetError = datasetService.validateDatasetInput(req.body);
+    if (datasetError) {
       return res.status(400).json({
         success: false,
-        message: '請提供有效的攪珠結果資料'
+        message: datasetError
+      });
+    }
+
+    const gameError = GameDefinition.validateGame(req.body.game);
+    if (gameError) {
+      return res.status(400).json({
+        success: false,
+        message: gameError
+      });
+    }
+    const game = GameDefinition.resolveGame(req.body.game);
+
+    const eraError = eraService.validateEraOptions(req.body, game);
+    if (eraError) {
+      return res.status(400).json({
+        success: false,
+        message: eraError
       });
     }
 
-    // 如果提供了權重參數，使用它；否則使用預設權重
-    const analysis = analysisService.analyzeNumbers(results, weights || {});
+    const calculatorError = calculatorRegistry.validateSelection(req.body.calculators);
+    if (calculatorError) {
+      return res.status(400).json({
+        success: false,
+        message: calculatorError
+      });
+    }
+
+    if (format) {
+      const exportError = exportService.validateExportOptions(format, headers) ||
+        (['topNumbers', 'analysisDetails'].includes(table) ? null : `不支援的匯出表格: ${table}（支援 topNumbers、analysisDetails）`);
+      if (exportError) {
+        return res.status(400).json({
+          success: false,
+          message: exportError
+        });
+      }
+    }
+
+    // 分析使用的資料集（提供 results 時保存為快照）
+    const dataset = await datasetService.resolveDataset(req.body, '/analyze');
+    let results = dataset.results;
+
+    // 分析前先修復資料集，避免錯誤的記錄影響各項分數
+    let integrity = null;
+    if (req.body.repair === true) {
+      const report = integrityService.checkIntegrity(results, { repair: true, game });
+      results = report.repaired.results;
+      integrity = {
+        errorCount: report.errorCount,
+        warningCount: report.warningCount,
+        summary: report.summary,
+        removed: report.repaired.removed,
+        modified: report.repaired.modified
+      };
+
+      if (results.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: '修復後沒有可用的攪珠結果資料',
+          data: { integrity }
+        });
+      }
+    }
+
+    // 如果提供了權重參數，使用它；否則使用預設權重（在分析 worker 執行，見 analysisPool.js）
+    const analysis = await analysisPool.analyze(results, weights || {}, {
+      includeExtra: req.body.includeExtra === true,
+      game,
+      eraMode: req.body.eraMode,
+      era: req.body.era,
+      calculators: req.body.calculators
+    });
+    if (integrity) {
+      analysis.integrity = integrity;
+    }
+    analysis.snapshot = dataset.snapshot;
+    analysis.datasetWarnings = dataset.warnings;
+
+    if (format) {
+      const rows = table === 'analysisDetails'
+        ? exportService.toAnalysisDetailRows(analysis.analysisDetails)
+        : analysis.topNumbers;
+      const columns = table === 'analysisDetails'
+        ? exportService.getAnalysisDetailColumns()
+        : exportService.getTopNumberColumns();
+      res.setHeader('X-Snapshot-Hash', dataset.snapshot.hash);
+      return exportService.streamExport(res, rows, columns, { format, headers, filename: table });
+    }
 
     res.json({
       success: true,
       data: analysis
     });
   } catch (error) {
+    if (error.isDatasetError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('分析失敗:', error);
     res.status(500).json({
       success: false,
@@ -66,19 +597,50 @@ router.post('/analyze', async (req, res) => {
 /**
  * 迭代驗證分析：從最新期數往前推N期開始，逐步驗證並調整（使用 SSE 顯示進度）
  * POST /api/lottery/validate
- * Body: { results: [...], lookbackPeriods: 100 }
+ * Body: { results: [...], lookbackPeriods: 100, includeExtra: false, game: 'markSix', eraMode: 'single', era: 'pool49', calculators: [...] }
+ * 可用 snapshot 或 dataset 取代 results（見 POST /analyze）；結果的 snapshot 為使用的快照
+ * calculators 見 POST /analyze，初始權重配置只包含啟用的計算器
+ * 客戶端在驗證完成前斷線時取消驗證，不再佔用分析 worker 池
  */
 router.post('/validate', async (req, res) => {
   try {
-    const results = req.body.results;
     const lookbackPeriods = req.body.lookbackPeriods || 100;
+    const includeExtra = req.body.includeExtra === true;
 
-    if (!results || !Array.isArray(results) || results.length === 0) {
+    const datasetError = datasetService.validateDatasetInput(req.body);
+    if (datasetError) {
       return res.status(400).json({
         success: false,
-        message: '請提供有效的攪珠結果資料'
+        message: datasetError
+      });
+    }
+
+    const gameError = GameDefinition.validateGame(req.body.game);
+    if (gameError) {
+      return res.status(400).json({
+        success: false,
+        message: gameError
+      });
+    }
+    const game = GameDefinition.resolveGame(req.body.game);
+
+    const eraError = eraService.validateEraOptions(req.body, game);
+    if (eraError) {
+      return res.status(400).json({
+        success: false,
+        message: eraError
+      });
+    }
+
+    const calculatorError = calculatorRegistry.validateSelection(req.body.calculators);
+    if (calculatorError) {
+      return res.status(400).json({
+        success: false,
+        message: calculatorError
       });
     }
+    const { eraMode, era, calculators } = req.body;
+    const { results, snapshot, warnings: datasetWarnings } = await datasetService.resolveDataset(req.body, '/validate');
 
     // 設置 SSE 響應頭
     res.setHeader('Content-Type', 'text/event-stream');
@@ -117,17 +679,39 @@ router.post('/validate', async (req, res) => {
     const startMessage = `data: ${JSON.stringify({ type: 'start', message: '開始迭代驗證...' })}\n\n`;
     res.write(startMessage);
 
+    // 響應完成前連線關閉表示客戶端已斷線，取消驗證
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+
     // 在異步上下文中執行驗證，使用 setImmediate 確保響應頭已設置
     setImmediate(async () => {
       try {
-        // 直接調用異步驗證函數
-        const validation = await analysisService.iterativeValidation(results, lookbackPeriods, 50, progressCallback);
+        // 每期的工作在分析 worker 池執行（見 analysisPool.js），進度由 worker 傳回後經 progressCallback 推送
+        const validation = await analysisService.iterativeValidation(results, lookbackPeriods, 50, progressCallback, {
+          includeExtra,
+          game,
+          eraMode,
+          era,
+          calculators,
+          pool: analysisPool.getPool(),
+          signal: controller.signal
+        });
+        validation.snapshot = snapshot;
+        validation.datasetWarnings = datasetWarnings;
 
         // 發送完成消息和結果
         res.write(`data: ${JSON.stringify({ type: 'complete', message: '迭代驗證完成' })}\n\n`);
         res.write(`data: ${JSON.stringify({ type: 'result', data: validation })}\n\n`);
         res.end();
       } catch (error) {
+        if (error.cancelled) {
+          console.log('客戶端已斷線，迭代驗證已取消');
+          return;
+        }
         console.error('迭代驗證失敗:', error);
         try {
           res.write(`data: ${JSON.stringify({ 
@@ -142,6 +726,13 @@ router.post('/validate', async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.isDatasetError && !res.headersSent) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('迭代驗證路由錯誤:', error);
     if (!res.headersSent) {
       res.status(500).json({
@@ -157,54 +748,85 @@ router.post('/validate', async (req, res) => {
  * 迭代模擬優化預測號碼
  * POST /api/lottery/simulate
  * Body: { 
- *   results: [...], 
+ *   results: [...] (或 snapshot / dataset，見 POST /analyze；結果的 snapshot 為使用的快照),
  *   predictedNumbers: [1,2,3,4,5,6] (可選),
  *   options: {
  *     simulationRounds: 1000,
  *     maxIterations: 10,
  *     hitThreshold: 0.1,
  *     minKeepCount: 2,
- *     weights: {}
- *   }
+ *     weights: {},
+ *     calculators: [...] (可選，見 POST /analyze),
+ *     includeExtra: false
+ *   },
+ *   game: 'markSix' (可選)
  * }
  */
 router.post('/simulate', async (req, res) => {
   try {
-    const results = req.body.results;
     const predictedNumbers = req.body.predictedNumbers;
     const options = req.body.options || {};
 
-    if (!results || !Array.isArray(results) || results.length === 0) {
+    const datasetError = datasetService.validateDatasetInput(req.body);
+    if (datasetError) {
       return res.status(400).json({
         success: false,
-        message: '請提供有效的攪珠結果資料'
+        message: datasetError
+      });
+    }
+
+    const gameError = GameDefinition.validateGame(req.body.game);
+    if (gameError) {
+      return res.status(400).json({
+        success: false,
+        message: gameError
+      });
+    }
+    const game = GameDefinition.resolveGame(req.body.game);
+
+    const calculatorError = calculatorRegistry.validateSelection(options.calculators);
+    if (calculatorError) {
+      return res.status(400).json({
+        success: false,
+        message: calculatorError
       });
     }
 
     // 如果提供了預測號碼，驗證格式
     if (predictedNumbers !== undefined) {
-      if (!Array.isArray(predictedNumbers) || predictedNumbers.length !== 6) {
+      if (!Array.isArray(predictedNumbers) || predictedNumbers.length !== game.pickCount) {
         return res.status(400).json({
           success: false,
-          message: '預測號碼必須是6個號碼的陣列'
+          message: `預測號碼必須是${game.pickCount}個號碼的陣列`
         });
       }
     }
 
+    const { results, snapshot, warnings: datasetWarnings } = await datasetService.resolveDataset(req.body, '/simulate');
+
     // 使用 Promise.resolve 包装同步函数调用
     const simulationResult = await Promise.resolve(
       simulationService.iterativeSimulationOptimization(
         results,
         predictedNumbers,
-        options
+        { ...options, game }
       )
     );
+    simulationResult.snapshot = snapshot;
+    simulationResult.datasetWarnings = datasetWarnings;
 
     res.json({
       success: true,
       data: simulationResult
     });
   } catch (error) {
+    if (error.isDatasetError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('模擬優化失敗:', error);
     res.status(500).json({
       success: false,
@@ -218,48 +840,72 @@ router.post('/simulate', async (req, res) => {
  * 批量模擬測試
  * POST /api/lottery/simulate/batch
  * Body: { 
- *   results: [...], 
+ *   results: [...] (或 snapshot / dataset，見 POST /analyze；結果的 snapshot 為使用的快照),
  *   predictedNumbers: [1,2,3,4,5,6],
  *   rounds: 1000,
- *   batchSize: 100
+ *   batchSize: 100,
+ *   game: 'markSix' (可選)
  * }
+ * 結果包含依遊戲獎項表統計的各獎項中獎次數（prizes）
  */
 router.post('/simulate/batch', async (req, res) => {
   try {
-    const results = req.body.results;
     const predictedNumbers = req.body.predictedNumbers;
     const rounds = req.body.rounds || 1000;
     const batchSize = req.body.batchSize || 100;
 
-    if (!results || !Array.isArray(results) || results.length === 0) {
+    const datasetError = datasetService.validateDatasetInput(req.body);
+    if (datasetError) {
       return res.status(400).json({
         success: false,
-        message: '請提供有效的攪珠結果資料'
+        message: datasetError
+      });
+    }
+
+    const gameError = GameDefinition.validateGame(req.body.game);
+    if (gameError) {
+      return res.status(400).json({
+        success: false,
+        message: gameError
       });
     }
+    const game = GameDefinition.resolveGame(req.body.game);
 
-    if (!predictedNumbers || !Array.isArray(predictedNumbers) || predictedNumbers.length !== 6) {
+    if (!predictedNumbers || !Array.isArray(predictedNumbers) || predictedNumbers.length !== game.pickCount ||
+        !predictedNumbers.every(number => GameDefinition.isValidNumber(game, number))) {
       return res.status(400).json({
         success: false,
-        message: '請提供6個預測號碼'
+        message: `請提供${game.pickCount}個 1-${game.poolSize} 的預測號碼`
       });
     }
 
+    const { snapshot, warnings: datasetWarnings } = await datasetService.resolveDataset(req.body, '/simulate/batch');
+
     // 使用 Promise.resolve 包装同步函数调用
     const batchResult = await Promise.resolve(
       simulationService.batchSimulationTest(
-        results,
         predictedNumbers,
         rounds,
-        batchSize
+        batchSize,
+        game
       )
     );
 
+    batchResult.snapshot = snapshot;
+    batchResult.datasetWarnings = datasetWarnings;
+
     res.json({
       success: true,
       data: batchResult
     });
   } catch (error) {
+    if (error.isDatasetError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('批量模擬測試失敗:', error);
     res.status(500).json({
       success: false,
@@ -269,5 +915,154 @@ router.post('/simulate/batch', async (req, res) => {
   }
 });
 
+/**
+ * 提交預測號碼，目標期數的攪珠結果寫入後自動評分（並發出 prediction.scored Webhook 事件）
+ * POST /api/lottery/predictions
+ * Body: { numbers: [1, 2, 3, 4, 5, 6], targetPeriod: '25/133' (可選，預設為目前最新一期的下一期；本地資料庫沒有攪珠結果時必須提供), label: '...' (可選) }
+ */
+router.post('/predictions', (req, res) => {
+  try {
+    const validationError = predictionStore.validatePrediction(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: predictionStore.addPrediction(req.body)
+    });
+  } catch (error) {
+    console.error('保存預測失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '保存預測失敗',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 取得預測記錄
+ * GET /api/lottery/predictions?status=pending|scored
+ */
+router.get('/predictions', (req, res) => {
+  const { status } = req.query;
+  if (status && !Object.values(predictionStore.PREDICTION_STATUS).includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `無效的 status: ${status}（支援 ${Object.values(predictionStore.PREDICTION_STATUS).join('、')}）`
+    });
+  }
+
+  const predictions = predictionStore.getPredictions({ status });
+  res.json({
+    success: true,
+    data: predictions,
+    count: predictions.length
+  });
+});
+
+/**
+ * 新增 Webhook 訂閱（回應中的 secret 只會返回這一次）
+ * POST /api/lottery/webhooks
+ * Body: { url: 'https://...', events: ['draw.ingested', 'prediction.scored'] 或 ['*'], secret: '...' (可選), description: '...' (可選) }
+ */
+router.post('/webhooks', (req, res) => {
+  try {
+    const validationError = webhookService.validateSubscription(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: webhookService.createSubscription(req.body)
+    });
+  } catch (error) {
+    console.error('新增 Webhook 訂閱失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '新增 Webhook 訂閱失敗',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 取得所有 Webhook 訂閱（不含完整密鑰）
+ * GET /api/lottery/webhooks
+ */
+router.get('/webhooks', (req, res) => {
+  res.json({
+    success: true,
+    data: webhookService.listSubscriptions()
+  });
+});
+
+/**
+ * 取得 Webhook 發送記錄（最新的在前）
+ * GET /api/lottery/webhooks/deliveries?subscriptionId=...
+ */
+router.get('/webhooks/deliveries', (req, res) => {
+  const deliveries = webhookService.getDeliveries({ subscriptionId: req.query.subscriptionId });
+  res.json({
+    success: true,
+    data: deliveries,
+    count: deliveries.length
+  });
+});
+
+/**
+ * 刪除 Webhook 訂閱
+ * DELETE /api/lottery/webhooks/:id
+ */
+router.delete('/webhooks/:id', (req, res) => {
+  if (!webhookService.deleteSubscription(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      message: `找不到 Webhook 訂閱: ${req.params.id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { id: req.params.id }
+  });
+});
+
+/**
+ * 發送測試事件（ping）並返回發送結果
+ * POST /api/lottery/webhooks/:id/ping
+ */
+router.post('/webhooks/:id/ping', async (req, res) => {
+  try {
+    const delivery = await webhookService.sendPing(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: `找不到 Webhook 訂閱: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    console.error('發送 Webhook 測試事件失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '發送 Webhook 測試事件失敗',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
 
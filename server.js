@@ -14,15 +14,33 @@ const app = express();
 
 // Load routes
 const lotteryRoutes = require('./routes/lottery');
+const syncScheduler = require('./services/syncScheduler');
+const httpFixtures = require('./services/httpFixtures');
+const calculatorPlugins = require('./services/calculatorPlugins');
+const analysisPool = require('./services/analysisPool');
+
+// 載入外掛計算器（CALCULATOR_PLUGIN_DIR），需在處理任何請求前完成
+calculatorPlugins.loadPlugins();
 
 // 中介軟體
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
+// 與前端共用的期數模組
+app.get('/js/PeriodId.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'models', 'PeriodId.js'));
+});
+
 // Health check endpoint for Cloud Run (must be first for quick response)
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
+  const { enabled, lastSyncAt, nextSyncAt, lastRun } = syncScheduler.getStatus();
+  res.status(200).json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    sync: { enabled, lastSyncAt, nextSyncAt, lastStatus: lastRun ? lastRun.status : null },
+    workers: analysisPool.getStatus()
+  });
 });
 
 // 路由
@@ -37,6 +55,11 @@ app.get('/', (req, res) => {
 // Cloud Run requires listening on 0.0.0.0
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server listening on http://0.0.0.0:${PORT}`);
+  if (httpFixtures.MODE) {
+    console.log(`HTTP fixture ${httpFixtures.MODE} 模式：${httpFixtures.FIXTURE_DIR}（${httpFixtures.listFixtures().length} 個 fixture）`);
+  }
+  // 依攪珠日曆在每期攪珠後自動同步
+  syncScheduler.start();
 });
 
 // Error handling for server startup
@@ -62,6 +85,7 @@ process.on('unhandledRejection', (reason, promise) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  syncScheduler.stop();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
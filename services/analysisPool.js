@@ -0,0 +1,279 @@
+/**
+ * 分析 worker 池
+ * 以 worker_threads 在背景執行緒執行 analyzeNumbers 及迭代驗證的每期工作（見 analysisWorker.js），
+ * 長時間的驗證不會佔用主執行緒，其他請求（包括 /health）照常回應
+ *
+ * 池的大小由 ANALYSIS_WORKERS 設定（預設為 CPU 核心數減 1，至少 1 個）；設為 0 時不建立 worker，分析在主執行緒執行
+ * worker 在有工作時才建立，閒置時不阻止程序結束；worker 異常結束時只有它正在執行的工作失敗，之後的工作由新的 worker 執行
+ *
+ * 同一次驗證的工作共用同一份攪珠結果：share 登記的資料只傳送給每個 worker 一次，之後的工作以 key 取用，驗證結束後以 release 釋放
+ * 工作可以用 AbortSignal 取消：等待中的工作直接失敗，執行中的工作通知 worker，由工作在處理下一期前檢查並停止
+ */
+
+const os = require('os');
+const path = require('path');
+const { setMaxListeners } = require('events');
+const { Worker } = require('worker_threads');
+const analysisService = require('./analysisService');
+
+const WORKER_FILE = path.join(__dirname, 'analysisWorker.js');
+
+/**
+ * 讀取 worker 數量設定
+ * @returns {number} worker 數量（0 表示在主執行緒執行）
+ */
+function readWorkerCount() {
+  const value = parseInt(process.env.ANALYSIS_WORKERS, 10);
+  if (Number.isInteger(value) && value >= 0) {
+    return value;
+  }
+  return Math.max(1, os.availableParallelism() - 1);
+}
+
+// worker 數量
+const ANALYSIS_WORKERS = readWorkerCount();
+
+/**
+ * 把 worker 傳回的錯誤還原為 Error（保留 isPluginError 等標記）
+ * @param {Object} serialized - { message, stack, ...標記 }
+ * @returns {Error} 錯誤
+ */
+function toError(serialized) {
+  return Object.assign(new Error(serialized.message), serialized);
+}
+
+/**
+ * 建立工作被取消時的錯誤
+ * @returns {Error} 錯誤（cancelled 為 true）
+ */
+function cancelledError() {
+  return Object.assign(new Error('工作已取消'), { cancelled: true });
+}
+
+/**
+ * 建立 worker 池
+ * @param {number} size - 最多同時執行的 worker 數量
+ * @param {string} file - worker 程式（預設為 analysisWorker.js）
+ * @returns {Object} 池：{ size, run, share, release, getStatus, terminate }
+ */
+function createWorkerPool(size, file = WORKER_FILE) {
+  const workers = []; // { worker, task, shared: Set<key>, failed }
+  let queue = []; // 等待 worker 的工作
+  const sharedData = new Map(); // key → 共用資料
+  let nextTaskId = 0;
+  let nextSharedKey = 0;
+
+  const finish = (entry, settle) => {
+    const task = entry.task;
+    entry.task = null;
+    entry.worker.unref();
+    settle(task);
+    dispatch();
+  };
+
+  const spawn = () => {
+    const entry = { worker: new Worker(file), task: null, shared: new Set(), failed: false };
+    entry.worker.on('message', message => {
+      const task = entry.task;
+      if (!task || message.id !== task.id) return;
+      if (message.type === 'progress') {
+        try {
+          if (task.onProgress) task.onProgress(message.progress);
+        } catch (error) {
+          console.error('進度回調函數執行錯誤:', error);
+        }
+      } else if (message.type === 'result') {
+        finish(entry, done => done.resolve(message.result));
+      } else {
+        finish(entry, done => done.reject(toError(message.error)));
+      }
+    });
+    // 未捕捉的錯誤之後 worker 會結束（之後觸發 exit），不再分派工作給它
+    entry.worker.on('error', error => {
+      entry.failed = true;
+      if (entry.task) {
+        finish(entry, done => done.reject(error));
+      }
+    });
+    entry.worker.on('exit', code => {
+      workers.splice(workers.indexOf(entry), 1);
+      if (entry.task) {
+        finish(entry, done => done.reject(new Error(`分析 worker 異常結束（代碼 ${code}）`)));
+      } else {
+        dispatch();
+      }
+    });
+    entry.worker.unref();
+    workers.push(entry);
+    return entry;
+  };
+
+  const start = (entry, task) => {
+    entry.task = task;
+    entry.worker.ref();
+    if (task.shared !== null && !entry.shared.has(task.shared)) {
+      entry.worker.postMessage({ type: 'share', key: task.shared, data: sharedData.get(task.shared) });
+      entry.shared.add(task.shared);
+    }
+    entry.worker.postMessage({ type: 'run', id: task.id, shared: task.shared, task: task.message });
+  };
+
+  // 把等待中的工作交給閒置的 worker（優先使用已有共用資料的 worker），不足時建立新的 worker
+  const dispatch = () => {
+    while (queue.length > 0) {
+      const task = queue[0];
+      const idle = workers.filter(entry => !entry.task && !entry.failed);
+      const entry = idle.find(item => item.shared.has(task.shared)) || idle[0] ||
+        (workers.filter(item => !item.failed).length < size ? spawn() : null);
+      if (!entry) return;
+      queue.shift();
+      start(entry, task);
+    }
+  };
+
+  return {
+    size,
+
+    /**
+     * 在 worker 執行工作
+     * @param {Object} message - 工作（見 analysisWorker.js）
+     * @param {Object} options - 選項
+     * @param {string} options.shared - 可選，工作使用的共用資料 key（share 的返回值）
+     * @param {Function} options.onProgress - 可選，(進度) => void，worker 回報的進度
+     * @param {AbortSignal} options.signal - 可選，取消工作（工作以 cancelled 為 true 的錯誤失敗）
+     * @returns {Promise<*>} 工作結果
+     */
+    run: (message, { shared = null, onProgress = null, signal = null } = {}) => new Promise((resolve, reject) => {
+      if (shared !== null && !sharedData.has(shared)) {
+        reject(new Error(`共用資料不存在或已釋放: ${shared}`));
+        return;
+      }
+      if (signal && signal.aborted) {
+        reject(cancelledError());
+        return;
+      }
+      const onAbort = () => {
+        if (queue.includes(task)) {
+          queue = queue.filter(item => item !== task);
+          task.reject(cancelledError());
+          return;
+        }
+        // 已開始的工作由 worker 停止後以錯誤回應（cancelled 為 true）
+        const entry = workers.find(item => item.task === task);
+        if (entry) {
+          entry.worker.postMessage({ type: 'cancel', id: task.id });
+        }
+      };
+      // 工作結束後移除 abort 監聽，同一個 signal 用於很多工作時不會累積
+      const settle = done => value => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        done(value);
+      };
+      const task = { id: ++nextTaskId, message, shared, onProgress, resolve: settle(resolve), reject: settle(reject) };
+      if (signal) {
+        // 同一次驗證的所有工作共用同一個 signal，同時等待的工作可能超過預設的監聽數量上限
+        setMaxListeners(0, signal);
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      queue.push(task);
+      dispatch();
+    }),
+
+    /**
+     * 登記共用資料（第一次在某個 worker 執行使用它的工作時才傳送）
+     * @param {*} data - 可以結構化複製的資料
+     * @returns {string} key
+     */
+    share: data => {
+      const key = `shared-${++nextSharedKey}`;
+      sharedData.set(key, data);
+      return key;
+    },
+
+    /**
+     * 釋放共用資料；仍在等待的工作直接失敗，已開始的工作照常完成（要提早停止時以 run 的 signal 取消）
+     * @param {string} key - share 的返回值
+     */
+    release: key => {
+      sharedData.delete(key);
+      const cancelled = queue.filter(task => task.shared === key);
+      queue = queue.filter(task => task.shared !== key);
+      cancelled.forEach(task => task.reject(new Error(`共用資料已釋放: ${key}`)));
+      workers.forEach(entry => {
+        if (entry.shared.delete(key)) {
+          entry.worker.postMessage({ type: 'release', key });
+        }
+      });
+    },
+
+    /**
+     * 取得池的狀態
+     * @returns {Object} { size, workers, busy, queued }
+     */
+    getStatus: () => ({
+      size,
+      workers: workers.filter(entry => !entry.failed).length,
+      busy: workers.filter(entry => entry.task).length,
+      queued: queue.length
+    }),
+
+    /**
+     * 結束所有 worker（執行中及等待中的工作都會失敗）
+     * @returns {Promise<void>}
+     */
+    terminate: async () => {
+      const pending = queue;
+      queue = [];
+      pending.forEach(task => task.reject(new Error('分析 worker 池已結束')));
+      await Promise.all(workers.map(entry => entry.worker.terminate()));
+    }
+  };
+}
+
+// 共用的分析 worker 池（第一次使用時建立）
+let pool = null;
+
+/**
+ * 取得共用的分析 worker 池
+ * @returns {Object|null} 池，ANALYSIS_WORKERS 為 0 時返回 null
+ */
+function getPool() {
+  if (ANALYSIS_WORKERS === 0) {
+    return null;
+  }
+  if (!pool) {
+    pool = createWorkerPool(ANALYSIS_WORKERS);
+  }
+  return pool;
+}
+
+/**
+ * 分析攪珠結果（有 worker 池時在 worker 執行，否則在主執行緒執行）
+ * @param {Array} results - 攪珠結果陣列
+ * @param {Object} weights - 權重（見 analysisService.analyzeNumbers）
+ * @param {Object} options - 分析選項（見 analysisService.analyzeNumbers，不可包含 rolling）
+ * @returns {Promise<Object>} 分析結果
+ */
+async function analyze(results, weights = {}, options = {}) {
+  const workerPool = getPool();
+  if (!workerPool) {
+    return analysisService.analyzeNumbers(results, weights, null, options);
+  }
+  return workerPool.run({ type: 'analyze', results, weights, options });
+}
+
+/**
+ * 取得 worker 池的狀態
+ * @returns {Object} { size, workers, busy, queued }（尚未建立時 workers 為 0）
+ */
+function getStatus() {
+  return pool ? pool.getStatus() : { size: ANALYSIS_WORKERS, workers: 0, busy: 0, queued: 0 };
+}
+
+module.exports = {
+  ANALYSIS_WORKERS,
+  createWorkerPool,
+  getPool,
+  analyze,
+  getStatus
+};
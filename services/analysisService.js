@@ -11,33 +11,23 @@
  * - validation.js: 驗證和權重調整
  */
 
+const GameDefinition = require('../models/GameDefinition');
+
+// 導入規則年代
+const { selectByEra, normalizeFrequency, ERA_MODES } = require('./eraService');
+
 // 導入工具函數
-const { extractAllNumbers, parsePeriodNumber, isNextPeriod } = require('./utils');
-
-// 導入統計計算函數
-const {
-  calculateFrequency,
-  calculateWeightedFrequency,
-  calculateGapAnalysis,
-  calculatePatternScore,
-  calculateDistributionFeatures,
-  calculateDistributionScore,
-  calculateTrendAnalysis,
-  calculateChiSquareScore,
-  calculatePoissonScore,
-  calculateCorrelationScore,
-  calculateEntropyScore,
-  calculateMarkovChainScore,
-  calculateCombinatorialScore,
-  calculateAutoregressiveScore,
-  calculateSurvivalAnalysisScore,
-  calculateExtremeValueScore,
-  calculateClusterAnalysisScore,
-  calculateNumberRangeScore
-} = require('./calculators');
-
-// 導入斐波那契分析
-const { calculateFibonacciScore } = require('./fibonacci');
+const { parsePeriodNumber, isNextPeriod } = require('./utils');
+
+// 導入號碼出現索引
+const { windowForResults, excludePeriods } = require('./drawIndex');
+
+// 導入統計計算函數（頻率用於統計摘要，其他計算器由註冊表提供）
+const { calculateFrequency } = require('./calculators');
+
+// 導入計算器註冊表
+const { resolveSelection, toAnalysisDetails } = require('./calculatorRegistry');
+const { reportPluginError } = require('./calculatorPlugins');
 
 // 導入選擇策略
 const { selectOptimalNumbers, generateMultipleCandidates } = require('./selectionStrategies');
@@ -51,54 +41,81 @@ const { comparePrediction, adjustWeights, iterativeValidation, setAnalyzeNumbers
 /**
  * 分析並預測最有可能在下一期被抽中的號碼
  * @param {Array} results - 攪珠結果陣列
- * @param {Object} weights - 可選的權重參數 { frequency, weightedFrequency, gap, pattern }
+ * @param {Object} weights - 可選的權重參數 { 計算器 ID: 權重 }（見 calculatorRegistry.js）
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串），用於迭代驗證
+ * @param {Object} options - 可選的分析選項
+ * @param {boolean} options.includeExtra - 是否將特別號碼計入統計（預設 false，只統計正選號碼）
+ * @param {Object} options.game - 遊戲定義（預設為六合彩），決定號碼範圍、每期號碼數量及投注規則
+ * @param {string} options.eraMode - 可選，遊戲有規則年代時的處理方式：single（只分析單一年代）或 normalize（正規化各年代的頻率）；未指定 eraMode 及 era 時不依年代挑選
+ * @param {string} options.era - single 模式使用的年代 ID，預設為資料中最新的年代（只指定 era 時為 single 模式）
+ * @param {Array|Object} options.calculators - 啟用的計算器：ID 陣列或 { ID: true/false }，預設啟用全部
+ * @param {Object} options.rolling - 可選，createRollingAnalysis 建立的逐期累計狀態（迭代驗證使用）；有 rolling 的計算器改為讀取累計狀態的結果
  * @returns {Object} 分析結果
  */
-function analyzeNumbers(results, weights = {}, excludePeriodNumbers = null) {
+function analyzeNumbers(results, weights = {}, excludePeriodNumbers = null, options = {}) {
   if (!results || results.length === 0) {
     throw new Error('沒有資料可供分析');
   }
 
-  // 提取所有號碼
-  const allNumbers = extractAllNumbers(results);
+  // 依規則年代挑選結果（single 模式時以該年代的號碼池分析）
+  const eraSelection = selectByEra(results, options.game || GameDefinition.DEFAULT_GAME, options);
+  const game = eraSelection.game;
+  results = eraSelection.results;
+  if (results.length === 0) {
+    throw new Error(eraSelection.eras.selected ? `年代 ${eraSelection.eras.selected} 沒有攪珠結果` : '沒有符合年代條件的攪珠結果');
+  }
+
+  // 提取所有號碼（同一資料集只建立一次號碼出現索引，迭代驗證每期的訓練資料都使用同一個索引，見 drawIndex.js）
+  const includeExtra = options.includeExtra === true && game.extraCount > 0;
+  const allWindow = windowForResults(results, { includeExtra, game });
+  const allNumbers = allWindow.periods;
 
   if (allNumbers.length === 0) {
     throw new Error('無法從結果中提取號碼');
   }
 
   // 預先過濾一次，避免重複過濾操作（性能優化）
-  // 當有排除期數時，過濾一次並重用結果，而不是在每個函數中重複過濾
-  const filteredNumbers = excludePeriodNumbers && excludePeriodNumbers.size > 0
-    ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
-    : null; // 如果沒有排除期數，傳遞 null 讓函數使用原始數組
+  // 當有排除期數時，過濾一次並重用結果，而不是在每個函數中重複過濾；排除的是最新的期數時直接使用同一個索引
+  const filteredWindow = excludePeriodNumbers && excludePeriodNumbers.size > 0
+    ? excludePeriods(allWindow, excludePeriodNumbers, game)
+    : null;
+  const filteredNumbers = filteredWindow ? filteredWindow.periods : null; // 如果沒有排除期數，傳遞 null 讓函數使用原始數組
 
   // 計算各種統計指標（傳入排除期數或預過濾的數組）
-  const frequency = calculateFrequency(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const weightedFrequency = calculateWeightedFrequency(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const gapScore = calculateGapAnalysis(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const patternScore = calculatePatternScore(allNumbers, excludePeriodNumbers, filteredNumbers);
-
-  // 計算統計分布分析（傳入排除期數或預過濾的數組）
-  const distributionFeatures = calculateDistributionFeatures(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const distributionScore = calculateDistributionScore(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const trendScore = calculateTrendAnalysis(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const chiSquareResult = calculateChiSquareScore(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const poissonResult = calculatePoissonScore(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const fibonacciResult = calculateFibonacciScore(allNumbers, excludePeriodNumbers, filteredNumbers);
-
-  // 計算新增的統計分析方法
-  const correlationResult = calculateCorrelationScore(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const entropyResult = calculateEntropyScore(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const markovResult = calculateMarkovChainScore(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const combinatorialResult = calculateCombinatorialScore(allNumbers, excludePeriodNumbers, filteredNumbers);
-
-  // 計算新增的高級統計分析方法（用於提高命中數）
-  const autoregressiveResult = calculateAutoregressiveScore(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const survivalResult = calculateSurvivalAnalysisScore(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const extremeValueResult = calculateExtremeValueScore(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const clusterResult = calculateClusterAnalysisScore(allNumbers, excludePeriodNumbers, filteredNumbers);
-  const numberRangeResult = calculateNumberRangeScore(allNumbers, excludePeriodNumbers, filteredNumbers);
+  const rawFrequency = calculateFrequency(allNumbers, excludePeriodNumbers, filteredNumbers, game);
+  // normalize 模式：號碼池較小的年代不計入較大號碼的期望次數
+  const frequency = eraSelection.eras && eraSelection.eras.mode === ERA_MODES.NORMALIZE
+    ? normalizeFrequency(rawFrequency, filteredNumbers || allNumbers, game)
+    : rawFrequency;
+
+  // 依註冊表計算各個啟用的計算器（options.calculators 可個別啟用或停用）
+  // 外掛計算器失敗時只略過該計算器，記錄在 calculatorWarnings
+  const context = { allNumbers, excludePeriodNumbers, filteredNumbers, game, frequency };
+  const calculatorScores = {};
+  const calculatorDetails = {};
+  const calculatorWarnings = [];
+  const selected = resolveSelection(options.calculators);
+  // 迭代驗證逐期前進時，累計狀態只需加入或移除相差的期數，不必重新掃描整個視窗
+  if (options.rolling) {
+    options.rolling.moveTo(filteredWindow || allWindow, selected, game);
+  }
+  const calculators = selected.filter(calculator => {
+    let result;
+    try {
+      result = options.rolling && calculator.rolling ? options.rolling.result(calculator) : calculator.compute(context);
+    } catch (error) {
+      if (!error.isPluginError) throw error;
+      reportPluginError(error);
+      calculatorWarnings.push({ id: calculator.id, message: error.message });
+      return false;
+    }
+    calculatorScores[calculator.id] = result.scores;
+    Object.assign(calculatorDetails, toAnalysisDetails(calculator, result));
+    return true;
+  });
+  if (calculators.length === 0) {
+    throw new Error('所有啟用的計算器都失敗，無法計算綜合分數');
+  }
 
   // 正規化各項分數到 0-100 範圍
   const normalize = (scores) => {
@@ -114,135 +131,47 @@ function analyzeNumbers(results, weights = {}, excludePeriodNumbers = null) {
     return normalized;
   };
 
-  const normalizedFrequency = normalize(frequency);
-  const normalizedWeightedFrequency = normalize(weightedFrequency);
-  const normalizedGapScore = normalize(gapScore);
-  const normalizedPatternScore = normalize(patternScore);
-  const normalizedDistributionScore = normalize(distributionScore);
-  const normalizedTrendScore = normalize(trendScore);
-  const normalizedChiSquareScore = normalize(chiSquareResult.scores);
-  const normalizedPoissonScore = normalize(poissonResult.scores);
-  const normalizedFibonacciScore = normalize(fibonacciResult.scores);
-  const normalizedCorrelationScore = normalize(correlationResult.scores);
-  const normalizedEntropyScore = normalize(entropyResult.scores);
-  const normalizedMarkovScore = normalize(markovResult.scores);
-  const normalizedCombinatorialScore = normalize(combinatorialResult.scores);
-  const normalizedAutoregressiveScore = normalize(autoregressiveResult.scores);
-  const normalizedSurvivalScore = normalize(survivalResult.scores);
-  const normalizedExtremeValueScore = normalize(extremeValueResult.scores);
-  const normalizedClusterScore = normalize(clusterResult.scores);
-  const normalizedNumberRangeScore = normalize(numberRangeResult.scores);
-
   // 計算綜合分數（加權組合）
-  // 優化權重分配以提高準確率和命中數：更重視趨勢、分布分析和新增的高級方法
-  // 預設權重: 頻率: 7%, 加權頻率: 9%, 間隔: 9%, 模式: 5%, 分布: 9%, 趨勢: 8%, 卡方: 3%, 泊松: 3%, 斐波那契: 7%
-  // 原有新增方法權重: 相關性: 7%, 熵: 5%, 馬可夫鏈: 9%, 組合數學: 8%
-  // 新增高級方法權重: 自回歸: 6%, 生存分析: 7%, 極值理論: 6%, 聚類分析: 7%, 號碼範圍: 6%
-  // 注意：迭代驗證會根據實際表現動態調整所有權重。
-  // 如果提供了自訂權重，則使用自訂權重
-  const defaultWeights = {
-    frequency: 0.07,
-    weightedFrequency: 0.09,
-    gap: 0.09,
-    pattern: 0.05,
-    distribution: 0.09,
-    trend: 0.08,
-    chiSquare: 0.03,
-    poisson: 0.03,
-    fibonacci: 0.07,
-    correlation: 0.07,
-    entropy: 0.05,
-    markov: 0.09,
-    combinatorial: 0.08,
-    autoregressive: 0.06,
-    survival: 0.07,
-    extremeValue: 0.06,
-    cluster: 0.07,
-    numberRange: 0.06
-  };
-
-  const finalWeights = {
-    frequency: weights.frequency !== undefined ? weights.frequency : defaultWeights.frequency,
-    weightedFrequency: weights.weightedFrequency !== undefined ? weights.weightedFrequency : defaultWeights.weightedFrequency,
-    gap: weights.gap !== undefined ? weights.gap : defaultWeights.gap,
-    pattern: weights.pattern !== undefined ? weights.pattern : defaultWeights.pattern,
-    distribution: weights.distribution !== undefined ? weights.distribution : defaultWeights.distribution,
-    trend: weights.trend !== undefined ? weights.trend : defaultWeights.trend,
-    chiSquare: weights.chiSquare !== undefined ? weights.chiSquare : defaultWeights.chiSquare,
-    poisson: weights.poisson !== undefined ? weights.poisson : defaultWeights.poisson,
-    fibonacci: weights.fibonacci !== undefined ? weights.fibonacci : defaultWeights.fibonacci,
-    correlation: weights.correlation !== undefined ? weights.correlation : defaultWeights.correlation,
-    entropy: weights.entropy !== undefined ? weights.entropy : defaultWeights.entropy,
-    markov: weights.markov !== undefined ? weights.markov : defaultWeights.markov,
-    combinatorial: weights.combinatorial !== undefined ? weights.combinatorial : defaultWeights.combinatorial,
-    autoregressive: weights.autoregressive !== undefined ? weights.autoregressive : defaultWeights.autoregressive,
-    survival: weights.survival !== undefined ? weights.survival : defaultWeights.survival,
-    extremeValue: weights.extremeValue !== undefined ? weights.extremeValue : defaultWeights.extremeValue,
-    cluster: weights.cluster !== undefined ? weights.cluster : defaultWeights.cluster,
-    numberRange: weights.numberRange !== undefined ? weights.numberRange : defaultWeights.numberRange
-  };
+  // 預設權重見 calculatorRegistry.js 各計算器的 defaultWeight，迭代驗證會根據實際表現動態調整所有權重。
+  // 如果提供了自訂權重，則使用自訂權重；停用的計算器不計入
+  const finalWeights = {};
+  calculators.forEach(calculator => {
+    finalWeights[calculator.id] = weights[calculator.id] !== undefined ? weights[calculator.id] : calculator.defaultWeight;
+  });
 
   // 正規化權重，確保總和為1
-  const totalWeight = finalWeights.frequency + finalWeights.weightedFrequency + finalWeights.gap +
-    finalWeights.pattern + finalWeights.distribution + finalWeights.trend +
-    finalWeights.chiSquare + finalWeights.poisson + finalWeights.fibonacci +
-    finalWeights.correlation + finalWeights.entropy + finalWeights.markov + finalWeights.combinatorial +
-    finalWeights.autoregressive + finalWeights.survival + finalWeights.extremeValue + finalWeights.cluster +
-    finalWeights.numberRange;
+  const totalWeight = Object.values(finalWeights).reduce((sum, weight) => sum + weight, 0);
   if (totalWeight > 0) {
     Object.keys(finalWeights).forEach(key => {
       finalWeights[key] = finalWeights[key] / totalWeight;
     });
   }
 
+  const normalizedScores = {};
+  calculators.forEach(calculator => {
+    normalizedScores[calculator.id] = normalize(calculatorScores[calculator.id]);
+  });
+
   const compositeScore = {};
 
-  for (let i = 1; i <= 49; i++) {
-    compositeScore[i] =
-      normalizedFrequency[i] * finalWeights.frequency +
-      normalizedWeightedFrequency[i] * finalWeights.weightedFrequency +
-      normalizedGapScore[i] * finalWeights.gap +
-      normalizedPatternScore[i] * finalWeights.pattern +
-      normalizedDistributionScore[i] * finalWeights.distribution +
-      normalizedTrendScore[i] * finalWeights.trend +
-      normalizedChiSquareScore[i] * finalWeights.chiSquare +
-      normalizedPoissonScore[i] * finalWeights.poisson +
-      normalizedFibonacciScore[i] * finalWeights.fibonacci +
-      normalizedCorrelationScore[i] * finalWeights.correlation +
-      normalizedEntropyScore[i] * finalWeights.entropy +
-      normalizedMarkovScore[i] * finalWeights.markov +
-      normalizedCombinatorialScore[i] * finalWeights.combinatorial +
-      normalizedAutoregressiveScore[i] * finalWeights.autoregressive +
-      normalizedSurvivalScore[i] * finalWeights.survival +
-      normalizedExtremeValueScore[i] * finalWeights.extremeValue +
-      normalizedClusterScore[i] * finalWeights.cluster +
-      normalizedNumberRangeScore[i] * finalWeights.numberRange;
+  for (let i = 1; i <= game.poolSize; i++) {
+    compositeScore[i] = calculators.reduce((sum, calculator) =>
+      sum + normalizedScores[calculator.id][i] * finalWeights[calculator.id], 0);
   }
 
   // 取得前 40 名（增加候選數量以提高命中至少3個的概率，目標平均命中數至少3）
   const topNumbers = Object.entries(compositeScore)
-    .map(([num, score]) => ({
-      number: parseInt(num, 10),
-      score: Math.round(score * 100) / 100,
-      frequency: frequency[num],
-      weightedFrequency: Math.round(weightedFrequency[num] * 100) / 100,
-      gapScore: Math.round(gapScore[num] * 100) / 100,
-      patternScore: Math.round(patternScore[num] * 100) / 100,
-      distributionScore: Math.round(distributionScore[num] * 100) / 100,
-      trendScore: Math.round(trendScore[num] * 100) / 100,
-      chiSquareScore: Math.round(chiSquareResult.scores[num] * 100) / 100,
-      poissonScore: Math.round(poissonResult.scores[num] * 100) / 100,
-      fibonacciScore: Math.round(fibonacciResult.scores[num] * 100) / 100,
-      correlationScore: Math.round(correlationResult.scores[num] * 100) / 100,
-      entropyScore: Math.round(entropyResult.scores[num] * 100) / 100,
-      markovScore: Math.round(markovResult.scores[num] * 100) / 100,
-      combinatorialScore: Math.round(combinatorialResult.scores[num] * 100) / 100,
-      autoregressiveScore: Math.round(autoregressiveResult.scores[num] * 100) / 100,
-      survivalScore: Math.round(survivalResult.scores[num] * 100) / 100,
-      extremeValueScore: Math.round(extremeValueResult.scores[num] * 100) / 100,
-      clusterScore: Math.round(clusterResult.scores[num] * 100) / 100,
-      numberRangeScore: Math.round(numberRangeResult.scores[num] * 100) / 100
-    }))
+    .map(([num, score]) => {
+      const entry = {
+        number: parseInt(num, 10),
+        score: Math.round(score * 100) / 100
+      };
+      calculators.forEach(calculator => {
+        const value = calculatorScores[calculator.id][num];
+        entry[calculator.output.topNumberKey] = calculator.output.round === false ? value : Math.round(value * 100) / 100;
+      });
+      return entry;
+    })
     .sort((a, b) => b.score - a.score)
     .slice(0, 40); // 增加到40個候選號碼，提供更多選擇以提高命中率
 
@@ -250,12 +179,16 @@ function analyzeNumbers(results, weights = {}, excludePeriodNumbers = null) {
   // 使用預先過濾的結果（如果有的話），避免重複過濾
   const numbersForStats = filteredNumbers || allNumbers;
   const filteredTotalPeriods = numbersForStats.length;
-  const totalNumbers = Object.values(frequency).reduce((sum, count) => sum + count, 0);
+  const totalNumbers = Object.values(rawFrequency).reduce((sum, count) => sum + count, 0);
 
   const stats = {
+    game: game.id,
+    eras: eraSelection.eras, // 使用的規則年代（遊戲沒有定義年代或沒有指定 eraMode / era 時為 null）
+    eraNotice: eraSelection.notice, // 沒有做年代處理時的說明
     totalPeriods: filteredTotalPeriods, // 使用過濾後的期數，與 frequency 計算保持一致
+    includeExtra: includeExtra, // 統計是否包含特別號碼
     totalNumbers: totalNumbers,
-    averageFrequency: totalNumbers / 49,
+    averageFrequency: totalNumbers / game.poolSize,
     mostFrequent: Object.entries(frequency)
       .sort((a, b) => b[1] - a[1])
       .slice(0, 5)
@@ -270,7 +203,7 @@ function analyzeNumbers(results, weights = {}, excludePeriodNumbers = null) {
   // 生成複式投注建議（多個選項：7個、8個、9個、10個號碼等）
   let compoundBetSuggestions = null;
   try {
-    compoundBetSuggestions = generateCompoundBetSuggestions(topNumbers);
+    compoundBetSuggestions = generateCompoundBetSuggestions(topNumbers, game);
   } catch (error) {
     console.warn('生成複式投注建議失敗:', error.message);
     // 如果生成失敗，不影響主要分析結果
@@ -279,20 +212,20 @@ function analyzeNumbers(results, weights = {}, excludePeriodNumbers = null) {
   // 生成 $100 複式投注建議
   let compoundBetSuggestion100 = null;
   try {
-    compoundBetSuggestion100 = generateCompoundBetSuggestion100(topNumbers);
+    compoundBetSuggestion100 = generateCompoundBetSuggestion100(topNumbers, game);
   } catch (error) {
     console.warn('生成 $100 複式投注建議失敗:', error.message);
     // 如果生成失敗，不影響主要分析結果
   }
 
-  // 選擇最終的6個預測號碼（使用智能選擇策略）
+  // 選擇最終的6個預測號碼（其他遊戲為 pickCount 個，使用智能選擇策略）
   let predictedNumbers = null;
   let predictionStrategy = 'optimal';
   try {
-    predictedNumbers = selectOptimalNumbers(topNumbers, 6, null);
+    predictedNumbers = selectOptimalNumbers(topNumbers, game.pickCount, null, game);
     if (predictedNumbers && predictedNumbers.length > 0) {
       // 確定使用的策略
-      const top6 = topNumbers.slice(0, 6).map(n => n.number).sort((a, b) => a - b);
+      const top6 = topNumbers.slice(0, game.pickCount).map(n => n.number).sort((a, b) => a - b);
       const predNums = predictedNumbers.map(n => n.number || n).sort((a, b) => a - b);
       if (JSON.stringify(predNums) === JSON.stringify(top6)) {
         predictionStrategy = 'top6';
@@ -303,7 +236,7 @@ function analyzeNumbers(results, weights = {}, excludePeriodNumbers = null) {
   } catch (error) {
     console.warn('選擇最終預測號碼失敗:', error.message);
     // 如果選擇失敗，使用前6個最高分作為備選
-    predictedNumbers = topNumbers.slice(0, 6);
+    predictedNumbers = topNumbers.slice(0, game.pickCount);
     predictionStrategy = 'top6';
   }
 
@@ -314,73 +247,16 @@ function analyzeNumbers(results, weights = {}, excludePeriodNumbers = null) {
     compoundBetSuggestion100, // $100 複式投注建議
     predictedNumbers: predictedNumbers ? predictedNumbers.map(n => n.number || n).sort((a, b) => a - b) : null, // 最終預測的6個號碼
     predictionStrategy: predictionStrategy, // 使用的選擇策略
+    // 使用的計算器及正規化後的權重
+    calculators: calculators.map(calculator => ({
+      id: calculator.id,
+      name: calculator.name,
+      weight: finalWeights[calculator.id]
+    })),
+    calculatorWarnings, // 失敗而被略過的外掛計算器
     analysisDetails: {
-      frequency,
-      weightedFrequency,
-      gapScore,
-      patternScore,
-      compositeScore,
-      // 統計分布分析
-      distributionFeatures,
-      distributionScore,
-      trendScore,
-      chiSquare: {
-        scores: chiSquareResult.scores,
-        chiSquare: chiSquareResult.chiSquare,
-        degreesOfFreedom: chiSquareResult.degreesOfFreedom,
-        expectedFrequency: chiSquareResult.expectedFrequency
-      },
-      poisson: {
-        scores: poissonResult.scores,
-        lambda: poissonResult.lambda
-      },
-      fibonacci: {
-        scores: fibonacciResult.scores,
-        fibonacciSequence: fibonacciResult.fibonacciSequence,
-        goldenRatio: fibonacciResult.goldenRatio
-      },
-      correlation: {
-        scores: correlationResult.scores,
-        correlations: correlationResult.correlations
-      },
-      entropy: {
-        scores: entropyResult.scores,
-        overallEntropy: entropyResult.overallEntropy,
-        maxEntropy: entropyResult.maxEntropy
-      },
-      markov: {
-        scores: markovResult.scores,
-        transitionMatrix: markovResult.transitionMatrix
-      },
-      combinatorial: {
-        scores: combinatorialResult.scores,
-        patterns: combinatorialResult.patterns
-      },
-      autoregressive: {
-        scores: autoregressiveResult.scores,
-        coefficients: autoregressiveResult.coefficients,
-        predictions: autoregressiveResult.predictions
-      },
-      survival: {
-        scores: survivalResult.scores,
-        survivalTimes: survivalResult.survivalTimes,
-        hazardRates: survivalResult.hazardRates
-      },
-      extremeValue: {
-        scores: extremeValueResult.scores,
-        extremeGaps: extremeValueResult.extremeGaps,
-        returnLevels: extremeValueResult.returnLevels
-      },
-      cluster: {
-        scores: clusterResult.scores,
-        clusters: clusterResult.clusters,
-        clusterCenters: clusterResult.clusterCenters
-      },
-      numberRange: {
-        scores: numberRangeResult.scores,
-        rangeHits: numberRangeResult.rangeHits,
-        rangeStatistics: numberRangeResult.rangeStatistics
-      }
+      ...calculatorDetails,
+      compositeScore
     }
   };
 }
@@ -403,10 +279,10 @@ if (typeof setImmediate !== 'undefined') {
 }
 
 // 包裝 iterativeValidation 以確保 analyzeNumbers 已設置
-const wrappedIterativeValidation = async function (allResults, lookbackPeriods = 100, maxRetries = 50, progressCallback = null) {
+const wrappedIterativeValidation = async function (allResults, lookbackPeriods = 100, maxRetries = 50, progressCallback = null, options = {}) {
   // 確保 analyzeNumbers 已設置（如果延遲設置還沒執行，立即設置）
   setAnalyzeNumbers(analyzeNumbers);
-  return await iterativeValidation(allResults, lookbackPeriods, maxRetries, progressCallback);
+  return await iterativeValidation(allResults, lookbackPeriods, maxRetries, progressCallback, options);
 };
 
 module.exports = {
@@ -0,0 +1,91 @@
+/**
+ * 分析 worker（由 analysisPool.js 建立）
+ * 在背景執行緒執行 analyzeNumbers 及迭代驗證的每期工作，結果及進度以訊息傳回主執行緒
+ *
+ * 主執行緒的訊息：
+ * - { type: 'share', key, data }：登記共用資料（迭代驗證為 validation.createValidationSession 的參數）
+ * - { type: 'release', key }：釋放共用資料
+ * - { type: 'run', id, shared, task }：執行工作，task.type 為 analyze 或 validation.runValidationTask 的工作
+ * - { type: 'cancel', id }：取消執行中的工作（迭代驗證在處理下一期前檢查，停止後以 cancelled 為 true 的錯誤回應）
+ * 傳回的訊息：{ type: 'progress', id, progress }、{ type: 'result', id, result } 或 { type: 'error', id, error }
+ */
+
+const { parentPort } = require('worker_threads');
+const analysisService = require('./analysisService');
+const validation = require('./validation');
+const calculatorPlugins = require('./calculatorPlugins');
+
+// 計算器註冊表屬於各個執行緒，worker 也要載入外掛計算器（載入結果已由主執行緒輸出）
+calculatorPlugins.loadPlugins({ quiet: true });
+validation.setAnalyzeNumbers(analysisService.analyzeNumbers);
+
+// 共用資料：key → { data, session }（迭代驗證的執行環境在第一個工作時建立，之後的工作共用號碼出現索引及累計狀態）
+const shared = new Map();
+
+// 執行中的工作：id → { cancelled }（主執行緒要求取消時設為 true）
+const running = new Map();
+
+/**
+ * 把錯誤轉換為可以傳送的物件（保留 isPluginError 等標記）
+ * @param {*} error - 錯誤
+ * @returns {Object} { message, stack, ...標記 }
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+  return { ...error, message: error.message, stack: error.stack };
+}
+
+/**
+ * 執行工作
+ * @param {Object} task - 工作
+ * @param {string|null} key - 共用資料 key
+ * @param {Function} onProgress - (進度) => void
+ * @param {Function} isCancelled - () => boolean，工作是否已被取消
+ * @returns {Promise<*>} 工作結果
+ */
+async function runTask(task, key, onProgress, isCancelled) {
+  if (task.type === 'analyze') {
+    return analysisService.analyzeNumbers(task.results, task.weights, null, task.options);
+  }
+
+  const entry = shared.get(key);
+  if (!entry) {
+    throw new Error(`共用資料不存在: ${key}`);
+  }
+  if (!entry.session) {
+    entry.session = validation.createValidationSession(entry.data);
+  }
+  return validation.runValidationTask(entry.session, task, onProgress, isCancelled);
+}
+
+parentPort.on('message', async message => {
+  if (message.type === 'share') {
+    shared.set(message.key, { data: message.data, session: null });
+    return;
+  }
+  if (message.type === 'release') {
+    shared.delete(message.key);
+    return;
+  }
+  if (message.type === 'cancel') {
+    const state = running.get(message.id);
+    if (state) state.cancelled = true;
+    return;
+  }
+
+  const { id } = message;
+  const state = { cancelled: false };
+  running.set(id, state);
+  try {
+    const result = await runTask(message.task, message.shared, progress => {
+      parentPort.postMessage({ type: 'progress', id, progress });
+    }, () => state.cancelled);
+    parentPort.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', id, error: serializeError(error) });
+  } finally {
+    running.delete(id);
+  }
+});
@@ -1,8 +1,11 @@
 /**
  * 投注建議模組
  * 包含複式投注建議生成函數
+ * 每注號碼數量及每注價格來自遊戲定義（game 參數），預設為六合彩（每注6個號碼，$10）
  */
 
+const { DEFAULT_GAME } = require('../models/GameDefinition');
+
 /**
  * 生成組合（從 n 個元素中選擇 k 個）
  * @param {Array} arr - 元素陣列
@@ -11,7 +14,7 @@
  */
 function generateCombinations(arr, k) {
   if (k === 0) return [[]];
-  if (k > arr.length) return [];
+  if (k < 0 || k > arr.length) return [];
 
   const combinations = [];
 
@@ -35,35 +38,41 @@ function generateCombinations(arr, k) {
 /**
  * 生成 $100 複式投注建議（10注）
  * 使用精選組合策略，以10注覆蓋15個號碼
+ * 其他遊戲以每注 pickCount 個號碼、核心組 pickCount+2 個及外圍組 pickCount+1 個號碼組合，總金額為10注的價格
  * @param {Array} numbers - 15個預測號碼（已按分數排序）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩）
  * @returns {Object} 複式投注建議
  */
-function generateCompoundBetSuggestion100(numbers) {
-  if (!numbers || numbers.length < 15) {
-    throw new Error('需要至少15個號碼');
+function generateCompoundBetSuggestion100(numbers, game = DEFAULT_GAME) {
+  const k = game.pickCount;
+  const coreCount = k + 2;
+  const requiredCount = coreCount + k + 1;
+
+  if (!numbers || numbers.length < requiredCount) {
+    throw new Error(`需要至少${requiredCount}個號碼`);
   }
 
   // 提取號碼值（確保是數字）
-  const numberArray = numbers.slice(0, 15).map(item =>
+  const numberArray = numbers.slice(0, requiredCount).map(item =>
     typeof item === 'object' ? item.number : parseInt(item, 10)
-  ).filter(n => !isNaN(n) && n >= 1 && n <= 49);
+  ).filter(n => !isNaN(n) && n >= 1 && n <= game.poolSize);
 
-  if (numberArray.length < 15) {
-    throw new Error('號碼數量不足15個');
+  if (numberArray.length < requiredCount) {
+    throw new Error(`號碼數量不足${requiredCount}個`);
   }
 
   // 策略：使用精選組合，確保10注覆蓋所有15個號碼
-  const coreNumbers = numberArray.slice(0, 8); // 前8個最有可能的號碼
-  const outerNumbers = numberArray.slice(8, 15); // 後7個號碼
+  const coreNumbers = numberArray.slice(0, coreCount); // 前8個最有可能的號碼
+  const outerNumbers = numberArray.slice(coreCount, requiredCount); // 後7個號碼
 
   const bets = [];
 
   // 策略1：核心組選6個（選2注，確保核心號碼的高覆蓋率）
-  const core6Combinations = generateCombinations(coreNumbers, 6);
+  const core6Combinations = generateCombinations(coreNumbers, k);
   bets.push(...core6Combinations.slice(0, 2));
 
   // 策略2：核心組選5個 + 外圍組選1個（選4注，確保外圍號碼被包含）
-  const core5Combinations = generateCombinations(coreNumbers, 5);
+  const core5Combinations = generateCombinations(coreNumbers, k - 1);
   const selectedCore5 = core5Combinations.slice(0, 4); // 選前4個核心5組合
 
   selectedCore5.forEach((core5, idx) => {
@@ -73,7 +82,7 @@ function generateCompoundBetSuggestion100(numbers) {
   });
 
   // 策略3：核心組選4個 + 外圍組選2個（選2注）
-  const core4Combinations = generateCombinations(coreNumbers, 4);
+  const core4Combinations = generateCombinations(coreNumbers, k - 2);
   const selectedCore4 = core4Combinations.slice(0, 2); // 選前2個核心4組合
   const outer2Combinations = generateCombinations(outerNumbers, 2);
 
@@ -87,7 +96,7 @@ function generateCompoundBetSuggestion100(numbers) {
 
   // 策略4：核心組選3個 + 外圍組選3個（補充組合以達到10注）
   if (bets.length < 10) {
-    const core3Combinations = generateCombinations(coreNumbers, 3);
+    const core3Combinations = generateCombinations(coreNumbers, k - 3);
     const outer3Combinations = generateCombinations(outerNumbers, 3);
 
     // 選擇一些組合來補充到10注
@@ -118,7 +127,7 @@ function generateCompoundBetSuggestion100(numbers) {
   // 如果不足10注，補充一些組合
   if (uniqueBets.length < 10) {
     // 使用核心組選2個 + 外圍組選4個來補充
-    const core2Combinations = generateCombinations(coreNumbers, 2);
+    const core2Combinations = generateCombinations(coreNumbers, k - 4);
     const outer4Combinations = generateCombinations(outerNumbers, 4);
 
     for (let i = 0; i < core2Combinations.length && uniqueBets.length < 10; i++) {
@@ -135,7 +144,7 @@ function generateCompoundBetSuggestion100(numbers) {
 
   // 如果仍然不足10注，使用核心組的更多組合
   if (uniqueBets.length < 10) {
-    const core6All = generateCombinations(coreNumbers, 6);
+    const core6All = generateCombinations(coreNumbers, k);
     for (let i = uniqueBets.length; i < 10 && i < core6All.length; i++) {
       const betStr = core6All[i].sort((a, b) => a - b).join(',');
       if (!betStrings.has(betStr)) {
@@ -148,38 +157,43 @@ function generateCompoundBetSuggestion100(numbers) {
   // 限制為恰好10注
   const finalBets = uniqueBets.slice(0, 10);
 
-  // 計算總注數和總金額（每注$10）
+  // 計算總注數和總金額（六合彩每注$10）
   const totalBets = finalBets.length;
-  const totalAmount = totalBets * 10;
+  const totalAmount = totalBets * game.betPrice;
+  const budget = 10 * game.betPrice;
 
   return {
     numbers: numberArray,
     bets: finalBets,
     totalBets: totalBets,
     totalAmount: totalAmount,
-    strategy: '$100 精選組合',
-    description: `使用精選組合策略，以 ${totalBets} 注（$100）覆蓋所有15個預測號碼，適合預算有限的投注者`
+    strategy: `$${budget.toLocaleString()} 精選組合`,
+    description: `使用精選組合策略，以 ${totalBets} 注（$${budget.toLocaleString()}）覆蓋所有${requiredCount}個預測號碼，適合預算有限的投注者`
   };
 }
 
 /**
  * 生成複式投注建議（多個選項）
  * 根據六合彩複式投注規則：從7個或以上號碼中選取，系統會自動組合所有可能的6個號碼組合
+ * 其他遊戲從 pickCount+1 至 pickCount+6 個號碼中組合所有可能的 pickCount 個號碼組合
  * @param {Array} numbers - 15個預測號碼（已按分數排序）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩）
  * @returns {Array} 複式投注建議陣列（每個選項包含不同數量的號碼）
  */
-function generateCompoundBetSuggestions(numbers) {
-  if (!numbers || numbers.length < 7) {
-    throw new Error('需要至少7個號碼才能生成複式投注建議');
+function generateCompoundBetSuggestions(numbers, game = DEFAULT_GAME) {
+  const k = game.pickCount;
+
+  if (!numbers || numbers.length < k + 1) {
+    throw new Error(`需要至少${k + 1}個號碼才能生成複式投注建議`);
   }
 
   // 提取號碼值（確保是數字）
   const numberArray = numbers.map(item =>
     typeof item === 'object' ? item.number : parseInt(item, 10)
-  ).filter(n => !isNaN(n) && n >= 1 && n <= 49);
+  ).filter(n => !isNaN(n) && n >= 1 && n <= game.poolSize);
 
-  if (numberArray.length < 7) {
-    throw new Error('號碼數量不足7個');
+  if (numberArray.length < k + 1) {
+    throw new Error(`號碼數量不足${k + 1}個`);
   }
 
   const suggestions = [];
@@ -200,8 +214,8 @@ function generateCompoundBetSuggestions(numbers) {
 
   // 生成7到12個號碼的複式投注建議（包含注數7的建議，即7個號碼=7注）
   // 確保至少生成7個號碼的建議（7注）
-  const minNumberCount = 7;
-  const maxNumberCount = Math.min(12, numberArray.length);
+  const minNumberCount = k + 1;
+  const maxNumberCount = Math.min(k + 6, numberArray.length);
 
   if (maxNumberCount < minNumberCount) {
     throw new Error(`號碼數量不足${minNumberCount}個，無法生成複式投注建議`);
@@ -209,8 +223,8 @@ function generateCompoundBetSuggestions(numbers) {
 
   for (let numCount = minNumberCount; numCount <= maxNumberCount; numCount++) {
     const selectedNumbers = numberArray.slice(0, numCount);
-    const totalBets = calculateCombinations(numCount, 6);
-    const totalAmount = totalBets * 10; // 每注$10
+    const totalBets = calculateCombinations(numCount, k);
+    const totalAmount = totalBets * game.betPrice; // 每注價格（六合彩為$10）
 
     // 如果注數超過1000注，只生成前1000注（避免記憶體問題）
     // 實際計算：7個=7注, 8個=28注, 9個=84注, 10個=210注, 11個=462注, 12個=924注
@@ -221,11 +235,11 @@ function generateCompoundBetSuggestions(numbers) {
     let bets = [];
     if (shouldGenerateAll) {
       // 生成所有組合
-      bets = generateCombinations(selectedNumbers, 6);
+      bets = generateCombinations(selectedNumbers, k);
     } else {
       // 如果注數太多（超過12個號碼），生成部分組合作為示例
       // 使用迭代方式生成前1000個組合，避免生成所有組合
-      const allCombinations = generateCombinations(selectedNumbers, 6);
+      const allCombinations = generateCombinations(selectedNumbers, k);
       bets = allCombinations.slice(0, maxBetsToGenerate);
     }
 
@@ -237,7 +251,7 @@ function generateCompoundBetSuggestions(numbers) {
       totalAmount: totalAmount,
       isComplete: shouldGenerateAll,
       strategy: `${numCount}個號碼複式投注`,
-      description: `選取前${numCount}個最有可能的號碼，系統自動組合所有可能的6個號碼組合，共${totalBets}注（$${totalAmount.toLocaleString()}）。${!shouldGenerateAll ? `（僅顯示前${maxBetsToGenerate}注作為示例）` : ''}`
+      description: `選取前${numCount}個最有可能的號碼，系統自動組合所有可能的${k}個號碼組合，共${totalBets}注（$${totalAmount.toLocaleString()}）。${!shouldGenerateAll ? `（僅顯示前${maxBetsToGenerate}注作為示例）` : ''}`
     });
   }
 
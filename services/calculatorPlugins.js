@@ -0,0 +1,253 @@
+/**
+ * 外掛計算器模組
+ * 啟動時從 CALCULATOR_PLUGIN_DIR 目錄載入 .js 計算器模組並註冊到計算器註冊表，
+ * 之後與內建計算器一樣可用於 /analyze、/validate 及 /simulate（weights、calculators 參數使用其 ID）
+ *
+ * 外掛模組格式（module.exports）：
+ * - 函數：calculate(allNumbers, excludePeriodNumbers, filteredNumbers, game) => { scores }，ID 為檔案名稱
+ * - 或物件：{ id, name, description, defaultWeight, calculate }，只有 calculate 是必需的
+ * calculate 與 calculators.js 的計算函數相同：filteredNumbers 不為 null 時使用它，否則以 excludePeriodNumbers 過濾 allNumbers；
+ * 返回的 scores 必須包含號碼池每個號碼（六合彩為 1-49）的有限數值；allNumbers 及 filteredNumbers 的每期物件由號碼出現索引共用（見 drawIndex.js），不可修改
+ *
+ * 載入時以一組固定的樣本歷史試算一次，格式錯誤、拋出例外或分數無效的外掛不會註冊；
+ * 分析時外掛拋出例外或分數無效只略過該外掛（記錄在分析結果的 calculatorWarnings），不影響其他計算器
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GameDefinition = require('../models/GameDefinition');
+const PeriodId = require('../models/PeriodId');
+const { registerCalculator, getCalculator } = require('./calculatorRegistry');
+
+const PLUGIN_DIR = process.env.CALCULATOR_PLUGIN_DIR ? path.resolve(process.env.CALCULATOR_PLUGIN_DIR) : null;
+
+// 外掛未提供 defaultWeight 時使用的預設權重
+const DEFAULT_PLUGIN_WEIGHT = 0.05;
+
+// 載入時試算使用的樣本期數
+const SAMPLE_PERIODS = 60;
+
+// 計算器 ID 格式（與 weights 的鍵名相同，不可包含特殊字元）
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+
+// 載入結果
+const status = {
+  dir: PLUGIN_DIR,
+  loaded: [],
+  failed: []
+};
+
+// 已記錄過的執行錯誤（迭代驗證會重複分析，同一錯誤只記錄一次）
+const reportedErrors = new Set();
+
+/**
+ * 檢查分數是否包含號碼池每個號碼的有限數值
+ * @param {Object} scores - { 號碼: 分數 }
+ * @param {Object} game - 遊戲定義
+ * @returns {string|null} 錯誤訊息，沒有錯誤時返回 null
+ */
+function validateScores(scores, game) {
+  if (!scores || typeof scores !== 'object' || Array.isArray(scores)) {
+    return '必須返回 { scores: { 號碼: 分數 } }';
+  }
+  for (let number = 1; number <= game.poolSize; number++) {
+    if (typeof scores[number] !== 'number' || !Number.isFinite(scores[number])) {
+      return `scores 必須包含 1-${game.poolSize} 每個號碼的有限數值（號碼 ${number} 為 ${scores[number]}）`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 建立外掛執行錯誤（analyzeNumbers 只略過該外掛）
+ * @param {string} id - 計算器 ID
+ * @param {string} message - 錯誤訊息
+ * @returns {Error} 錯誤
+ */
+function createPluginError(id, message) {
+  const error = new Error(`外掛計算器 ${id} 失敗: ${message}`);
+  error.isPluginError = true;
+  error.calculatorId = id;
+  return error;
+}
+
+/**
+ * 執行外掛的 calculate 並檢查結果
+ * @param {string} id - 計算器 ID
+ * @param {Function} calculate - 外掛的計算函數
+ * @param {Object} context - { allNumbers, excludePeriodNumbers, filteredNumbers, game }
+ * @returns {Object} { scores }
+ */
+function runPlugin(id, calculate, context) {
+  let result;
+  try {
+    result = calculate(context.allNumbers, context.excludePeriodNumbers, context.filteredNumbers, context.game);
+  } catch (error) {
+    throw createPluginError(id, error && error.message ? error.message : String(error));
+  }
+
+  const scoresError = validateScores(result && result.scores, context.game);
+  if (scoresError) {
+    throw createPluginError(id, scoresError);
+  }
+
+  // 只保留號碼池內的分數，並複製一份避免外掛之後修改
+  const scores = {};
+  for (let number = 1; number <= context.game.poolSize; number++) {
+    scores[number] = result.scores[number];
+  }
+  return { scores };
+}
+
+/**
+ * 產生載入時試算用的樣本歷史（固定內容，與 extractAllNumbers 的格式相同）
+ * @param {Object} game - 遊戲定義
+ * @returns {Array} 每期的 { numbers, main, extra, date, periodNumber }（最新的在前）
+ */
+function createSampleNumbers(game) {
+  let seed = 20240101;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  const sample = [];
+  for (let index = 0; index < SAMPLE_PERIODS; index++) {
+    const drawn = new Set();
+    while (drawn.size < game.pickCount + game.extraCount) {
+      drawn.add(Math.floor(random() * game.poolSize) + 1);
+    }
+    const numbers = [...drawn];
+    const main = numbers.slice(0, game.pickCount).sort((a, b) => a - b);
+    const date = new Date(Date.UTC(2024, 0, 1 + index * 3)).toISOString().slice(0, 10);
+    sample.unshift({
+      numbers: main,
+      main,
+      extra: game.extraCount > 0 ? numbers[game.pickCount] : null,
+      date,
+      periodNumber: PeriodId.format({ year: 2024, period: index + 1 })
+    });
+  }
+  return sample;
+}
+
+/**
+ * 把外掛模組轉換為計算器定義
+ * @param {string} file - 檔案名稱
+ * @param {Function|Object} exported - 外掛模組的 module.exports
+ * @returns {Object} 計算器定義
+ */
+function toCalculator(file, exported) {
+  const definition = typeof exported === 'function' ? { calculate: exported } : exported;
+  if (!definition || typeof definition.calculate !== 'function') {
+    throw new Error('module.exports 必須是計算函數，或包含 calculate 函數的物件');
+  }
+
+  const id = definition.id !== undefined ? definition.id : path.basename(file, '.js');
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new Error(`計算器 ID 無效: ${id}（必須以英文字母開頭，只包含英文字母、數字及底線，最多 40 個字元）`);
+  }
+
+  const defaultWeight = definition.defaultWeight !== undefined ? definition.defaultWeight : DEFAULT_PLUGIN_WEIGHT;
+  if (typeof defaultWeight !== 'number' || !Number.isFinite(defaultWeight) || defaultWeight < 0) {
+    throw new Error(`defaultWeight 必須是不小於 0 的數值: ${defaultWeight}`);
+  }
+
+  const name = typeof definition.name === 'string' && definition.name ? definition.name : id;
+  const calculate = definition.calculate;
+
+  return {
+    id,
+    name,
+    description: typeof definition.description === 'string' ? definition.description : '',
+    defaultWeight,
+    plugin: file,
+    compute: context => runPlugin(id, calculate, context),
+    output: { topNumberKey: `${id}Score`, label: name, detailKey: id, shape: 'object', fields: [] }
+  };
+}
+
+/**
+ * 載入單一外掛：require、試算並註冊
+ * @param {string} file - 檔案名稱
+ * @returns {Object} 註冊的計算器
+ */
+function loadPlugin(file) {
+  const calculator = toCalculator(file, require(path.join(PLUGIN_DIR, file)));
+  if (getCalculator(calculator.id)) {
+    throw new Error(`計算器 ID 已存在: ${calculator.id}`);
+  }
+
+  const game = GameDefinition.DEFAULT_GAME;
+  calculator.compute({ allNumbers: createSampleNumbers(game), excludePeriodNumbers: null, filteredNumbers: null, game });
+
+  return registerCalculator(calculator);
+}
+
+/**
+ * 從 CALCULATOR_PLUGIN_DIR 載入所有外掛（啟動時呼叫一次；未設定時不載入）
+ * 個別外掛載入失敗只記錄錯誤，不影響伺服器啟動
+ * @param {Object} options - 選項
+ * @param {boolean} options.quiet - 不輸出載入結果（分析 worker 各自載入時使用，主執行緒已輸出過）
+ * @returns {Object} { dir, loaded: [{ id, file }], failed: [{ file, message }] }
+ */
+function loadPlugins({ quiet = false } = {}) {
+  if (!PLUGIN_DIR || status.loaded.length > 0 || status.failed.length > 0) {
+    return getStatus();
+  }
+
+  let files;
+  try {
+    files = fs.readdirSync(PLUGIN_DIR).filter(file => file.endsWith('.js')).sort();
+  } catch (error) {
+    if (!quiet) console.error(`讀取外掛計算器目錄失敗 (${PLUGIN_DIR}):`, error.message);
+    status.failed.push({ file: null, message: error.message });
+    return getStatus();
+  }
+
+  files.forEach(file => {
+    try {
+      const calculator = loadPlugin(file);
+      status.loaded.push({ id: calculator.id, file });
+    } catch (error) {
+      if (!quiet) console.error(`載入外掛計算器失敗 (${file}):`, error.message);
+      status.failed.push({ file, message: error.message });
+    }
+  });
+
+  if (!quiet && status.loaded.length > 0) {
+    console.log(`已載入 ${status.loaded.length} 個外掛計算器：${status.loaded.map(plugin => plugin.id).join('、')}`);
+  }
+  return getStatus();
+}
+
+/**
+ * 記錄外掛執行錯誤（同一外掛的同一錯誤只記錄一次）
+ * @param {Error} error - createPluginError 建立的錯誤
+ */
+function reportPluginError(error) {
+  const key = `${error.calculatorId}:${error.message}`;
+  if (reportedErrors.has(key)) return;
+  reportedErrors.add(key);
+  console.warn(error.message);
+}
+
+/**
+ * 取得外掛載入結果
+ * @returns {Object} { dir, loaded, failed }
+ */
+function getStatus() {
+  return {
+    dir: status.dir,
+    loaded: [...status.loaded],
+    failed: [...status.failed]
+  };
+}
+
+module.exports = {
+  PLUGIN_DIR,
+  validateScores,
+  loadPlugins,
+  reportPluginError,
+  getStatus
+};
@@ -0,0 +1,495 @@
+/**
+ * 統計計算器註冊表
+ * analyzeNumbers、adjustWeights、迭代驗證的初始權重配置、分析結果欄位及匯出欄位都由這個註冊表產生，
+ * 新增計算器只需要在 CALCULATORS 加一項
+ *
+ * 每個計算器：
+ * - id：權重鍵名（weights、calculators 參數使用）
+ * - name / description：名稱及說明（GET /api/lottery/calculators）
+ * - defaultWeight：預設權重（加權前會正規化為總和 1）
+ * - profileWeights：各初始權重配置（WEIGHT_PROFILES，順序相同）使用的權重，未提供時使用 defaultWeight
+ * - compute(context)：計算分數，返回 { scores: { 號碼: 分數 }, ...其他欄位 }
+ * - rolling(window, game)：可選，建立逐期累計狀態（見 rollingCalculators.js）；迭代驗證逐期前進時以累計狀態的結果取代 compute，結果必須相同
+ * - plugin：外掛計算器的檔案名稱（見 calculatorPlugins.js），compute 失敗時只略過該計算器
+ * - output：輸出形狀
+ *   - topNumberKey：topNumbers 每個號碼的分數欄位
+ *   - label：匯出時的中文表頭
+ *   - detailKey：analysisDetails 的欄位
+ *   - shape：'scores'（analysisDetails[detailKey] 為 { 號碼: 分數 }）或 'object'（{ scores, ...fields }）
+ *   - fields：shape 為 object 時 analysisDetails 附帶的其他欄位
+ *   - extraDetails：analysisDetails 另外附帶的頂層欄位 { analysisDetails 欄位: compute 返回的欄位 }
+ *   - round：topNumbers 的分數是否四捨五入到小數點後兩位（預設 true）
+ */
+
+const {
+  calculateWeightedFrequency,
+  calculateGapAnalysis,
+  calculatePatternScore,
+  calculateDistributionFeatures,
+  calculateDistributionScore,
+  calculateTrendAnalysis,
+  calculateChiSquareScore,
+  calculatePoissonScore,
+  calculateCorrelationScore,
+  calculateEntropyScore,
+  calculateMarkovChainScore,
+  calculateCombinatorialScore,
+  calculateAutoregressiveScore,
+  calculateSurvivalAnalysisScore,
+  calculateExtremeValueScore,
+  calculateClusterAnalysisScore,
+  calculateNumberRangeScore
+} = require('./calculators');
+const { calculateFibonacciScore } = require('./fibonacci');
+const rollingStates = require('./rollingCalculators');
+
+// 迭代驗證測試的初始權重配置（順序與各計算器的 profileWeights 相同）
+const WEIGHT_PROFILES = [
+  { id: 'balanced', name: '默認權重（平衡配置）' },
+  { id: 'gapMarkov', name: '重視間隔和馬可夫鏈' },
+  { id: 'weightedDistribution', name: '重視加權頻率和分布' },
+  { id: 'trendCombinatorial', name: '重視趨勢和組合數學' },
+  { id: 'correlationEntropy', name: '重視相關性和熵分析' },
+  { id: 'frequencyFibonacci', name: '重視頻率和斐波那契' },
+  { id: 'markovCombinatorial', name: '重視馬可夫鏈和組合數學' },
+  { id: 'balancedNew', name: '平衡所有新方法' },
+  { id: 'hitGapTrend', name: '優化命中數 - 重視間隔、趨勢、分布和馬可夫鏈' },
+  { id: 'hitWeightedGap', name: '優化命中數 - 重視加權頻率、間隔和組合數學' }
+];
+
+/**
+ * 以 calculators.js 的標準簽名（allNumbers, excludePeriodNumbers, filteredNumbers, game）呼叫計算函數
+ * @param {Function} fn - 計算函數
+ * @param {Object} context - 計算內容
+ * @returns {*} 計算結果
+ */
+function callWithContext(fn, context) {
+  return fn(context.allNumbers, context.excludePeriodNumbers, context.filteredNumbers, context.game);
+}
+
+// 所有計算器（順序即 topNumbers 欄位及匯出欄位的順序；外掛計算器以 registerCalculator 加在最後）
+const CALCULATORS = [
+  {
+    id: 'frequency',
+    name: '頻率分析',
+    description: '統計每個號碼在歷史資料中出現的總次數，出現次數越多分數越高（normalize 年代模式時為正規化後的次數）',
+    defaultWeight: 0.07,
+    profileWeights: [0.0609, 0.0476, 0.0476, 0.07, 0.07, 0.12, 0.06, 0.07, 0.05, 0.06],
+    // 頻率同時用於統計摘要，由 analyzeNumbers 預先計算
+    compute: context => ({ scores: context.frequency }),
+    output: { topNumberKey: 'frequency', label: '出現次數', detailKey: 'frequency', shape: 'scores', round: false }
+  },
+  {
+    id: 'weightedFrequency',
+    name: '加權頻率分析',
+    description: '近期出現的號碼權重較高（每往前一期權重減少 5%）',
+    defaultWeight: 0.09,
+    profileWeights: [0.0783, 0.0635, 0.1190, 0.09, 0.08, 0.10, 0.08, 0.09, 0.08, 0.13],
+    compute: context => ({ scores: callWithContext(calculateWeightedFrequency, context) }),
+    rolling: rollingStates.createWeightedFrequencyState,
+    output: { topNumberKey: 'weightedFrequency', label: '加權頻率', detailKey: 'weightedFrequency', shape: 'scores' }
+  },
+  {
+    id: 'gap',
+    name: '間隔分析',
+    description: '距離上次出現的期數越長，分數越高',
+    defaultWeight: 0.09,
+    profileWeights: [0.0783, 0.1190, 0.0635, 0.09, 0.08, 0.08, 0.10, 0.10, 0.12, 0.13],
+    compute: context => ({ scores: callWithContext(calculateGapAnalysis, context) }),
+    rolling: rollingStates.createGapState,
+    output: { topNumberKey: 'gapScore', label: '間隔分數', detailKey: 'gapScore', shape: 'scores' }
+  },
+  {
+    id: 'pattern',
+    name: '模式分析',
+    description: '分析最近 10 期的出現模式，越近期權重越高',
+    defaultWeight: 0.05,
+    profileWeights: [0.0435, 0.0397, 0.0397, 0.05, 0.05, 0.06, 0.05, 0.05, 0.06, 0.05],
+    compute: context => ({ scores: callWithContext(calculatePatternScore, context) }),
+    rolling: rollingStates.createPatternState,
+    output: { topNumberKey: 'patternScore', label: '模式分數', detailKey: 'patternScore', shape: 'scores' }
+  },
+  {
+    id: 'distribution',
+    name: '分布分析',
+    description: '分析號碼在號碼範圍內的分布均勻度及各區間的分布密度',
+    defaultWeight: 0.09,
+    profileWeights: [0.0783, 0.0794, 0.1190, 0.09, 0.08, 0.08, 0.08, 0.09, 0.12, 0.10],
+    compute: context => ({
+      scores: callWithContext(calculateDistributionScore, context),
+      features: callWithContext(calculateDistributionFeatures, context)
+    }),
+    rolling: rollingStates.createDistributionState,
+    output: {
+      topNumberKey: 'distributionScore',
+      label: '分布分數',
+      detailKey: 'distributionScore',
+      shape: 'scores',
+      extraDetails: { distributionFeatures: 'features' }
+    }
+  },
+  {
+    id: 'trend',
+    name: '趨勢分析',
+    description: '比較最近 N 期與更早 N 期的出現頻率，識別上升或下降趨勢',
+    defaultWeight: 0.08,
+    profileWeights: [0.0696, 0.0635, 0.0794, 0.15, 0.08, 0.08, 0.08, 0.08, 0.12, 0.09],
+    compute: context => ({ scores: callWithContext(calculateTrendAnalysis, context) }),
+    rolling: rollingStates.createTrendState,
+    output: { topNumberKey: 'trendScore', label: '趨勢分數', detailKey: 'trendScore', shape: 'scores' }
+  },
+  {
+    id: 'chiSquare',
+    name: '卡方檢驗',
+    description: '檢驗號碼出現是否符合均勻分布，偏差越大分數越高',
+    defaultWeight: 0.03,
+    profileWeights: [0.0261, 0.0159, 0.0238, 0.02, 0.02, 0.03, 0.02, 0.02, 0.02, 0.02],
+    compute: context => callWithContext(calculateChiSquareScore, context),
+    rolling: rollingStates.createChiSquareState,
+    output: {
+      topNumberKey: 'chiSquareScore',
+      label: '卡方分數',
+      detailKey: 'chiSquare',
+      shape: 'object',
+      fields: ['chiSquare', 'degreesOfFreedom', 'expectedFrequency']
+    }
+  },
+  {
+    id: 'poisson',
+    name: '泊松分布分析',
+    description: '以泊松分布模型比較實際出現次數與期望值',
+    defaultWeight: 0.03,
+    profileWeights: [0.0261, 0.0159, 0.0238, 0.02, 0.02, 0.03, 0.02, 0.02, 0.02, 0.02],
+    compute: context => callWithContext(calculatePoissonScore, context),
+    rolling: rollingStates.createPoissonState,
+    output: { topNumberKey: 'poissonScore', label: '泊松分數', detailKey: 'poisson', shape: 'object', fields: ['lambda'] }
+  },
+  {
+    id: 'fibonacci',
+    name: '斐波那契分析',
+    description: '以斐波那契數列及黃金比例分析號碼、間隔及週期性模式',
+    defaultWeight: 0.07,
+    profileWeights: [0.0609, 0.0476, 0.0556, 0.07, 0.07, 0.12, 0.06, 0.07, 0.08, 0.08],
+    compute: context => callWithContext(calculateFibonacciScore, context),
+    rolling: rollingStates.createFibonacciState,
+    output: {
+      topNumberKey: 'fibonacciScore',
+      label: '斐波那契分數',
+      detailKey: 'fibonacci',
+      shape: 'object',
+      fields: ['fibonacciSequence', 'goldenRatio']
+    }
+  },
+  {
+    id: 'correlation',
+    name: '相關性分析',
+    description: '計算號碼之間的皮爾遜相關係數，與多個號碼強相關的號碼分數較高',
+    defaultWeight: 0.07,
+    profileWeights: [0.0609, 0.0635, 0.0635, 0.07, 0.15, 0.08, 0.08, 0.12, 0.08, 0.08],
+    compute: context => callWithContext(calculateCorrelationScore, context),
+    rolling: rollingStates.createCorrelationState,
+    output: { topNumberKey: 'correlationScore', label: '相關性分數', detailKey: 'correlation', shape: 'object', fields: ['correlations'] }
+  },
+  {
+    id: 'entropy',
+    name: '熵分析',
+    description: '以香農熵評估不確定性，出現頻率偏離期望值較大的號碼分數較高',
+    defaultWeight: 0.05,
+    profileWeights: [0.0435, 0.0397, 0.0476, 0.05, 0.12, 0.06, 0.05, 0.08, 0.05, 0.05],
+    compute: context => callWithContext(calculateEntropyScore, context),
+    rolling: rollingStates.createEntropyState,
+    output: {
+      topNumberKey: 'entropyScore',
+      label: '熵分數',
+      detailKey: 'entropy',
+      shape: 'object',
+      fields: ['overallEntropy', 'maxEntropy']
+    }
+  },
+  {
+    id: 'markov',
+    name: '馬可夫鏈分析',
+    description: '以上一期號碼的轉移機率預測下一期各號碼出現的條件機率',
+    defaultWeight: 0.09,
+    profileWeights: [0.0783, 0.1190, 0.0635, 0.09, 0.10, 0.08, 0.18, 0.12, 0.15, 0.10],
+    compute: context => callWithContext(calculateMarkovChainScore, context),
+    rolling: rollingStates.createMarkovChainState,
+    output: { topNumberKey: 'markovScore', label: '馬可夫鏈分數', detailKey: 'markov', shape: 'object', fields: ['transitionMatrix'] }
+  },
+  {
+    id: 'combinatorial',
+    name: '組合數學分析',
+    description: '分析和值、差值、連續對及位置關係等組合特性',
+    defaultWeight: 0.08,
+    profileWeights: [0.0696, 0.0794, 0.0476, 0.15, 0.10, 0.08, 0.14, 0.09, 0.10, 0.12],
+    compute: context => callWithContext(calculateCombinatorialScore, context),
+    rolling: rollingStates.createCombinatorialState,
+    output: { topNumberKey: 'combinatorialScore', label: '組合數學分數', detailKey: 'combinatorial', shape: 'object', fields: ['patterns'] }
+  },
+  {
+    id: 'autoregressive',
+    name: '自回歸模型',
+    description: '以 AR(3) 時間序列模型預測下一期出現機率',
+    defaultWeight: 0.06,
+    profileWeights: [0.0522, 0.0476, 0.0476, 0.06, 0.06, 0.06, 0.06, 0.06, 0.05, 0.05],
+    compute: context => callWithContext(calculateAutoregressiveScore, context),
+    rolling: rollingStates.createAutoregressiveState,
+    output: {
+      topNumberKey: 'autoregressiveScore',
+      label: '自回歸分數',
+      detailKey: 'autoregressive',
+      shape: 'object',
+      fields: ['coefficients', 'predictions']
+    }
+  },
+  {
+    id: 'survival',
+    name: '生存分析',
+    description: '分析號碼連續未出現的期數及危險率，預測再次出現的時機',
+    defaultWeight: 0.07,
+    profileWeights: [0.0609, 0.0556, 0.0556, 0.07, 0.07, 0.07, 0.07, 0.07, 0.06, 0.06],
+    compute: context => callWithContext(calculateSurvivalAnalysisScore, context),
+    rolling: rollingStates.createSurvivalState,
+    output: {
+      topNumberKey: 'survivalScore',
+      label: '生存分析分數',
+      detailKey: 'survival',
+      shape: 'object',
+      fields: ['survivalTimes', 'hazardRates']
+    }
+  },
+  {
+    id: 'extremeValue',
+    name: '極值理論',
+    description: '以歷史最大間隔及廣義極值分布評估冷門號碼出現的機率',
+    defaultWeight: 0.06,
+    profileWeights: [0.0522, 0.0476, 0.0476, 0.06, 0.06, 0.06, 0.06, 0.06, 0.05, 0.05],
+    compute: context => callWithContext(calculateExtremeValueScore, context),
+    rolling: rollingStates.createExtremeValueState,
+    output: {
+      topNumberKey: 'extremeValueScore',
+      label: '極值分數',
+      detailKey: 'extremeValue',
+      shape: 'object',
+      fields: ['extremeGaps', 'returnLevels']
+    }
+  },
+  {
+    id: 'cluster',
+    name: '聚類分析',
+    description: '以 K-means 把出現模式相似的號碼分組，最新一期有號碼出現的聚類分數較高',
+    defaultWeight: 0.07,
+    profileWeights: [0.0604, 0.0555, 0.0556, 0.07, 0.07, 0.07, 0.07, 0.07, 0.07, 0.07],
+    compute: context => callWithContext(calculateClusterAnalysisScore, context),
+    rolling: rollingStates.createClusterState,
+    output: {
+      topNumberKey: 'clusterScore',
+      label: '聚類分數',
+      detailKey: 'cluster',
+      shape: 'object',
+      fields: ['clusters', 'clusterCenters']
+    }
+  },
+  {
+    id: 'numberRange',
+    name: '號碼區間分析',
+    description: '分析各號碼區間的命中情況及統計特性',
+    defaultWeight: 0.06,
+    compute: context => callWithContext(calculateNumberRangeScore, context),
+    rolling: rollingStates.createNumberRangeState,
+    output: {
+      topNumberKey: 'numberRangeScore',
+      label: '號碼區間分數',
+      detailKey: 'numberRange',
+      shape: 'object',
+      fields: ['rangeHits', 'rangeStatistics']
+    }
+  }
+];
+
+const CALCULATOR_IDS = CALCULATORS.map(calculator => calculator.id);
+
+// analysisDetails 及 topNumbers 的保留欄位（計算器的輸出欄位不可使用）
+const RESERVED_KEYS = ['number', 'score', 'compositeScore'];
+
+/**
+ * 註冊計算器（外掛計算器於啟動時註冊，加在內建計算器之後）
+ * @param {Object} calculator - 計算器，格式見檔案開頭
+ * @returns {Object} 註冊的計算器
+ */
+function registerCalculator(calculator) {
+  const { id, output } = calculator;
+  const usedKeys = new Set(RESERVED_KEYS);
+  CALCULATORS.forEach(existing => {
+    usedKeys.add(existing.output.topNumberKey);
+    usedKeys.add(existing.output.detailKey);
+    Object.keys(existing.output.extraDetails || {}).forEach(key => usedKeys.add(key));
+  });
+
+  if (CALCULATOR_IDS.includes(id)) {
+    throw new Error(`計算器 ID 已存在: ${id}`);
+  }
+  const conflict = [output.topNumberKey, output.detailKey, ...Object.keys(output.extraDetails || {})]
+    .find(key => usedKeys.has(key));
+  if (conflict) {
+    throw new Error(`計算器 ${id} 的輸出欄位 ${conflict} 已被使用`);
+  }
+
+  CALCULATORS.push(calculator);
+  CALCULATOR_IDS.push(id);
+  return calculator;
+}
+
+/**
+ * 取得計算器
+ * @param {string} id - 計算器 ID
+ * @returns {Object|null} 計算器
+ */
+function getCalculator(id) {
+  return CALCULATORS.find(calculator => calculator.id === id) || null;
+}
+
+/**
+ * 驗證 calculators 參數
+ * 可為 ID 陣列（只啟用這些計算器）或 { ID: true/false } 物件（個別啟用或停用，未列出的維持啟用）
+ * @param {Array|Object} selection - calculators 參數
+ * @returns {string|null} 錯誤訊息，沒有錯誤時返回 null
+ */
+function validateSelection(selection) {
+  if (selection === undefined || selection === null) return null;
+
+  let ids;
+  if (Array.isArray(selection)) {
+    ids = selection;
+  } else if (typeof selection === 'object') {
+    ids = Object.keys(selection);
+    const invalid = ids.find(id => typeof selection[id] !== 'boolean');
+    if (invalid) {
+      return `calculators.${invalid} 必須是 true 或 false`;
+    }
+  } else {
+    return 'calculators 必須是計算器 ID 陣列或 { ID: true/false } 物件';
+  }
+
+  const unknown = ids.filter(id => !CALCULATOR_IDS.includes(id));
+  if (unknown.length > 0) {
+    return `不支援的計算器: ${unknown.join('、')}（支援 ${CALCULATOR_IDS.join('、')}）`;
+  }
+  if (resolveSelection(selection).length === 0) {
+    return '至少需要啟用一個計算器';
+  }
+  return null;
+}
+
+/**
+ * 取得啟用的計算器（請先以 validateSelection 驗證）
+ * @param {Array|Object} selection - calculators 參數，未提供時啟用全部
+ * @returns {Array<Object>} 啟用的計算器（註冊表順序）
+ */
+function resolveSelection(selection) {
+  if (selection === undefined || selection === null) return CALCULATORS;
+  if (Array.isArray(selection)) {
+    return CALCULATORS.filter(calculator => selection.includes(calculator.id));
+  }
+  return CALCULATORS.filter(calculator => selection[calculator.id] !== false);
+}
+
+/**
+ * 取得預設權重
+ * @param {Array<Object>} calculators - 計算器陣列，預設為全部
+ * @returns {Object} { 計算器 ID: 權重 }
+ */
+function getDefaultWeights(calculators = CALCULATORS) {
+  const weights = {};
+  calculators.forEach(calculator => {
+    weights[calculator.id] = calculator.defaultWeight;
+  });
+  return weights;
+}
+
+/**
+ * 取得迭代驗證的初始權重配置
+ * @param {Array<Object>} calculators - 計算器陣列，預設為全部
+ * @returns {Array<Object>} 每個配置的 { 計算器 ID: 權重 }（順序與 WEIGHT_PROFILES 相同）
+ */
+function getWeightProfiles(calculators = CALCULATORS) {
+  return WEIGHT_PROFILES.map((profile, index) => {
+    const weights = {};
+    calculators.forEach(calculator => {
+      weights[calculator.id] = calculator.profileWeights ? calculator.profileWeights[index] : calculator.defaultWeight;
+    });
+    return weights;
+  });
+}
+
+/**
+ * 從 analysisDetails 取得計算器的 { 號碼: 分數 }
+ * @param {Object} analysisDetails - analyzeNumbers 返回的 analysisDetails
+ * @param {Object} calculator - 計算器
+ * @returns {Object|null} 分數，計算器未啟用時返回 null
+ */
+function getDetailScores(analysisDetails, calculator) {
+  const detail = analysisDetails[calculator.output.detailKey];
+  if (!detail) return null;
+  return calculator.output.shape === 'object' ? detail.scores || null : detail;
+}
+
+/**
+ * 把計算結果轉換為 analysisDetails 的欄位
+ * @param {Object} calculator - 計算器
+ * @param {Object} result - compute 的結果
+ * @returns {Object} 要合併到 analysisDetails 的欄位
+ */
+function toAnalysisDetails(calculator, result) {
+  const { detailKey, shape, fields = [], extraDetails = {} } = calculator.output;
+  const details = {};
+
+  if (shape === 'object') {
+    details[detailKey] = { scores: result.scores };
+    fields.forEach(field => {
+      details[detailKey][field] = result[field];
+    });
+  } else {
+    details[detailKey] = result.scores;
+  }
+
+  Object.entries(extraDetails).forEach(([key, field]) => {
+    details[key] = result[field];
+  });
+  return details;
+}
+
+/**
+ * 取得計算器的公開資訊（不含計算函數）
+ * @returns {Array<Object>} { id, name, description, defaultWeight, plugin: 外掛檔案名稱（內建計算器為 null）, output }
+ */
+function listCalculators() {
+  return CALCULATORS.map(({ id, name, description, defaultWeight, plugin, output }) => ({
+    id,
+    name,
+    description,
+    defaultWeight,
+    plugin: plugin || null,
+    output: {
+      topNumberKey: output.topNumberKey,
+      detailKey: output.detailKey,
+      shape: output.shape,
+      ...(output.fields ? { fields: output.fields } : {})
+    }
+  }));
+}
+
+module.exports = {
+  CALCULATORS,
+  CALCULATOR_IDS,
+  WEIGHT_PROFILES,
+  registerCalculator,
+  getCalculator,
+  validateSelection,
+  resolveSelection,
+  getDefaultWeights,
+  getWeightProfiles,
+  getDetailScores,
+  toAnalysisDetails,
+  listCalculators
+};
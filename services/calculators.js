@@ -1,20 +1,26 @@
 /**
  * 統計計算模組
  * 包含各種統計分析計算函數
+ * 號碼範圍及每期號碼數量來自遊戲定義（game 參數），預設為六合彩的 49 選 6
+ * 每個號碼的出現次數、出現位置及出現序列從號碼出現索引讀取（見 drawIndex.js），不在每個函數中重新掃描
  */
 
+const { DEFAULT_GAME } = require('../models/GameDefinition');
+const { windowFor } = require('./drawIndex');
+
 /**
  * 計算號碼頻率分析
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 號碼頻率統計
  */
-function calculateFrequency(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
+function calculateFrequency(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
   const frequency = {};
 
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
     frequency[i] = 0;
   }
 
@@ -24,13 +30,10 @@ function calculateFrequency(allNumbers, excludePeriodNumbers = null, filteredNum
     : allNumbers);
 
   // 統計每個號碼出現的次數
-  numbersToProcess.forEach(period => {
-    period.numbers.forEach(num => {
-      if (num >= 1 && num <= 49) {
-        frequency[num] = (frequency[num] || 0) + 1;
-      }
-    });
-  });
+  const view = windowFor(numbersToProcess, game);
+  for (let num = 1; num <= game.poolSize; num++) {
+    frequency[num] = view.count(num);
+  }
 
   return frequency;
 }
@@ -40,13 +43,14 @@ function calculateFrequency(allNumbers, excludePeriodNumbers = null, filteredNum
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 加權頻率統計
  */
-function calculateWeightedFrequency(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
+function calculateWeightedFrequency(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
   const weightedFrequency = {};
 
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
     weightedFrequency[i] = 0;
   }
 
@@ -58,18 +62,17 @@ function calculateWeightedFrequency(allNumbers, excludePeriodNumbers = null, fil
   // 計算總期數（使用過濾後的期數）
   const totalPeriods = filtered.length;
 
-  // 對每期號碼進行加權計算（越近期的權重越高）
-  filtered.forEach((period, index) => {
-    // 使用指數衰減：越近期的期數權重越高
-    // 最新一期權重為 1.0，每往前一期權重減少 5%
-    const weight = Math.pow(0.95, totalPeriods - index - 1);
-
-    period.numbers.forEach(num => {
-      if (num >= 1 && num <= 49) {
-        weightedFrequency[num] = (weightedFrequency[num] || 0) + weight;
-      }
-    });
-  });
+  // 對每個號碼的每次出現進行加權計算（越近期的權重越高）
+  // 由最舊的一次開始累加：每次出現的權重只取決於更早的期數，逐期累計狀態加入較新一期時以相同順序加總（見 rollingCalculators.js）
+  const view = windowFor(filtered, game);
+  for (let num = 1; num <= game.poolSize; num++) {
+    const occurrences = view.occurrences(num);
+    for (let i = occurrences.length - 1; i >= 0; i--) {
+      // 使用指數衰減：越近期的期數權重越高
+      // 最新一期權重為 1.0，每往前一期權重減少 5%
+      weightedFrequency[num] += Math.pow(0.95, totalPeriods - occurrences[i] - 1);
+    }
+  }
 
   return weightedFrequency;
 }
@@ -79,16 +82,15 @@ function calculateWeightedFrequency(allNumbers, excludePeriodNumbers = null, fil
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 號碼間隔統計
  */
-function calculateGapAnalysis(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
+function calculateGapAnalysis(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
   const lastAppearance = {};
-  const gapScore = {};
 
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
     lastAppearance[i] = -1;
-    gapScore[i] = 0;
   }
 
   // 使用預過濾的數組（如果提供），否則過濾
@@ -96,22 +98,28 @@ function calculateGapAnalysis(allNumbers, excludePeriodNumbers = null, filteredN
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
 
-  // 從最新到最舊遍歷（因為 filtered 已經按日期排序，最新的在前）
-  filtered.forEach((period, index) => {
-    period.numbers.forEach(num => {
-      if (num >= 1 && num <= 49) {
-        // 如果這個號碼還沒記錄過最後出現位置，記錄它
-        if (lastAppearance[num] === -1) {
-          lastAppearance[num] = index;
-        }
-      }
-    });
-  });
+  // 最近一次出現的位置（filtered 已經按日期排序，最新的在前）
+  const view = windowFor(filtered, game);
+  for (let num = 1; num <= game.poolSize; num++) {
+    lastAppearance[num] = view.lastSeen(num);
+  }
+
+  return scoreGaps(lastAppearance, filtered.length);
+}
+
+/**
+ * 從最近一次出現的位置計算間隔分數
+ * @param {Object} lastAppearance - { 號碼: 最近一次出現的位置（沒有出現過為 -1） }
+ * @param {number} totalPeriods - 期數
+ * @returns {Object} 間隔分數
+ */
+function scoreGaps(lastAppearance, totalPeriods) {
+  const gapScore = {};
 
   // 計算間隔分數（間隔越長，分數越高，表示"該出現了"）
   Object.keys(lastAppearance).forEach(num => {
     const numInt = parseInt(num, 10);
-    const gap = lastAppearance[num] === -1 ? filtered.length : lastAppearance[num];
+    const gap = lastAppearance[num] === -1 ? totalPeriods : lastAppearance[num];
     // 使用對數函數，讓間隔分數更平滑
     gapScore[numInt] = Math.log(gap + 1) * 10;
   });
@@ -124,13 +132,14 @@ function calculateGapAnalysis(allNumbers, excludePeriodNumbers = null, filteredN
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 模式分數
  */
-function calculatePatternScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
+function calculatePatternScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
   const patternScore = {};
 
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
     patternScore[i] = 0;
   }
 
@@ -142,15 +151,12 @@ function calculatePatternScore(allNumbers, excludePeriodNumbers = null, filtered
   // 檢查最近幾期的出現模式
   const recentPeriods = Math.min(10, filtered.length);
 
-  for (let i = 0; i < recentPeriods; i++) {
-    const period = filtered[i];
-    const weight = 1 / (i + 1); // 越近期的權重越高
-
-    period.numbers.forEach(num => {
-      if (num >= 1 && num <= 49) {
-        patternScore[num] = (patternScore[num] || 0) + weight;
-      }
-    });
+  const view = windowFor(filtered, game);
+  for (let num = 1; num <= game.poolSize; num++) {
+    for (const index of view.occurrences(num)) {
+      if (index >= recentPeriods) break;
+      patternScore[num] += 1 / (index + 1); // 越近期的權重越高
+    }
   }
 
   return patternScore;
@@ -161,25 +167,30 @@ function calculatePatternScore(allNumbers, excludePeriodNumbers = null, filtered
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 統計分布特徵
  */
-function calculateDistributionFeatures(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
-  // 使用預過濾的數組（如果提供），否則過濾
-  const filtered = filteredNumbers || (excludePeriodNumbers
-    ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
-    : allNumbers);
+function calculateDistributionFeatures(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
+  // 號碼池內的每個值出現的次數即號碼頻率，各階矩都從頻率計算
+  const frequency = calculateFrequency(allNumbers, excludePeriodNumbers, filteredNumbers, game);
+  return distributionFeaturesFromFrequency(frequency, game);
+}
 
-  // 收集每期所有號碼的值
-  const allNumberValues = [];
-  filtered.forEach(period => {
-    period.numbers.forEach(num => {
-      if (num >= 1 && num <= 49) {
-        allNumberValues.push(num);
-      }
-    });
-  });
+/**
+ * 從號碼頻率計算統計分布特徵（每個號碼的值按出現次數計入）
+ * @param {Object} frequency - { 號碼: 出現次數 }
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 統計分布特徵
+ */
+function distributionFeaturesFromFrequency(frequency, game) {
+  let count = 0;
+  let total = 0;
+  for (let num = 1; num <= game.poolSize; num++) {
+    count += frequency[num];
+    total += num * frequency[num];
+  }
 
-  if (allNumberValues.length === 0) {
+  if (count === 0) {
     return {
       mean: 0,
       variance: 0,
@@ -190,23 +201,30 @@ function calculateDistributionFeatures(allNumbers, excludePeriodNumbers = null,
   }
 
   // 計算均值
-  const mean = allNumberValues.reduce((sum, val) => sum + val, 0) / allNumberValues.length;
+  const mean = total / count;
+
+  // 計算 ((值 - 均值) / scale) 的 power 次方的平均（每個值乘以出現次數）
+  const centralMoment = (power, scale) => {
+    let sum = 0;
+    for (let num = 1; num <= game.poolSize; num++) {
+      if (frequency[num] > 0) {
+        sum += Math.pow((num - mean) / scale, power) * frequency[num];
+      }
+    }
+    return sum / count;
+  };
 
   // 計算方差
-  const variance = allNumberValues.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / allNumberValues.length;
+  const variance = centralMoment(2, 1);
 
   // 計算標準差
   const stdDev = Math.sqrt(variance);
 
   // 計算偏度（第三階中心矩）
-  const skewness = stdDev > 0
-    ? allNumberValues.reduce((sum, val) => sum + Math.pow((val - mean) / stdDev, 3), 0) / allNumberValues.length
-    : 0;
+  const skewness = stdDev > 0 ? centralMoment(3, stdDev) : 0;
 
   // 計算峰度（第四階中心矩，減去3以得到超額峰度）
-  const kurtosis = stdDev > 0
-    ? (allNumberValues.reduce((sum, val) => sum + Math.pow((val - mean) / stdDev, 4), 0) / allNumberValues.length) - 3
-    : 0;
+  const kurtosis = stdDev > 0 ? centralMoment(4, stdDev) - 3 : 0;
 
   return {
     mean: Math.round(mean * 100) / 100,
@@ -222,18 +240,32 @@ function calculateDistributionFeatures(allNumbers, excludePeriodNumbers = null,
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 分布分數
  */
-function calculateDistributionScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
-  const distributionScore = {};
+function calculateDistributionScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
   // 使用預過濾的數組（如果提供），否則根據排除期數過濾
   const filtered = filteredNumbers || (excludePeriodNumbers
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
-  const features = calculateDistributionFeatures(allNumbers, excludePeriodNumbers, filtered);
+  const frequency = calculateFrequency(allNumbers, excludePeriodNumbers, filtered, game);
+
+  return scoreDistribution(distributionFeaturesFromFrequency(frequency, game), frequency, filtered.length, game);
+}
+
+/**
+ * 從統計分布特徵及號碼頻率計算分布分數
+ * @param {Object} features - distributionFeaturesFromFrequency 的結果
+ * @param {Object} frequency - { 號碼: 出現次數 }
+ * @param {number} totalPeriods - 期數
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 分布分數
+ */
+function scoreDistribution(features, frequency, totalPeriods, game) {
+  const distributionScore = {};
 
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
     distributionScore[i] = 0;
   }
 
@@ -244,11 +276,9 @@ function calculateDistributionScore(allNumbers, excludePeriodNumbers = null, fil
 
   // 計算每個號碼在分布中的位置分數
   // 使用正態分布的Z分數，但考慮實際頻率
-  const frequency = calculateFrequency(allNumbers, excludePeriodNumbers, filtered);
-  const totalPeriods = filtered.length;
-  const expectedFrequency = totalPeriods * 6 / 49; // 每期6個號碼，共49個號碼
+  const expectedFrequency = totalPeriods * game.pickCount / game.poolSize; // 每期 pickCount 個號碼，共 poolSize 個號碼
 
-  for (let i = 1; i <= 49; i++) {
+  for (let i = 1; i <= game.poolSize; i++) {
     // 計算Z分數（標準化分數）
     const zScore = (i - features.mean) / features.stdDev;
 
@@ -272,13 +302,14 @@ function calculateDistributionScore(allNumbers, excludePeriodNumbers = null, fil
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 趨勢分析結果
  */
-function calculateTrendAnalysis(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
+function calculateTrendAnalysis(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
   const trendScore = {};
 
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
     trendScore[i] = 0;
   }
 
@@ -294,60 +325,67 @@ function calculateTrendAnalysis(allNumbers, excludePeriodNumbers = null, filtere
   // 計算每個號碼的出現趨勢（最近N期的移動平均）
   const windowSize = Math.min(10, Math.floor(filtered.length / 2));
 
-  for (let num = 1; num <= 49; num++) {
-    // 記錄每期該號碼是否出現（1或0）
-    const appearances = [];
-    for (let i = 0; i < filtered.length; i++) {
-      const period = filtered[i];
-      appearances.push(period.numbers.includes(num) ? 1 : 0);
-    }
+  const view = windowFor(filtered, game);
+  for (let num = 1; num <= game.poolSize; num++) {
+    // 每期該號碼是否出現（1或0）
+    const appearances = view.appearances(num);
 
     // 計算移動平均（最近windowSize期）
     const recentAppearances = appearances.slice(0, windowSize);
-    const movingAverage = recentAppearances.reduce((sum, val) => sum + val, 0) / windowSize;
-
-    // 計算線性回歸斜率（趨勢方向）
-    let slope = 0;
-    if (recentAppearances.length >= 2) {
-      const n = recentAppearances.length;
-      let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
-
-      for (let i = 0; i < n; i++) {
-        const x = i;
-        const y = recentAppearances[i];
-        sumX += x;
-        sumY += y;
-        sumXY += x * y;
-        sumX2 += x * x;
-      }
+    trendScore[num] = scoreTrend(recentAppearances, windowSize);
+  }
 
-      const denominator = n * sumX2 - sumX * sumX;
-      if (denominator !== 0) {
-        slope = (n * sumXY - sumX * sumY) / denominator;
-      }
+  return trendScore;
+}
+
+/**
+ * 從最近 windowSize 期的出現序列計算單一號碼的趨勢分數
+ * @param {Array<number>|Uint8Array} recentAppearances - 最近 windowSize 期每期是否出現（1或0），由新至舊
+ * @param {number} windowSize - 移動平均的期數
+ * @returns {number} 趨勢分數（0-100）
+ */
+function scoreTrend(recentAppearances, windowSize) {
+  const movingAverage = recentAppearances.reduce((sum, val) => sum + val, 0) / windowSize;
+
+  // 計算線性回歸斜率（趨勢方向）
+  let slope = 0;
+  if (recentAppearances.length >= 2) {
+    const n = recentAppearances.length;
+    let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
+
+    for (let i = 0; i < n; i++) {
+      const x = i;
+      const y = recentAppearances[i];
+      sumX += x;
+      sumY += y;
+      sumXY += x * y;
+      sumX2 += x * x;
     }
 
-    // 如果移動平均低且趨勢向上，給予較高分數（可能即將出現）
-    // 如果移動平均高且趨勢向下，給予較低分數（可能不會出現）
-    let score = 0;
-    if (movingAverage < 0.3 && slope > 0) {
-      // 低頻率但趨勢向上，可能即將出現
-      score = 70 + slope * 30;
-    } else if (movingAverage < 0.2) {
-      // 非常低的頻率，可能該出現了
-      score = 60;
-    } else if (movingAverage > 0.5 && slope < 0) {
-      // 高頻率但趨勢向下，可能不會出現
-      score = 30;
-    } else {
-      // 其他情況，基於移動平均
-      score = 50 + (0.3 - movingAverage) * 50;
+    const denominator = n * sumX2 - sumX * sumX;
+    if (denominator !== 0) {
+      slope = (n * sumXY - sumX * sumY) / denominator;
     }
+  }
 
-    trendScore[num] = Math.max(0, Math.min(100, score));
+  // 如果移動平均低且趨勢向上，給予較高分數（可能即將出現）
+  // 如果移動平均高且趨勢向下，給予較低分數（可能不會出現）
+  let score = 0;
+  if (movingAverage < 0.3 && slope > 0) {
+    // 低頻率但趨勢向上，可能即將出現
+    score = 70 + slope * 30;
+  } else if (movingAverage < 0.2) {
+    // 非常低的頻率，可能該出現了
+    score = 60;
+  } else if (movingAverage > 0.5 && slope < 0) {
+    // 高頻率但趨勢向下，可能不會出現
+    score = 30;
+  } else {
+    // 其他情況，基於移動平均
+    score = 50 + (0.3 - movingAverage) * 50;
   }
 
-  return trendScore;
+  return Math.max(0, Math.min(100, score));
 }
 
 /**
@@ -355,28 +393,41 @@ function calculateTrendAnalysis(allNumbers, excludePeriodNumbers = null, filtere
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 卡方分數
  */
-function calculateChiSquareScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
-  const chiSquareScore = {};
-
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
-    chiSquareScore[i] = 0;
-  }
-
-  const frequency = calculateFrequency(allNumbers, excludePeriodNumbers, filteredNumbers);
+function calculateChiSquareScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
+  const frequency = calculateFrequency(allNumbers, excludePeriodNumbers, filteredNumbers, game);
   // 使用預過濾的數組（如果提供）
   const filtered = filteredNumbers || (excludePeriodNumbers
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
   const totalPeriods = filtered.length;
-  const totalNumbers = totalPeriods * 6; // 每期6個號碼
-  const expectedFrequency = totalNumbers / 49; // 期望頻率
+
+  return scoreChiSquare(frequency, totalPeriods, game);
+}
+
+/**
+ * 從號碼頻率計算卡方分數
+ * @param {Object} frequency - { 號碼: 出現次數 }
+ * @param {number} totalPeriods - 期數
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 卡方分數
+ */
+function scoreChiSquare(frequency, totalPeriods, game) {
+  const chiSquareScore = {};
+
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
+    chiSquareScore[i] = 0;
+  }
+
+  const totalNumbers = totalPeriods * game.pickCount; // 每期 pickCount 個號碼
+  const expectedFrequency = totalNumbers / game.poolSize; // 期望頻率
 
   // 計算卡方統計量
   let chiSquare = 0;
-  for (let i = 1; i <= 49; i++) {
+  for (let i = 1; i <= game.poolSize; i++) {
     const observed = frequency[i];
     const expected = expectedFrequency;
     if (expected > 0) {
@@ -386,7 +437,7 @@ function calculateChiSquareScore(allNumbers, excludePeriodNumbers = null, filter
 
   // 計算每個號碼的偏差分數
   // 偏差越大（低於期望），分數越高（表示該號碼可能該出現了）
-  for (let i = 1; i <= 49; i++) {
+  for (let i = 1; i <= game.poolSize; i++) {
     const deviation = (expectedFrequency - frequency[i]) / (expectedFrequency + 1);
     chiSquareScore[i] = Math.max(0, deviation * 100);
   }
@@ -394,7 +445,7 @@ function calculateChiSquareScore(allNumbers, excludePeriodNumbers = null, filter
   return {
     scores: chiSquareScore,
     chiSquare: Math.round(chiSquare * 100) / 100,
-    degreesOfFreedom: 48, // 49-1
+    degreesOfFreedom: game.poolSize - 1,
     expectedFrequency: Math.round(expectedFrequency * 100) / 100
   };
 }
@@ -404,23 +455,36 @@ function calculateChiSquareScore(allNumbers, excludePeriodNumbers = null, filter
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 泊松分布分數
  */
-function calculatePoissonScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
-  const poissonScore = {};
-
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
-    poissonScore[i] = 0;
-  }
-
-  const frequency = calculateFrequency(allNumbers, excludePeriodNumbers, filteredNumbers);
+function calculatePoissonScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
+  const frequency = calculateFrequency(allNumbers, excludePeriodNumbers, filteredNumbers, game);
   // 使用預過濾的數組（如果提供），否則過濾
   const filtered = filteredNumbers || (excludePeriodNumbers
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
   const totalPeriods = filtered.length;
-  const lambda = 6 * totalPeriods / 49; // 泊松參數（每期6個號碼，共49個號碼）
+
+  return scorePoisson(frequency, totalPeriods, game);
+}
+
+/**
+ * 從號碼頻率計算泊松分布分數
+ * @param {Object} frequency - { 號碼: 出現次數 }
+ * @param {number} totalPeriods - 期數
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 泊松分布分數
+ */
+function scorePoisson(frequency, totalPeriods, game) {
+  const poissonScore = {};
+
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
+    poissonScore[i] = 0;
+  }
+
+  const lambda = game.pickCount * totalPeriods / game.poolSize; // 泊松參數（每期 pickCount 個號碼，共 poolSize 個號碼）
 
   // 計算泊松分布概率
   const factorial = (n) => {
@@ -439,7 +503,7 @@ function calculatePoissonScore(allNumbers, excludePeriodNumbers = null, filtered
   };
 
   // 計算每個號碼的分數
-  for (let i = 1; i <= 49; i++) {
+  for (let i = 1; i <= game.poolSize; i++) {
     const observed = frequency[i];
     const probability = poissonPMF(observed, lambda);
 
@@ -464,47 +528,46 @@ function calculatePoissonScore(allNumbers, excludePeriodNumbers = null, filtered
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 相關性分數
  */
-function calculateCorrelationScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
-  const correlationScore = {};
-
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
-    correlationScore[i] = 0;
-  }
-
+function calculateCorrelationScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
   // 使用預過濾的數組（如果提供），否則過濾
   const filtered = filteredNumbers || (excludePeriodNumbers
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
 
-  if (filtered.length < 2) {
-    return { scores: correlationScore, correlations: {} };
-  }
+  return scoreCorrelation(windowFor(filtered, game).coOccurrence(), filtered.length, game);
+}
+
+/**
+ * 從號碼兩兩同期出現的期數計算相關性分數
+ * 每個號碼的出現序列（每期是否出現：1或0）只有 0 和 1，
+ * 所以各項總和都可以從兩兩同期出現的期數得到：sumX = sumX2 = 出現期數，sumXY = 同期出現期數
+ * @param {Array<Int32Array>} coOccurrence - 兩兩同期出現的期數（對角線為出現期數）
+ * @param {number} n - 期數
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 相關性分數
+ */
+function scoreCorrelation(coOccurrence, n, game) {
+  const correlationScore = {};
 
-  // 計算每個號碼的出現序列（每期是否出現：1或0）
-  const appearanceMatrix = {};
-  for (let i = 1; i <= 49; i++) {
-    appearanceMatrix[i] = [];
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
+    correlationScore[i] = 0;
   }
 
-  filtered.forEach(period => {
-    for (let i = 1; i <= 49; i++) {
-      appearanceMatrix[i].push(period.numbers.includes(i) ? 1 : 0);
-    }
-  });
+  if (n < 2) {
+    return { scores: correlationScore, correlations: {} };
+  }
 
-  // 計算皮爾遜相關係數
+  // 計算號碼 x 與號碼 y 出現序列的皮爾遜相關係數
   const calculatePearsonCorrelation = (x, y) => {
-    const n = x.length;
-    if (n === 0) return 0;
-
-    const sumX = x.reduce((a, b) => a + b, 0);
-    const sumY = y.reduce((a, b) => a + b, 0);
-    const sumXY = x.reduce((sum, val, i) => sum + val * y[i], 0);
-    const sumX2 = x.reduce((sum, val) => sum + val * val, 0);
-    const sumY2 = y.reduce((sum, val) => sum + val * val, 0);
+    const sumX = coOccurrence[x][x];
+    const sumY = coOccurrence[y][y];
+    const sumXY = coOccurrence[x][y];
+    const sumX2 = sumX;
+    const sumY2 = sumY;
 
     const numerator = n * sumXY - sumX * sumY;
     const denominator = Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
@@ -515,13 +578,13 @@ function calculateCorrelationScore(allNumbers, excludePeriodNumbers = null, filt
 
   // 計算每個號碼與其他號碼的平均相關性
   const correlations = {};
-  for (let i = 1; i <= 49; i++) {
+  for (let i = 1; i <= game.poolSize; i++) {
     let totalCorrelation = 0;
     let count = 0;
 
-    for (let j = 1; j <= 49; j++) {
+    for (let j = 1; j <= game.poolSize; j++) {
       if (i !== j) {
-        const corr = calculatePearsonCorrelation(appearanceMatrix[i], appearanceMatrix[j]);
+        const corr = calculatePearsonCorrelation(i, j);
         totalCorrelation += Math.abs(corr); // 使用絕對值，因為正負相關都表示有關係
         count++;
 
@@ -549,27 +612,40 @@ function calculateCorrelationScore(allNumbers, excludePeriodNumbers = null, filt
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 熵分析分數
  */
-function calculateEntropyScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
-  const entropyScore = {};
-
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
-    entropyScore[i] = 0;
-  }
-
-  const frequency = calculateFrequency(allNumbers, excludePeriodNumbers, filteredNumbers);
+function calculateEntropyScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
+  const frequency = calculateFrequency(allNumbers, excludePeriodNumbers, filteredNumbers, game);
   // 使用預過濾的數組（如果提供），否則過濾
   const filtered = filteredNumbers || (excludePeriodNumbers
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
   const totalPeriods = filtered.length;
-  const totalNumbers = totalPeriods * 6; // 每期6個號碼
+
+  return scoreEntropy(frequency, totalPeriods, game);
+}
+
+/**
+ * 從號碼頻率計算熵分析分數
+ * @param {Object} frequency - { 號碼: 出現次數 }
+ * @param {number} totalPeriods - 期數
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 熵分析分數
+ */
+function scoreEntropy(frequency, totalPeriods, game) {
+  const entropyScore = {};
+
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
+    entropyScore[i] = 0;
+  }
+
+  const totalNumbers = totalPeriods * game.pickCount; // 每期 pickCount 個號碼
 
   // 計算整體熵（香農熵）
   let overallEntropy = 0;
-  for (let i = 1; i <= 49; i++) {
+  for (let i = 1; i <= game.poolSize; i++) {
     const probability = frequency[i] / totalNumbers;
     if (probability > 0) {
       overallEntropy -= probability * Math.log2(probability);
@@ -579,9 +655,9 @@ function calculateEntropyScore(allNumbers, excludePeriodNumbers = null, filtered
   // 計算每個號碼的熵分數
   // 如果號碼出現頻率接近期望值，熵較高（更隨機）
   // 如果號碼出現頻率偏離期望值，熵較低（可能有模式）
-  const expectedProbability = 6 / 49; // 每個號碼每期出現的期望機率
+  const expectedProbability = game.pickCount / game.poolSize; // 每個號碼每期出現的期望機率
 
-  for (let i = 1; i <= 49; i++) {
+  for (let i = 1; i <= game.poolSize; i++) {
     const probability = frequency[i] / totalNumbers;
     const deviation = Math.abs(probability - expectedProbability);
 
@@ -599,7 +675,7 @@ function calculateEntropyScore(allNumbers, excludePeriodNumbers = null, filtered
   return {
     scores: entropyScore,
     overallEntropy: Math.round(overallEntropy * 100) / 100,
-    maxEntropy: Math.log2(49) // 最大熵（完全均勻分布）
+    maxEntropy: Math.log2(game.poolSize) // 最大熵（完全均勻分布）
   };
 }
 
@@ -608,54 +684,85 @@ function calculateEntropyScore(allNumbers, excludePeriodNumbers = null, filtered
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 馬可夫鏈分數
  */
-function calculateMarkovChainScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
-  const markovScore = {};
-
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
-    markovScore[i] = 0;
-  }
-
+function calculateMarkovChainScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
   // 使用預過濾的數組（如果提供），否則過濾
   const filtered = filteredNumbers || (excludePeriodNumbers
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
 
-  if (filtered.length < 2) {
-    return { scores: markovScore, transitionMatrix: {} };
+  // 建立轉移矩陣：從上一期的號碼轉移到下一期的號碼
+  const { transitionCounts, fromCounts } = createTransitionCounts(game);
+
+  // 計算轉移次數
+  for (let t = 0; t < filtered.length - 1; t++) {
+    countTransitions(transitionCounts, fromCounts, filtered[t], filtered[t + 1], 1);
   }
 
-  // 建立轉移矩陣：從上一期的號碼轉移到下一期的號碼
+  return scoreMarkovChain(transitionCounts, fromCounts, filtered[0], filtered.length, game);
+}
+
+/**
+ * 建立全為 0 的轉移次數
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} { transitionCounts: { 起點: { 終點: 次數 } }, fromCounts: { 起點: 次數 } }
+ */
+function createTransitionCounts(game) {
   const transitionCounts = {};
   const fromCounts = {}; // 記錄每個號碼作為起點的次數
 
-  // 初始化
-  for (let i = 1; i <= 49; i++) {
+  for (let i = 1; i <= game.poolSize; i++) {
     fromCounts[i] = 0;
     transitionCounts[i] = {};
-    for (let j = 1; j <= 49; j++) {
+    for (let j = 1; j <= game.poolSize; j++) {
       transitionCounts[i][j] = 0;
     }
   }
+  return { transitionCounts, fromCounts };
+}
 
-  // 計算轉移次數
-  for (let t = 0; t < filtered.length - 1; t++) {
-    const currentPeriod = filtered[t];
-    const nextPeriod = filtered[t + 1];
-
-    currentPeriod.numbers.forEach(fromNum => {
-      fromCounts[fromNum]++;
-      nextPeriod.numbers.forEach(toNum => {
-        transitionCounts[fromNum][toNum]++;
-      });
+/**
+ * 累計一期轉移到下一期（較舊一期）的轉移次數
+ * @param {Object} transitionCounts - { 起點: { 終點: 次數 } }
+ * @param {Object} fromCounts - { 起點: 次數 }
+ * @param {Object} currentPeriod - 起點的一期
+ * @param {Object} nextPeriod - 終點的一期（currentPeriod 的前一期）
+ * @param {number} delta - 1 為加入，-1 為移除
+ */
+function countTransitions(transitionCounts, fromCounts, currentPeriod, nextPeriod, delta) {
+  currentPeriod.numbers.forEach(fromNum => {
+    fromCounts[fromNum] += delta;
+    nextPeriod.numbers.forEach(toNum => {
+      transitionCounts[fromNum][toNum] += delta;
     });
+  });
+}
+
+/**
+ * 從轉移次數計算馬可夫鏈分數
+ * @param {Object} transitionCounts - { 起點: { 終點: 次數 } }
+ * @param {Object} fromCounts - { 起點: 次數 }
+ * @param {Object} latestPeriod - 最新一期
+ * @param {number} totalPeriods - 期數
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 馬可夫鏈分數
+ */
+function scoreMarkovChain(transitionCounts, fromCounts, latestPeriod, totalPeriods, game) {
+  const markovScore = {};
+
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
+    markovScore[i] = 0;
+  }
+
+  if (totalPeriods < 2) {
+    return { scores: markovScore, transitionMatrix: {} };
   }
 
   // 計算轉移機率並生成分數
   const transitionMatrix = {};
-  const latestPeriod = filtered[0]; // 最新一期
 
   // 基於最新一期的號碼，計算下一期各號碼出現的機率
   latestPeriod.numbers.forEach(fromNum => {
@@ -663,7 +770,7 @@ function calculateMarkovChainScore(allNumbers, excludePeriodNumbers = null, filt
       transitionMatrix[fromNum] = {};
     }
 
-    for (let toNum = 1; toNum <= 49; toNum++) {
+    for (let toNum = 1; toNum <= game.poolSize; toNum++) {
       const count = transitionCounts[fromNum][toNum];
       const total = fromCounts[fromNum];
       const probability = total > 0 ? count / total : 0;
@@ -678,7 +785,7 @@ function calculateMarkovChainScore(allNumbers, excludePeriodNumbers = null, filt
   // 正規化分數
   const maxScore = Math.max(...Object.values(markovScore));
   if (maxScore > 0) {
-    for (let i = 1; i <= 49; i++) {
+    for (let i = 1; i <= game.poolSize; i++) {
       markovScore[i] = (markovScore[i] / maxScore) * 100;
     }
   }
@@ -694,55 +801,80 @@ function calculateMarkovChainScore(allNumbers, excludePeriodNumbers = null, filt
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 組合數學分數
  */
-function calculateCombinatorialScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
-  const combinatorialScore = {};
-
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
-    combinatorialScore[i] = 0;
-  }
-
+function calculateCombinatorialScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
   // 使用預過濾的數組（如果提供），否則過濾
   const filtered = filteredNumbers || (excludePeriodNumbers
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
 
-  if (filtered.length === 0) {
-    return { scores: combinatorialScore, patterns: {} };
+  // 分析歷史組合的數學特性
+  const combinations = { sumFrequency: {}, diffFrequency: {}, consecutivePairs: {} };
+  const view = windowFor(filtered, game);
+  for (let index = 0; index < filtered.length; index++) {
+    countCombinations(combinations, view.sortedNumbers(index), 1);
   }
 
-  // 分析歷史組合的數學特性
-  const sumFrequency = {}; // 號碼和的分佈
-  const diffFrequency = {}; // 號碼差的分佈
-  const productFrequency = {}; // 號碼積的分佈（簡化，只考慮小值）
-  const consecutivePairs = {}; // 連續號碼對的頻率
-
-  filtered.forEach(period => {
-    const sorted = [...period.numbers].sort((a, b) => a - b);
-
-    // 計算和、差、積
-    const sum = sorted.reduce((a, b) => a + b, 0);
-    sumFrequency[sum] = (sumFrequency[sum] || 0) + 1;
-
-    // 計算相鄰號碼的差
-    for (let i = 0; i < sorted.length - 1; i++) {
-      const diff = sorted[i + 1] - sorted[i];
-      diffFrequency[diff] = (diffFrequency[diff] || 0) + 1;
-
-      // 記錄連續號碼對
-      if (diff === 1) {
-        const pair = `${sorted[i]}-${sorted[i + 1]}`;
-        consecutivePairs[pair] = (consecutivePairs[pair] || 0) + 1;
-      }
+  return scoreCombinatorial(combinations, filtered.length > 0 ? view.sortedNumbers(0) : null, filtered.length, game);
+}
+
+/**
+ * 累計一期的和值、相鄰差值及連續號碼對
+ * @param {Object} combinations - { sumFrequency: 號碼和的分佈, diffFrequency: 號碼差的分佈, consecutivePairs: 連續號碼對的頻率 }
+ * @param {Array<number>} sorted - 該期由小到大排列的號碼
+ * @param {number} delta - 1 為加入，-1 為移除（次數減為 0 時刪除該鍵，與沒有累計過相同）
+ */
+function countCombinations(combinations, sorted, delta) {
+  const { sumFrequency, diffFrequency, consecutivePairs } = combinations;
+  const count = (frequency, key) => {
+    frequency[key] = (frequency[key] || 0) + delta;
+    if (frequency[key] === 0) {
+      delete frequency[key];
     }
-  });
+  };
+
+  // 計算和
+  count(sumFrequency, sorted.reduce((a, b) => a + b, 0));
+
+  // 計算相鄰號碼的差
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const diff = sorted[i + 1] - sorted[i];
+    count(diffFrequency, diff);
+
+    // 記錄連續號碼對
+    if (diff === 1) {
+      count(consecutivePairs, `${sorted[i]}-${sorted[i + 1]}`);
+    }
+  }
+}
+
+/**
+ * 從歷史組合的和值、差值及連續號碼對計算組合數學分數
+ * @param {Object} combinations - countCombinations 累計的 { sumFrequency, diffFrequency, consecutivePairs }
+ * @param {Array<number>|null} latestSorted - 最新一期由小到大排列的號碼（沒有資料時為 null）
+ * @param {number} totalPeriods - 期數
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 組合數學分數
+ */
+function scoreCombinatorial(combinations, latestSorted, totalPeriods, game) {
+  const { sumFrequency, diffFrequency, consecutivePairs } = combinations;
+  const combinatorialScore = {};
+
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
+    combinatorialScore[i] = 0;
+  }
+
+  if (totalPeriods === 0) {
+    return { scores: combinatorialScore, patterns: {} };
+  }
 
   // 計算平均和、平均差
   const avgSum = Object.keys(sumFrequency).reduce((sum, key) => {
     return sum + parseInt(key) * sumFrequency[key];
-  }, 0) / filtered.length;
+  }, 0) / totalPeriods;
 
   const totalDiffs = Object.values(diffFrequency).reduce((a, b) => a + b, 0);
   const avgDiff = totalDiffs > 0
@@ -752,18 +884,16 @@ function calculateCombinatorialScore(allNumbers, excludePeriodNumbers = null, fi
     : 0;
 
   // 分析最新一期的組合特性
-  const latestPeriod = filtered[0];
-  const latestSorted = [...latestPeriod.numbers].sort((a, b) => a - b);
   const latestSum = latestSorted.reduce((a, b) => a + b, 0);
   const latestAvg = latestSum / latestSorted.length;
 
   // 計算每個號碼的分數
-  for (let i = 1; i <= 49; i++) {
+  for (let i = 1; i <= game.poolSize; i++) {
     let score = 0;
 
     // 1. 如果加入該號碼後，總和接近歷史平均，給予加分
     const potentialSum = latestSum + i;
-    const potentialAvg = potentialSum / 7; // 假設下一期有7個號碼（6個+這個）
+    const potentialAvg = potentialSum / (latestSorted.length + 1); // 最新一期的號碼加上這個號碼
     const sumDeviation = Math.abs(potentialAvg - avgSum);
     if (sumDeviation < 5) {
       score += (5 - sumDeviation) * 10;
@@ -772,7 +902,7 @@ function calculateCombinatorialScore(allNumbers, excludePeriodNumbers = null, fi
     // 2. 如果該號碼與最新期的號碼形成常見的差值，給予加分
     latestSorted.forEach(num => {
       const diff = Math.abs(i - num);
-      if (diffFrequency[diff] && diffFrequency[diff] > filtered.length * 0.1) {
+      if (diffFrequency[diff] && diffFrequency[diff] > totalPeriods * 0.1) {
         score += 15;
       }
     });
@@ -781,7 +911,7 @@ function calculateCombinatorialScore(allNumbers, excludePeriodNumbers = null, fi
     latestSorted.forEach(num => {
       if (Math.abs(i - num) === 1) {
         const pair = i < num ? `${i}-${num}` : `${num}-${i}`;
-        if (consecutivePairs[pair] && consecutivePairs[pair] > filtered.length * 0.05) {
+        if (consecutivePairs[pair] && consecutivePairs[pair] > totalPeriods * 0.05) {
           score += 20;
         }
       }
@@ -789,7 +919,7 @@ function calculateCombinatorialScore(allNumbers, excludePeriodNumbers = null, fi
 
     // 4. 如果該號碼在常見的和值範圍內，給予加分
     const commonSums = Object.keys(sumFrequency)
-      .filter(key => sumFrequency[key] > filtered.length * 0.1)
+      .filter(key => sumFrequency[key] > totalPeriods * 0.1)
       .map(key => parseInt(key));
 
     if (commonSums.length > 0) {
@@ -812,7 +942,7 @@ function calculateCombinatorialScore(allNumbers, excludePeriodNumbers = null, fi
       avgSum: Math.round(avgSum * 100) / 100,
       avgDiff: Math.round(avgDiff * 100) / 100,
       commonSums: Object.keys(sumFrequency)
-        .filter(key => sumFrequency[key] > filtered.length * 0.1)
+        .filter(key => sumFrequency[key] > totalPeriods * 0.1)
         .map(key => parseInt(key))
         .sort((a, b) => sumFrequency[b] - sumFrequency[a])
         .slice(0, 10)
@@ -823,7 +953,7 @@ function calculateCombinatorialScore(allNumbers, excludePeriodNumbers = null, fi
 /**
  * 計算加權移動平均分數
  * 使用過去N期的加權值預測未來值，較近期的值權重較高
- * @param {Array<number>} appearances - 號碼出現序列（每期是否出現：1或0）
+ * @param {Array<number>|Uint8Array} appearances - 號碼出現序列（每期是否出現：1或0）
  * @param {number} order - 移動平均階數
  * @returns {number} 正規化後的預測值（0-1範圍）
  */
@@ -850,35 +980,47 @@ function calculateWeightedRecentScore(appearances, order) {
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @param {number} order - 移動平均階數，預設為3
  * @returns {Object} 加權移動平均分析分數
  */
-function calculateAutoregressiveScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, order = 3) {
-  const weightedRecentScore = {};
-
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
-    weightedRecentScore[i] = 0;
-  }
-
+function calculateAutoregressiveScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME, order = 3) {
   // 使用預過濾的數組（如果提供），否則過濾
   const filtered = filteredNumbers || (excludePeriodNumbers
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
 
-  if (filtered.length < order + 1) {
+  const view = windowFor(filtered, game);
+  return scoreAutoregressive(num => view.appearances(num), filtered.length, game, order);
+}
+
+/**
+ * 從每個號碼的出現序列計算加權移動平均分析分數
+ * calculateWeightedRecentScore 只讀取出現序列最後 order 期，appearancesOf 可只返回最後 order 期
+ * @param {Function} appearancesOf - (號碼) => 出現序列（每期是否出現：1或0，由新至舊）
+ * @param {number} totalPeriods - 期數
+ * @param {Object} game - 遊戲定義
+ * @param {number} order - 移動平均階數
+ * @returns {Object} 加權移動平均分析分數
+ */
+function scoreAutoregressive(appearancesOf, totalPeriods, game, order) {
+  const weightedRecentScore = {};
+
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
+    weightedRecentScore[i] = 0;
+  }
+
+  if (totalPeriods < order + 1) {
     return { scores: weightedRecentScore, coefficients: {}, predictions: {} };
   }
 
   // 對每個號碼計算加權移動平均
   const predictions = {};
 
-  for (let num = 1; num <= 49; num++) {
-    // 建立出現序列（每期是否出現：1或0）
-    const appearances = [];
-    for (let i = 0; i < filtered.length; i++) {
-      appearances.push(filtered[i].numbers.includes(num) ? 1 : 0);
-    }
+  for (let num = 1; num <= game.poolSize; num++) {
+    // 出現序列（每期是否出現：1或0）
+    const appearances = appearancesOf(num);
 
     if (appearances.length >= order) {
       predictions[num] = calculateWeightedRecentScore(appearances, order);
@@ -898,67 +1040,78 @@ function calculateAutoregressiveScore(allNumbers, excludePeriodNumbers = null, f
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 生存分析分數
  */
-function calculateSurvivalAnalysisScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
-  const survivalScore = {};
-
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
-    survivalScore[i] = 0;
-  }
-
+function calculateSurvivalAnalysisScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
   // 使用預過濾的數組（如果提供），否則過濾
   const filtered = filteredNumbers || (excludePeriodNumbers
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
 
-  if (filtered.length < 2) {
-    return { scores: survivalScore, survivalTimes: {}, hazardRates: {} };
-  }
-
   // 計算每個號碼的生存時間（未出現的連續期數）
   const survivalTimes = {}; // 記錄每次「存活」的時間長度
   const lastAppearance = {}; // 記錄最後一次出現的位置
 
   // 初始化
-  for (let i = 1; i <= 49; i++) {
+  for (let i = 1; i <= game.poolSize; i++) {
     survivalTimes[i] = [];
     lastAppearance[i] = -1;
   }
 
-  // 從最新到最舊遍歷
-  for (let i = 0; i < filtered.length; i++) {
-    const period = filtered[i];
-    for (let num = 1; num <= 49; num++) {
-      if (period.numbers.includes(num)) {
-        // 如果之前有記錄最後出現位置，計算生存時間
-        if (lastAppearance[num] >= 0) {
-          const survivalTime = i - lastAppearance[num];
-          survivalTimes[num].push(survivalTime);
-        }
-        lastAppearance[num] = i;
+  // 從最新到最舊遍歷每個號碼的出現位置
+  const view = windowFor(filtered, game);
+  for (let num = 1; num <= game.poolSize; num++) {
+    view.positions(num).forEach(i => {
+      // 如果之前有記錄最後出現位置，計算生存時間
+      if (lastAppearance[num] >= 0) {
+        const survivalTime = i - lastAppearance[num];
+        survivalTimes[num].push(survivalTime);
       }
-    }
+      lastAppearance[num] = i;
+    });
+  }
+
+  return scoreSurvival(survivalTimes, lastAppearance, filtered.length, game);
+}
+
+/**
+ * 從每個號碼的生存時間計算生存分析分數
+ * @param {Object} survivalTimes - { 號碼: 每次「存活」的期數（由新至舊） }
+ * @param {Object} lastAppearance - { 號碼: 最早一次出現的位置（沒有出現過為 -1） }
+ * @param {number} totalPeriods - 期數
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 生存分析分數
+ */
+function scoreSurvival(survivalTimes, lastAppearance, totalPeriods, game) {
+  const survivalScore = {};
+
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
+    survivalScore[i] = 0;
+  }
+
+  if (totalPeriods < 2) {
+    return { scores: survivalScore, survivalTimes: {}, hazardRates: {} };
   }
 
   // 計算當前生存時間（距離最後一次出現的期數）
   const currentSurvivalTime = {};
-  for (let num = 1; num <= 49; num++) {
+  for (let num = 1; num <= game.poolSize; num++) {
     if (lastAppearance[num] >= 0) {
       currentSurvivalTime[num] = lastAppearance[num];
     } else {
-      currentSurvivalTime[num] = filtered.length; // 從未出現
+      currentSurvivalTime[num] = totalPeriods; // 從未出現
     }
   }
 
   // 計算危險率（hazard rate）：在給定時間t，號碼在下一期出現的條件機率
   const hazardRates = {};
-  for (let num = 1; num <= 49; num++) {
+  for (let num = 1; num <= game.poolSize; num++) {
     const times = survivalTimes[num];
     if (times.length === 0) {
       // 如果從未出現過，使用平均生存時間
-      const avgSurvivalTime = filtered.length / 2;
+      const avgSurvivalTime = totalPeriods / 2;
       hazardRates[num] = 1 / (avgSurvivalTime + 1);
     } else {
       // 計算平均生存時間
@@ -991,70 +1144,74 @@ function calculateSurvivalAnalysisScore(allNumbers, excludePeriodNumbers = null,
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 極值理論分數
  */
-function calculateExtremeValueScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
-  const extremeScore = {};
-
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
-    extremeScore[i] = 0;
-  }
-
+function calculateExtremeValueScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
   // 使用預過濾的數組（如果提供），否則過濾
   const filtered = filteredNumbers || (excludePeriodNumbers
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
 
-  if (filtered.length < 10) {
-    return { scores: extremeScore, extremeGaps: {}, returnLevels: {} };
+  // 計算每個號碼的間隔次數、間隔總和及最大間隔（極值）
+  const gapStats = {};
+  const view = windowFor(filtered, game);
+  for (let num = 1; num <= game.poolSize; num++) {
+    const positions = view.positions(num);
+    const stats = { count: 0, sum: 0, max: 0, last: -1 };
+    positions.forEach(i => {
+      if (stats.last >= 0) {
+        const gap = i - stats.last;
+        stats.count++;
+        stats.sum += gap;
+        stats.max = Math.max(stats.max, gap);
+      }
+      stats.last = i;
+    });
+    gapStats[num] = stats;
   }
 
-  // 計算每個號碼的最大間隔（極值）
-  const gaps = {}; // 記錄所有間隔
-  const maxGaps = {}; // 記錄最大間隔
-  const lastAppearance = {}; // 記錄最後一次出現的位置
+  return scoreExtremeValue(gapStats, filtered.length, game);
+}
 
-  // 初始化
-  for (let i = 1; i <= 49; i++) {
-    gaps[i] = [];
-    maxGaps[i] = 0;
-    lastAppearance[i] = -1;
+/**
+ * 從每個號碼的間隔統計計算極值理論分數
+ * @param {Object} gapStats - { 號碼: { count: 間隔次數, sum: 間隔總和, max: 最大間隔, last: 最早一次出現的位置（沒有出現過為 -1） } }
+ * @param {number} totalPeriods - 期數
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 極值理論分數
+ */
+function scoreExtremeValue(gapStats, totalPeriods, game) {
+  const extremeScore = {};
+
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
+    extremeScore[i] = 0;
   }
 
-  // 計算間隔
-  for (let i = 0; i < filtered.length; i++) {
-    const period = filtered[i];
-    for (let num = 1; num <= 49; num++) {
-      if (period.numbers.includes(num)) {
-        if (lastAppearance[num] >= 0) {
-          const gap = i - lastAppearance[num];
-          gaps[num].push(gap);
-          maxGaps[num] = Math.max(maxGaps[num], gap);
-        }
-        lastAppearance[num] = i;
-      }
-    }
+  if (totalPeriods < 10) {
+    return { scores: extremeScore, extremeGaps: {}, returnLevels: {} };
   }
 
-  // 計算當前間隔
+  // 最大間隔及當前間隔
+  const maxGaps = {};
   const currentGaps = {};
-  for (let num = 1; num <= 49; num++) {
-    if (lastAppearance[num] >= 0) {
-      currentGaps[num] = lastAppearance[num];
+  for (let num = 1; num <= game.poolSize; num++) {
+    maxGaps[num] = gapStats[num].max;
+    if (gapStats[num].last >= 0) {
+      currentGaps[num] = gapStats[num].last;
     } else {
-      currentGaps[num] = filtered.length; // 從未出現
+      currentGaps[num] = totalPeriods; // 從未出現
     }
   }
 
   // 使用廣義極值分布 (GEV) 的簡化模型
   // 計算回歸水平（return level）：在給定時間內，極值超過某個閾值的機率
   const returnLevels = {};
-  for (let num = 1; num <= 49; num++) {
-    const gapList = gaps[num];
-    if (gapList.length === 0) {
+  for (let num = 1; num <= game.poolSize; num++) {
+    if (gapStats[num].count === 0) {
       // 從未出現，使用極值理論預測
-      const expectedGap = filtered.length / 49; // 期望間隔
+      const expectedGap = totalPeriods / game.poolSize; // 期望間隔
       const extremeThreshold = expectedGap * 2; // 極值閾值
       const currentGap = currentGaps[num];
 
@@ -1068,8 +1225,7 @@ function calculateExtremeValueScore(allNumbers, excludePeriodNumbers = null, fil
       }
     } else {
       // 計算統計量
-      const sortedGaps = [...gapList].sort((a, b) => a - b);
-      const meanGap = gapList.reduce((a, b) => a + b, 0) / gapList.length;
+      const meanGap = gapStats[num].sum / gapStats[num].count;
       const maxGap = maxGaps[num];
       const currentGap = currentGaps[num];
 
@@ -1102,54 +1258,53 @@ function calculateExtremeValueScore(allNumbers, excludePeriodNumbers = null, fil
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
- * @param {number} numClusters - 聚類數量，預設為7（接近每期號碼數）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
+ * @param {number} numClusters - 可選，聚類數量，預設為每期號碼數加一（六合彩為7）
  * @returns {Object} 聚類分析分數
  */
-function calculateClusterAnalysisScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, numClusters = 7) {
-  const clusterScore = {};
-
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
-    clusterScore[i] = 0;
-  }
-
+function calculateClusterAnalysisScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME, numClusters = game.pickCount + 1) {
   // 使用預過濾的數組（如果提供），否則過濾
   const filtered = filteredNumbers || (excludePeriodNumbers
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
 
-  if (filtered.length < numClusters) {
-    return { scores: clusterScore, clusters: {}, clusterCenters: {} };
+  return scoreClusters(windowFor(filtered, game).coOccurrence(), filtered[0], filtered.length, game, numClusters);
+}
+
+/**
+ * 從號碼兩兩同期出現的期數計算聚類分析分數
+ * 號碼出現模式向量（每期是否出現：1或0）只有 0 和 1，
+ * 內積即兩個號碼同期出現的期數，向量長度的平方即出現期數
+ * @param {Array<Int32Array>} coOccurrence - 兩兩同期出現的期數（對角線為出現期數）
+ * @param {Object} latestPeriod - 最新一期
+ * @param {number} totalPeriods - 期數
+ * @param {Object} game - 遊戲定義
+ * @param {number} numClusters - 聚類數量
+ * @returns {Object} 聚類分析分數
+ */
+function scoreClusters(coOccurrence, latestPeriod, totalPeriods, game, numClusters) {
+  const clusterScore = {};
+
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
+    clusterScore[i] = 0;
   }
 
-  // 建立號碼出現模式向量（每期是否出現）
-  const appearanceVectors = {};
-  for (let num = 1; num <= 49; num++) {
-    appearanceVectors[num] = [];
-    for (let i = 0; i < filtered.length; i++) {
-      appearanceVectors[num].push(filtered[i].numbers.includes(num) ? 1 : 0);
-    }
+  if (totalPeriods < numClusters) {
+    return { scores: clusterScore, clusters: {}, clusterCenters: {} };
   }
 
   // 計算號碼之間的相似度（使用餘弦相似度）
   const similarityMatrix = {};
-  for (let i = 1; i <= 49; i++) {
+  for (let i = 1; i <= game.poolSize; i++) {
     similarityMatrix[i] = {};
-    for (let j = 1; j <= 49; j++) {
+    for (let j = 1; j <= game.poolSize; j++) {
       if (i === j) {
         similarityMatrix[i][j] = 1;
       } else {
-        const vec1 = appearanceVectors[i];
-        const vec2 = appearanceVectors[j];
-        let dotProduct = 0;
-        let norm1 = 0;
-        let norm2 = 0;
-
-        for (let k = 0; k < vec1.length; k++) {
-          dotProduct += vec1[k] * vec2[k];
-          norm1 += vec1[k] * vec1[k];
-          norm2 += vec2[k] * vec2[k];
-        }
+        const dotProduct = coOccurrence[i][j];
+        const norm1 = coOccurrence[i][i];
+        const norm2 = coOccurrence[j][j];
 
         const similarity = (norm1 > 0 && norm2 > 0)
           ? dotProduct / (Math.sqrt(norm1) * Math.sqrt(norm2))
@@ -1167,8 +1322,8 @@ function calculateClusterAnalysisScore(allNumbers, excludePeriodNumbers = null,
   // 選擇第一個中心：使用頻率最高的號碼
   let firstCenter = 1;
   let maxFreq = 0;
-  for (let num = 1; num <= 49; num++) {
-    const freq = appearanceVectors[num].reduce((a, b) => a + b, 0);
+  for (let num = 1; num <= game.poolSize; num++) {
+    const freq = coOccurrence[num][num];
     if (freq > maxFreq) {
       maxFreq = freq;
       firstCenter = num;
@@ -1178,11 +1333,11 @@ function calculateClusterAnalysisScore(allNumbers, excludePeriodNumbers = null,
   used.add(firstCenter);
 
   // 選擇其他中心（選擇與已選中心相似度較低的號碼）
-  while (clusterCenters.length < numClusters && used.size < 49) {
+  while (clusterCenters.length < numClusters && used.size < game.poolSize) {
     let bestCandidate = null;
     let minSimilarity = Infinity;
 
-    for (let num = 1; num <= 49; num++) {
+    for (let num = 1; num <= game.poolSize; num++) {
       if (!used.has(num)) {
         let maxSimilarityToCenters = 0;
         for (const center of clusterCenters) {
@@ -1210,7 +1365,7 @@ function calculateClusterAnalysisScore(allNumbers, excludePeriodNumbers = null,
     clusters[idx] = [center];
   });
 
-  for (let num = 1; num <= 49; num++) {
+  for (let num = 1; num <= game.poolSize; num++) {
     if (!used.has(num)) {
       let bestCluster = 0;
       let maxSimilarity = -1;
@@ -1228,7 +1383,6 @@ function calculateClusterAnalysisScore(allNumbers, excludePeriodNumbers = null,
   }
 
   // 分析最新一期的號碼屬於哪些聚類
-  const latestPeriod = filtered[0];
   const latestNumbers = latestPeriod.numbers;
   const clusterFrequencies = {}; // 每個聚類在最新一期出現的號碼數
 
@@ -1253,7 +1407,7 @@ function calculateClusterAnalysisScore(allNumbers, excludePeriodNumbers = null,
 
   // 計算每個號碼的分數
   // 如果號碼所在的聚類在最新一期出現較多，該聚類的其他號碼可能也會出現
-  for (let num = 1; num <= 49; num++) {
+  for (let num = 1; num <= game.poolSize; num++) {
     let score = 0;
 
     // 找到號碼所屬的聚類
@@ -1288,39 +1442,22 @@ function calculateClusterAnalysisScore(allNumbers, excludePeriodNumbers = null,
 
 /**
  * 計算號碼球排列方式分數（基於號碼範圍分佈）
- * 將1-49分成5個範圍：1-10, 11-20, 21-30, 31-40, 41-49
+ * 將號碼池平均分成5個範圍（六合彩為 1-10, 11-20, 21-30, 31-40, 41-49）
  * 統計實際號碼的分佈，命中號碼最多的範圍裡的號碼就是高機率
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍及每期號碼數量
  * @returns {Object} 號碼範圍分數
  */
-function calculateNumberRangeScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
-  const rangeScore = {};
-
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
-    rangeScore[i] = 0;
-  }
-
-  // 定義5個號碼範圍
-  const ranges = [
-    { min: 1, max: 10, id: 0 },
-    { min: 11, max: 20, id: 1 },
-    { min: 21, max: 30, id: 2 },
-    { min: 31, max: 40, id: 3 },
-    { min: 41, max: 49, id: 4 }
-  ];
+function calculateNumberRangeScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
+  const ranges = createNumberRanges(game);
 
   // 使用預過濾的數組（如果提供），否則過濾
   const filtered = filteredNumbers || (excludePeriodNumbers
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
 
-  if (filtered.length === 0) {
-    return { scores: rangeScore, rangeHits: {}, rangeStatistics: {} };
-  }
-
   // 統計每個範圍在每期的命中次數
   const rangeHits = {}; // 記錄每期每個範圍的命中數
   const rangeTotalHits = {}; // 記錄每個範圍的總命中數
@@ -1332,30 +1469,83 @@ function calculateNumberRangeScore(allNumbers, excludePeriodNumbers = null, filt
 
   // 統計每期的範圍分佈
   filtered.forEach((period, periodIndex) => {
-    const periodRangeHits = {};
+    const periodRangeHits = countRangeHits(period, ranges, game);
     ranges.forEach(range => {
-      periodRangeHits[range.id] = 0;
-    });
-
-    // 統計該期每個範圍的命中數
-    period.numbers.forEach(num => {
-      if (num >= 1 && num <= 49) {
-        for (const range of ranges) {
-          if (num >= range.min && num <= range.max) {
-            periodRangeHits[range.id]++;
-            rangeTotalHits[range.id]++;
-            break;
-          }
-        }
-      }
+      rangeTotalHits[range.id] += periodRangeHits[range.id];
     });
 
     // Consider: use `period.periodNumber` (or `period.date`) instead of index for easier debugging/UI mapping
     rangeHits[periodIndex] = periodRangeHits;
   });
 
+  return scoreNumberRanges(ranges, rangeHits, rangeTotalHits, filtered.length, game);
+}
+
+/**
+ * 定義5個號碼範圍（最後一個範圍到號碼池上限為止）
+ * @param {Object} game - 遊戲定義
+ * @returns {Array<Object>} 每個範圍的 { min, max, id }
+ */
+function createNumberRanges(game) {
+  const rangeSize = Math.ceil(game.poolSize / 5);
+  return Array.from({ length: 5 }, (_, id) => ({
+    min: id * rangeSize + 1,
+    max: Math.min((id + 1) * rangeSize, game.poolSize),
+    id
+  }));
+}
+
+/**
+ * 統計一期每個範圍的命中數
+ * @param {Object} period - 該期的 { numbers, ... }
+ * @param {Array<Object>} ranges - createNumberRanges 的結果
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} { 範圍 ID: 命中數 }
+ */
+function countRangeHits(period, ranges, game) {
+  const periodRangeHits = {};
+  ranges.forEach(range => {
+    periodRangeHits[range.id] = 0;
+  });
+
+  // 統計該期每個範圍的命中數
+  period.numbers.forEach(num => {
+    if (num >= 1 && num <= game.poolSize) {
+      for (const range of ranges) {
+        if (num >= range.min && num <= range.max) {
+          periodRangeHits[range.id]++;
+          break;
+        }
+      }
+    }
+  });
+
+  return periodRangeHits;
+}
+
+/**
+ * 從每期的範圍命中數計算號碼範圍分數
+ * @param {Array<Object>} ranges - createNumberRanges 的結果
+ * @param {Object} rangeHits - { 位置: { 範圍 ID: 命中數 } }（最新一期為 0）
+ * @param {Object} rangeTotalHits - { 範圍 ID: 總命中數 }
+ * @param {number} totalPeriods - 期數
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 號碼範圍分數
+ */
+function scoreNumberRanges(ranges, rangeHits, rangeTotalHits, totalPeriods, game) {
+  const rangeScore = {};
+
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
+    rangeScore[i] = 0;
+  }
+
+  if (totalPeriods === 0) {
+    return { scores: rangeScore, rangeHits: {}, rangeStatistics: {} };
+  }
+
   // 計算每個範圍的平均命中數和最近N期的命中趨勢
-  const recentPeriods = Math.min(20, filtered.length); // 分析最近20期
+  const recentPeriods = Math.min(20, totalPeriods); // 分析最近20期
   const recentRangeHits = {}; // 最近N期每個範圍的命中數
   const recentRangeMaxHits = {}; // 最近N期每個範圍的最大單期命中數
 
@@ -1397,7 +1587,7 @@ function calculateNumberRangeScore(allNumbers, excludePeriodNumbers = null, filt
 
   // 計算每個號碼的分數
   // 如果號碼屬於高機率範圍，給予高分
-  for (let num = 1; num <= 49; num++) {
+  for (let num = 1; num <= game.poolSize; num++) {
     for (const range of ranges) {
       if (num >= range.min && num <= range.max) {
         if (maxScore > 0) {
@@ -1426,7 +1616,7 @@ function calculateNumberRangeScore(allNumbers, excludePeriodNumbers = null, filt
     rangeStatistics[range.id] = {
       range: `${range.min}-${range.max}`,
       totalHits: rangeTotalHits[range.id],
-      averageHitsPerPeriod: Math.round((rangeTotalHits[range.id] / filtered.length) * 100) / 100,
+      averageHitsPerPeriod: Math.round((rangeTotalHits[range.id] / totalPeriods) * 100) / 100,
       recentAverageHits: Math.round((recentRangeHits[range.id] / recentPeriods) * 100) / 100,
       recentMaxHits: recentRangeMaxHits[range.id],
       score: Math.round(rangeScores[range.id] * 100) / 100,
@@ -1459,5 +1649,26 @@ module.exports = {
   calculateSurvivalAnalysisScore,
   calculateExtremeValueScore,
   calculateClusterAnalysisScore,
-  calculateNumberRangeScore
+  calculateNumberRangeScore,
+  // 逐期累計狀態（rollingCalculators.js）使用的統計及分數計算
+  scoreGaps,
+  distributionFeaturesFromFrequency,
+  scoreDistribution,
+  scoreTrend,
+  scoreChiSquare,
+  scorePoisson,
+  scoreCorrelation,
+  scoreEntropy,
+  createTransitionCounts,
+  countTransitions,
+  scoreMarkovChain,
+  countCombinations,
+  scoreCombinatorial,
+  scoreAutoregressive,
+  scoreSurvival,
+  scoreExtremeValue,
+  scoreClusters,
+  createNumberRanges,
+  countRangeHits,
+  scoreNumberRanges
 };
@@ -0,0 +1,64 @@
+/**
+ * 資料來源抓取狀態
+ * 用於區分「該年份沒有資料」與「抓取失敗」
+ */
+
+const FETCH_STATUS = {
+  OK: 'ok',
+  EMPTY: 'empty',
+  HTTP_ERROR: 'httpError',
+  PARSE_ERROR: 'parseError',
+  LAYOUT_CHANGED: 'layoutChanged',
+  ERROR: 'error'
+};
+
+/**
+ * 建立帶有抓取狀態的錯誤（資料來源在解析失敗或頁面結構改變時拋出）
+ * @param {string} status - FETCH_STATUS 之一
+ * @param {string} message - 錯誤訊息
+ * @returns {Error} 帶有 fetchStatus 標記的錯誤
+ */
+function createFetchError(status, message) {
+  const error = new Error(message);
+  error.fetchStatus = status;
+  return error;
+}
+
+/**
+ * 判斷錯誤屬於哪種抓取狀態，以及是否值得重試
+ * @param {Error} error - 資料來源拋出的錯誤
+ * @returns {Object} { status, message, retryable, httpStatus? }
+ */
+function classifyFetchError(error) {
+  if (error.fetchStatus) {
+    return { status: error.fetchStatus, message: error.message, retryable: false };
+  }
+
+  // replay 模式找不到 fixture，視為 404 但保留原本的訊息
+  if (error.fixtureMissing) {
+    return { status: FETCH_STATUS.HTTP_ERROR, message: error.message, retryable: false, httpStatus: 404 };
+  }
+
+  // axios 錯誤：沒有回應（網路問題、逾時）或伺服器錯誤 / 限流時重試，其他 4xx 不重試
+  if (error.isAxiosError || error.response || error.request) {
+    const httpStatus = error.response ? error.response.status : undefined;
+    return {
+      status: FETCH_STATUS.HTTP_ERROR,
+      message: httpStatus ? `HTTP ${httpStatus}` : (error.code || error.message),
+      retryable: !httpStatus || httpStatus >= 500 || httpStatus === 429,
+      ...(httpStatus ? { httpStatus } : {})
+    };
+  }
+
+  if (error instanceof SyntaxError) {
+    return { status: FETCH_STATUS.PARSE_ERROR, message: error.message, retryable: false };
+  }
+
+  return { status: FETCH_STATUS.ERROR, message: error.message, retryable: false };
+}
+
+module.exports = {
+  FETCH_STATUS,
+  createFetchError,
+  classifyFetchError
+};
@@ -0,0 +1,150 @@
+/**
+ * 攪珠結果資料來源
+ * 每個來源提供 { name, parserVersion, isConfigured(), fetchYear(year) }，依 DATA_SOURCES 設定的順序嘗試，
+ * 某個來源失敗或該年份沒有資料時改用下一個來源
+ * fetchYear 返回的每筆結果可附上 raw: { url, row, fetchedAt }，lotteryService 據此產生 provenance
+ */
+
+const lotteryHk = require('./lotteryHk');
+const localFile = require('./localFile');
+const jsonFeed = require('./jsonFeed');
+const stub = require('./stub');
+const { FETCH_STATUS, classifyFetchError } = require('./fetchStatus');
+
+// 所有可用的資料來源
+const SOURCES = {
+  [lotteryHk.name]: lotteryHk,
+  [localFile.name]: localFile,
+  [jsonFeed.name]: jsonFeed,
+  [stub.name]: stub
+};
+
+// 預設順序不包含 stub，離線測試時以 DATA_SOURCES=stub 明確啟用
+const DEFAULT_ORDER = [lotteryHk.name, localFile.name, jsonFeed.name];
+
+// HTTP 錯誤的重試次數及第一次重試前的等待時間（之後每次加倍）
+const FETCH_RETRIES = parseInt(process.env.FETCH_RETRIES, 10) >= 0 ? parseInt(process.env.FETCH_RETRIES, 10) : 2;
+const FETCH_RETRY_BASE_MS = parseInt(process.env.FETCH_RETRY_BASE_MS, 10) >= 0 ? parseInt(process.env.FETCH_RETRY_BASE_MS, 10) : 500;
+
+/**
+ * 取得資料來源的嘗試順序（未設定的來源會被略過）
+ * @returns {Array<Object>} 資料來源陣列
+ */
+function getSourceChain() {
+  const order = process.env.DATA_SOURCES
+    ? process.env.DATA_SOURCES.split(',').map(item => item.trim()).filter(Boolean)
+    : DEFAULT_ORDER;
+
+  return order
+    .map(sourceName => {
+      if (!SOURCES[sourceName]) {
+        console.warn(`未知的資料來源: ${sourceName}（可用: ${Object.keys(SOURCES).join(', ')}）`);
+        return null;
+      }
+      return SOURCES[sourceName];
+    })
+    .filter(source => source && source.isConfigured());
+}
+
+/**
+ * 等待指定毫秒
+ * @param {number} ms - 毫秒
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 從單一來源抓取年份資料，HTTP 錯誤時以指數退避重試
+ * @param {Object} source - 資料來源
+ * @param {number} year - 年份
+ * @param {Object} options - 傳給資料來源的選項（例如 refresh）
+ * @returns {Promise<Object>} { source, status, count, retries, draws, message?, httpStatus? }
+ */
+async function fetchYearFromSource(source, year, options) {
+  let retries = 0;
+
+  while (true) {
+    try {
+      const draws = await source.fetchYear(year, options);
+      return {
+        source: source.name,
+        status: draws.length > 0 ? FETCH_STATUS.OK : FETCH_STATUS.EMPTY,
+        count: draws.length,
+        retries,
+        draws
+      };
+    } catch (error) {
+      const failure = classifyFetchError(error);
+
+      if (failure.retryable && retries < FETCH_RETRIES) {
+        const wait = FETCH_RETRY_BASE_MS * Math.pow(2, retries);
+        retries++;
+        console.warn(`資料來源 ${source.name} 抓取年份 ${year} 失敗（${failure.message}），${wait}ms 後第 ${retries} 次重試`);
+        await delay(wait);
+        continue;
+      }
+
+      console.error(`資料來源 ${source.name} 抓取年份 ${year} 失敗 [${failure.status}]:`, failure.message);
+      return {
+        source: source.name,
+        status: failure.status,
+        count: 0,
+        retries,
+        message: failure.message,
+        ...(failure.httpStatus ? { httpStatus: failure.httpStatus } : {}),
+        draws: []
+      };
+    }
+  }
+}
+
+/**
+ * 依序嘗試各資料來源，取得單一年份的攪珠結果
+ * @param {number} year - 年份
+ * @param {Object} options - 選項
+ * @param {boolean} options.refresh - 忽略 HTTP 快取時間，強制重新驗證
+ * @returns {Promise<Object>} {
+ *   year, status: ok/empty/httpError/parseError/layoutChanged, source: 使用的來源名稱,
+ *   parserVersion: 使用的來源的解析器版本, draws: 標記了 source 的攪珠結果（保留來源附上的 raw）,
+ *   attempts: 每個來源的嘗試結果, message
+ * }
+ */
+async function fetchYear(year, options = {}) {
+  const attempts = [];
+
+  for (const source of getSourceChain()) {
+    const { draws, ...attempt } = await fetchYearFromSource(source, year, options);
+    attempts.push(attempt);
+
+    if (draws.length > 0) {
+      return {
+        year,
+        status: FETCH_STATUS.OK,
+        source: source.name,
+        parserVersion: source.parserVersion !== undefined ? source.parserVersion : null,
+        draws: draws.map(draw => ({ ...draw, source: source.name })),
+        attempts
+      };
+    }
+  }
+
+  // 所有來源都沒有資料：有任何來源出錯時回報第一個錯誤，否則視為該年份沒有資料
+  const firstFailure = attempts.find(attempt => attempt.status !== FETCH_STATUS.EMPTY);
+  return {
+    year,
+    status: firstFailure ? firstFailure.status : FETCH_STATUS.EMPTY,
+    source: firstFailure ? firstFailure.source : null,
+    message: firstFailure ? firstFailure.message : (attempts.length === 0 ? '沒有可用的資料來源' : '該年份沒有攪珠結果'),
+    draws: [],
+    attempts
+  };
+}
+
+module.exports = {
+  SOURCES,
+  FETCH_STATUS,
+  getSourceChain,
+  fetchYear
+};
@@ -0,0 +1,70 @@
+/**
+ * 通用 JSON 資料來源
+ * 從 DATA_SOURCE_JSON_URL 取得攪珠結果，網址中的 {year} 會替換為年份
+ * 回應可為陣列，或包含 data / results 陣列的物件；每筆記錄格式同 LotteryResultDTO
+ */
+
+const LotteryResultDTO = require('../../models/LotteryResultDTO');
+const { convertDateFormat } = require('../utils');
+const { getDrawYear } = require('../drawStore');
+const { FETCH_STATUS, createFetchError } = require('./fetchStatus');
+const { cachedGet, getTtlForYear } = require('../httpCache');
+
+const name = 'jsonFeed';
+
+// 解析器版本（記錄在每筆結果的 provenance，修改解析邏輯時遞增）
+const parserVersion = 1;
+
+/**
+ * 取得設定的網址模板
+ * @returns {string|null} 網址模板
+ */
+function getUrlTemplate() {
+  return process.env.DATA_SOURCE_JSON_URL || null;
+}
+
+/**
+ * 是否已設定網址
+ * @returns {boolean} 是否可用
+ */
+function isConfigured() {
+  return Boolean(getUrlTemplate());
+}
+
+/**
+ * 取得單一年份的攪珠結果
+ * @param {number} year - 年份
+ * @param {Object} options - 選項
+ * @param {boolean} options.refresh - 忽略 HTTP 快取時間，強制重新驗證
+ * @returns {Promise<Array>} 攪珠結果陣列，每筆附上 raw（網址及原始 JSON 記錄）（失敗時拋出錯誤）
+ */
+async function fetchYear(year, options = {}) {
+  const url = getUrlTemplate().replace('{year}', year);
+  const response = await cachedGet(url, {
+    headers: { Accept: 'application/json' },
+    ttlMs: getTtlForYear(year),
+    refresh: options.refresh === true
+  });
+
+  const body = response.data;
+  const items = Array.isArray(body) ? body : (body && (body.data || body.results));
+  if (!Array.isArray(items)) {
+    throw createFetchError(FETCH_STATUS.PARSE_ERROR, 'JSON 資料來源回應格式無效（需要陣列或包含 data / results 陣列的物件）');
+  }
+
+  return items
+    .map(item => ({
+      ...new LotteryResultDTO({ ...item, date: convertDateFormat(item.date) }).toJSON(),
+      raw: { url, row: item, fetchedAt: response.fetchedAt }
+    }))
+    .filter(draw => draw.periodNumber && draw.numbers.main.length === LotteryResultDTO.MAIN_NUMBER_COUNT)
+    // 網址沒有 {year} 時會返回所有年份，需要再過濾
+    .filter(draw => getDrawYear(draw) === year);
+}
+
+module.exports = {
+  name,
+  parserVersion,
+  isConfigured,
+  fetchYear
+};
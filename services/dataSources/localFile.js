@@ -0,0 +1,82 @@
+/**
+ * 本地檔案資料來源
+ * 從 DATA_SOURCE_FILE 指定的 CSV 或 JSON 檔案讀取攪珠結果（欄位規則與匯入 API 相同）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { parseDraws, PARSER_VERSION } = require('../importService');
+const { getDrawYear } = require('../drawStore');
+const { FETCH_STATUS, createFetchError } = require('./fetchStatus');
+
+const name = 'file';
+
+// 解析器版本（記錄在每筆結果的 provenance；使用匯入 API 的欄位規則，版本也相同）
+const parserVersion = PARSER_VERSION;
+
+/**
+ * 取得設定的檔案路徑
+ * @returns {string|null} 檔案路徑
+ */
+function getFilePath() {
+  return process.env.DATA_SOURCE_FILE || null;
+}
+
+/**
+ * 是否已設定檔案路徑
+ * @returns {boolean} 是否可用
+ */
+function isConfigured() {
+  return Boolean(getFilePath());
+}
+
+/**
+ * 讀取檔案中的所有攪珠結果
+ * @returns {Array} 通過驗證的攪珠結果，每筆附上 raw（file:// 網址及原始記錄）
+ */
+function readAllDraws() {
+  const filePath = getFilePath();
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  let input;
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    input = { format: 'csv', content };
+  } else {
+    const json = JSON.parse(content);
+    input = { format: 'json', content: Array.isArray(json) ? json : (json.data || json.results) };
+  }
+
+  let parsed;
+  try {
+    parsed = parseDraws(input);
+  } catch (error) {
+    throw createFetchError(FETCH_STATUS.PARSE_ERROR, `本地資料檔案 ${filePath} 無法解析: ${error.message}`);
+  }
+
+  const { rows, draws, records } = parsed;
+  const rejected = rows.filter(row => row.status === 'rejected');
+  if (rejected.length > 0) {
+    console.warn(`本地資料檔案 ${filePath} 有 ${rejected.length} 列未通過驗證，已略過`);
+  }
+
+  const url = pathToFileURL(path.resolve(filePath)).toString();
+  const fetchedAt = fs.statSync(filePath).mtime.toISOString();
+  return draws.map((draw, index) => ({ ...draw, raw: { url, row: records[index], fetchedAt } }));
+}
+
+/**
+ * 取得單一年份的攪珠結果
+ * @param {number} year - 年份
+ * @returns {Promise<Array>} 攪珠結果陣列（每次都重新讀取檔案，不需要快取）
+ */
+async function fetchYear(year) {
+  return readAllDraws().filter(draw => getDrawYear(draw) === year);
+}
+
+module.exports = {
+  name,
+  parserVersion,
+  isConfigured,
+  fetchYear
+};
@@ -0,0 +1,282 @@
+/**
+ * lottery.hk 網頁爬蟲資料來源
+ * 解析 https://lottery.hk/liuhecai/jieguo/{year} 頁面的 table.-center._results 表格，
+ * 以及期數連結指向的詳情頁（派彩表格及總投注額、多寶 / 金多寶）
+ */
+
+const cheerio = require('cheerio');
+const LotteryResultDTO = require('../../models/LotteryResultDTO');
+const { convertDateFormat } = require('../utils');
+const { FETCH_STATUS, createFetchError } = require('./fetchStatus');
+const { cachedGet, getTtlForYear, clearCache } = require('../httpCache');
+
+const name = 'lotteryhk';
+
+// 解析器版本（記錄在每筆結果的 provenance，修改解析邏輯時遞增）
+const parserVersion = 2;
+
+const BASE_URL = process.env.LOTTERY_HK_BASE_URL || 'https://lottery.hk/liuhecai/jieguo';
+
+// 是否抓取每期的詳情頁（派彩、投注額、多寶等），每期多一個請求，設為 false 時關閉
+const FETCH_DETAILS = process.env.LOTTERY_HK_FETCH_DETAILS !== 'false';
+
+// 同時抓取詳情頁的數量
+const DETAIL_CONCURRENCY = 4;
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+};
+
+// 詳情頁派彩表格的表頭（依表頭決定欄位位置）
+const PRIZE_COLUMNS = {
+  division: /獎項/,
+  dividend: /派彩/,
+  winningUnits: /注數/
+};
+
+// 詳情頁的總投注額及多寶 / 金多寶標籤（標籤儲存格的下一個儲存格為金額）
+const SUMMARY_LABELS = {
+  turnover: /^總投注額/,
+  jackpot: /^多寶/,
+  snowball: /^金多寶/
+};
+
+// 詳情頁的獎項名稱對應
+const DIVISION_LABELS = [
+  { pattern: /頭獎|第一組|1st/i, division: 1 },
+  { pattern: /二獎|第二組|2nd/i, division: 2 },
+  { pattern: /三獎|第三組|3rd/i, division: 3 },
+  { pattern: /四獎|第四組|4th/i, division: 4 },
+  { pattern: /五獎|第五組|5th/i, division: 5 },
+  { pattern: /六獎|第六組|6th/i, division: 6 },
+  { pattern: /七獎|第七組|7th/i, division: 7 }
+];
+
+/**
+ * 是否可用（網頁爬蟲不需要額外設定）
+ * @returns {boolean} 是否可用
+ */
+function isConfigured() {
+  return true;
+}
+
+/**
+ * 抓取單一年份的攪珠結果
+ * @param {number} year - 年份
+ * @param {Object} options - 選項
+ * @param {boolean} options.refresh - 忽略 HTTP 快取時間，強制重新驗證
+ * @param {boolean} options.details - 是否抓取各期詳情頁（預設依 LOTTERY_HK_FETCH_DETAILS）
+ * @returns {Promise<Array>} 攪珠結果陣列，每筆附上 raw（年份頁面網址及原始表格列 HTML）（HTTP 失敗、頁面結構改變或無法解析時拋出錯誤）
+ */
+async function fetchYear(year, options = {}) {
+  const url = `${BASE_URL}/${year}`;
+  const cacheOptions = { headers: REQUEST_HEADERS, ttlMs: getTtlForYear(year), refresh: options.refresh === true };
+
+  // 取得網頁內容（已結束年份永久快取，當前年份短暫快取）
+  const response = await cachedGet(url, cacheOptions);
+
+  const html = response.data;
+  const $ = cheerio.load(html);
+
+  // 查找目標表格
+  const table = $('table.-center._results');
+
+  if (table.length === 0) {
+    // 不快取無法使用的頁面，下次重新抓取
+    clearCache(url);
+    throw createFetchError(FETCH_STATUS.LAYOUT_CHANGED, `年份 ${year} 頁面找不到 table.-center._results 表格`);
+  }
+
+  const results = [];
+
+  // 解析表格行
+  table.find('tbody tr').each((index, element) => {
+    const $row = $(element);
+    const cells = $row.find('td');
+
+    if (cells.length >= 3) {
+      // 提取期數
+      const periodNumber = $row.find('td').eq(0).text().trim();
+
+      // 提取日期並轉換格式 (dd/mm/yyyy -> yyyy-mm-dd)
+      const rawDate = $row.find('td').eq(1).text().trim();
+      const date = convertDateFormat(rawDate);
+
+      // 提取號碼（可能有多列）
+      const numbers = [];
+      for (let i = 2; i < cells.length; i++) {
+        const num = $(cells[i]).text().trim();
+        if (num) {
+          numbers.push(num);
+        }
+      }
+
+      if (periodNumber && date) {
+        const result = LotteryResultDTO.fromTableRow({
+          periodNumber,
+          date,
+          numbers
+        });
+        // 期數連結指向該期詳情頁
+        const href = $row.find('a[href]').first().attr('href');
+        results.push({
+          result,
+          detailUrl: href ? new URL(href, url).toString() : null,
+          raw: { url, row: $.html(element), fetchedAt: response.fetchedAt }
+        });
+      }
+    }
+  });
+
+  // 表格有資料列但全部無法解析，通常表示欄位格式改變
+  const rowCount = table.find('tbody tr').length;
+  if (rowCount > 0 && results.length === 0) {
+    clearCache(url);
+    throw createFetchError(FETCH_STATUS.PARSE_ERROR, `年份 ${year} 表格有 ${rowCount} 列，但無法解析任何攪珠結果`);
+  }
+
+  if (results.length === 0) {
+    clearCache(url);
+  }
+
+  if (options.details !== undefined ? options.details : FETCH_DETAILS) {
+    await fetchDetailsWithLimit(year, results, cacheOptions);
+  }
+
+  return results.map(({ result, raw }) => ({ ...result.toJSON(), raw }));
+}
+
+/**
+ * 抓取各期詳情頁並把派彩資料寫入 DTO（單期失敗不影響整年結果，失敗的期數合併成一個警告）
+ * @param {number} year - 年份
+ * @param {Array} rows - { result: LotteryResultDTO, detailUrl } 陣列
+ * @param {Object} cacheOptions - HTTP 快取選項（與年份頁面相同）
+ */
+async function fetchDetailsWithLimit(year, rows, cacheOptions) {
+  const pending = rows.filter(row => row.detailUrl);
+  const failures = [];
+
+  const worker = async () => {
+    while (pending.length > 0) {
+      const { result, detailUrl } = pending.shift();
+      try {
+        const response = await cachedGet(detailUrl, cacheOptions);
+        Object.assign(result, parseDrawDetails(response.data));
+      } catch (error) {
+        failures.push({ periodNumber: result.periodNumber, message: error.message });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: DETAIL_CONCURRENCY }, worker));
+
+  if (failures.length > 0) {
+    console.warn(`年份 ${year} 有 ${failures.length} 期詳情頁抓取失敗，這些期數沒有派彩資料（${failures[0].periodNumber}: ${failures[0].message}）`);
+  }
+}
+
+/**
+ * 查找派彩表格：表頭包含獎項、派彩及注數欄的表格
+ * @param {Function} $ - cheerio
+ * @returns {Object|null} { table, columns: { division, dividend, winningUnits } 各欄的位置 }
+ */
+function findPrizeTable($) {
+  let found = null;
+
+  $('table').each((index, element) => {
+    const headers = $(element).find('tr').first().find('th, td').map((i, cell) => $(cell).text().trim()).get();
+    const columns = {};
+    Object.entries(PRIZE_COLUMNS).forEach(([key, pattern]) => {
+      columns[key] = headers.findIndex(header => pattern.test(header));
+    });
+
+    if (Object.values(columns).every(column => column >= 0)) {
+      found = { table: $(element), columns };
+      return false;
+    }
+  });
+
+  return found;
+}
+
+/**
+ * 取得標籤儲存格（th / td / dt）下一個儲存格（td / dd）的金額
+ * @param {Function} $ - cheerio
+ * @param {RegExp} label - 標籤
+ * @returns {number|null} 金額，找不到標籤或金額為「-」等非數字時返回 null
+ */
+function findLabelledAmount($, label) {
+  let amount = null;
+
+  $('th, td, dt').each((index, element) => {
+    if (!label.test($(element).text().trim())) return;
+
+    const value = $(element).next('td, dd');
+    if (value.length > 0) {
+      amount = LotteryResultDTO.parseAmount(value.text().trim());
+      return false;
+    }
+  });
+
+  return amount;
+}
+
+/**
+ * 解析單期詳情頁（派彩表格、總投注額、多寶 / 金多寶）
+ * 派彩表格依表頭決定欄位（獎項、每注派彩、中獎注數），沒有中獎的獎項派彩為「-」（dividend 為 null）
+ * @param {string} html - 詳情頁 HTML
+ * @returns {Object} { prizes, turnover, jackpot, snowball, drawType }（找不到派彩表格時拋出錯誤）
+ */
+function parseDrawDetails(html) {
+  const $ = cheerio.load(html);
+  const prizeTable = findPrizeTable($);
+
+  if (!prizeTable) {
+    throw createFetchError(FETCH_STATUS.LAYOUT_CHANGED, '詳情頁找不到派彩表格（表頭需包含獎項、派彩及注數）');
+  }
+
+  const { table, columns } = prizeTable;
+  const prizes = [];
+
+  table.find('tr').slice(1).each((index, element) => {
+    const cells = $(element).find('th, td').map((i, cell) => $(cell).text().trim()).get();
+    const label = DIVISION_LABELS.find(item => item.pattern.test(cells[columns.division] || ''));
+    if (!label || prizes.some(prize => prize.division === label.division)) return;
+
+    prizes.push({
+      division: label.division,
+      dividend: cells[columns.dividend],
+      winningUnits: cells[columns.winningUnits]
+    });
+  });
+
+  if (prizes.length === 0) {
+    throw createFetchError(FETCH_STATUS.PARSE_ERROR, '詳情頁的派彩表格沒有可解析的獎項');
+  }
+
+  const jackpot = findLabelledAmount($, SUMMARY_LABELS.jackpot);
+  const snowball = findLabelledAmount($, SUMMARY_LABELS.snowball);
+
+  let drawType = 'normal';
+  if (snowball !== null) {
+    drawType = 'snowball';
+  } else if (jackpot !== null) {
+    drawType = 'jackpot';
+  }
+
+  return {
+    prizes: LotteryResultDTO.parsePrizes(prizes),
+    turnover: findLabelledAmount($, SUMMARY_LABELS.turnover),
+    jackpot,
+    snowball,
+    drawType
+  };
+}
+
+module.exports = {
+  name,
+  parserVersion,
+  isConfigured,
+  parseDrawDetails,
+  fetchYear
+};
@@ -0,0 +1,69 @@
+/**
+ * 離線測試用的模擬資料來源
+ * 依攪珠日曆產生截至目前為止的攪珠結果，號碼由日期決定（同一日期每次產生相同號碼），不需要網絡
+ * 只在 DATA_SOURCES 明確列出 stub 時使用，例如 DATA_SOURCES=stub
+ */
+
+const LotteryResultDTO = require('../../models/LotteryResultDTO');
+const PeriodId = require('../../models/PeriodId');
+const { getDrawDatesInYear } = require('../drawCalendar');
+
+const name = 'stub';
+
+// 產生器版本（記錄在每筆結果的 provenance）
+const parserVersion = 1;
+
+/**
+ * 是否可用（不需要額外設定）
+ * @returns {boolean} 是否可用
+ */
+function isConfigured() {
+  return true;
+}
+
+/**
+ * 以日期為種子產生 7 個不重複號碼（mulberry32）
+ * @param {string} date - yyyy-mm-dd
+ * @returns {Array<number>} 6個由小到大排列的正選號碼，加上第7個特別號碼
+ */
+function generateNumbers(date) {
+  let seed = parseInt(date.replace(/-/g, ''), 10);
+  const random = () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const pool = Array.from({ length: 49 }, (_, index) => index + 1);
+  const numbers = [];
+  while (numbers.length < 7) {
+    numbers.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+  }
+  return [...numbers.slice(0, 6).sort((a, b) => a - b), numbers[6]];
+}
+
+/**
+ * 產生單一年份的攪珠結果
+ * @param {number} year - 年份
+ * @returns {Promise<Array>} 攪珠結果陣列（最新的在前），raw 為產生的原始資料（沒有來源網址）
+ */
+async function fetchYear(year) {
+  return getDrawDatesInYear(year)
+    .map((date, index) => {
+      const row = {
+        periodNumber: PeriodId.format({ year, period: index + 1 }),
+        date,
+        numbers: generateNumbers(date)
+      };
+      return { ...LotteryResultDTO.fromTableRow(row).toJSON(), raw: { url: null, row } };
+    })
+    .reverse();
+}
+
+module.exports = {
+  name,
+  parserVersion,
+  isConfigured,
+  fetchYear
+};
@@ -0,0 +1,197 @@
+/**
+ * 資料集參照服務
+ * 分析、驗證及模擬的 API 可以用以下任一種方式指定攪珠結果，不必每次上傳完整歷史：
+ * - results：請求內容直接提供的攪珠結果（臨時資料）
+ * - snapshot / dataset.snapshot：已保存的快照雜湊
+ * - dataset.startYear / dataset.endYear：本地資料庫的年份範圍（與 GET /results 相同）
+ * - dataset.query：本地資料庫的查詢條件（與 GET /search 相同的篩選參數）
+ * 不論哪一種方式，結果都附上使用的資料的快照資訊（內容雜湊）；
+ * 請求的 keepSnapshot 為 true 時才把 results、年份範圍及查詢條件取得的資料保存為快照（之後可用雜湊重新執行），
+ * 避免一般的分析請求每次都把整個資料集寫入磁碟
+ */
+
+const snapshotStore = require('./snapshotStore');
+const lotteryService = require('./lotteryService');
+const queryService = require('./queryService');
+
+// 資料集查詢不分頁且固定為最新的在前，不接受這些參數
+const UNSUPPORTED_QUERY_PARAMS = ['sort', 'order', 'limit', 'cursor'];
+
+/**
+ * 取得請求的資料集參照（頂層的 snapshot 等同 dataset.snapshot）
+ * @param {Object} body - 請求內容
+ * @returns {Object|null} 資料集參照
+ */
+function getReference(body) {
+  if (body.snapshot !== undefined && body.snapshot !== null) {
+    return { snapshot: body.snapshot };
+  }
+  return body.dataset === undefined || body.dataset === null ? null : body.dataset;
+}
+
+/**
+ * 驗證年份範圍
+ * @param {Object} reference - { startYear, endYear }
+ * @returns {string|null} 錯誤訊息，沒有錯誤時返回 null
+ */
+function validateYearRange(reference) {
+  const { MIN_YEAR } = lotteryService;
+  const currentYear = new Date().getFullYear();
+  const { startYear, endYear = currentYear } = reference;
+
+  if (!Number.isInteger(startYear) || startYear < MIN_YEAR || startYear > currentYear) {
+    return `dataset.startYear 必須是 ${MIN_YEAR}-${currentYear} 的整數`;
+  }
+  if (!Number.isInteger(endYear) || endYear < MIN_YEAR || endYear > currentYear) {
+    return `dataset.endYear 必須是 ${MIN_YEAR}-${currentYear} 的整數`;
+  }
+  if (startYear > endYear) {
+    return 'dataset.startYear 不能大於 dataset.endYear';
+  }
+  return null;
+}
+
+/**
+ * 把資料集查詢條件轉換為 queryService 的查詢條件
+ * @param {Object} query - 與 GET /search 相同的篩選參數
+ * @returns {Object} 查詢條件（最新的在前）
+ */
+function parseDatasetQuery(query) {
+  const unsupported = UNSUPPORTED_QUERY_PARAMS.filter(param => query[param] !== undefined);
+  if (unsupported.length > 0) {
+    const error = new Error(`dataset.query 不支援 ${unsupported.join('、')}（資料集包含所有符合條件的結果，最新的在前）`);
+    error.isQueryError = true;
+    throw error;
+  }
+
+  return queryService.parseQuery({ ...query, sort: 'period', order: 'desc' });
+}
+
+/**
+ * 驗證請求的資料集參數：results 與資料集參照（snapshot 或 dataset）必須提供其中一個
+ * @param {Object} body - 請求內容
+ * @returns {string|null} 錯誤訊息，沒有錯誤時返回 null
+ */
+function validateDatasetInput(body) {
+  const { results } = body || {};
+  const reference = getReference(body || {});
+
+  if (body && body.keepSnapshot !== undefined && typeof body.keepSnapshot !== 'boolean') {
+    return 'keepSnapshot 必須是 true 或 false';
+  }
+
+  if (!reference) {
+    if (!results || !Array.isArray(results) || results.length === 0) {
+      return '請提供有效的攪珠結果資料（results），或以 snapshot / dataset 指定伺服器上的資料集';
+    }
+    return null;
+  }
+
+  if (results !== undefined && results !== null) {
+    return 'results 與 snapshot / dataset 只可提供其中一個';
+  }
+  if (body.snapshot !== undefined && body.snapshot !== null && body.dataset !== undefined && body.dataset !== null) {
+    return 'snapshot 與 dataset 只可提供其中一個';
+  }
+  if (typeof reference !== 'object' || Array.isArray(reference)) {
+    return 'dataset 必須是物件：{ snapshot }、{ startYear, endYear } 或 { query }';
+  }
+
+  const kinds = ['snapshot', 'startYear', 'query'].filter(key => reference[key] !== undefined);
+  if (kinds.length !== 1) {
+    return 'dataset 必須是 { snapshot }、{ startYear, endYear } 或 { query } 其中一種';
+  }
+
+  if (reference.snapshot !== undefined) {
+    if (!snapshotStore.isSnapshotHash(reference.snapshot)) {
+      return 'snapshot 必須是 64 個字元的 SHA-256 十六進位雜湊';
+    }
+    return snapshotStore.getSnapshotInfo(reference.snapshot) ? null : `找不到快照: ${reference.snapshot}`;
+  }
+
+  if (reference.startYear !== undefined) {
+    return validateYearRange(reference);
+  }
+
+  if (!reference.query || typeof reference.query !== 'object' || Array.isArray(reference.query)) {
+    return 'dataset.query 必須是查詢條件物件';
+  }
+  try {
+    parseDatasetQuery(reference.query);
+  } catch (error) {
+    if (error.isQueryError) return error.message;
+    throw error;
+  }
+  return null;
+}
+
+/**
+ * 取得資料集的快照資訊：keepSnapshot 為 true 時保存快照，否則只計算雜湊（內容相同的快照已保存時返回已保存的資訊）
+ * @param {Array} results - 攪珠結果陣列
+ * @param {Object} source - 來源資訊
+ * @param {boolean} keep - 是否保存
+ * @returns {Object} 快照資訊，persisted 表示快照是否已保存（可用雜湊重新執行）
+ */
+function snapshotFor(results, source, keep) {
+  if (keep) {
+    return { ...snapshotStore.saveSnapshot(results, source).snapshot, persisted: true };
+  }
+
+  const described = snapshotStore.describeSnapshot(results, source);
+  const saved = snapshotStore.getSnapshotInfo(described.hash);
+  return saved ? { ...saved, persisted: true } : { ...described, persisted: false };
+}
+
+/**
+ * 取得請求使用的資料集及其快照資訊（請先以 validateDatasetInput 驗證）
+ * @param {Object} body - 請求內容（keepSnapshot 為 true 時保存快照）
+ * @param {string} endpoint - 使用資料集的 API（記錄在快照的來源資訊）
+ * @returns {Promise<Object>} { results, snapshot: 快照資訊, warnings: 年份範圍或查詢時抓取失敗的年份 }
+ */
+async function resolveDataset(body, endpoint) {
+  const reference = getReference(body);
+  const keep = body.keepSnapshot === true;
+
+  if (!reference) {
+    const snapshot = snapshotFor(body.results, { type: snapshotStore.SNAPSHOT_SOURCES.REQUEST, endpoint }, keep);
+    return { results: body.results, snapshot, warnings: [] };
+  }
+
+  if (reference.snapshot) {
+    const saved = snapshotStore.getSnapshot(reference.snapshot);
+    // 驗證之後快照可能已被刪除
+    if (!saved) {
+      const error = new Error(`找不到快照: ${reference.snapshot}`);
+      error.isDatasetError = true;
+      throw error;
+    }
+    const { results, ...snapshot } = saved;
+    return { results, snapshot: { ...snapshot, persisted: true }, warnings: [] };
+  }
+
+  let resolved;
+  let source;
+  if (reference.startYear !== undefined) {
+    const startYear = reference.startYear;
+    const endYear = reference.endYear || new Date().getFullYear();
+    resolved = await lotteryService.getLotteryResults(startYear, endYear);
+    source = { type: snapshotStore.SNAPSHOT_SOURCES.YEAR_RANGE, endpoint, startYear, endYear };
+  } else {
+    resolved = await lotteryService.findLotteryResults(parseDatasetQuery(reference.query));
+    source = { type: snapshotStore.SNAPSHOT_SOURCES.QUERY, endpoint, query: reference.query };
+  }
+
+  if (resolved.results.length === 0) {
+    const error = new Error('指定的資料集沒有攪珠結果');
+    error.isDatasetError = true;
+    throw error;
+  }
+
+  const snapshot = snapshotFor(resolved.results, source, keep);
+  return { results: resolved.results, snapshot, warnings: resolved.warnings || [] };
+}
+
+module.exports = {
+  validateDatasetInput,
+  resolveDataset
+};
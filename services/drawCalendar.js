@@ -0,0 +1,129 @@
+/**
+ * 攪珠日曆
+ * 六合彩一般逢星期二、四、六晚上 9:30（香港時間）攪珠，節日或特別攪珠可透過環境變數調整：
+ * - DRAW_DAYS: 一般攪珠的星期（0 = 星期日），預設 2,4,6
+ * - DRAW_TIME: 攪珠時間（香港時間 HH:mm），預設 21:30
+ * - DRAW_EXTRA_DATES: 額外的攪珠日期（yyyy-mm-dd，逗號分隔），例如賀歲攪珠
+ * - DRAW_SKIP_DATES: 暫停攪珠的日期（yyyy-mm-dd，逗號分隔），例如颱風或節日
+ */
+
+// 香港時間為 UTC+8，沒有夏令時間
+const HK_UTC_OFFSET_HOURS = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 搜尋下一次攪珠時最多往後查找的天數
+const MAX_LOOKAHEAD_DAYS = 366;
+
+/**
+ * 解析逗號分隔的清單
+ * @param {string} value - 環境變數
+ * @returns {Array<string>} 字串陣列
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * 讀取攪珠日曆設定（每次呼叫重新讀取環境變數，方便測試時調整）
+ * @returns {Object} { drawDays, drawTime: { hour, minute }, extraDates, skipDates }
+ */
+function getCalendarConfig() {
+  const drawDays = parseList(process.env.DRAW_DAYS || '2,4,6')
+    .map(day => parseInt(day, 10))
+    .filter(day => day >= 0 && day <= 6);
+
+  const timeMatch = (process.env.DRAW_TIME || '21:30').match(/^(\d{1,2}):(\d{2})$/);
+  const drawTime = timeMatch
+    ? { hour: parseInt(timeMatch[1], 10), minute: parseInt(timeMatch[2], 10) }
+    : { hour: 21, minute: 30 };
+
+  return {
+    drawDays,
+    drawTime,
+    extraDates: parseList(process.env.DRAW_EXTRA_DATES),
+    skipDates: parseList(process.env.DRAW_SKIP_DATES)
+  };
+}
+
+/**
+ * 取得某個時間點在香港的日期
+ * @param {Date} time - 時間
+ * @returns {string} yyyy-mm-dd
+ */
+function toHkDate(time) {
+  return new Date(time.getTime() + HK_UTC_OFFSET_HOURS * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * 判斷日期是否為攪珠日
+ * @param {string} date - yyyy-mm-dd（香港日期）
+ * @param {Object} config - 攪珠日曆設定（預設讀取環境變數）
+ * @returns {boolean} 是否攪珠
+ */
+function isDrawDate(date, config = getCalendarConfig()) {
+  if (config.skipDates.includes(date)) return false;
+  if (config.extraDates.includes(date)) return true;
+
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return config.drawDays.includes(weekday);
+}
+
+/**
+ * 取得攪珠日的攪珠時間
+ * @param {string} date - yyyy-mm-dd（香港日期）
+ * @param {Object} config - 攪珠日曆設定
+ * @returns {Date} 攪珠時間
+ */
+function getDrawTime(date, config = getCalendarConfig()) {
+  const [year, month, day] = date.split('-').map(part => parseInt(part, 10));
+  return new Date(Date.UTC(year, month - 1, day, config.drawTime.hour - HK_UTC_OFFSET_HOURS, config.drawTime.minute));
+}
+
+/**
+ * 取得指定時間之後的下一次攪珠時間
+ * @param {Date} after - 起始時間（預設為現在）
+ * @returns {Date|null} 下一次攪珠時間，日曆沒有任何攪珠日時返回 null
+ */
+function getNextDrawTime(after = new Date()) {
+  const config = getCalendarConfig();
+  let date = toHkDate(after);
+
+  for (let i = 0; i <= MAX_LOOKAHEAD_DAYS; i++) {
+    if (isDrawDate(date, config)) {
+      const drawTime = getDrawTime(date, config);
+      if (drawTime > after) return drawTime;
+    }
+    date = new Date(new Date(`${date}T00:00:00Z`).getTime() + DAY_MS).toISOString().slice(0, 10);
+  }
+
+  return null;
+}
+
+/**
+ * 取得年份內（截至指定時間）已攪珠的日期
+ * @param {number} year - 年份
+ * @param {Date} until - 截止時間（預設為現在）
+ * @returns {Array<string>} yyyy-mm-dd 陣列（由舊至新）
+ */
+function getDrawDatesInYear(year, until = new Date()) {
+  const config = getCalendarConfig();
+  const dates = [];
+
+  for (let time = Date.UTC(year, 0, 1); new Date(time).getUTCFullYear() === year; time += DAY_MS) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    if (isDrawDate(date, config) && getDrawTime(date, config) <= until) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+}
+
+module.exports = {
+  getCalendarConfig,
+  isDrawDate,
+  getDrawTime,
+  getNextDrawTime,
+  getDrawDatesInYear
+};
@@ -0,0 +1,472 @@
+/**
+ * 號碼出現索引模組
+ * 每個資料集只建立一次每個號碼的出現位置、出現序列及每期排序後的號碼，
+ * 之後以「截至某期」的視窗（去掉最新的 offset 期）回答查詢，
+ * calculators.js 及 fibonacci.js 的計算函數都從視窗讀取，不再各自掃描所有期數
+ *
+ * 迭代驗證每期的訓練資料都是同一份結果的後段（去掉較新的期數），
+ * 所以整個驗證只需要建立一次索引，每期分析只是取不同 offset 的視窗；
+ * 計算器的逐期累計狀態（rollingCalculators.js）則使用可逐期加減的視窗，每期只處理相差的期數
+ *
+ * 索引及視窗共用每期的號碼物件（extractAllNumbers 的結果），建立後不可修改
+ */
+
+const { extractAllNumbers } = require('./utils');
+
+// 期數陣列 → 視窗（計算函數以收到的期數陣列查詢，analyzeNumbers 建立的視窗會先登記在這裡）
+const windowsByPeriods = new WeakMap();
+
+// 資料集索引：最舊一期的結果物件 → [{ key, results, offsets, index }]
+// 同一資料集的所有後段都有相同的最舊一期，較長的資料集索引可回答較短的後段
+const datasetIndexes = new WeakMap();
+
+/**
+ * 二分搜尋第一個不小於 value 的位置
+ * @param {Int32Array} sorted - 由小到大排列的陣列
+ * @param {number} value - 搜尋值
+ * @returns {number} 位置
+ */
+function lowerBound(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] < value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * 建立號碼出現索引
+ * @param {Array} periods - 每期的 { numbers, ... }（extractAllNumbers 的結果，最新的在前）
+ * @param {Object} game - 遊戲定義，決定號碼範圍（號碼池以外的號碼不計入索引）
+ * @returns {Object} 索引 { periods, length, poolSize, occurrences, positions, presence, sorted, asOf }
+ */
+function createDrawIndex(periods, game) {
+  const length = periods.length;
+  const poolSize = game.poolSize;
+  const occurrences = [];
+  const positions = [];
+  const presence = [];
+  const occurrenceCounts = new Int32Array(poolSize + 1);
+  const positionCounts = new Int32Array(poolSize + 1);
+
+  // 先計算每個號碼的出現次數，再一次配置固定長度的陣列
+  for (let i = 0; i < length; i++) {
+    const numbers = periods[i].numbers;
+    for (let j = 0; j < numbers.length; j++) {
+      const num = numbers[j];
+      if (num >= 1 && num <= poolSize) {
+        occurrenceCounts[num]++;
+        if (numbers.indexOf(num) === j) {
+          positionCounts[num]++;
+        }
+      }
+    }
+  }
+
+  for (let num = 1; num <= poolSize; num++) {
+    occurrences[num] = new Int32Array(occurrenceCounts[num]);
+    positions[num] = new Int32Array(positionCounts[num]);
+    presence[num] = new Uint8Array(length);
+  }
+
+  const occurrenceFill = new Int32Array(poolSize + 1);
+  const positionFill = new Int32Array(poolSize + 1);
+  const sorted = new Array(length);
+  for (let i = 0; i < length; i++) {
+    const numbers = periods[i].numbers;
+    for (let j = 0; j < numbers.length; j++) {
+      const num = numbers[j];
+      if (num >= 1 && num <= poolSize) {
+        occurrences[num][occurrenceFill[num]++] = i;
+        if (presence[num][i] === 0) {
+          presence[num][i] = 1;
+          positions[num][positionFill[num]++] = i;
+        }
+      }
+    }
+    sorted[i] = [...numbers].sort((a, b) => a - b);
+  }
+
+  const index = {
+    periods,
+    length,
+    poolSize,
+    // 每次出現的期數位置（同一期重複的號碼重複記錄），由新至舊
+    occurrences,
+    // 出現過的期數位置（每期最多一次），由新至舊
+    positions,
+    // 每期是否出現（1 或 0），由新至舊
+    presence,
+    // 每期由小到大排列的號碼
+    sorted,
+    asOf: offset => createWindow(index, offset)
+  };
+  return index;
+}
+
+/**
+ * 建立截至某期的視窗（去掉最新的 offset 期）
+ * 視窗內的位置以視窗的第一期（最新一期）為 0
+ * @param {Object} index - createDrawIndex 建立的索引
+ * @param {number} offset - 去掉的最新期數
+ * @returns {Object} 視窗
+ */
+function createWindow(index, offset) {
+  if (!Number.isInteger(offset) || offset < 0 || offset > index.length) {
+    throw new RangeError(`視窗位置超出索引範圍: ${offset}（0-${index.length}）`);
+  }
+
+  const length = index.length - offset;
+  const periods = offset === 0 ? index.periods : index.periods.slice(offset);
+  const positionCache = [];
+  const occurrenceCache = [];
+  let coOccurrence = null;
+
+  // 把索引的位置轉換為視窗內的位置
+  const toLocal = (source, cache, num) => {
+    if (!cache[num]) {
+      const values = source[num];
+      const local = [];
+      for (let i = lowerBound(values, offset); i < values.length; i++) {
+        local.push(values[i] - offset);
+      }
+      cache[num] = local;
+    }
+    return cache[num];
+  };
+
+  const view = {
+    index,
+    offset,
+    length,
+    poolSize: index.poolSize,
+    periods,
+
+    /**
+     * 號碼在視窗內的出現次數（同一期重複的號碼重複計算）
+     * @param {number} num - 號碼
+     * @returns {number} 次數
+     */
+    count: num => {
+      const values = index.occurrences[num];
+      return values ? values.length - lowerBound(values, offset) : 0;
+    },
+
+    /**
+     * 號碼在視窗內每次出現的位置（同一期重複的號碼重複記錄），由新至舊
+     * @param {number} num - 號碼
+     * @returns {Array<number>} 位置陣列（不可修改）
+     */
+    occurrences: num => (index.occurrences[num] ? toLocal(index.occurrences, occurrenceCache, num) : []),
+
+    /**
+     * 號碼在視窗內出現過的位置（每期最多一次），由新至舊
+     * @param {number} num - 號碼
+     * @returns {Array<number>} 位置陣列（不可修改）
+     */
+    positions: num => (index.positions[num] ? toLocal(index.positions, positionCache, num) : []),
+
+    /**
+     * 號碼最近一次出現的位置，沒有出現過時返回 -1
+     * @param {number} num - 號碼
+     * @returns {number} 位置
+     */
+    lastSeen: num => {
+      const values = index.positions[num];
+      if (!values) return -1;
+      const start = lowerBound(values, offset);
+      return start < values.length ? values[start] - offset : -1;
+    },
+
+    /**
+     * 號碼在視窗內每期是否出現（1 或 0），由新至舊
+     * @param {number} num - 號碼
+     * @returns {Uint8Array} 出現序列（與索引共用，不可修改）
+     */
+    appearances: num => (index.presence[num] ? index.presence[num].subarray(offset) : new Uint8Array(length)),
+
+    /**
+     * 視窗內某期由小到大排列的號碼
+     * @param {number} position - 視窗內的位置
+     * @returns {Array<number>} 號碼陣列（不可修改）
+     */
+    sortedNumbers: position => index.sorted[offset + position],
+
+    /**
+     * 號碼兩兩在同一期出現的期數（對角線為該號碼出現的期數），第一次呼叫時計算
+     * @returns {Array<Int32Array>} matrix[i][j]
+     */
+    coOccurrence: () => {
+      if (!coOccurrence) {
+        coOccurrence = computeCoOccurrence(index, offset);
+      }
+      return coOccurrence;
+    }
+  };
+
+  windowsByPeriods.set(periods, view);
+  return view;
+}
+
+/**
+ * 計算視窗內號碼兩兩在同一期出現的期數
+ * @param {Object} index - 索引
+ * @param {number} offset - 視窗位置
+ * @returns {Array<Int32Array>} matrix[i][j]
+ */
+function computeCoOccurrence(index, offset) {
+  const poolSize = index.poolSize;
+  const matrix = [];
+  for (let num = 0; num <= poolSize; num++) {
+    matrix[num] = new Int32Array(poolSize + 1);
+  }
+
+  const present = [];
+  for (let i = offset; i < index.length; i++) {
+    // sorted 由小到大排列，略過重複及號碼池以外的號碼
+    present.length = 0;
+    const numbers = index.sorted[i];
+    for (let j = 0; j < numbers.length; j++) {
+      const num = numbers[j];
+      if (num >= 1 && num <= poolSize && (j === 0 || numbers[j - 1] !== num)) {
+        present.push(num);
+      }
+    }
+
+    for (let a = 0; a < present.length; a++) {
+      const row = matrix[present[a]];
+      for (let b = 0; b < present.length; b++) {
+        row[present[b]]++;
+      }
+    }
+  }
+  return matrix;
+}
+
+/**
+ * 建立可逐期加減的視窗（迭代驗證逐期前進時使用，見 rollingCalculators.js）
+ * add 加入比視窗最新一期更新的一期，remove 移除最新一期（最後加入的一期），
+ * 每次只更新該期號碼的出現次數、出現序號及兩兩同期出現的期數，不重新掃描其他期數
+ * 視窗內的位置與 createWindow 相同，以最新一期為 0；出現序號則以最舊一期為 0，加入新的一期不會改變已有的序號
+ * @param {Object} game - 遊戲定義，決定號碼範圍（號碼池以外的號碼不計入）
+ * @returns {Object} 視窗
+ */
+function createRollingWindow(game) {
+  const poolSize = game.poolSize;
+  const periods = []; // 由舊至新
+  const sorted = [];
+  const counts = new Int32Array(poolSize + 1);
+  const sequences = [];
+  const coOccurrence = [];
+  for (let num = 0; num <= poolSize; num++) {
+    sequences[num] = [];
+    coOccurrence[num] = new Int32Array(poolSize + 1);
+  }
+
+  // 更新一期的出現次數及兩兩同期出現的期數（delta 為 1 或 -1）
+  const update = (numbers, sortedNumbers, delta) => {
+    numbers.forEach(num => {
+      if (num >= 1 && num <= poolSize) {
+        counts[num] += delta;
+      }
+    });
+
+    // sortedNumbers 由小到大排列，略過重複及號碼池以外的號碼
+    const present = sortedNumbers.filter((num, j) => num >= 1 && num <= poolSize && (j === 0 || sortedNumbers[j - 1] !== num));
+    present.forEach(a => {
+      const row = coOccurrence[a];
+      present.forEach(b => {
+        row[b] += delta;
+      });
+    });
+    return present;
+  };
+
+  const view = {
+    poolSize,
+    length: 0,
+
+    /**
+     * 加入比視窗最新一期更新的一期
+     * @param {Object} period - 該期的 { numbers, ... }
+     */
+    add: period => {
+      const sequence = periods.length;
+      const sortedNumbers = [...period.numbers].sort((a, b) => a - b);
+      periods.push(period);
+      sorted.push(sortedNumbers);
+      update(period.numbers, sortedNumbers, 1).forEach(num => sequences[num].push(sequence));
+      view.length = periods.length;
+    },
+
+    /**
+     * 移除視窗最新一期
+     * @returns {Object} 移除的一期
+     */
+    remove: () => {
+      const period = periods.pop();
+      update(period.numbers, sorted.pop(), -1).forEach(num => sequences[num].pop());
+      view.length = periods.length;
+      return period;
+    },
+
+    /**
+     * 視窗內某期
+     * @param {number} position - 視窗內的位置（最新一期為 0）
+     * @returns {Object} 該期的 { numbers, ... }
+     */
+    period: position => periods[periods.length - 1 - position],
+
+    /**
+     * 視窗內某期由小到大排列的號碼
+     * @param {number} position - 視窗內的位置
+     * @returns {Array<number>} 號碼陣列（不可修改）
+     */
+    sortedNumbers: position => sorted[sorted.length - 1 - position],
+
+    /**
+     * 號碼在視窗內的出現次數（同一期重複的號碼重複計算）
+     * @param {number} num - 號碼
+     * @returns {number} 次數
+     */
+    count: num => (num >= 1 && num <= poolSize ? counts[num] : 0),
+
+    /**
+     * 號碼出現過的期數序號（每期最多一次），由舊至新，最舊一期為 0；位置 = length - 1 - 序號
+     * @param {number} num - 號碼
+     * @returns {Array<number>} 序號陣列（不可修改）
+     */
+    sequence: num => sequences[num] || [],
+
+    /**
+     * 號碼最近一次出現的位置，沒有出現過時返回 -1
+     * @param {number} num - 號碼
+     * @returns {number} 位置
+     */
+    lastSeen: num => {
+      const values = sequences[num];
+      return values && values.length > 0 ? periods.length - 1 - values[values.length - 1] : -1;
+    },
+
+    /**
+     * 號碼兩兩在同一期出現的期數（對角線為該號碼出現的期數），隨 add/remove 更新
+     * @returns {Array<Int32Array>} matrix[i][j]（不可修改）
+     */
+    coOccurrence: () => coOccurrence
+  };
+  return view;
+}
+
+/**
+ * 取得期數陣列的視窗
+ * analyzeNumbers 建立的視窗直接返回；其他期數陣列（例如直接呼叫計算函數時）第一次查詢時建立索引
+ * @param {Array} periods - 每期的 { numbers, ... }（最新的在前）
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 視窗
+ */
+function windowFor(periods, game) {
+  const view = windowsByPeriods.get(periods);
+  if (view && view.poolSize === game.poolSize) {
+    return view;
+  }
+  return createDrawIndex(periods, game).asOf(0);
+}
+
+/**
+ * 從視窗排除期數
+ * 排除的是視窗最新的若干期時直接使用同一個索引，否則為剩下的期數另外建立索引
+ * @param {Object} view - 視窗
+ * @param {Set} excludePeriodNumbers - 要排除的期數集合（期數字串）
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 排除後的視窗
+ */
+function excludePeriods(view, excludePeriodNumbers, game) {
+  const remaining = view.periods.filter(period => !excludePeriodNumbers.has(period.periodNumber));
+  const skipped = view.length - remaining.length;
+  // filter 保持順序，剩下的第一期就是原本第 skipped 期時，剩下的即是視窗的後段
+  if (remaining.length === 0 || remaining[0] === view.periods[skipped]) {
+    return view.index.asOf(view.offset + skipped);
+  }
+  return createDrawIndex(remaining, game).asOf(0);
+}
+
+/**
+ * 索引的資料集鍵（影響號碼提取結果的選項）
+ * @param {Object} options - { includeExtra, game }
+ * @returns {string} 鍵
+ */
+function datasetKey({ includeExtra = false, game }) {
+  return `${includeExtra ? 1 : 0}:${game.poolSize}:${game.pickCount}:${game.extraCount || 0}`;
+}
+
+/**
+ * 檢查 results 是否為 source 的後段
+ * @param {Array} results - 攪珠結果陣列
+ * @param {Array} source - 建立索引的攪珠結果陣列
+ * @returns {number} results 在 source 的起始位置，不是後段時返回 -1
+ */
+function suffixStart(results, source) {
+  const start = source.length - results.length;
+  if (start < 0) return -1;
+  for (let i = 0; i < results.length; i++) {
+    if (results[i] !== source[start + i]) return -1;
+  }
+  return start;
+}
+
+/**
+ * 取得攪珠結果的視窗（視窗的 periods 與 extractAllNumbers(results, options) 相同）
+ * results 是已建立索引的資料集的後段（例如迭代驗證每期的訓練資料）時使用同一個索引，否則為 results 建立索引
+ * @param {Array} results - 攪珠結果陣列（最新的在前）
+ * @param {Object} options - 號碼提取選項
+ * @param {boolean} options.includeExtra - 是否包含特別號碼（預設 false）
+ * @param {Object} options.game - 遊戲定義
+ * @returns {Object} 視窗
+ */
+function windowForResults(results, options) {
+  if (results.length === 0) {
+    return createDrawIndex([], options.game).asOf(0);
+  }
+
+  const key = datasetKey(options);
+  const oldest = results[results.length - 1];
+  const entries = datasetIndexes.get(oldest) || [];
+  for (const entry of entries) {
+    if (entry.key !== key) continue;
+    const start = suffixStart(results, entry.results);
+    if (start !== -1) {
+      return entry.index.asOf(entry.offsets[start]);
+    }
+  }
+
+  // offsets[k]：前 k 筆結果提取出的期數（沒有號碼的結果不會提取）
+  const source = results.slice();
+  const offsets = new Int32Array(source.length + 1);
+  const periods = [];
+  source.forEach((result, i) => {
+    const extracted = extractAllNumbers([result], options);
+    if (extracted.length > 0) {
+      periods.push(extracted[0]);
+    }
+    offsets[i + 1] = periods.length;
+  });
+
+  const entry = { key, results: source, offsets, index: createDrawIndex(periods, options.game) };
+  // 同一資料集較短的索引已被新的索引取代
+  datasetIndexes.set(oldest, entries.filter(other => other.key !== key || other.results.length > source.length).concat(entry));
+  return entry.index.asOf(0);
+}
+
+module.exports = {
+  createDrawIndex,
+  createRollingWindow,
+  windowFor,
+  excludePeriods,
+  windowForResults
+};
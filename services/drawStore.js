@@ -0,0 +1,240 @@
+/**
+ * 攪珠結果本地儲存模組
+ * 以 JSON 檔案持久化所有 LotteryResultDTO，避免每次請求都重新抓取網頁
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parsePeriodNumber } = require('./utils');
+const LotteryResultDTO = require('../models/LotteryResultDTO');
+const PeriodId = require('../models/PeriodId');
+const eventBus = require('./eventBus');
+const { mergeConflicts } = require('./provenance');
+
+// 資料目錄可透過環境變數 DATA_DIR 覆寫（例如掛載到持久化磁碟）
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const STORE_FILE = path.join(DATA_DIR, 'draws.json');
+const STORE_VERSION = 1;
+
+// 記憶體中的快取（首次存取時從檔案載入）
+let store = null;
+
+/**
+ * 建立空的儲存結構
+ * @returns {Object} 空的儲存結構
+ */
+function createEmptyStore() {
+  return {
+    version: STORE_VERSION,
+    updatedAt: null,
+    lastSyncAt: null,
+    // 已完整抓取過的年份（已結束的年份不會再有新資料）
+    fetchedYears: [],
+    draws: []
+  };
+}
+
+/**
+ * 取得攪珠結果所屬年份
+ * @param {Object} draw - 攪珠結果
+ * @returns {number|null} 年份
+ */
+function getDrawYear(draw) {
+  const parsed = parsePeriodNumber(draw.periodNumber);
+  if (parsed) return parsed.year;
+
+  const match = (draw.date || '').match(/^(\d{4})-/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * 比較兩期的先後（用於排序，最新的在前）
+ * @param {Object} a - 攪珠結果
+ * @param {Object} b - 攪珠結果
+ * @returns {number} 排序值
+ */
+function compareDrawsDesc(a, b) {
+  if (PeriodId.parse(a.periodNumber) && PeriodId.parse(b.periodNumber)) {
+    return PeriodId.compare(b.periodNumber, a.periodNumber);
+  }
+
+  // 無法解析期數時，改用日期比較
+  return (b.date || '').localeCompare(a.date || '');
+}
+
+/**
+ * 從檔案載入儲存內容（只載入一次）
+ * @returns {Object} 儲存結構
+ */
+function loadStore() {
+  if (store) return store;
+
+  try {
+    if (fs.existsSync(STORE_FILE)) {
+      const content = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+      store = { ...createEmptyStore(), ...content };
+      // 舊版資料的號碼格式統一轉換為 { main, extra }；DTO 不包含 provenance，另外保留
+      store.draws = store.draws.map(draw => {
+        const normalized = new LotteryResultDTO(draw).toJSON();
+        return draw.provenance ? { ...normalized, provenance: draw.provenance } : normalized;
+      });
+    } else {
+      store = createEmptyStore();
+    }
+  } catch (error) {
+    console.error(`讀取本地資料庫失敗 (${STORE_FILE}):`, error.message);
+    store = createEmptyStore();
+  }
+
+  return store;
+}
+
+/**
+ * 清除記憶體中的快取，下次存取時重新從檔案載入（未保存的變更會遺失）
+ */
+function resetCache() {
+  store = null;
+}
+
+/**
+ * 將儲存內容寫入檔案（先寫入暫存檔再改名，避免寫入中斷造成檔案損壞）
+ */
+function saveStore() {
+  const current = loadStore();
+  current.updatedAt = new Date().toISOString();
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tempFile = `${STORE_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(current, null, 2));
+  fs.renameSync(tempFile, STORE_FILE);
+}
+
+/**
+ * 取得所有已儲存的攪珠結果（最新的在前）
+ * @returns {Array} 攪珠結果陣列
+ */
+function getAllDraws() {
+  return loadStore().draws;
+}
+
+/**
+ * 取得最新一期的攪珠結果
+ * @returns {Object|null} 最新一期，沒有資料時返回 null
+ */
+function getLatestDraw() {
+  const draws = getAllDraws();
+  return draws.length > 0 ? draws[0] : null;
+}
+
+/**
+ * 取得指定年份範圍內的攪珠結果
+ * @param {number} startYear - 開始年份
+ * @param {number} endYear - 結束年份
+ * @returns {Array} 攪珠結果陣列（最新的在前）
+ */
+function getDrawsByYearRange(startYear, endYear) {
+  return getAllDraws().filter(draw => {
+    const year = getDrawYear(draw);
+    return year !== null && year >= startYear && year <= endYear;
+  });
+}
+
+/**
+ * 取得期數的唯一鍵（25/001 與 2025001 視為同一期）
+ * @param {string} periodNumber - 期數
+ * @returns {string} 唯一鍵
+ */
+function getPeriodKey(periodNumber) {
+  return PeriodId.key(periodNumber) || periodNumber;
+}
+
+/**
+ * 新增或更新攪珠結果（以期數為唯一鍵），有新期數時發出 draw.ingested 事件
+ * 更新的結果與本地內容不一致時，舊版本保留在 provenance.conflicts
+ * @param {Array} draws - 要寫入的攪珠結果
+ * @returns {Array} 實際新增的攪珠結果（不包含更新的）
+ */
+function upsertDraws(draws) {
+  const current = loadStore();
+  const indexByPeriod = new Map(current.draws.map((draw, index) => [getPeriodKey(draw.periodNumber), index]));
+  const added = [];
+
+  draws.forEach(draw => {
+    if (!draw || !draw.periodNumber) return;
+
+    const periodKey = getPeriodKey(draw.periodNumber);
+    if (indexByPeriod.has(periodKey)) {
+      const index = indexByPeriod.get(periodKey);
+      current.draws[index] = mergeConflicts(draw, current.draws[index]);
+    } else {
+      indexByPeriod.set(periodKey, current.draws.length);
+      current.draws.push(draw);
+      added.push(draw);
+    }
+  });
+
+  current.draws.sort(compareDrawsDesc);
+
+  if (added.length > 0) {
+    const ingested = added.slice().sort(compareDrawsDesc);
+    eventBus.emit(eventBus.EVENTS.DRAWS_INGESTED, {
+      count: ingested.length,
+      latestPeriod: ingested[0].periodNumber,
+      draws: ingested
+    });
+  }
+  return added;
+}
+
+/**
+ * 標記年份已完整抓取
+ * @param {Array<number>} years - 年份陣列
+ */
+function markYearsFetched(years) {
+  const current = loadStore();
+  const fetched = new Set(current.fetchedYears);
+  years.forEach(year => fetched.add(year));
+  current.fetchedYears = Array.from(fetched).sort((a, b) => a - b);
+}
+
+/**
+ * 檢查年份是否已完整抓取
+ * @param {number} year - 年份
+ * @returns {boolean} 是否已抓取
+ */
+function isYearFetched(year) {
+  return loadStore().fetchedYears.includes(year);
+}
+
+/**
+ * 記錄同步時間
+ * @param {string} timestamp - ISO 時間字串
+ */
+function setLastSyncAt(timestamp) {
+  loadStore().lastSyncAt = timestamp;
+}
+
+/**
+ * 取得上次同步時間
+ * @returns {string|null} ISO 時間字串
+ */
+function getLastSyncAt() {
+  return loadStore().lastSyncAt;
+}
+
+module.exports = {
+  DATA_DIR,
+  STORE_FILE,
+  getDrawYear,
+  compareDrawsDesc,
+  getAllDraws,
+  getLatestDraw,
+  getDrawsByYearRange,
+  upsertDraws,
+  markYearsFetched,
+  isYearFetched,
+  setLastSyncAt,
+  getLastSyncAt,
+  saveStore,
+  resetCache
+};
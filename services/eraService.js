@@ -0,0 +1,338 @@
+/**
+ * 規則年代服務
+ * 遊戲的號碼池曾經改變時（例如六合彩由 14 選 6 逐步擴大至 49 選 6），不同年代的攪珠結果不可直接混在同一個頻率表
+ * 依遊戲定義的 eras 把攪珠結果分到各年代，再依年代模式處理：
+ * - single：只使用單一年代的結果，並以該年代的號碼池大小及號碼數量分析（未指定 era 時為資料中最新的年代）
+ * - normalize：使用所有年代（號碼數量與現行規則相同）的結果，頻率以各號碼在號碼池內的期數作正規化
+ * 請求沒有指定 eraMode 或 era 時不依年代挑選，所有結果照舊以遊戲本身的號碼池分析
+ *
+ * 年代的分界決定哪些結果被排除或正規化，必須有可查證的來源：內建遊戲不附帶年代，
+ * 由 GAME_ERAS_FILE 設定檔提供（每個遊戲的年代表都必須註明 source），自訂遊戲定義可在請求中提供 eras 及 erasSource
+ * 設定檔格式：{ "markSix": { "source": "資料來源", "eras": [{ id, name, poolSize, pickCount, extraCount, from, to }] } }
+ *
+ * 號碼超出所屬年代號碼池的結果（通常表示年代分界或資料有誤）不會只刪去超出的號碼，而是整期排除並列在年代摘要的 outOfPool
+ *
+ * 沒有年代表或沒有指定 eraMode / era 時完全不做年代處理（不同年代的結果混在同一個頻率表），selectByEra 以 notice 說明，
+ * 分析及驗證結果附上這段說明；normalize 模式只正規化頻率（NORMALIZED_CALCULATORS），其他計算器仍直接使用所有年代的結果
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isMainThread } = require('worker_threads');
+const PeriodId = require('../models/PeriodId');
+const GameDefinition = require('../models/GameDefinition');
+const LotteryResultDTO = require('../models/LotteryResultDTO');
+
+const GAME_ERAS_FILE = process.env.GAME_ERAS_FILE ? path.resolve(process.env.GAME_ERAS_FILE) : null;
+
+// 年代模式
+const ERA_MODES = {
+  SINGLE: 'single',
+  NORMALIZE: 'normalize'
+};
+
+// normalize 模式正規化的計算器（其他計算器的次數、間隔及趨勢仍直接使用所有年代的結果）
+const NORMALIZED_CALCULATORS = ['frequency'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 設定檔的年代表（首次使用時載入）：遊戲 ID → { eras, erasSource }
+let configuredEras = null;
+
+/**
+ * 載入 GAME_ERAS_FILE 設定的年代表（只載入一次）
+ * 只接受內建遊戲 ID，年代表必須通過與自訂遊戲定義相同的驗證並註明 source，否則記錄錯誤並略過該遊戲（錯誤只由主執行緒記錄）
+ * @returns {Map} 遊戲 ID → { eras, erasSource }
+ */
+function loadConfiguredEras() {
+  if (configuredEras) return configuredEras;
+  configuredEras = new Map();
+  if (!GAME_ERAS_FILE) return configuredEras;
+
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(GAME_ERAS_FILE, 'utf8'));
+  } catch (error) {
+    if (isMainThread) console.error(`讀取規則年代設定失敗 (${GAME_ERAS_FILE}):`, error.message);
+    return configuredEras;
+  }
+
+  Object.entries(content || {}).forEach(([gameId, entry]) => {
+    const game = GameDefinition.GAMES[gameId];
+    const definition = game && entry ? { ...game, eras: entry.eras, erasSource: entry.source } : null;
+    const error = !game
+      ? `不支援的遊戲: ${gameId}`
+      : (typeof (entry && entry.source) !== 'string' || entry.source.trim() === ''
+        ? '必須以 source 註明年代分界的資料來源'
+        : GameDefinition.validateGame(definition));
+
+    if (error) {
+      if (isMainThread) console.error(`規則年代設定 ${gameId} 無效，已略過:`, error);
+      return;
+    }
+    const { eras, erasSource } = GameDefinition.resolveGame(definition);
+    configuredEras.set(gameId, { eras, erasSource });
+  });
+
+  return configuredEras;
+}
+
+/**
+ * 取得附上規則年代的遊戲定義（遊戲本身沒有 eras 時使用 GAME_ERAS_FILE 設定的年代表）
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 遊戲定義（沒有任何年代表時原樣返回）
+ */
+function withEras(game) {
+  if (game.eras) return game;
+  const configured = loadConfiguredEras().get(game.id);
+  return configured ? { ...game, ...configured } : game;
+}
+
+/**
+ * 驗證年代選項
+ * @param {Object} options - { eraMode, era }
+ * @param {Object} game - 遊戲定義
+ * @returns {string|null} 錯誤訊息，沒有錯誤時返回 null
+ */
+function validateEraOptions(options, game) {
+  const { eraMode, era } = options || {};
+  game = withEras(game);
+
+  if (eraMode !== undefined && eraMode !== null && !Object.values(ERA_MODES).includes(eraMode)) {
+    return `不支援的年代模式: ${eraMode}（支援 ${Object.values(ERA_MODES).join('、')}）`;
+  }
+  if ((eraMode || (era !== undefined && era !== null)) && !game.eras) {
+    return `遊戲 ${game.id} 沒有定義規則年代（內建遊戲的年代由 GAME_ERAS_FILE 設定，自訂遊戲可提供 eras）`;
+  }
+  if (era !== undefined && era !== null) {
+    if (eraMode === ERA_MODES.NORMALIZE) {
+      return 'era 只可在 eraMode 為 single 時使用';
+    }
+    if (!game.eras.some(item => item.id === era)) {
+      return `不支援的年代: ${era}（支援 ${game.eras.map(item => item.id).join('、')}）`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 比較攪珠結果與年代邊界的先後
+ * 邊界是日期時比較攪珠日期，是期數時比較期數；缺少對應欄位時退而比較年份
+ * @param {Object} draw - 攪珠結果 { date, periodNumber }
+ * @param {string} bound - 日期或期數
+ * @returns {number|null} 攪珠結果較早為負數，相同為 0，較晚為正數；無法判斷（同一年份）時返回 null
+ */
+function compareToBound(draw, bound) {
+  const drawPeriod = PeriodId.parse(draw.periodNumber);
+  const drawDate = typeof draw.date === 'string' && DATE_PATTERN.test(draw.date) ? draw.date : null;
+
+  if (DATE_PATTERN.test(bound)) {
+    if (drawDate) return drawDate < bound ? -1 : (drawDate > bound ? 1 : 0);
+    const boundYear = parseInt(bound.slice(0, 4), 10);
+    return drawPeriod && drawPeriod.year !== boundYear ? drawPeriod.year - boundYear : null;
+  }
+
+  if (drawPeriod) return PeriodId.compare(drawPeriod, bound);
+  const boundYear = PeriodId.parse(bound).year;
+  const drawYear = drawDate ? parseInt(drawDate.slice(0, 4), 10) : null;
+  return drawYear && drawYear !== boundYear ? drawYear - boundYear : null;
+}
+
+/**
+ * 找出攪珠結果所屬的年代
+ * @param {Object} draw - 攪珠結果
+ * @param {Array} eras - 年代陣列
+ * @returns {Object|null} 年代，無法判斷時返回 null
+ */
+function findEra(draw, eras) {
+  return eras.find(era => {
+    const afterFrom = era.from ? compareToBound(draw, era.from) : 0;
+    const beforeTo = era.to ? compareToBound(draw, era.to) : 0;
+    return afterFrom !== null && beforeTo !== null && afterFrom >= 0 && beforeTo <= 0;
+  }) || null;
+}
+
+/**
+ * 找出號碼超出年代號碼池的攪珠結果
+ * @param {Object} result - 攪珠結果
+ * @param {Object} era - 年代
+ * @param {Object} game - 遊戲定義（號碼池不小於年代）
+ * @returns {Array<number>} 超出號碼池的號碼（沒有時為空陣列）
+ */
+function findOutOfPoolNumbers(result, era, game) {
+  const { main, extra } = LotteryResultDTO.parseNumbers(result.numbers, game);
+  const numbers = era.extraCount > 0 && extra !== null ? main.concat(extra) : main;
+  return numbers.filter(number => number > era.poolSize);
+}
+
+/**
+ * 把攪珠結果分到各年代（無法判斷年代的結果視為現行年代，例如缺少日期及期數的資料）
+ * @param {Array} results - 攪珠結果陣列
+ * @param {Object} game - 遊戲定義（需要有 eras）
+ * @returns {Object} { eraOf: 每筆結果對應的年代（與 results 同順序）, assumedCurrent: 視為現行年代的筆數 }
+ */
+function assignEras(results, game) {
+  const current = game.eras[game.eras.length - 1];
+  let assumedCurrent = 0;
+
+  const eraOf = results.map(result => {
+    const era = findEra(result || {}, game.eras);
+    if (era) return era;
+    assumedCurrent++;
+    return current;
+  });
+
+  return { eraOf, assumedCurrent };
+}
+
+/**
+ * 以年代建立分析用的遊戲定義
+ * @param {Object} game - 遊戲定義
+ * @param {Object} era - 年代
+ * @returns {Object} 號碼池大小及號碼數量與年代相同的遊戲定義
+ */
+function gameForEra(game, era) {
+  if (era.poolSize === game.poolSize && era.pickCount === game.pickCount && era.extraCount === game.extraCount) {
+    return game;
+  }
+
+  // 號碼數量不同時原本的獎項表不適用，改用預設獎項表
+  const prizeTable = era.pickCount === game.pickCount
+    ? game.prizeTable
+    : GameDefinition.resolveGame({ poolSize: era.poolSize, pickCount: era.pickCount, extraCount: era.extraCount }).prizeTable;
+  return { ...game, poolSize: era.poolSize, pickCount: era.pickCount, extraCount: era.extraCount, prizeTable };
+}
+
+/**
+ * 依年代模式挑選要分析的攪珠結果
+ * @param {Array} results - 攪珠結果陣列
+ * @param {Object} game - 遊戲定義
+ * @param {Object} options - 選項
+ * @param {string} options.eraMode - 年代模式 single 或 normalize；只指定 era 時為 single
+ * @param {string} options.era - single 模式使用的年代 ID，預設為資料中最新的年代
+ * @returns {Object} { results: 要分析的結果, game: 分析用的遊戲定義, eras: 年代摘要（遊戲沒有定義年代或沒有指定 eraMode / era 時為 null）,
+ *   notice: 沒有做年代處理時的說明（有做年代處理時為 null） }
+ */
+function selectByEra(results, game, options = {}) {
+  game = withEras(game);
+  if (!game.eras) {
+    return {
+      results,
+      game,
+      eras: null,
+      notice: `遊戲 ${game.id} 沒有規則年代表（內建遊戲的年代表由 GAME_ERAS_FILE 提供），沒有做年代處理：所有結果以 1-${game.poolSize} 的號碼池分析，號碼池較小的年代的結果與現行規則混在同一個頻率表`
+    };
+  }
+  if (!options.eraMode && !options.era) {
+    return {
+      results,
+      game,
+      eras: null,
+      notice: '沒有指定 eraMode 或 era，沒有做年代處理：所有年代的結果混在同一個頻率表（可用 eraMode: single 或 normalize）'
+    };
+  }
+
+  const mode = options.eraMode || ERA_MODES.SINGLE;
+  const { eraOf, assumedCurrent } = assignEras(results, game);
+
+  const counts = new Map();
+  eraOf.forEach(era => counts.set(era.id, (counts.get(era.id) || 0) + 1));
+
+  let included;
+  if (mode === ERA_MODES.SINGLE) {
+    // 未指定時使用資料中最新的年代（年代由舊至新排列）
+    const selectedId = options.era || game.eras.filter(era => counts.has(era.id)).map(era => era.id).pop();
+    included = new Set([selectedId]);
+  } else {
+    // 號碼數量不同的年代無法正規化，直接排除
+    included = new Set(game.eras
+      .filter(era => era.pickCount === game.pickCount && era.extraCount === game.extraCount)
+      .map(era => era.id));
+  }
+
+  // 號碼超出所屬年代號碼池的結果整期排除並列出，不以該年代的號碼池刪去超出的號碼
+  const outOfPool = [];
+  const selectedResults = results.filter((result, index) => {
+    if (!included.has(eraOf[index].id)) return false;
+    const numbers = findOutOfPoolNumbers(result, eraOf[index], game);
+    if (numbers.length === 0) return true;
+    outOfPool.push({ periodNumber: result.periodNumber, date: result.date, era: eraOf[index].id, numbers });
+    return false;
+  });
+  const summarize = era => ({
+    id: era.id,
+    name: era.name,
+    poolSize: era.poolSize,
+    pickCount: era.pickCount,
+    from: era.from,
+    to: era.to,
+    count: counts.get(era.id) || 0
+  });
+
+  const singleEra = mode === ERA_MODES.SINGLE ? game.eras.find(era => included.has(era.id)) : null;
+
+  return {
+    results: selectedResults,
+    game: singleEra ? gameForEra(game, singleEra) : game,
+    eras: {
+      mode,
+      source: game.erasSource || null,
+      selected: singleEra ? singleEra.id : null,
+      used: game.eras.filter(era => included.has(era.id) && counts.has(era.id)).map(summarize),
+      excluded: game.eras.filter(era => !included.has(era.id) && counts.has(era.id)).map(summarize),
+      assumedCurrent,
+      outOfPool,
+      normalized: mode === ERA_MODES.NORMALIZE ? NORMALIZED_CALCULATORS : []
+    },
+    notice: null
+  };
+}
+
+/**
+ * 以各號碼在號碼池內的期數正規化頻率（normalize 模式）
+ * 號碼池較小的年代裡，較大的號碼不可能被攪出；正規化後的頻率為「實際次數 ÷ 期望次數」乘以現行規則下的期望次數，
+ * 從未在號碼池內的號碼使用現行規則下的期望次數
+ * @param {Object} frequency - 各號碼的出現次數 { 號碼: 次數 }
+ * @param {Array} periods - 計算頻率時使用的每期資料（extractAllNumbers 的結果）
+ * @param {Object} game - 遊戲定義（本身或 GAME_ERAS_FILE 需要有年代表）
+ * @returns {Object} 正規化後的頻率 { 號碼: 次數 }
+ */
+function normalizeFrequency(frequency, periods, game) {
+  game = withEras(game);
+  const { eraOf } = assignEras(periods, game);
+  const expected = {};
+  let currentExpected = 0;
+
+  for (let i = 1; i <= game.poolSize; i++) {
+    expected[i] = 0;
+  }
+  periods.forEach((period, index) => {
+    const poolSize = eraOf[index].poolSize;
+    for (let i = 1; i <= poolSize; i++) {
+      expected[i] += period.numbers.length / poolSize;
+    }
+    currentExpected += period.numbers.length / game.poolSize;
+  });
+
+  const normalized = {};
+  for (let i = 1; i <= game.poolSize; i++) {
+    normalized[i] = expected[i] > 0
+      ? Math.round((frequency[i] || 0) / expected[i] * currentExpected * 100) / 100
+      : Math.round(currentExpected * 100) / 100;
+  }
+  return normalized;
+}
+
+// 主執行緒在啟動時載入設定，設定有誤時立即記錄（分析 worker 在第一次使用時載入）
+if (isMainThread) {
+  loadConfiguredEras();
+}
+
+module.exports = {
+  ERA_MODES,
+  NORMALIZED_CALCULATORS,
+  withEras,
+  validateEraOptions,
+  selectByEra,
+  normalizeFrequency
+};
@@ -0,0 +1,44 @@
+/**
+ * 程序內事件匯流排
+ * 資料寫入及預測評分時發出事件，由 Webhook 等模組訂閱，避免模組之間互相依賴
+ */
+
+const { EventEmitter } = require('events');
+
+// 事件類型（同時作為 Webhook 的事件名稱）
+const EVENTS = {
+  DRAWS_INGESTED: 'draw.ingested',
+  PREDICTION_SCORED: 'prediction.scored'
+};
+
+const eventBus = new EventEmitter();
+
+/**
+ * 發出事件（訂閱者出錯只記錄，不影響發出事件的流程）
+ * @param {string} event - 事件類型
+ * @param {Object} data - 事件資料
+ */
+function emit(event, data) {
+  eventBus.listeners(event).forEach(listener => {
+    try {
+      listener(data);
+    } catch (error) {
+      console.error(`處理事件 ${event} 失敗:`, error.message);
+    }
+  });
+}
+
+/**
+ * 訂閱事件
+ * @param {string} event - 事件類型
+ * @param {Function} listener - 處理函數
+ */
+function on(event, listener) {
+  eventBus.on(event, listener);
+}
+
+module.exports = {
+  EVENTS,
+  emit,
+  on
+};
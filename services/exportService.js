@@ -0,0 +1,231 @@
+/**
+ * 匯出服務
+ * 將攪珠結果及分析結果轉換為 CSV、JSON Lines 或 SpreadsheetML（Excel 2003 XML）格式
+ */
+
+const { Readable } = require('stream');
+const { CALCULATORS, getDetailScores } = require('./calculatorRegistry');
+
+// 支援的匯出格式
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  xml: { contentType: 'application/vnd.ms-excel; charset=utf-8', extension: 'xml' }
+};
+
+// 支援的表頭語言（en 使用欄位鍵名，確保表頭穩定不變）
+const HEADER_LANGUAGES = ['en', 'zh'];
+
+/**
+ * 攪珠結果欄位
+ */
+const DRAW_COLUMNS = [
+  { key: 'periodNumber', zh: '期數', get: draw => draw.periodNumber },
+  { key: 'date', zh: '日期', get: draw => draw.date },
+  ...[1, 2, 3, 4, 5, 6].map(index => ({
+    key: `n${index}`,
+    zh: `號碼${index}`,
+    get: draw => (draw.numbers && draw.numbers.main ? draw.numbers.main[index - 1] : undefined)
+  })),
+  { key: 'extra', zh: '特別號碼', get: draw => (draw.numbers ? draw.numbers.extra : undefined) },
+  { key: 'source', zh: '資料來源', get: draw => draw.source },
+  { key: 'drawType', zh: '攪珠類型', get: draw => draw.drawType },
+  { key: 'turnover', zh: '總投注額', get: draw => draw.turnover },
+  { key: 'jackpot', zh: '多寶', get: draw => draw.jackpot },
+  { key: 'snowball', zh: '金多寶', get: draw => draw.snowball },
+  // 各獎項派彩及中獎注數（欄位名稱與匯入 API 相容）
+  ...[1, 2, 3, 4, 5, 6, 7].flatMap(division => {
+    const findPrize = draw => (draw.prizes || []).find(prize => prize.division === division) || {};
+    return [
+      { key: `div${division}Dividend`, zh: `第${division}獎派彩`, get: draw => findPrize(draw).dividend },
+      { key: `div${division}WinningUnits`, zh: `第${division}獎中獎注數`, get: draw => findPrize(draw).winningUnits }
+    ];
+  })
+];
+
+/**
+ * 攪珠結果來源資訊欄位（includeProvenance 時附加在 DRAW_COLUMNS 之後）
+ */
+const PROVENANCE_COLUMNS = [
+  { key: 'sourceUrl', zh: '來源網址', get: draw => (draw.provenance ? draw.provenance.sourceUrl : undefined) },
+  { key: 'fetchedAt', zh: '抓取時間', get: draw => (draw.provenance ? draw.provenance.fetchedAt : undefined) },
+  { key: 'rawHash', zh: '原始資料雜湊', get: draw => (draw.provenance ? draw.provenance.rawHash : undefined) },
+  { key: 'parserVersion', zh: '解析器版本', get: draw => (draw.provenance ? draw.provenance.parserVersion : undefined) },
+  { key: 'conflicts', zh: '不一致版本數', get: draw => (draw.provenance && draw.provenance.conflicts ? draw.provenance.conflicts.length : undefined) }
+];
+
+/**
+ * 取得 topNumbers 欄位
+ * 各計算器的分數欄位由計算器註冊表產生（包含啟動時載入的外掛計算器；停用的計算器保留欄位、內容留空，表頭不因 calculators 參數改變）
+ * @returns {Array<Object>} 欄位陣列
+ */
+function getTopNumberColumns() {
+  return [
+    { key: 'rank', zh: '排名', get: (item, index) => index + 1 },
+    { key: 'number', zh: '號碼', get: item => item.number },
+    { key: 'score', zh: '綜合分數', get: item => item.score },
+    ...CALCULATORS.map(calculator => ({
+      key: calculator.output.topNumberKey,
+      zh: calculator.output.label,
+      get: item => item[calculator.output.topNumberKey]
+    }))
+  ];
+}
+
+/**
+ * 四捨五入到小數點後兩位
+ * @param {number} value - 數值
+ * @returns {number|undefined} 四捨五入後的數值
+ */
+function round2(value) {
+  return typeof value === 'number' && isFinite(value) ? Math.round(value * 100) / 100 : undefined;
+}
+
+/**
+ * 取得 analysisDetails 欄位（每個號碼一列）
+ * @returns {Array<Object>} 欄位陣列
+ */
+function getAnalysisDetailColumns() {
+  return [
+    { key: 'number', zh: '號碼', get: row => row.number },
+    { key: 'compositeScore', zh: '綜合分數', get: row => round2(row.details.compositeScore[row.number]) },
+    ...CALCULATORS.map(calculator => ({
+      key: calculator.output.topNumberKey,
+      zh: calculator.output.label,
+      get: row => {
+        const scores = getDetailScores(row.details, calculator);
+        const value = scores ? scores[row.number] : undefined;
+        return calculator.output.round === false ? value : round2(value);
+      }
+    }))
+  ];
+}
+
+/**
+ * 將 analysisDetails 轉換為每個號碼一列
+ * @param {Object} analysisDetails - analyzeNumbers 返回的 analysisDetails
+ * @returns {Array<Object>} { number, details } 陣列（號碼池的每個號碼一列）
+ */
+function toAnalysisDetailRows(analysisDetails) {
+  return Object.keys(analysisDetails.compositeScore)
+    .map(number => ({ number: parseInt(number, 10), details: analysisDetails }));
+}
+
+/**
+ * 檢查匯出參數
+ * @param {string} format - 匯出格式
+ * @param {string} headers - 表頭語言
+ * @returns {string|null} 錯誤訊息，參數有效時返回 null
+ */
+function validateExportOptions(format, headers = 'en') {
+  if (!EXPORT_FORMATS[format]) {
+    return `不支援的匯出格式: ${format}（支援 ${Object.keys(EXPORT_FORMATS).join('、')}）`;
+  }
+  if (!HEADER_LANGUAGES.includes(headers)) {
+    return `不支援的表頭語言: ${headers}（支援 ${HEADER_LANGUAGES.join('、')}）`;
+  }
+  return null;
+}
+
+/**
+ * 轉義 CSV 欄位
+ * @param {*} value - 欄位值
+ * @returns {string} 轉義後的字串
+ */
+function escapeCsv(value) {
+  if (value === undefined || value === null) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * 轉義 XML 文字
+ * @param {*} value - 欄位值
+ * @returns {string} 轉義後的字串
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 產生 SpreadsheetML 儲存格
+ * @param {*} value - 欄位值
+ * @returns {string} <Cell> 元素
+ */
+function toXmlCell(value) {
+  if (value === undefined || value === null) return '<Cell/>';
+  const type = typeof value === 'number' && isFinite(value) ? 'Number' : 'String';
+  return `<Cell><Data ss:Type="${type}">${escapeXml(value)}</Data></Cell>`;
+}
+
+/**
+ * 逐列產生匯出內容
+ * @param {Array} rows - 資料列
+ * @param {Array} columns - 欄位定義
+ * @param {Object} options - { format, headers, sheetName }
+ */
+function* generateExport(rows, columns, { format, headers = 'en', sheetName = 'Sheet1' }) {
+  const labels = columns.map(column => (headers === 'zh' ? column.zh : column.key));
+  const valuesOf = (row, index) => columns.map(column => {
+    const value = column.get(row, index);
+    return value === undefined ? null : value;
+  });
+
+  if (format === 'csv') {
+    // 加上 BOM，讓 Excel 正確識別 UTF-8 中文表頭
+    yield `﻿${labels.map(escapeCsv).join(',')}\r\n`;
+    for (let i = 0; i < rows.length; i++) {
+      yield `${valuesOf(rows[i], i).map(escapeCsv).join(',')}\r\n`;
+    }
+  } else if (format === 'jsonl') {
+    for (let i = 0; i < rows.length; i++) {
+      const values = valuesOf(rows[i], i);
+      const record = {};
+      labels.forEach((label, index) => {
+        record[label] = values[index];
+      });
+      yield `${JSON.stringify(record)}\n`;
+    }
+  } else if (format === 'xml') {
+    yield '<?xml version="1.0" encoding="UTF-8"?>\n<?mso-application progid="Excel.Sheet"?>\n';
+    yield '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">\n';
+    yield `<Worksheet ss:Name="${escapeXml(sheetName)}"><Table>\n`;
+    yield `<Row>${labels.map(toXmlCell).join('')}</Row>\n`;
+    for (let i = 0; i < rows.length; i++) {
+      yield `<Row>${valuesOf(rows[i], i).map(toXmlCell).join('')}</Row>\n`;
+    }
+    yield '</Table></Worksheet>\n</Workbook>\n';
+  }
+}
+
+/**
+ * 將資料以指定格式串流寫入 HTTP 響應
+ * @param {Object} res - Express 響應物件
+ * @param {Array} rows - 資料列
+ * @param {Array} columns - 欄位定義
+ * @param {Object} options - { format, headers, filename }
+ */
+function streamExport(res, rows, columns, { format, headers = 'en', filename = 'export' }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+  Readable.from(generateExport(rows, columns, { format, headers, sheetName: filename })).pipe(res);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  HEADER_LANGUAGES,
+  DRAW_COLUMNS,
+  PROVENANCE_COLUMNS,
+  getTopNumberColumns,
+  getAnalysisDetailColumns,
+  toAnalysisDetailRows,
+  validateExportOptions,
+  generateExport,
+  streamExport
+};
@@ -1,8 +1,13 @@
 /**
  * 斐波那契數列分析模組
  * 基於斐波那契數列和黃金比例來分析號碼出現的模式
+ * 每個號碼的分數只取決於出現次數、間隔及位置關係的累計值、最早兩個間隔及最近 10 期的出現位置（見 scoreFibonacci），
+ * 逐期累計狀態（rollingCalculators.js）不必保留整個間隔陣列
  */
 
+const { DEFAULT_GAME } = require('../models/GameDefinition');
+const { windowFor } = require('./drawIndex');
+
 /**
  * 計算號碼是否為斐波那契數的分數
  * @param {number} num - 號碼
@@ -17,36 +22,46 @@ function scoreSequenceMembership(num, fibonacciSet) {
 }
 
 /**
- * 計算間隔模式的分數（檢查間隔是否接近斐波那契數）
- * @param {Array} gaps - 間隔陣列
+ * 計算單一間隔的分數（檢查間隔是否接近斐波那契數）
+ * @param {number} gap - 間隔
  * @param {Array} fibonacciSequence - 斐波那契數列
- * @returns {Object} { score, strongSignals }
+ * @returns {Object} { score, strongSignals, matches }
  */
-function scoreGapPatterns(gaps, fibonacciSequence) {
+function scoreGap(gap, fibonacciSequence) {
   let score = 0;
   let strongSignals = 0;
-  let gapMatches = 0;
+  let matches = 0;
 
-  gaps.forEach(gap => {
-    fibonacciSequence.forEach(fib => {
-      const diff = Math.abs(gap - fib);
-      // 使用基於百分比的容差：允許20%的誤差，但至少1期
-      const tolerance = Math.max(1, Math.ceil(fib * 0.2));
-      if (diff <= tolerance) {
-        // 分數根據相對誤差計算：完全匹配得分最高，誤差越大分數越低
-        const relativeError = diff / (fib + 1); // 避免除以0
-        const matchScore = Math.round((1 - relativeError) * 15);
-        score += matchScore;
-        gapMatches++;
-        if (diff === 0) {
-          strongSignals++; // 完全匹配是強信號
-        }
+  fibonacciSequence.forEach(fib => {
+    const diff = Math.abs(gap - fib);
+    // 使用基於百分比的容差：允許20%的誤差，但至少1期
+    const tolerance = Math.max(1, Math.ceil(fib * 0.2));
+    if (diff <= tolerance) {
+      // 分數根據相對誤差計算：完全匹配得分最高，誤差越大分數越低
+      const relativeError = diff / (fib + 1); // 避免除以0
+      const matchScore = Math.round((1 - relativeError) * 15);
+      score += matchScore;
+      matches++;
+      if (diff === 0) {
+        strongSignals++; // 完全匹配是強信號
       }
-    });
+    }
   });
 
+  return { score, strongSignals, matches };
+}
+
+/**
+ * 計算間隔模式的分數
+ * @param {Object} gapTotals - 所有間隔的 scoreGap 結果加總 { score, strongSignals, matches }
+ * @returns {Object} { score, strongSignals }
+ */
+function scoreGapPatterns(gapTotals) {
+  let score = gapTotals.score;
+  let strongSignals = gapTotals.strongSignals;
+
   // 如果有多個間隔匹配，給予額外加分
-  if (gapMatches >= 2) {
+  if (gapTotals.matches >= 2) {
     score += 25;
     strongSignals++;
   }
@@ -56,20 +71,18 @@ function scoreGapPatterns(gaps, fibonacciSequence) {
 
 /**
  * 計算黃金比例分析的分數
- * @param {Array} appearances - 出現位置陣列
- * @param {Array} gaps - 間隔陣列
+ * @param {Array} lastGaps - 最後兩個間隔（由新至舊的間隔陣列的最後兩個，只有一個間隔時只有一個）
  * @param {number} currentGap - 當前間隔
- * @param {number} filteredLength - 過濾後的期數長度
  * @param {number} goldenRatio - 黃金比例
  * @param {number} goldenRatioInverse - 反向黃金比例
  * @returns {Object} { score, strongSignals }
  */
-function scoreGoldenRatioAnalysis(appearances, gaps, currentGap, filteredLength, goldenRatio, goldenRatioInverse) {
+function scoreGoldenRatioAnalysis(lastGaps, currentGap, goldenRatio, goldenRatioInverse) {
   let score = 0;
   let strongSignals = 0;
 
-  if (appearances.length >= 2 && gaps.length > 0) {
-    const lastGap = gaps[gaps.length - 1];
+  if (lastGaps.length > 0) {
+    const lastGap = lastGaps[lastGaps.length - 1];
 
     // 黃金比例預測
     const predictedNextGap = Math.round(lastGap * goldenRatio);
@@ -102,8 +115,8 @@ function scoreGoldenRatioAnalysis(appearances, gaps, currentGap, filteredLength,
     }
 
     // 檢查間隔序列是否符合斐波那契比例
-    if (gaps.length >= 2) {
-      const lastTwoGaps = gaps.slice(-2);
+    if (lastGaps.length >= 2) {
+      const lastTwoGaps = lastGaps.slice(-2);
       const ratio = lastTwoGaps[0] !== 0 ? lastTwoGaps[1] / lastTwoGaps[0] : 0;
       if (Math.abs(ratio - goldenRatio) < 0.3 || Math.abs(ratio - goldenRatioInverse) < 0.3) {
         score += 20;
@@ -116,46 +129,53 @@ function scoreGoldenRatioAnalysis(appearances, gaps, currentGap, filteredLength,
 }
 
 /**
- * 計算位置關係的分數（檢查號碼在歷史結果中的位置關係）
+ * 計算號碼在一期中的位置關係分數（相鄰號碼的差值及排序後的位置）
  * @param {number} num - 號碼
- * @param {Array} filtered - 過濾後的期數陣列
+ * @param {Array<number>} sortedNumbers - 號碼出現的一期由小到大排列的號碼
  * @param {Set} fibonacciSet - 斐波那契數集合
- * @returns {Object} { score, strongSignals }
+ * @returns {Object} { score, matches }
  */
-function scorePositionRelationships(num, filtered, fibonacciSet) {
+function scorePeriodPosition(num, sortedNumbers, fibonacciSet) {
   let score = 0;
-  let strongSignals = 0;
-  let positionMatches = 0;
-
-  filtered.forEach(period => {
-    const sortedNumbers = [...period.numbers].sort((a, b) => a - b);
-    const numIndex = sortedNumbers.indexOf(num);
-
-    if (numIndex !== -1) {
-      // 檢查相鄰號碼的差值是否為斐波那契數
-      if (numIndex > 0) {
-        const diff = num - sortedNumbers[numIndex - 1];
-        if (fibonacciSet.has(diff)) {
-          score += 15;
-          positionMatches++;
-        }
+  let matches = 0;
+  const numIndex = sortedNumbers.indexOf(num);
+
+  if (numIndex !== -1) {
+    // 檢查相鄰號碼的差值是否為斐波那契數
+    if (numIndex > 0) {
+      const diff = num - sortedNumbers[numIndex - 1];
+      if (fibonacciSet.has(diff)) {
+        score += 15;
+        matches++;
       }
-      if (numIndex < sortedNumbers.length - 1) {
-        const diff = sortedNumbers[numIndex + 1] - num;
-        if (fibonacciSet.has(diff)) {
-          score += 15;
-          positionMatches++;
-        }
+    }
+    if (numIndex < sortedNumbers.length - 1) {
+      const diff = sortedNumbers[numIndex + 1] - num;
+      if (fibonacciSet.has(diff)) {
+        score += 15;
+        matches++;
       }
+    }
 
-      // 檢查號碼在排序後的位置是否為斐波那契數
-      if (fibonacciSet.has(numIndex + 1)) {
-        score += 12;
-      }
+    // 檢查號碼在排序後的位置是否為斐波那契數
+    if (fibonacciSet.has(numIndex + 1)) {
+      score += 12;
     }
-  });
+  }
 
-  if (positionMatches >= 3) {
+  return { score, matches };
+}
+
+/**
+ * 計算位置關係的分數（檢查號碼在歷史結果中的位置關係）
+ * @param {Object} positionTotals - 號碼出現的各期 scorePeriodPosition 結果加總 { score, matches }
+ * @returns {Object} { score, strongSignals }
+ */
+function scorePositionRelationships(positionTotals) {
+  let score = positionTotals.score;
+  let strongSignals = 0;
+
+  if (positionTotals.matches >= 3) {
     score += 20; // 多個位置匹配給予額外加分
     strongSignals++;
   }
@@ -166,20 +186,19 @@ function scorePositionRelationships(num, filtered, fibonacciSet) {
 /**
  * 計算週期性分析的分數（基於斐波那契數列的週期性）
  * @param {number} num - 號碼
- * @param {Array} appearances - 出現位置陣列
- * @param {Array} gaps - 間隔陣列
+ * @param {number} appearanceCount - 出現次數
+ * @param {number} gapSum - 所有間隔的總和
  * @param {number} gapSinceLast - 距離最後一次出現的間隔
- * @param {number} filteredLength - 過濾後的期數長度
  * @param {Array} fibonacciSequence - 斐波那契數列
  * @param {number} goldenRatio - 黃金比例
  * @param {Set} fibonacciSet - 斐波那契數集合
  * @returns {Object} { score, strongSignals }
  */
-function scorePeriodicityAnalysis(num, appearances, gaps, gapSinceLast, filteredLength, fibonacciSequence, goldenRatio, fibonacciSet) {
+function scorePeriodicityAnalysis(num, appearanceCount, gapSum, gapSinceLast, fibonacciSequence, goldenRatio, fibonacciSet) {
   let score = 0;
   let strongSignals = 0;
 
-  if (appearances.length > 0) {
+  if (appearanceCount > 0) {
     let periodMatches = 0;
     fibonacciSequence.forEach(fib => {
       const diff = Math.abs(gapSinceLast - fib);
@@ -204,8 +223,8 @@ function scorePeriodicityAnalysis(num, appearances, gaps, gapSinceLast, filtered
     }
 
     // 使用黃金比例預測下一個出現時間
-    if (appearances.length >= 2 && gaps.length > 0) {
-      const avgGap = gaps.reduce((a, b) => a + b, 0) / gaps.length;
+    if (appearanceCount >= 2) {
+      const avgGap = gapSum / (appearanceCount - 1);
       const predictedGap = Math.round(avgGap * goldenRatio);
       // 使用基於百分比的容差：允許20%的誤差，但至少1期
       const tolerance = Math.max(1, Math.ceil(predictedGap * 0.2));
@@ -243,30 +262,28 @@ function scoreStrongSignalBonus(strongSignals) {
 
 /**
  * 計算最近期數的斐波那契模式分析分數
- * @param {number} num - 號碼
- * @param {Array} filtered - 過濾後的期數陣列
+ * @param {Array} appearances - 出現位置陣列（由新至舊）
+ * @param {number} filteredLength - 過濾後的期數長度
  * @param {Array} fibonacciSequence - 斐波那契數列
  * @returns {Object} { score, strongSignals }
  */
-function scoreRecentPeriodFibonacciPattern(num, filtered, fibonacciSequence) {
+function scoreRecentPeriodFibonacciPattern(appearances, filteredLength, fibonacciSequence) {
   let score = 0;
   let strongSignals = 0;
 
-  if (filtered.length >= 5) {
-    const recentPeriods = filtered.slice(0, 10); // 最近10期（filtered已按日期排序，最新的在前）
+  if (filteredLength >= 5) {
     let recentMatches = 0;
 
-    recentPeriods.forEach((period, idx) => {
-      if (period.numbers.includes(num)) {
-        // 檢查在最近期數中的出現是否符合斐波那契模式
-        // 斐波那契序列是1-based (1, 1, 2, 3, 5, 8, 13, 21, 34)
-        // 數組索引是0-based，所以使用 idx === fib - 1 來匹配
-        fibonacciSequence.forEach(fib => {
-          if (idx === fib - 1) { // Match Fibonacci-indexed position (convert 1-based to 0-based)
-            recentMatches++;
-          }
-        });
-      }
+    // 最近10期（filtered已按日期排序，最新的在前）
+    appearances.filter(idx => idx < 10).forEach(idx => {
+      // 檢查在最近期數中的出現是否符合斐波那契模式
+      // 斐波那契序列是1-based (1, 1, 2, 3, 5, 8, 13, 21, 34)
+      // 數組索引是0-based，所以使用 idx === fib - 1 來匹配
+      fibonacciSequence.forEach(fib => {
+        if (idx === fib - 1) { // Match Fibonacci-indexed position (convert 1-based to 0-based)
+          recentMatches++;
+        }
+      });
     });
 
     if (recentMatches > 0) {
@@ -280,41 +297,114 @@ function scoreRecentPeriodFibonacciPattern(num, filtered, fibonacciSequence) {
   return { score, strongSignals };
 }
 
+/**
+ * 建立斐波那契分析使用的數列及比例
+ * @param {Object} game - 遊戲定義，決定號碼範圍
+ * @returns {Object} { fibonacciSequence, fibonacciSet, goldenRatio, goldenRatioInverse }
+ */
+function createFibonacciConstants(game) {
+  // 生成斐波那契數列（直到號碼池上限以內，六合彩為 1, 1, 2, 3, 5, 8, 13, 21, 34）
+  const fibonacciSequence = [1, 1];
+  while (fibonacciSequence[fibonacciSequence.length - 1] + fibonacciSequence[fibonacciSequence.length - 2] <= game.poolSize) {
+    fibonacciSequence.push(fibonacciSequence[fibonacciSequence.length - 1] + fibonacciSequence[fibonacciSequence.length - 2]);
+  }
+
+  return {
+    fibonacciSequence,
+    fibonacciSet: new Set(fibonacciSequence),
+    // 黃金比例
+    goldenRatio: 1.618033988749895,
+    goldenRatioInverse: 0.618033988749895
+  };
+}
+
+/**
+ * 把 from 的各項分數加到 totals
+ * @param {Object} totals - 累計值
+ * @param {Object} from - scoreGap 或 scorePeriodPosition 的結果
+ * @param {number} sign - 1 為加入，-1 為移除
+ */
+function addTotals(totals, from, sign = 1) {
+  Object.keys(totals).forEach(key => {
+    totals[key] += from[key] * sign;
+  });
+}
+
 /**
  * 計算斐波那契數列分數
  * 基於斐波那契數列和黃金比例來分析號碼出現的模式
  * @param {Array} allNumbers - 所有期數的號碼陣列
  * @param {Set} excludePeriodNumbers - 可選，要排除的期數集合（期數字串）
  * @param {Array} filteredNumbers - 可選，預先過濾後的數組（性能優化，避免重複過濾）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍
  * @returns {Object} 斐波那契分數
  */
-function calculateFibonacciScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null) {
-  const fibonacciScore = {};
-
-  // 初始化所有可能的號碼 (1-49)
-  for (let i = 1; i <= 49; i++) {
-    fibonacciScore[i] = 0;
-  }
-
-  // 生成斐波那契數列（直到49以內）
-  const fibonacciSequence = [1, 1, 2, 3, 5, 8, 13, 21, 34];
-  const fibonacciSet = new Set(fibonacciSequence);
-
-  // 黃金比例
-  const goldenRatio = 1.618033988749895;
-  const goldenRatioInverse = 0.618033988749895;
+function calculateFibonacciScore(allNumbers, excludePeriodNumbers = null, filteredNumbers = null, game = DEFAULT_GAME) {
+  const constants = createFibonacciConstants(game);
 
   // 使用預過濾的數組（如果提供），否則過濾
   const filtered = filteredNumbers || (excludePeriodNumbers
     ? allNumbers.filter(period => !excludePeriodNumbers.has(period.periodNumber))
     : allNumbers);
 
-  if (filtered.length === 0) {
+  const view = windowFor(filtered, game);
+  return scoreFibonacci(num => {
+    // 該號碼出現的位置（由新至舊）及間隔
+    const appearances = view.positions(num);
+    const gapTotals = { score: 0, strongSignals: 0, matches: 0 };
+    const lastGaps = [];
+    for (let i = 1; i < appearances.length; i++) {
+      const gap = appearances[i] - appearances[i - 1];
+      addTotals(gapTotals, scoreGap(gap, constants.fibonacciSequence));
+      if (i >= appearances.length - 2) {
+        lastGaps.push(gap);
+      }
+    }
+
+    const positionTotals = { score: 0, matches: 0 };
+    appearances.forEach(index => {
+      addTotals(positionTotals, scorePeriodPosition(num, view.sortedNumbers(index), constants.fibonacciSet));
+    });
+
+    return {
+      appearanceCount: appearances.length,
+      oldestPosition: appearances.length > 0 ? appearances[appearances.length - 1] : -1,
+      gapSum: appearances.length > 1 ? appearances[appearances.length - 1] - appearances[0] : 0,
+      gapTotals,
+      lastGaps,
+      positionTotals,
+      recentPositions: appearances.filter(index => index < 10)
+    };
+  }, filtered.length, game, constants);
+}
+
+/**
+ * 從每個號碼的出現統計計算斐波那契數列分數
+ * @param {Function} statsOf - (號碼) => {
+ *   appearanceCount: 出現次數, oldestPosition: 最早一次出現的位置（沒有出現過為 -1）, gapSum: 所有間隔的總和,
+ *   gapTotals: 所有間隔的 scoreGap 結果加總, lastGaps: 最後兩個間隔（由新至舊排列時）,
+ *   positionTotals: 出現的各期 scorePeriodPosition 結果加總, recentPositions: 最近 10 期內出現的位置（由新至舊）
+ * }
+ * @param {number} totalPeriods - 期數
+ * @param {Object} game - 遊戲定義
+ * @param {Object} constants - createFibonacciConstants 的結果
+ * @returns {Object} 斐波那契分數
+ */
+function scoreFibonacci(statsOf, totalPeriods, game, constants) {
+  const { fibonacciSequence, fibonacciSet, goldenRatio, goldenRatioInverse } = constants;
+  const fibonacciScore = {};
+
+  // 初始化所有可能的號碼 (1 至號碼池大小)
+  for (let i = 1; i <= game.poolSize; i++) {
+    fibonacciScore[i] = 0;
+  }
+
+  if (totalPeriods === 0) {
     return { scores: fibonacciScore };
   }
 
   // 為每個號碼計算斐波那契相關分數
-  for (let num = 1; num <= 49; num++) {
+  for (let num = 1; num <= game.poolSize; num++) {
     let score = 0;
     let strongSignals = 0; // 強信號計數器
 
@@ -326,47 +416,32 @@ function calculateFibonacciScore(allNumbers, excludePeriodNumbers = null, filter
     }
 
     // 2. 分析該號碼出現的間隔模式
-    const appearances = [];
-    filtered.forEach((period, index) => {
-      if (period.numbers.includes(num)) {
-        appearances.push(index);
-      }
-    });
-
-    // 計算間隔
-    const gaps = [];
-    if (appearances.length > 1) {
-      for (let i = 1; i < appearances.length; i++) {
-        gaps.push(appearances[i] - appearances[i - 1]);
-      }
-    }
+    const stats = statsOf(num);
 
     // 3. 間隔模式分析
-    if (appearances.length > 1) {
-      const gapResult = scoreGapPatterns(gaps, fibonacciSequence);
+    if (stats.appearanceCount > 1) {
+      const gapResult = scoreGapPatterns(stats.gapTotals);
       score += gapResult.score;
       strongSignals += gapResult.strongSignals;
 
       // 4. 黃金比例分析
-      const currentGap = filtered.length - 1 - appearances[appearances.length - 1];
-      const goldenRatioResult = scoreGoldenRatioAnalysis(
-        appearances, gaps, currentGap, filtered.length, goldenRatio, goldenRatioInverse
-      );
+      const currentGap = totalPeriods - 1 - stats.oldestPosition;
+      const goldenRatioResult = scoreGoldenRatioAnalysis(stats.lastGaps, currentGap, goldenRatio, goldenRatioInverse);
       score += goldenRatioResult.score;
       strongSignals += goldenRatioResult.strongSignals;
     }
 
     // 5. 位置關係分析
-    const positionResult = scorePositionRelationships(num, filtered, fibonacciSet);
+    const positionResult = scorePositionRelationships(stats.positionTotals);
     score += positionResult.score;
     strongSignals += positionResult.strongSignals;
 
     // 6. 週期性分析
-    const gapSinceLast = appearances.length > 0
-      ? filtered.length - 1 - appearances[appearances.length - 1]
+    const gapSinceLast = stats.appearanceCount > 0
+      ? totalPeriods - 1 - stats.oldestPosition
       : 0;
     const periodicityResult = scorePeriodicityAnalysis(
-      num, appearances, gaps, gapSinceLast, filtered.length,
+      num, stats.appearanceCount, stats.gapSum, gapSinceLast,
       fibonacciSequence, goldenRatio, fibonacciSet
     );
     score += periodicityResult.score;
@@ -376,7 +451,7 @@ function calculateFibonacciScore(allNumbers, excludePeriodNumbers = null, filter
     score += scoreStrongSignalBonus(strongSignals);
 
     // 9. 最近期數的斐波那契模式分析
-    const recentResult = scoreRecentPeriodFibonacciPattern(num, filtered, fibonacciSequence);
+    const recentResult = scoreRecentPeriodFibonacciPattern(stats.recentPositions, totalPeriods, fibonacciSequence);
     score += recentResult.score;
     strongSignals += recentResult.strongSignals;
 
@@ -392,5 +467,10 @@ function calculateFibonacciScore(allNumbers, excludePeriodNumbers = null, filter
 }
 
 module.exports = {
-  calculateFibonacciScore
+  calculateFibonacciScore,
+  createFibonacciConstants,
+  addTotals,
+  scoreGap,
+  scorePeriodPosition,
+  scoreFibonacci
 };
@@ -0,0 +1,169 @@
+/**
+ * HTTP 快取模組
+ * 記憶體快取加上磁碟快取，過期後以 ETag / Last-Modified 發送條件請求重新驗證
+ * 設定 HTTP_FIXTURE_MODE 時改為錄製或重播 fixture（見 httpFixtures.js）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { DATA_DIR } = require('./drawStore');
+const httpFixtures = require('./httpFixtures');
+
+const CACHE_DIR = path.join(DATA_DIR, 'http-cache');
+
+// 當前年份頁面的快取時間（毫秒），已結束年份的頁面永久快取
+const CURRENT_YEAR_TTL_MS = parseInt(process.env.HTTP_CACHE_TTL_MS, 10) >= 0
+  ? parseInt(process.env.HTTP_CACHE_TTL_MS, 10)
+  : 5 * 60 * 1000;
+
+// 記憶體快取：url -> { url, etag, lastModified, fetchedAt, data }
+const memoryCache = new Map();
+
+/**
+ * 取得年份頁面的快取時間
+ * @param {number} year - 年份
+ * @returns {number} 快取時間（毫秒），已結束年份為 Infinity
+ */
+function getTtlForYear(year) {
+  return year < new Date().getFullYear() ? Infinity : CURRENT_YEAR_TTL_MS;
+}
+
+/**
+ * 取得網址對應的磁碟快取檔案
+ * @param {string} url - 網址
+ * @returns {string} 檔案路徑
+ */
+function getCacheFile(url) {
+  const hash = crypto.createHash('sha1').update(url).digest('hex');
+  return path.join(CACHE_DIR, `${hash}.json`);
+}
+
+/**
+ * 讀取快取（先查記憶體，再查磁碟）
+ * @param {string} url - 網址
+ * @returns {Object|null} 快取項目
+ */
+function readEntry(url) {
+  if (memoryCache.has(url)) {
+    return memoryCache.get(url);
+  }
+
+  try {
+    const file = getCacheFile(url);
+    if (fs.existsSync(file)) {
+      const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      memoryCache.set(url, entry);
+      return entry;
+    }
+  } catch (error) {
+    console.warn(`讀取 HTTP 快取失敗 (${url}):`, error.message);
+  }
+
+  return null;
+}
+
+/**
+ * 寫入快取（記憶體及磁碟）
+ * @param {Object} entry - 快取項目
+ */
+function writeEntry(entry) {
+  memoryCache.set(entry.url, entry);
+
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    const file = getCacheFile(entry.url);
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(entry));
+    fs.renameSync(tempFile, file);
+  } catch (error) {
+    // 磁碟快取失敗不影響請求結果
+    console.warn(`寫入 HTTP 快取失敗 (${entry.url}):`, error.message);
+  }
+}
+
+/**
+ * 帶快取的 GET 請求
+ * @param {string} url - 網址
+ * @param {Object} options - 選項
+ * @param {Object} options.headers - 請求標頭
+ * @param {number} options.ttlMs - 快取時間（毫秒，Infinity 表示永久快取，預設 0 即每次都重新驗證）
+ * @param {boolean} options.refresh - 忽略快取時間，強制向伺服器重新驗證
+ * @returns {Promise<Object>} { data, cache: 'hit' | 'revalidated' | 'miss' | 'fixture', fetchedAt: 內容向伺服器取得或確認的時間（ISO 8601，未知時為 null） }
+ */
+async function cachedGet(url, options = {}) {
+  // 重播模式：只使用 fixture，不讀寫快取也不發出網絡請求
+  if (httpFixtures.MODE === httpFixtures.FIXTURE_MODES.REPLAY) {
+    const fixture = httpFixtures.replay(url);
+    return { data: fixture.data, cache: 'fixture', fetchedAt: fixture.recordedAt };
+  }
+
+  const { headers = {}, ttlMs = 0 } = options;
+  // 錄製模式：每次都向伺服器請求（或重新驗證），確保錄到的是伺服器目前的回應
+  const refresh = options.refresh === true || httpFixtures.MODE === httpFixtures.FIXTURE_MODES.RECORD;
+  const entry = readEntry(url);
+
+  if (entry && !refresh && Date.now() - entry.fetchedAt < ttlMs) {
+    return { data: entry.data, cache: 'hit', fetchedAt: new Date(entry.fetchedAt).toISOString() };
+  }
+
+  const requestHeaders = { ...headers };
+  if (entry && entry.etag) {
+    requestHeaders['If-None-Match'] = entry.etag;
+  }
+  if (entry && entry.lastModified) {
+    requestHeaders['If-Modified-Since'] = entry.lastModified;
+  }
+
+  const response = await axios.get(url, {
+    headers: requestHeaders,
+    validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(entry))
+  });
+
+  // 內容未改變，沿用快取並重新計算快取時間
+  if (response.status === 304) {
+    const fetchedAt = Date.now();
+    writeEntry({ ...entry, fetchedAt });
+    if (httpFixtures.MODE === httpFixtures.FIXTURE_MODES.RECORD) {
+      httpFixtures.record(url, { status: 200, headers: response.headers, data: entry.data });
+    }
+    return { data: entry.data, cache: 'revalidated', fetchedAt: new Date(fetchedAt).toISOString() };
+  }
+
+  const responseHeaders = response.headers || {};
+  const fetchedAt = Date.now();
+  if (httpFixtures.MODE === httpFixtures.FIXTURE_MODES.RECORD) {
+    httpFixtures.record(url, response);
+  }
+  writeEntry({
+    url,
+    etag: responseHeaders.etag || null,
+    lastModified: responseHeaders['last-modified'] || null,
+    fetchedAt,
+    data: response.data
+  });
+
+  return { data: response.data, cache: 'miss', fetchedAt: new Date(fetchedAt).toISOString() };
+}
+
+/**
+ * 清除快取
+ * @param {string} url - 可選，只清除指定網址；未提供時清除全部
+ */
+function clearCache(url) {
+  if (url) {
+    memoryCache.delete(url);
+    fs.rmSync(getCacheFile(url), { force: true });
+    return;
+  }
+
+  memoryCache.clear();
+  fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+}
+
+module.exports = {
+  getTtlForYear,
+  cachedGet,
+  clearCache
+};
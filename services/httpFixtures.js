@@ -0,0 +1,157 @@
+/**
+ * HTTP fixture 錄製 / 重播模組
+ * 資料來源的 HTTP 請求（httpCache.cachedGet）可以錄製成 fixture 檔案，之後在沒有網絡的情況下重播，方便修改解析器時以已知的頁面驗證
+ *
+ * 環境變數：
+ * - HTTP_FIXTURE_MODE：record（照常請求並把回應存成 fixture）或 replay（只從 fixture 回應，不發出任何網絡請求），未設定時停用
+ * - HTTP_FIXTURE_DIR：fixture 目錄，預設為專案的 fixtures/http
+ *
+ * 每個網址存成一個檔案（路徑由網址決定，HTML 為 .html、JSON 為 .json），manifest.json 記錄網址對應的檔案及錄製資訊
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FIXTURE_MODES = {
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+const FIXTURE_DIR = process.env.HTTP_FIXTURE_DIR || path.join(__dirname, '..', 'fixtures', 'http');
+const MANIFEST_FILE = path.join(FIXTURE_DIR, 'manifest.json');
+
+const MODE = Object.values(FIXTURE_MODES).includes(process.env.HTTP_FIXTURE_MODE) ? process.env.HTTP_FIXTURE_MODE : null;
+
+if (process.env.HTTP_FIXTURE_MODE && !MODE) {
+  console.warn(`不支援的 HTTP_FIXTURE_MODE: ${process.env.HTTP_FIXTURE_MODE}（支援 ${Object.values(FIXTURE_MODES).join('、')}），已停用`);
+}
+
+// 記憶體中的快取（首次存取時從檔案載入）：網址 -> { file, status, contentType, recordedAt, note }
+let manifest = null;
+
+/**
+ * 從檔案載入 manifest（只載入一次）
+ * @returns {Object} manifest
+ */
+function loadManifest() {
+  if (manifest) return manifest;
+
+  try {
+    manifest = fs.existsSync(MANIFEST_FILE) ? JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8')).fixtures || {} : {};
+  } catch (error) {
+    console.error(`讀取 fixture manifest 失敗 (${MANIFEST_FILE}):`, error.message);
+    manifest = {};
+  }
+
+  return manifest;
+}
+
+/**
+ * 寫入檔案（先寫入暫存檔再改名）
+ * @param {string} file - 檔案路徑
+ * @param {string} content - 內容
+ */
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, content);
+  fs.renameSync(tempFile, file);
+}
+
+/**
+ * 由網址決定 fixture 檔案的相對路徑，例如 https://lottery.hk/liuhecai/jieguo/2024 → lottery.hk/liuhecai/jieguo/2024.html
+ * 網址有查詢字串時加上雜湊，避免不同查詢寫到同一個檔案
+ * @param {string} url - 網址
+ * @param {boolean} isJson - 回應是否為 JSON
+ * @returns {string} 相對路徑（以 / 分隔）
+ */
+function getFixturePath(url, isJson) {
+  const parsed = new URL(url);
+  const segments = parsed.pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment).replace(/[^\w.-]/g, '_'));
+  let name = segments.pop() || 'index';
+  if (parsed.search) {
+    name += `__${crypto.createHash('sha1').update(parsed.search).digest('hex').slice(0, 8)}`;
+  }
+  return [parsed.host.replace(/[^\w.-]/g, '_'), ...segments, `${name}.${isJson ? 'json' : 'html'}`].join('/');
+}
+
+/**
+ * 建立找不到 fixture 的錯誤（與伺服器回應 404 相同，抓取狀態為 httpError 且不重試）
+ * @param {string} url - 網址
+ * @returns {Error} 錯誤
+ */
+function createMissingFixtureError(url) {
+  const error = new Error(`replay 模式找不到 fixture: ${url}`);
+  error.response = { status: 404 };
+  error.fixtureMissing = true;
+  return error;
+}
+
+/**
+ * 重播：從 fixture 取得回應
+ * @param {string} url - 網址
+ * @returns {Object} { data, headers, recordedAt }（JSON fixture 的 data 為解析後的物件，與 axios 相同；recordedAt 未知時為 null）
+ */
+function replay(url) {
+  const entry = loadManifest()[url];
+  if (!entry) {
+    throw createMissingFixtureError(url);
+  }
+
+  const file = path.join(FIXTURE_DIR, entry.file);
+  if (!fs.existsSync(file)) {
+    throw createMissingFixtureError(url);
+  }
+
+  const content = fs.readFileSync(file, 'utf8');
+  return {
+    data: entry.file.endsWith('.json') ? JSON.parse(content) : content,
+    headers: entry.contentType ? { 'content-type': entry.contentType } : {},
+    recordedAt: entry.recordedAt || null
+  };
+}
+
+/**
+ * 錄製：把回應存成 fixture（同一網址覆寫舊的 fixture）
+ * 錄製失敗只記錄警告，不影響請求結果
+ * @param {string} url - 網址
+ * @param {Object} response - { status, headers, data }
+ */
+function record(url, response) {
+  try {
+    const headers = response.headers || {};
+    const isJson = typeof response.data === 'object' && response.data !== null;
+    const relativePath = getFixturePath(url, isJson);
+
+    writeFile(path.join(FIXTURE_DIR, relativePath), isJson ? JSON.stringify(response.data, null, 2) : String(response.data));
+
+    loadManifest()[url] = {
+      file: relativePath,
+      status: response.status || 200,
+      contentType: headers['content-type'] || null,
+      recordedAt: new Date().toISOString()
+    };
+    writeFile(MANIFEST_FILE, JSON.stringify({ fixtures: loadManifest() }, null, 2));
+  } catch (error) {
+    console.warn(`錄製 fixture 失敗 (${url}):`, error.message);
+  }
+}
+
+/**
+ * 取得所有 fixture 的網址
+ * @returns {Array<string>} 網址陣列
+ */
+function listFixtures() {
+  return Object.keys(loadManifest());
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  FIXTURE_DIR,
+  MODE,
+  getFixturePath,
+  replay,
+  record,
+  listFixtures
+};
@@ -0,0 +1,464 @@
+/**
+ * 攪珠結果匯入服務
+ * 解析 CSV / JSON 格式的歷史攪珠資料，驗證後寫入本地資料庫
+ */
+
+const LotteryResultDTO = require('../models/LotteryResultDTO');
+const { parsePeriodNumber, convertDateFormat } = require('./utils');
+const drawStore = require('./drawStore');
+const { attachProvenance } = require('./provenance');
+
+// 匯入解析器版本（記錄在匯入結果的 provenance，修改欄位規則時遞增）
+const PARSER_VERSION = 1;
+
+// 欄位名稱別名（不分大小寫，忽略空白、底線和連字號）
+const COLUMN_ALIASES = {
+  periodNumber: ['periodnumber', 'period', 'drawno', 'drawnumber', 'draw', '期數', '攪珠期數'],
+  date: ['date', 'drawdate', '日期', '攪珠日期'],
+  numbers: ['numbers', 'drawnnumbers', 'results', '號碼', '攪出號碼'],
+  extra: ['extra', 'extranumber', 'special', 'specialnumber', 'bonus', '特別號碼', '特別號'],
+  drawType: ['drawtype', 'type', '攪珠類型'],
+  turnover: ['turnover', 'totalturnover', '總投注額', '投注額'],
+  jackpot: ['jackpot', '多寶', '多寶獎金'],
+  snowball: ['snowball', '金多寶', '金多寶獎金']
+};
+
+// 金額欄位（轉換後寫入 DTO 的同名欄位）
+const AMOUNT_FIELDS = ['turnover', 'jackpot', 'snowball'];
+
+// 逐個號碼欄位（例如 n1..n6、no1..no6、號碼1..號碼6）
+const NUMBER_COLUMN_PATTERN = /^(?:n|no|num|number|ball|號碼)(\d)$/;
+
+// 各獎項派彩欄位（例如 div1Dividend、div1Winners、division2WinningUnits）
+const PRIZE_COLUMN_PATTERN = /^(?:div|division)(\d)(dividend|winners|winningunits|units)$/;
+
+/**
+ * 建立匯入內容錯誤（路由據此返回 400）
+ * @param {string} message - 錯誤訊息
+ * @returns {Error} 帶有 isImportError 標記的錯誤
+ */
+function createImportError(message) {
+  const error = new Error(message);
+  error.isImportError = true;
+  return error;
+}
+
+/**
+ * 正規化欄位名稱以便比對別名
+ * @param {string} name - 原始欄位名稱
+ * @returns {string} 正規化後的欄位名稱
+ */
+function normalizeColumnName(name) {
+  return String(name).trim().toLowerCase().replace(/[\s_\-]+/g, '');
+}
+
+/**
+ * 解析 CSV 文字（支援雙引號包住的欄位、欄位內換行及 "" 跳脫）
+ * @param {string} text - CSV 文字
+ * @returns {Array<Array<string>>} 每列的欄位陣列
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const content = String(text).replace(/^﻿/, ''); // 移除 BOM
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // 移除完全空白的列
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * 根據表頭建立欄位對應
+ * @param {Array<string>} headers - 表頭欄位
+ * @param {Object} mapping - 可選，自訂欄位對應 { periodNumber, date, numbers, extra }（numbers 可為欄位名稱陣列）
+ * @returns {Object} { periodNumber, date, numbers: Array<string>, extra }
+ */
+function resolveColumns(headers, mapping = {}) {
+  const byNormalized = {};
+  headers.forEach(header => {
+    byNormalized[normalizeColumnName(header)] = header;
+  });
+
+  const findColumn = (key) => {
+    if (mapping[key] && !Array.isArray(mapping[key])) {
+      return byNormalized[normalizeColumnName(mapping[key])] || null;
+    }
+    const alias = COLUMN_ALIASES[key].find(name => byNormalized[name] !== undefined);
+    return alias ? byNormalized[alias] : null;
+  };
+
+  let numberColumns;
+  if (Array.isArray(mapping.numbers)) {
+    numberColumns = mapping.numbers
+      .map(name => byNormalized[normalizeColumnName(name)])
+      .filter(Boolean);
+  } else {
+    const singleColumn = findColumn('numbers');
+    if (singleColumn) {
+      numberColumns = [singleColumn];
+    } else {
+      // 使用逐個號碼欄位，依欄位編號排序
+      numberColumns = headers
+        .map(header => ({ header, match: normalizeColumnName(header).match(NUMBER_COLUMN_PATTERN) }))
+        .filter(item => item.match)
+        .sort((a, b) => parseInt(a.match[1], 10) - parseInt(b.match[1], 10))
+        .map(item => item.header);
+    }
+  }
+
+  // 派彩欄位：{ 獎項: { dividend: 欄位, winningUnits: 欄位 } }
+  const prizes = {};
+  headers.forEach(header => {
+    const match = normalizeColumnName(header).match(PRIZE_COLUMN_PATTERN);
+    if (!match) return;
+    const division = parseInt(match[1], 10);
+    prizes[division] = prizes[division] || {};
+    prizes[division][match[2] === 'dividend' ? 'dividend' : 'winningUnits'] = header;
+  });
+
+  return {
+    periodNumber: findColumn('periodNumber'),
+    date: findColumn('date'),
+    numbers: numberColumns,
+    extra: findColumn('extra'),
+    drawType: findColumn('drawType'),
+    turnover: findColumn('turnover'),
+    jackpot: findColumn('jackpot'),
+    snowball: findColumn('snowball'),
+    prizes
+  };
+}
+
+/**
+ * 檢查欄位值是否為空
+ * @param {*} value - 欄位值
+ * @returns {boolean} 是否為空
+ */
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * 取得並驗證派彩相關欄位（攪珠類型、總投注額、多寶、金多寶、各獎項派彩）
+ * @param {Object} record - 原始記錄
+ * @param {Object} columns - 欄位對應
+ * @returns {Object} { fields, errors }
+ */
+function extractPrizeFields(record, columns) {
+  const errors = [];
+  const fields = {};
+
+  if (columns.drawType && !isBlank(record[columns.drawType])) {
+    const drawType = String(record[columns.drawType]).trim();
+    if (LotteryResultDTO.DRAW_TYPES.includes(drawType)) {
+      fields.drawType = drawType;
+    } else {
+      errors.push(`攪珠類型無效: ${drawType}（支援 ${LotteryResultDTO.DRAW_TYPES.join('、')}）`);
+    }
+  }
+
+  AMOUNT_FIELDS.forEach(field => {
+    if (!columns[field] || isBlank(record[columns[field]])) return;
+    const amount = LotteryResultDTO.parseAmount(record[columns[field]]);
+    if (amount === null) {
+      errors.push(`${field} 金額無效: ${record[columns[field]]}`);
+    } else {
+      fields[field] = amount;
+    }
+  });
+
+  // JSON 記錄可直接提供 prizes 陣列；CSV 使用 divNDividend / divNWinners 欄位
+  let rawPrizes = Array.isArray(record.prizes) ? record.prizes : [];
+  Object.entries(columns.prizes || {}).forEach(([division, prizeColumns]) => {
+    const dividend = prizeColumns.dividend ? record[prizeColumns.dividend] : undefined;
+    const winningUnits = prizeColumns.winningUnits ? record[prizeColumns.winningUnits] : undefined;
+    if (isBlank(dividend) && isBlank(winningUnits)) return;
+    rawPrizes = rawPrizes.concat({ division, dividend, winningUnits });
+  });
+
+  rawPrizes.forEach(prize => {
+    ['dividend', 'winningUnits'].forEach(key => {
+      if (!isBlank(prize[key]) && LotteryResultDTO.parseAmount(prize[key]) === null) {
+        errors.push(`第 ${prize.division} 獎 ${key} 無效: ${prize[key]}`);
+      }
+    });
+  });
+  if (rawPrizes.length > 0) {
+    fields.prizes = LotteryResultDTO.parsePrizes(rawPrizes);
+  }
+
+  return { fields, errors };
+}
+
+/**
+ * 將號碼欄位值拆分為號碼字串
+ * @param {*} value - 欄位值（字串、數字或陣列）
+ * @returns {Array<string>} 號碼字串陣列
+ */
+function splitNumberTokens(value) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(item => item !== '');
+  return String(value).split(/[\s,;|+]+/).filter(item => item.trim() !== '');
+}
+
+/**
+ * 驗證並轉換一筆原始記錄
+ * @param {Object} record - 以欄位名稱為鍵的原始記錄
+ * @param {Object} columns - 欄位對應（resolveColumns 的結果）
+ * @returns {Object} { draw, errors }
+ */
+function validateRecord(record, columns) {
+  const errors = [];
+
+  // 期數：需符合 parsePeriodNumber 支援的格式
+  const periodNumber = columns.periodNumber ? String(record[columns.periodNumber] ?? '').trim() : '';
+  if (!periodNumber) {
+    errors.push('缺少期數');
+  } else if (!parsePeriodNumber(periodNumber)) {
+    errors.push(`期數格式無效: ${periodNumber}（支援 25/132 或 2025001）`);
+  }
+
+  // 日期：接受 yyyy-mm-dd 或 dd/mm/yyyy
+  const rawDate = columns.date ? String(record[columns.date] ?? '').trim() : '';
+  const date = convertDateFormat(rawDate);
+  if (!rawDate) {
+    errors.push('缺少日期');
+  } else if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+    errors.push(`日期格式無效: ${rawDate}（支援 yyyy-mm-dd 或 dd/mm/yyyy）`);
+  }
+
+  // 號碼：正選號碼必須剛好6個，全部在 1-49 之間且不重複
+  const mainTokens = [];
+  columns.numbers.forEach(column => {
+    mainTokens.push(...splitNumberTokens(record[column]));
+  });
+  const extraTokens = columns.extra ? splitNumberTokens(record[columns.extra]) : [];
+
+  // 未提供特別號碼欄位時，第7個號碼視為特別號碼（與抓取格式一致）
+  const tokens = [...mainTokens, ...extraTokens];
+  const invalidTokens = tokens.filter(token => {
+    const num = parseInt(token, 10);
+    return isNaN(num) || String(num) !== token.replace(/^0+(?=\d)/, '') || num < 1 || num > 49;
+  });
+  if (invalidTokens.length > 0) {
+    errors.push(`號碼無效: ${invalidTokens.join(', ')}（號碼必須為 1-49 的整數）`);
+  }
+
+  const numbers = LotteryResultDTO.parseNumbers(tokens);
+  if (mainTokens.length > 0 && extraTokens.length > 1) {
+    errors.push('特別號碼只能有1個');
+  }
+  if (invalidTokens.length === 0) {
+    if (numbers.main.length !== LotteryResultDTO.MAIN_NUMBER_COUNT) {
+      errors.push(`正選號碼數量必須為 ${LotteryResultDTO.MAIN_NUMBER_COUNT} 個（實際 ${numbers.main.length} 個）`);
+    }
+    if (tokens.length > LotteryResultDTO.MAIN_NUMBER_COUNT + 1) {
+      errors.push(`號碼數量過多（最多 ${LotteryResultDTO.MAIN_NUMBER_COUNT} 個正選號碼加 1 個特別號碼）`);
+    }
+    const allDrawn = numbers.extra !== null ? [...numbers.main, numbers.extra] : numbers.main;
+    if (new Set(allDrawn).size !== allDrawn.length) {
+      errors.push('同一期內號碼重複');
+    }
+  }
+
+  const prizeFields = extractPrizeFields(record, columns);
+  errors.push(...prizeFields.errors);
+
+  if (errors.length > 0) {
+    return { draw: null, errors };
+  }
+
+  return {
+    draw: new LotteryResultDTO({ periodNumber, date, numbers, ...prizeFields.fields }).toJSON(),
+    errors
+  };
+}
+
+/**
+ * 將 CSV 文字轉換為記錄陣列
+ * @param {string} text - CSV 文字
+ * @returns {Object} { headers, records }
+ */
+function csvToRecords(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[0].map(header => header.trim());
+  const records = rows.slice(1).map(cells => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = cells[index] !== undefined ? cells[index].trim() : '';
+    });
+    return record;
+  });
+
+  return { headers, records };
+}
+
+/**
+ * 將 JSON 記錄陣列正規化（支援 LotteryResultDTO 格式的 numbers 物件）
+ * @param {Array} items - JSON 記錄陣列
+ * @returns {Object} { headers, records }
+ */
+function jsonToRecords(items) {
+  const headers = new Set();
+  const records = items.map(item => {
+    const record = { ...(item || {}) };
+    // { main, extra } 格式拆成 numbers 與 extra 欄位
+    if (record.numbers && !Array.isArray(record.numbers) && typeof record.numbers === 'object') {
+      const { main, extra } = record.numbers;
+      record.numbers = main;
+      if (record.extra === undefined && extra !== undefined && extra !== null) {
+        record.extra = extra;
+      }
+    }
+    Object.keys(record).forEach(key => headers.add(key));
+    return record;
+  });
+
+  return { headers: Array.from(headers), records };
+}
+
+/**
+ * 解析並驗證 CSV / JSON 攪珠資料（不寫入資料庫）
+ * @param {Object} input - 匯入內容
+ * @param {string} input.format - 'csv' 或 'json'
+ * @param {string|Array} input.content - CSV 文字或 JSON 記錄陣列
+ * @param {Object} input.mapping - 可選，自訂欄位對應
+ * @returns {Object} { columns, rows: 逐列驗證結果, draws: 通過驗證的攪珠結果, records: 與 draws 對應的原始記錄 }
+ */
+function parseDraws({ format, content, mapping = {} }) {
+  let parsed;
+  if (format === 'csv') {
+    parsed = csvToRecords(content);
+  } else if (format === 'json') {
+    if (!Array.isArray(content)) {
+      throw createImportError('JSON 匯入內容必須是陣列');
+    }
+    parsed = jsonToRecords(content);
+  } else {
+    throw createImportError(`不支援的匯入格式: ${format}（支援 csv 或 json）`);
+  }
+
+  const columns = resolveColumns(parsed.headers, mapping);
+  if (!columns.periodNumber || !columns.date || columns.numbers.length === 0) {
+    throw createImportError('無法辨識必要欄位（期數、日期、號碼），請檢查表頭或提供 mapping');
+  }
+
+  const rows = [];
+  const draws = [];
+  const records = [];
+  const seenPeriods = new Set();
+
+  parsed.records.forEach((record, index) => {
+    // CSV 第1列為表頭，所以資料列號從2開始；JSON 從1開始
+    const rowNumber = format === 'csv' ? index + 2 : index + 1;
+    const { draw, errors } = validateRecord(record, columns);
+
+    if (draw && seenPeriods.has(draw.periodNumber)) {
+      errors.push(`期數 ${draw.periodNumber} 在匯入內容中重複`);
+    }
+
+    if (errors.length > 0) {
+      rows.push({
+        row: rowNumber,
+        status: 'rejected',
+        periodNumber: record[columns.periodNumber] || null,
+        errors
+      });
+      return;
+    }
+
+    seenPeriods.add(draw.periodNumber);
+    draws.push(draw);
+    records.push(record);
+    rows.push({
+      row: rowNumber,
+      status: 'accepted',
+      periodNumber: draw.periodNumber
+    });
+  });
+
+  return { columns, rows, draws, records };
+}
+
+/**
+ * 匯入攪珠結果
+ * @param {Object} input - 匯入內容（同 parseDraws）
+ * @param {boolean} input.dryRun - 只驗證不寫入（預設 false）
+ * @returns {Object} 逐列匯入報告
+ */
+function importDraws({ format, content, mapping = {}, dryRun = false }) {
+  const { columns, rows, draws, records } = parseDraws({ format, content, mapping });
+  const importedAt = new Date().toISOString();
+  const acceptedDraws = draws.map((draw, index) => attachProvenance(
+    { ...draw, source: 'import', raw: { url: null, row: records[index] } },
+    { source: 'import', parserVersion: PARSER_VERSION, fetchedAt: importedAt }
+  ));
+
+  let added = 0;
+  if (!dryRun && acceptedDraws.length > 0) {
+    added = drawStore.upsertDraws(acceptedDraws).length;
+    drawStore.saveStore();
+  }
+
+  return {
+    format,
+    dryRun,
+    columns,
+    total: rows.length,
+    accepted: acceptedDraws.length,
+    rejected: rows.length - acceptedDraws.length,
+    added,
+    updated: dryRun ? 0 : acceptedDraws.length - added,
+    rows
+  };
+}
+
+module.exports = {
+  PARSER_VERSION,
+  parseCsv,
+  parseDraws,
+  importDraws
+};
@@ -0,0 +1,328 @@
+/**
+ * 資料完整性檢查服務
+ * 檢查攪珠歷史中的重複期數、期數缺口、號碼錯誤及日期順序，並可產生修復後的資料集
+ */
+
+const LotteryResultDTO = require('../models/LotteryResultDTO');
+const GameDefinition = require('../models/GameDefinition');
+const PeriodId = require('../models/PeriodId');
+const { parsePeriodNumber } = require('./utils');
+const { compareDrawsDesc } = require('./drawStore');
+
+// 問題類型
+const ISSUE_TYPES = {
+  INVALID_PERIOD: 'invalidPeriod',
+  DUPLICATE_PERIOD: 'duplicatePeriod',
+  PERIOD_GAP: 'periodGap',
+  INVALID_DATE: 'invalidDate',
+  DATE_OUT_OF_ORDER: 'dateOutOfOrder',
+  NUMBER_OUT_OF_RANGE: 'numberOutOfRange',
+  REPEATED_NUMBER: 'repeatedNumber',
+  WRONG_NUMBER_COUNT: 'wrongNumberCount',
+  INVALID_EXTRA: 'invalidExtra'
+};
+
+// error：該期資料無法使用；warning：資料可用但可能不完整
+const SEVERITY = {
+  [ISSUE_TYPES.INVALID_PERIOD]: 'error',
+  [ISSUE_TYPES.DUPLICATE_PERIOD]: 'error',
+  [ISSUE_TYPES.PERIOD_GAP]: 'warning',
+  [ISSUE_TYPES.INVALID_DATE]: 'error',
+  [ISSUE_TYPES.DATE_OUT_OF_ORDER]: 'warning',
+  [ISSUE_TYPES.NUMBER_OUT_OF_RANGE]: 'error',
+  [ISSUE_TYPES.REPEATED_NUMBER]: 'error',
+  [ISSUE_TYPES.WRONG_NUMBER_COUNT]: 'error',
+  [ISSUE_TYPES.INVALID_EXTRA]: 'warning'
+};
+
+/**
+ * 將號碼欄位拆成原始的正選號碼及特別號碼（不過濾無效值，以便回報）
+ * @param {Object|Array} rawNumbers - 原始號碼資料
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} { main: Array, extra: *, overflow: Array }
+ */
+function splitRawNumbers(rawNumbers, game) {
+  if (!rawNumbers) {
+    return { main: [], extra: null, overflow: [] };
+  }
+
+  if (!Array.isArray(rawNumbers) && typeof rawNumbers === 'object') {
+    return {
+      main: Array.isArray(rawNumbers.main) ? rawNumbers.main : [],
+      extra: rawNumbers.extra !== undefined ? rawNumbers.extra : null,
+      overflow: []
+    };
+  }
+
+  // 陣列格式與 LotteryResultDTO.parseNumbers 一致：前 pickCount 個為正選號碼，之後為特別號碼（遊戲有特別號碼時）
+  const tokens = [];
+  rawNumbers.forEach(item => {
+    String(item).split(/[\n\t\s]+/).filter(str => str.trim() !== '').forEach(str => tokens.push(str.trim()));
+  });
+
+  const count = game.pickCount;
+  return {
+    main: tokens.slice(0, count),
+    extra: game.extraCount > 0 && tokens.length > count ? tokens[count] : null,
+    overflow: tokens.slice(count + game.extraCount)
+  };
+}
+
+/**
+ * 檢查號碼是否為 1 至號碼池大小之間的整數
+ * @param {*} value - 號碼
+ * @param {Object} game - 遊戲定義
+ * @returns {boolean} 是否有效
+ */
+function isValidNumber(value, game) {
+  return /^\d+$/.test(String(value).trim()) && GameDefinition.isValidNumber(game, parseInt(value, 10));
+}
+
+/**
+ * 檢查日期是否為有效的 yyyy-mm-dd
+ * @param {string} date - 日期字串
+ * @returns {boolean} 是否有效
+ */
+function isValidDate(date) {
+  return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(new Date(date).getTime());
+}
+
+/**
+ * 檢查單期資料本身的問題（期數、日期、號碼）
+ * @param {Object} record - 攪珠結果
+ * @param {Object} game - 遊戲定義
+ * @returns {Array<Object>} 問題陣列 { type, message, details }
+ */
+function checkRecord(record, game) {
+  const issues = [];
+  const periodNumber = record ? record.periodNumber : undefined;
+
+  if (typeof periodNumber !== 'string' || !parsePeriodNumber(periodNumber)) {
+    issues.push({
+      type: ISSUE_TYPES.INVALID_PERIOD,
+      message: `期數格式無效: ${periodNumber}`
+    });
+  }
+
+  if (!isValidDate(record ? record.date : undefined)) {
+    issues.push({
+      type: ISSUE_TYPES.INVALID_DATE,
+      message: `日期格式無效: ${record ? record.date : undefined}（需要 yyyy-mm-dd）`
+    });
+  }
+
+  const { main, extra, overflow } = splitRawNumbers(record ? record.numbers : null, game);
+
+  const outOfRange = main.filter(value => !isValidNumber(value, game));
+  if (outOfRange.length > 0) {
+    issues.push({
+      type: ISSUE_TYPES.NUMBER_OUT_OF_RANGE,
+      message: `正選號碼超出 1-${game.poolSize} 範圍: ${outOfRange.join(', ')}`,
+      details: { values: outOfRange }
+    });
+  }
+
+  if (main.length !== game.pickCount || overflow.length > 0) {
+    issues.push({
+      type: ISSUE_TYPES.WRONG_NUMBER_COUNT,
+      message: `正選號碼數量應為 ${game.pickCount} 個（實際 ${main.length} 個${overflow.length > 0 ? `，另有 ${overflow.length} 個多餘號碼` : ''}）`,
+      details: { mainCount: main.length, overflow }
+    });
+  }
+
+  const validMain = main.filter(value => isValidNumber(value, game)).map(value => parseInt(value, 10));
+  const repeated = validMain.filter((num, index) => validMain.indexOf(num) !== index);
+  if (repeated.length > 0) {
+    issues.push({
+      type: ISSUE_TYPES.REPEATED_NUMBER,
+      message: `同一期內正選號碼重複: ${Array.from(new Set(repeated)).join(', ')}`,
+      details: { values: Array.from(new Set(repeated)) }
+    });
+  }
+
+  if (extra !== null && extra !== '') {
+    if (game.extraCount === 0) {
+      issues.push({
+        type: ISSUE_TYPES.INVALID_EXTRA,
+        message: `${game.name} 沒有特別號碼: ${extra}`,
+        details: { value: extra }
+      });
+    } else if (!isValidNumber(extra, game)) {
+      issues.push({
+        type: ISSUE_TYPES.INVALID_EXTRA,
+        message: `特別號碼超出 1-${game.poolSize} 範圍: ${extra}`,
+        details: { value: extra }
+      });
+    } else if (validMain.includes(parseInt(extra, 10))) {
+      issues.push({
+        type: ISSUE_TYPES.INVALID_EXTRA,
+        message: `特別號碼 ${extra} 與正選號碼重複`,
+        details: { value: parseInt(extra, 10) }
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * 檢查攪珠歷史的完整性
+ * @param {Array} results - 攪珠結果陣列（任意順序）
+ * @param {Object} options - 選項
+ * @param {boolean} options.repair - 是否同時產生修復後的資料集（預設 false）
+ * @param {Object} options.periodsPerYear - 可選，每年的總期數 { 2024: 120, ... }，用於計算跨年缺口的缺少期數
+ * @param {Object} options.game - 可選，遊戲定義（預設為六合彩）
+ * @returns {Object} { totalRecords, validRecords, errorCount, warningCount, summary, issues, repaired? }
+ */
+function checkIntegrity(results, options = {}) {
+  const { repair = false, periodsPerYear = {}, game = GameDefinition.DEFAULT_GAME } = options;
+  const issues = [];
+  const invalidIndexes = new Set();
+  const invalidExtraIndexes = new Set();
+
+  const addIssue = (issue, index, record) => {
+    const severity = SEVERITY[issue.type];
+    issues.push({
+      type: issue.type,
+      severity,
+      index,
+      periodNumber: record && record.periodNumber !== undefined ? record.periodNumber : null,
+      message: issue.message,
+      ...(issue.details ? { details: issue.details } : {})
+    });
+    if (index !== null && severity === 'error') {
+      invalidIndexes.add(index);
+    }
+  };
+
+  // 1. 逐期檢查
+  results.forEach((record, index) => {
+    checkRecord(record, game).forEach(issue => {
+      addIssue(issue, index, record);
+      if (issue.type === ISSUE_TYPES.INVALID_EXTRA) {
+        invalidExtraIndexes.add(index);
+      }
+    });
+  });
+
+  // 2. 重複期數（保留第一次出現的記錄，25/001 與 2025001 視為同一期）
+  const firstIndexByPeriod = new Map();
+  results.forEach((record, index) => {
+    if (!record || typeof record.periodNumber !== 'string') return;
+    const periodKey = PeriodId.key(record.periodNumber) || record.periodNumber;
+    if (!firstIndexByPeriod.has(periodKey)) {
+      firstIndexByPeriod.set(periodKey, index);
+      return;
+    }
+
+    const firstIndex = firstIndexByPeriod.get(periodKey);
+    const identical = JSON.stringify(new LotteryResultDTO(record, game).toJSON().numbers) ===
+      JSON.stringify(new LotteryResultDTO(results[firstIndex], game).toJSON().numbers) &&
+      record.date === results[firstIndex].date;
+    addIssue({
+      type: ISSUE_TYPES.DUPLICATE_PERIOD,
+      message: `期數 ${record.periodNumber} 重複（第一次出現於第 ${firstIndex} 筆${identical ? '，內容相同' : '，內容不同'}）`,
+      details: { firstIndex, identical }
+    }, index, record);
+  });
+
+  // 3. 依期數排序後檢查缺口及日期順序（只使用期數有效且不重複的記錄）
+  const ordered = Array.from(firstIndexByPeriod.values())
+    .filter(index => parsePeriodNumber(results[index].periodNumber))
+    .map(index => ({ index, record: results[index] }))
+    .sort((a, b) => compareDrawsDesc(b.record, a.record));
+
+  for (let i = 1; i < ordered.length; i++) {
+    const previous = ordered[i - 1];
+    const current = ordered[i];
+
+    if (!PeriodId.isNext(previous.record.periodNumber, current.record.periodNumber)) {
+      // 跨年時需要知道上一年的總期數，未提供 periodsPerYear 時缺少期數為 null
+      const distance = PeriodId.distance(previous.record.periodNumber, current.record.periodNumber, { periodsPerYear });
+      const missingCount = distance === null ? null : distance - 1;
+      addIssue({
+        type: ISSUE_TYPES.PERIOD_GAP,
+        message: `期數 ${previous.record.periodNumber} 與 ${current.record.periodNumber} 之間有缺口${missingCount !== null ? `（缺少 ${missingCount} 期）` : ''}`,
+        details: { from: previous.record.periodNumber, to: current.record.periodNumber, missingCount }
+      }, null, current.record);
+    }
+
+    if (isValidDate(previous.record.date) && isValidDate(current.record.date) &&
+        current.record.date < previous.record.date) {
+      addIssue({
+        type: ISSUE_TYPES.DATE_OUT_OF_ORDER,
+        message: `期數 ${current.record.periodNumber} 的日期 ${current.record.date} 早於上一期 ${previous.record.periodNumber} 的日期 ${previous.record.date}`,
+        details: { previousPeriod: previous.record.periodNumber, previousDate: previous.record.date }
+      }, current.index, current.record);
+    }
+  }
+
+  // 統計各類型問題數量
+  const summary = {};
+  Object.values(ISSUE_TYPES).forEach(type => {
+    summary[type] = 0;
+  });
+  issues.forEach(issue => {
+    summary[issue.type]++;
+  });
+
+  const report = {
+    totalRecords: results.length,
+    validRecords: results.length - invalidIndexes.size,
+    errorCount: issues.filter(issue => issue.severity === 'error').length,
+    warningCount: issues.filter(issue => issue.severity === 'warning').length,
+    summary,
+    issues
+  };
+
+  if (repair) {
+    report.repaired = repairResults(results, issues, invalidIndexes, invalidExtraIndexes, game);
+  }
+
+  return report;
+}
+
+/**
+ * 產生修復後的資料集：移除無法使用的記錄及重複期數，清除無效的特別號碼，並按期數排序（最新的在前）
+ * 期數缺口及日期順序只回報，無法自動修復
+ * @param {Array} results - 原始攪珠結果
+ * @param {Array} issues - checkIntegrity 找到的問題
+ * @param {Set<number>} invalidIndexes - 需要移除的記錄索引
+ * @param {Set<number>} invalidExtraIndexes - 需要清除特別號碼的記錄索引
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} { results, removed, modified }
+ */
+function repairResults(results, issues, invalidIndexes, invalidExtraIndexes, game) {
+  const removed = [];
+  const modified = [];
+  const repaired = [];
+
+  results.forEach((record, index) => {
+    if (invalidIndexes.has(index)) {
+      removed.push({
+        index,
+        periodNumber: record && record.periodNumber !== undefined ? record.periodNumber : null,
+        reasons: issues
+          .filter(issue => issue.index === index && issue.severity === 'error')
+          .map(issue => issue.type)
+      });
+      return;
+    }
+
+    const draw = new LotteryResultDTO(record, game).toJSON();
+    if (invalidExtraIndexes.has(index)) {
+      draw.numbers.extra = null;
+      modified.push({ index, periodNumber: draw.periodNumber, changes: ['extra'] });
+    }
+    repaired.push(draw);
+  });
+
+  repaired.sort(compareDrawsDesc);
+
+  return { results: repaired, removed, modified };
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  checkIntegrity
+};
@@ -1,102 +1,106 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
-const LotteryResultDTO = require('../models/LotteryResultDTO');
+const drawStore = require('./drawStore');
+const dataSources = require('./dataSources');
+const queryService = require('./queryService');
+const provenance = require('./provenance');
+
+// 六合彩於1976年開始攪珠，更早的年份沒有攪珠結果
+const MIN_YEAR = 1976;
+
+// 自動同步的最短間隔（毫秒），期間內的請求直接使用本地資料
+const SYNC_INTERVAL_MS = parseInt(process.env.SYNC_INTERVAL_MS, 10) || 10 * 60 * 1000;
+
+// 同時抓取的年份數量上限（避免長年份範圍一次發出數十個請求）
+const FETCH_CONCURRENCY = parseInt(process.env.FETCH_CONCURRENCY, 10) > 0 ? parseInt(process.env.FETCH_CONCURRENCY, 10) : 4;
+
+// 正在進行中的同步（避免同時觸發多次抓取）
+let syncInProgress = null;
+
+// 各年份最近一次抓取的狀態（供 /results 回報警告）
+const yearStatuses = new Map();
 
 /**
- * 將日期從 dd/mm/yyyy 格式轉換為 yyyy-mm-dd 格式
- * @param {string} dateStr - dd/mm/yyyy 格式的日期字串
- * @returns {string} yyyy-mm-dd 格式的日期字串
+ * 驗證查詢的年份範圍：必須是 MIN_YEAR 至今年的年份，且開始年份不大於結束年份
+ * @param {number} startYear - 開始年份
+ * @param {number} endYear - 結束年份
+ * @returns {string|null} 錯誤訊息，沒有錯誤時返回 null
  */
-function convertDateFormat(dateStr) {
-  if (!dateStr) return dateStr;
-
-  // 匹配 dd/mm/yyyy 格式
-  const match = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-  if (match) {
-    const day = match[1].padStart(2, '0');
-    const month = match[2].padStart(2, '0');
-    const year = match[3];
-    return `${year}-${month}-${day}`;
-  }
+function validateYearRange(startYear, endYear) {
+  const currentYear = new Date().getFullYear();
 
-  // 如果格式不符合，返回原始字串
-  return dateStr;
+  if (!Number.isInteger(startYear) || !Number.isInteger(endYear)) {
+    return 'startYear 及 endYear 必須是年份';
+  }
+  if (startYear < MIN_YEAR || startYear > currentYear || endYear < MIN_YEAR || endYear > currentYear) {
+    return `startYear 及 endYear 必須是 ${MIN_YEAR}-${currentYear} 的年份`;
+  }
+  if (startYear > endYear) {
+    return '開始年份不能大於結束年份';
+  }
+  return null;
 }
 
 /**
- * 從網頁抓取單一年份的攪珠結果
+ * 依資料來源順序抓取單一年份的攪珠結果，並記錄抓取狀態
+ * @param {number} year - 年份
+ * @param {Object} options - 選項
+ * @param {boolean} options.refresh - 忽略 HTTP 快取時間，強制重新驗證
+ * @returns {Promise<Object>} { year, status, source, message, attempts, draws }（draws 每筆都標記 source 並附上 provenance）
  */
-async function fetchLotteryResultsByYear(year) {
-  try {
-    const url = `https://lottery.hk/liuhecai/jieguo/${year}`;
-
-    // 取得網頁內容
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
-
-    const html = response.data;
-    const $ = cheerio.load(html);
+async function fetchLotteryResultsByYear(year, options = {}) {
+  const fetched = await dataSources.fetchYear(year, options);
+  const fetchedAt = new Date().toISOString();
+  const result = {
+    ...fetched,
+    draws: fetched.draws.map(draw => provenance.attachProvenance(draw, {
+      source: fetched.source,
+      parserVersion: fetched.parserVersion,
+      fetchedAt
+    }))
+  };
+  yearStatuses.set(year, {
+    year,
+    status: result.status,
+    source: result.source,
+    count: result.draws.length,
+    ...(result.message ? { message: result.message } : {}),
+    attempts: result.attempts,
+    checkedAt: new Date().toISOString()
+  });
+  return result;
+}
 
-    // 查找目標表格
-    const table = $('table.-center._results');
+/**
+ * 以有限的並行數量處理項目，每完成一項即呼叫 onComplete
+ * @param {Array} items - 項目陣列（依陣列順序開始處理）
+ * @param {Function} worker - async (item) => 結果
+ * @param {Function} onComplete - (結果) => void，可選
+ * @returns {Promise<Array>} 結果陣列（與 items 同順序）
+ */
+async function mapWithConcurrency(items, worker, onComplete) {
+  const results = new Array(items.length);
+  let next = 0;
 
-    if (table.length === 0) {
-      console.warn(`年份 ${year} 未找到目標表格`);
-      return [];
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+      if (onComplete) onComplete(results[index]);
     }
+  };
 
-    const results = [];
-
-    // 解析表格行
-    table.find('tbody tr').each((index, element) => {
-      const $row = $(element);
-      const cells = $row.find('td');
-
-      if (cells.length >= 3) {
-        // 提取期數
-        const periodNumber = $row.find('td').eq(0).text().trim();
-
-        // 提取日期並轉換格式 (dd/mm/yyyy -> yyyy-mm-dd)
-        const rawDate = $row.find('td').eq(1).text().trim();
-        const date = convertDateFormat(rawDate);
-
-        // 提取號碼（可能有多列）
-        const numbers = [];
-        for (let i = 2; i < cells.length; i++) {
-          const num = $(cells[i]).text().trim();
-          if (num) {
-            numbers.push(num);
-          }
-        }
-
-        if (periodNumber && date) {
-          const result = LotteryResultDTO.fromTableRow({
-            periodNumber,
-            date,
-            numbers
-          });
-          results.push(result);
-        }
-      }
-    });
-
-    return results.map(r => r.toJSON());
-  } catch (error) {
-    console.error(`抓取年份 ${year} 資料失敗:`, error);
-    // 如果某一年份失敗，返回空陣列而不是拋出錯誤
-    return [];
-  }
+  await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, items.length) }, run));
+  return results;
 }
 
 /**
- * 從網頁抓取攪珠結果（支援年份範圍）
+ * 從資料來源抓取攪珠結果（支援年份範圍，同時最多抓取 FETCH_CONCURRENCY 個年份）
  * @param {number} startYear - 開始年份
  * @param {number} endYear - 結束年份
+ * @param {Object} options - 選項
+ * @param {boolean} options.refresh - 忽略 HTTP 快取時間，強制重新驗證
+ * @returns {Promise<Object>} { results: 攪珠結果陣列, years: 每個年份的抓取狀態 }
  */
-async function fetchLotteryResults(startYear, endYear) {
+async function fetchLotteryResults(startYear, endYear, options = {}) {
   try {
     const currentYear = new Date().getFullYear();
     const start = startYear || currentYear;
@@ -109,17 +113,17 @@ async function fetchLotteryResults(startYear, endYear) {
 
     const allResults = [];
 
-    // 並行抓取所有年份的資料
-    const yearPromises = [];
-    for (let year = start; year <= end; year++) {
-      yearPromises.push(fetchLotteryResultsByYear(year));
+    // 由最新的年份開始，限制並行數量抓取
+    const years = [];
+    for (let year = end; year >= start; year--) {
+      years.push(year);
     }
 
-    const yearResults = await Promise.all(yearPromises);
+    const yearResults = await mapWithConcurrency(years, year => fetchLotteryResultsByYear(year, options));
 
     // 合併所有年份的結果
-    yearResults.forEach(results => {
-      allResults.push(...results);
+    yearResults.forEach(yearResult => {
+      allResults.push(...yearResult.draws);
     });
 
     // 按日期排序（最新的在前，由近至遠）
@@ -160,14 +164,240 @@ async function fetchLotteryResults(startYear, endYear) {
       return dateB.getTime() - dateA.getTime();
     });
 
-    return allResults;
+    return {
+      results: allResults,
+      years: yearResults.map(yearResult => yearStatuses.get(yearResult.year))
+    };
   } catch (error) {
     console.error('抓取資料失敗:', error);
     throw error;
   }
 }
 
+/**
+ * 增量同步：只抓取本地最新一期之後的新期數並寫入本地資料庫
+ * @param {Object} options - 同步選項
+ * @param {number} options.startYear - 本地沒有資料時的起始年份（預設為當前年份）
+ * @param {boolean} options.refresh - 忽略 HTTP 快取時間，強制重新驗證
+ * @returns {Promise<Object>} 同步結果 { added, newDraws, latestPeriod, syncedAt, years }
+ */
+async function syncLotteryResults(options = {}) {
+  if (syncInProgress) {
+    return syncInProgress;
+  }
+
+  syncInProgress = (async () => {
+    const currentYear = new Date().getFullYear();
+    const latest = drawStore.getLatestDraw();
+    const fromYear = latest
+      ? (drawStore.getDrawYear(latest) || currentYear)
+      : (options.startYear || currentYear);
+
+    const { results: fetched, years } = await fetchLotteryResults(Math.min(fromYear, currentYear), currentYear, {
+      refresh: options.refresh === true
+    });
+
+    // 只保留比本地最新一期更新的期數
+    const newerDraws = latest
+      ? fetched.filter(draw => drawStore.compareDrawsDesc(draw, latest) < 0)
+      : fetched;
+
+    const added = drawStore.upsertDraws(newerDraws);
+
+    // 已結束且成功抓到資料的年份視為完整，之後不需要再抓取
+    drawStore.markYearsFetched(years
+      .filter(yearStatus => yearStatus.status === dataSources.FETCH_STATUS.OK && yearStatus.year < currentYear)
+      .map(yearStatus => yearStatus.year));
+
+    const syncedAt = new Date().toISOString();
+    drawStore.setLastSyncAt(syncedAt);
+    drawStore.saveStore();
+
+    const newLatest = drawStore.getLatestDraw();
+    return {
+      added: added.length,
+      newDraws: added,
+      latestPeriod: newLatest ? newLatest.periodNumber : null,
+      syncedAt,
+      years
+    };
+  })();
+
+  try {
+    return await syncInProgress;
+  } finally {
+    syncInProgress = null;
+  }
+}
+
+/**
+ * 從本地資料庫取得攪珠結果（必要時先增量同步，並補抓尚未儲存的舊年份）
+ * @param {number} startYear - 開始年份
+ * @param {number} endYear - 結束年份
+ * @param {Object} options - 選項
+ * @param {boolean} options.refresh - 立即同步（忽略 SYNC_INTERVAL_MS）並強制重新驗證 HTTP 快取
+ * @param {boolean} options.includeProvenance - 結果是否包含 provenance（預設不包含）
+ * @param {Function} options.onYear - 每個年份的資料可用時呼叫（可選）：
+ *   ({ year, backfilled: 是否在這次請求補抓, status, source, message, draws: 該年份的攪珠結果 }) => void；
+ *   本地已有的年份在補抓開始前依序呼叫，補抓的年份在各自完成時呼叫
+ * @returns {Promise<Object>} { results: 攪珠結果陣列（最新的在前）, warnings: 抓取失敗或沒有資料的年份 }
+ */
+async function getLotteryResults(startYear, endYear, options = {}) {
+  const { refresh = false, includeProvenance = false, onYear } = options;
+  const output = draws => (includeProvenance ? draws : provenance.stripProvenance(draws));
+  const currentYear = new Date().getFullYear();
+  const start = startYear || currentYear;
+  const end = endYear || currentYear;
+  const warnings = [];
+
+  if (start > end) {
+    throw new Error('開始年份不能大於結束年份');
+  }
+
+  // 距離上次同步超過間隔才重新抓取最新期數
+  const lastSyncAt = drawStore.getLastSyncAt();
+  if (refresh || !lastSyncAt || Date.now() - new Date(lastSyncAt).getTime() > SYNC_INTERVAL_MS) {
+    try {
+      await syncLotteryResults({ startYear: Math.min(end, currentYear), refresh });
+    } catch (error) {
+      // 同步失敗時仍使用本地已有的資料
+      console.error('增量同步失敗，改用本地資料:', error.message);
+      warnings.push({
+        year: null,
+        status: dataSources.FETCH_STATUS.ERROR,
+        message: `增量同步失敗，使用本地資料: ${error.message}`
+      });
+    }
+  }
+
+  // 補抓本地尚未儲存的已結束年份（由最新的年份開始）
+  const missingYears = [];
+  for (let year = Math.min(end, currentYear - 1); year >= start; year--) {
+    if (!drawStore.isYearFetched(year)) {
+      missingYears.push(year);
+    }
+  }
+
+  if (onYear) {
+    for (let year = Math.min(end, currentYear); year >= start; year--) {
+      if (missingYears.includes(year)) continue;
+      const yearStatus = yearStatuses.get(year);
+      onYear({
+        year,
+        backfilled: false,
+        status: yearStatus ? yearStatus.status : null,
+        source: yearStatus ? yearStatus.source : null,
+        message: yearStatus ? yearStatus.message : undefined,
+        draws: output(drawStore.getDrawsByYearRange(year, year))
+      });
+    }
+  }
+
+  if (missingYears.length > 0) {
+    const yearResults = await mapWithConcurrency(missingYears, year => fetchLotteryResultsByYear(year, { refresh }), yearResult => {
+      if (onYear) {
+        onYear({
+          year: yearResult.year,
+          backfilled: true,
+          status: yearResult.status,
+          source: yearResult.source,
+          message: yearResult.message,
+          draws: output(yearResult.draws.slice().sort(drawStore.compareDrawsDesc))
+        });
+      }
+    });
+
+    // 全部年份完成後才一次寫入，新攪珠結果事件只發出一次
+    const backfilled = [];
+    yearResults.forEach(yearResult => {
+      backfilled.push(...yearResult.draws);
+      if (yearResult.status === dataSources.FETCH_STATUS.OK) {
+        drawStore.markYearsFetched([yearResult.year]);
+      }
+    });
+    drawStore.upsertDraws(backfilled);
+    drawStore.saveStore();
+  }
+
+  // 回報範圍內最近一次抓取不成功的年份，讓呼叫端知道資料可能不完整
+  for (let year = start; year <= Math.min(end, currentYear); year++) {
+    const yearStatus = yearStatuses.get(year);
+    if (yearStatus && yearStatus.status !== dataSources.FETCH_STATUS.OK) {
+      warnings.push({
+        year,
+        status: yearStatus.status,
+        source: yearStatus.source,
+        message: yearStatus.message,
+        checkedAt: yearStatus.checkedAt
+      });
+    }
+  }
+
+  return {
+    results: output(drawStore.getDrawsByYearRange(start, end)),
+    warnings
+  };
+}
+
+/**
+ * 載入查詢涉及的年份（先確保這些年份已在本地資料庫）
+ * 未指定開始日期或開始期數時，返回本地資料庫中的全部歷史
+ * @param {Object} criteria - queryService.parseQuery 返回的查詢條件
+ * @param {Object} options - 選項，同 getLotteryResults
+ * @returns {Promise<Object>} { draws: 查詢範圍內的攪珠結果, warnings }
+ */
+async function loadDrawsForCriteria(criteria, options = {}) {
+  const currentYear = new Date().getFullYear();
+  const { startYear, endYear } = queryService.getYearRange(criteria);
+  const end = Math.min(endYear || currentYear, currentYear);
+
+  if (startYear !== null && startYear > end) {
+    return { draws: [], warnings: [] };
+  }
+
+  const { warnings } = await getLotteryResults(startYear || end, end, options);
+  const draws = startYear !== null ? drawStore.getDrawsByYearRange(startYear, end) : drawStore.getAllDraws();
+  return { draws: options.includeProvenance ? draws : provenance.stripProvenance(draws), warnings };
+}
+
+/**
+ * 查詢攪珠歷史（分頁）
+ * @param {Object} criteria - queryService.parseQuery 返回的查詢條件
+ * @param {Object} options - 選項
+ * @param {boolean} options.refresh - 立即同步並重新驗證 HTTP 快取
+ * @returns {Promise<Object>} { results, total, nextCursor, warnings }
+ */
+async function searchLotteryResults(criteria, options = {}) {
+  const { draws, warnings } = await loadDrawsForCriteria(criteria, options);
+
+  return {
+    ...queryService.queryDraws(draws, criteria),
+    warnings
+  };
+}
+
+/**
+ * 取得所有符合查詢條件的攪珠結果（不分頁，用於以查詢條件指定分析的資料集）
+ * @param {Object} criteria - queryService.parseQuery 返回的查詢條件
+ * @param {Object} options - 選項，同 searchLotteryResults
+ * @returns {Promise<Object>} { results, warnings }
+ */
+async function findLotteryResults(criteria, options = {}) {
+  const { draws, warnings } = await loadDrawsForCriteria(criteria, options);
+
+  return {
+    results: queryService.filterDraws(draws, criteria),
+    warnings
+  };
+}
+
 module.exports = {
-  fetchLotteryResults
+  MIN_YEAR,
+  FETCH_CONCURRENCY,
+  validateYearRange,
+  fetchLotteryResults,
+  syncLotteryResults,
+  getLotteryResults,
+  searchLotteryResults,
+  findLotteryResults
 };
-
@@ -3,6 +3,9 @@
  * 使用多層感知器（MLP）學習歷史數據模式並預測號碼
  */
 
+const { extractAllNumbers } = require('./utils');
+const { DEFAULT_GAME } = require('../models/GameDefinition');
+
 /**
  * 激活函數：Sigmoid
  * @param {number} x - 輸入值
@@ -168,9 +171,10 @@ function backPropagation(input, target, network, forwardResult, learningRate = 0
  * 將歷史數據轉換為神經網絡輸入特徵
  * @param {Array} historicalResults - 歷史開獎結果
  * @param {number} lookbackPeriods - 回看期數
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），每個號碼對應一個特徵
  * @returns {Array<Array<number>>} 輸入特徵矩陣
  */
-function prepareInputFeatures(historicalResults, lookbackPeriods = 10) {
+function prepareInputFeatures(historicalResults, lookbackPeriods = 10, game = DEFAULT_GAME) {
   if (!historicalResults || historicalResults.length < lookbackPeriods) {
     return [];
   }
@@ -186,10 +190,10 @@ function prepareInputFeatures(historicalResults, lookbackPeriods = 10) {
       const result = historicalResults[i + j];
       const numbers = result.numbers || [];
 
-      // 為每個號碼（1-49）創建二進制特徵（是否出現）
-      const numberVector = Array(49).fill(0);
+      // 為每個號碼（1 至號碼池大小）創建二進制特徵（是否出現）
+      const numberVector = Array(game.poolSize).fill(0);
       numbers.forEach(num => {
-        if (num >= 1 && num <= 49) {
+        if (num >= 1 && num <= game.poolSize) {
           numberVector[num - 1] = 1;
         }
       });
@@ -207,9 +211,9 @@ function prepareInputFeatures(historicalResults, lookbackPeriods = 10) {
     }
 
     // 頻率特徵（每個號碼在最近 lookbackPeriods 期出現的次數，正規化到 0-1）
-    const frequencyVector = Array(49).fill(0);
+    const frequencyVector = Array(game.poolSize).fill(0);
     recentNumbers.forEach(num => {
-      if (num >= 1 && num <= 49) {
+      if (num >= 1 && num <= game.poolSize) {
         frequencyVector[num - 1]++;
       }
     });
@@ -226,14 +230,15 @@ function prepareInputFeatures(historicalResults, lookbackPeriods = 10) {
 /**
  * 將目標期數的號碼轉換為輸出標籤
  * @param {Array} targetResult - 目標期數的開獎結果
- * @returns {Array<number>} 輸出標籤向量（49維，每個號碼是否出現）
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩）
+ * @returns {Array<number>} 輸出標籤向量（號碼池大小維，六合彩為49維，每個號碼是否出現）
  */
-function prepareOutputLabels(targetResult) {
-  const labels = Array(49).fill(0);
+function prepareOutputLabels(targetResult, game = DEFAULT_GAME) {
+  const labels = Array(game.poolSize).fill(0);
   const numbers = targetResult.numbers || [];
 
   numbers.forEach(num => {
-    if (num >= 1 && num <= 49) {
+    if (num >= 1 && num <= game.poolSize) {
       labels[num - 1] = 1;
     }
   });
@@ -245,10 +250,10 @@ function prepareOutputLabels(targetResult) {
  * 創建神經網絡
  * @param {number} inputSize - 輸入層大小
  * @param {Array<number>} hiddenLayers - 隱藏層大小陣列，例如 [64, 32]
- * @param {number} outputSize - 輸出層大小（49，對應1-49號碼）
+ * @param {number} outputSize - 輸出層大小（號碼池大小，六合彩為49，對應1-49號碼）
  * @returns {Object} 神經網絡結構
  */
-function createNeuralNetwork(inputSize, hiddenLayers = [64, 32], outputSize = 49) {
+function createNeuralNetwork(inputSize, hiddenLayers = [64, 32], outputSize = DEFAULT_GAME.poolSize) {
   const network = {
     weights: [],
     biases: [],
@@ -282,13 +287,15 @@ function createNeuralNetwork(inputSize, hiddenLayers = [64, 32], outputSize = 49
  * @param {number} options.epochs - 訓練輪數（預設50）
  * @param {number} options.learningRate - 學習率（預設0.01）
  * @param {number} options.batchSize - 批次大小（預設10）
+ * @param {number} options.pickCount - 計算準確率時預測的號碼數量（預設6）
  * @returns {Object} 訓練後的網絡和訓練歷史
  */
 function trainNeuralNetwork(network, inputs, targets, options = {}) {
   const {
     epochs = 50,
     learningRate = 0.01,
-    batchSize = 10
+    batchSize = 10,
+    pickCount = DEFAULT_GAME.pickCount
   } = options;
 
   if (inputs.length !== targets.length) {
@@ -347,11 +354,11 @@ function trainNeuralNetwork(network, inputs, targets, options = {}) {
         }
         totalLoss += loss / output.length;
 
-        // 計算準確率（預測前6個最高概率的號碼，看是否包含實際號碼）
+        // 計算準確率（預測前 pickCount 個最高概率的號碼，看是否包含實際號碼）
         const predictedIndices = output
           .map((val, idx) => ({ val, idx }))
           .sort((a, b) => b.val - a.val)
-          .slice(0, 6)
+          .slice(0, pickCount)
           .map(item => item.idx);
         const actualIndices = target
           .map((val, idx) => ({ val, idx }))
@@ -425,7 +432,7 @@ function predictWithNeuralNetwork(network, input) {
   const forwardResult = forwardPropagation(input, network);
   const output = forwardResult.activations[forwardResult.activations.length - 1];
 
-  // 將輸出轉換為號碼預測分數（1-49）
+  // 將輸出轉換為號碼預測分數（1 至號碼池大小）
   const predictions = {};
   for (let i = 0; i < output.length; i++) {
     predictions[i + 1] = output[i];
@@ -441,12 +448,16 @@ function predictWithNeuralNetwork(network, input) {
 
 /**
  * 在迭代驗證中使用神經網絡進行預測和權重調整
- * @param {Array} historicalResults - 歷史開獎結果
+ * @param {Array} rawResults - 歷史開獎結果（原始攪珠結果格式）
  * @param {number} lookbackPeriods - 回看期數（用於準備特徵）
- * @param {Object} options - 選項
+ * @param {Object} options - 選項（options.includeExtra 控制是否包含特別號碼，options.game 為遊戲定義，預設為六合彩）
  * @returns {Object} 神經網絡預測結果和調整建議
  */
-function neuralNetworkAnalysis(historicalResults, lookbackPeriods = 10, options = {}) {
+function neuralNetworkAnalysis(rawResults, lookbackPeriods = 10, options = {}) {
+  const game = options.game || DEFAULT_GAME;
+  // 統一轉換為數字號碼陣列（預設只使用正選號碼）
+  const historicalResults = rawResults ? extractAllNumbers(rawResults, { includeExtra: options.includeExtra === true, game }) : null;
+
   if (!historicalResults || historicalResults.length < lookbackPeriods + 1) {
     return {
       predictions: {},
@@ -461,13 +472,13 @@ function neuralNetworkAnalysis(historicalResults, lookbackPeriods = 10, options
     const maxTrainingSamples = options.maxTrainingSamples || 30; // 限制訓練樣本數量
     const limitedResults = historicalResults.slice(0, Math.min(maxTrainingSamples + lookbackPeriods, historicalResults.length));
 
-    const inputs = prepareInputFeatures(limitedResults, lookbackPeriods);
+    const inputs = prepareInputFeatures(limitedResults, lookbackPeriods, game);
     const targets = [];
 
     for (let i = 0; i < inputs.length; i++) {
       const targetIndex = i + lookbackPeriods;
       if (targetIndex < limitedResults.length) {
-        targets.push(prepareOutputLabels(limitedResults[targetIndex]));
+        targets.push(prepareOutputLabels(limitedResults[targetIndex], game));
       }
     }
 
@@ -489,13 +500,14 @@ function neuralNetworkAnalysis(historicalResults, lookbackPeriods = 10, options
     const inputSize = trimmedInputs[0].length;
     // 使用較小的隱藏層以提高訓練速度
     const hiddenLayers = options.hiddenLayers || [32, 16]; // 從 [64, 32] 減少到 [32, 16]
-    const network = createNeuralNetwork(inputSize, hiddenLayers, 49);
+    const network = createNeuralNetwork(inputSize, hiddenLayers, game.poolSize);
 
     // 訓練神經網絡（使用較少的epoch以加快速度）
     const trainingOptions = {
       epochs: options.epochs || 15, // 默認減少到15
       learningRate: options.learningRate || 0.01,
-      batchSize: options.batchSize || 5 // 默認減少批次大小
+      batchSize: options.batchSize || 5, // 默認減少批次大小
+      pickCount: game.pickCount
     };
 
     const trainingResult = trainNeuralNetwork(network, trimmedInputs, trimmedTargets, trainingOptions);
@@ -503,7 +515,8 @@ function neuralNetworkAnalysis(historicalResults, lookbackPeriods = 10, options
     // 使用最新的數據進行預測
     const latestInput = prepareInputFeatures(
       historicalResults.slice(0, lookbackPeriods + 1),
-      lookbackPeriods
+      lookbackPeriods,
+      game
     );
 
     if (latestInput.length > 0) {
@@ -516,7 +529,7 @@ function neuralNetworkAnalysis(historicalResults, lookbackPeriods = 10, options
         trainingHistory: trainingResult.history,
         inputSize,
         hiddenLayers: hiddenLayers,
-        outputSize: 49
+        outputSize: game.poolSize
       };
     } else {
       return {
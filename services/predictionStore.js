@@ -0,0 +1,187 @@
+/**
+ * 預測記錄儲存模組
+ * 保存提交的預測號碼，當目標期數的攪珠結果寫入本地資料庫時自動評分，並發出 prediction.scored 事件
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PeriodId = require('../models/PeriodId');
+const LotteryResultDTO = require('../models/LotteryResultDTO');
+const drawStore = require('./drawStore');
+const eventBus = require('./eventBus');
+
+const PREDICTIONS_FILE = path.join(drawStore.DATA_DIR, 'predictions.json');
+
+// 預測狀態
+const PREDICTION_STATUS = {
+  PENDING: 'pending',
+  SCORED: 'scored'
+};
+
+// 記憶體中的快取（首次存取時從檔案載入）
+let predictions = null;
+
+/**
+ * 從檔案載入預測記錄（只載入一次）
+ * @returns {Array} 預測記錄陣列
+ */
+function loadPredictions() {
+  if (predictions) return predictions;
+
+  try {
+    predictions = fs.existsSync(PREDICTIONS_FILE)
+      ? JSON.parse(fs.readFileSync(PREDICTIONS_FILE, 'utf8')).predictions || []
+      : [];
+  } catch (error) {
+    console.error(`讀取預測記錄失敗 (${PREDICTIONS_FILE}):`, error.message);
+    predictions = [];
+  }
+
+  return predictions;
+}
+
+/**
+ * 將預測記錄寫入檔案
+ */
+function savePredictions() {
+  fs.mkdirSync(drawStore.DATA_DIR, { recursive: true });
+  const tempFile = `${PREDICTIONS_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ predictions: loadPredictions() }, null, 2));
+  fs.renameSync(tempFile, PREDICTIONS_FILE);
+}
+
+/**
+ * 驗證預測內容
+ * 未指定 targetPeriod 時以本地資料庫最新一期之後的第一期評分，資料庫沒有攪珠結果時無法決定目標期數，必須指定
+ * @param {Object} input - { numbers, targetPeriod, label }
+ * @returns {string|null} 錯誤訊息，沒有錯誤時返回 null
+ */
+function validatePrediction(input) {
+  if (!input || !Array.isArray(input.numbers) || input.numbers.length === 0) {
+    return '請提供預測號碼 numbers';
+  }
+  if (!input.numbers.every(number => Number.isInteger(number) && number >= 1 && number <= 49)) {
+    return '預測號碼必須是 1-49 的整數';
+  }
+  if (new Set(input.numbers).size !== input.numbers.length) {
+    return '預測號碼不可重複';
+  }
+  if (input.targetPeriod !== undefined && input.targetPeriod !== null && !PeriodId.parse(input.targetPeriod)) {
+    return 'targetPeriod 必須是 25/132 或 2025132 格式的期數';
+  }
+  if (!input.targetPeriod && !drawStore.getLatestDraw()) {
+    return '本地資料庫還沒有攪珠結果，無法決定預測對應的期數，請提供 targetPeriod';
+  }
+  return null;
+}
+
+/**
+ * 以實際攪珠結果為預測評分
+ * @param {Array<number>} numbers - 預測號碼
+ * @param {Object} draw - 攪珠結果
+ * @returns {Object} { periodNumber, date, main, extra, hits, hitNumbers, extraHit }
+ */
+function scoreAgainstDraw(numbers, draw) {
+  const { main, extra } = LotteryResultDTO.parseNumbers(draw.numbers);
+  const hitNumbers = numbers.filter(number => main.includes(number)).sort((a, b) => a - b);
+
+  return {
+    periodNumber: draw.periodNumber,
+    date: draw.date,
+    main,
+    extra,
+    hits: hitNumbers.length,
+    hitNumbers,
+    extraHit: extra !== null && numbers.includes(extra)
+  };
+}
+
+/**
+ * 為尚未評分的預測尋找對應的攪珠結果並評分
+ * 指定了 targetPeriod 的預測對應該期；未指定時對應提交時最新一期之後的第一期（沒有記錄提交時最新一期的預測不評分）
+ * @param {Array} draws - 可用來評分的攪珠結果
+ * @returns {Array} 這次評分的預測記錄
+ */
+function scorePendingPredictions(draws) {
+  const ascending = draws.slice().sort((a, b) => PeriodId.compare(a.periodNumber, b.periodNumber));
+  const scored = [];
+
+  loadPredictions().forEach(prediction => {
+    if (prediction.status !== PREDICTION_STATUS.PENDING) return;
+
+    const draw = prediction.targetPeriod
+      ? ascending.find(item => PeriodId.key(item.periodNumber) === PeriodId.key(prediction.targetPeriod))
+      : prediction.afterPeriod && ascending.find(item => PeriodId.compare(item.periodNumber, prediction.afterPeriod) > 0);
+    if (!draw) return;
+
+    prediction.status = PREDICTION_STATUS.SCORED;
+    prediction.scoredAt = new Date().toISOString();
+    prediction.result = scoreAgainstDraw(prediction.numbers, draw);
+    scored.push(prediction);
+  });
+
+  if (scored.length > 0) {
+    savePredictions();
+    scored.forEach(prediction => eventBus.emit(eventBus.EVENTS.PREDICTION_SCORED, { prediction }));
+  }
+
+  return scored;
+}
+
+/**
+ * 新增預測（目標期數已有攪珠結果時立即評分）
+ * @param {Object} input - { numbers, targetPeriod (可選), label (可選) }
+ * @returns {Object} 預測記錄
+ */
+function addPrediction(input) {
+  const latest = drawStore.getLatestDraw();
+  const prediction = {
+    id: crypto.randomUUID(),
+    label: input.label || null,
+    numbers: input.numbers.slice().sort((a, b) => a - b),
+    targetPeriod: input.targetPeriod ? PeriodId.format(input.targetPeriod) : null,
+    // 提交時的最新期數，未指定 targetPeriod 時以之後的第一期評分
+    afterPeriod: latest ? latest.periodNumber : null,
+    status: PREDICTION_STATUS.PENDING,
+    createdAt: new Date().toISOString(),
+    scoredAt: null,
+    result: null
+  };
+
+  loadPredictions().unshift(prediction);
+  savePredictions();
+
+  if (prediction.targetPeriod) {
+    scorePendingPredictions(drawStore.getAllDraws());
+  }
+  return prediction;
+}
+
+/**
+ * 取得預測記錄（最新提交的在前）
+ * @param {Object} options - 選項
+ * @param {string} options.status - 只返回指定狀態（pending / scored）
+ * @returns {Array} 預測記錄陣列
+ */
+function getPredictions(options = {}) {
+  return loadPredictions().filter(prediction => !options.status || prediction.status === options.status);
+}
+
+// 新攪珠結果寫入本地資料庫時評分（延後到其他訂閱者處理完 draw.ingested 之後，確保事件順序）
+eventBus.on(eventBus.EVENTS.DRAWS_INGESTED, ({ draws }) => {
+  setImmediate(() => {
+    try {
+      scorePendingPredictions(draws);
+    } catch (error) {
+      console.error('預測評分失敗:', error.message);
+    }
+  });
+});
+
+module.exports = {
+  PREDICTION_STATUS,
+  validatePrediction,
+  addPrediction,
+  getPredictions
+};
@@ -0,0 +1,116 @@
+/**
+ * 攪珠結果來源資訊（provenance）模組
+ * 每筆抓取或匯入的攪珠結果都附上 provenance，記錄資料來源、來源網址、抓取時間、原始資料列雜湊及解析器版本，
+ * 不同來源對同一期的內容不一致時，可以追查是哪一個來源（或哪一版解析器）出錯
+ *
+ * provenance 格式：
+ * {
+ *   source: 資料來源名稱, sourceUrl: 來源網址（本地檔案為 file:// 網址，模擬資料為 null）,
+ *   fetchedAt: 抓取時間（ISO 8601）, rawHash: 原始資料列的 SHA-256, parserVersion: 解析器版本,
+ *   conflicts: 被取代的不一致版本（可選）
+ * }
+ */
+
+const crypto = require('crypto');
+
+// 保留的不一致版本數量上限（最新的在前）
+const MAX_CONFLICTS = 10;
+
+/**
+ * 計算原始資料列的雜湊
+ * @param {string|Object} row - 原始資料列（HTML、CSV 列或 JSON 物件）
+ * @returns {string|null} SHA-256 十六進位字串，沒有原始資料時返回 null
+ */
+function hashRaw(row) {
+  if (row === undefined || row === null) return null;
+  const content = typeof row === 'string' ? row : JSON.stringify(row);
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * 為資料來源返回的攪珠結果附上 provenance
+ * 資料來源可在每筆結果附上 raw: { url, row, fetchedAt }（原始資料列及回應的抓取時間），附上 provenance 後移除
+ * @param {Object} draw - 攪珠結果
+ * @param {Object} info - { source, parserVersion, fetchedAt: 沒有 raw.fetchedAt 時使用的抓取時間 }
+ * @returns {Object} 附上 provenance 的攪珠結果
+ */
+function attachProvenance(draw, info) {
+  const { raw, ...rest } = draw;
+  const fetchedAt = raw && raw.fetchedAt ? raw.fetchedAt : info.fetchedAt;
+
+  return {
+    ...rest,
+    provenance: {
+      source: info.source || rest.source || null,
+      sourceUrl: raw && raw.url ? raw.url : null,
+      fetchedAt: fetchedAt || new Date().toISOString(),
+      rawHash: hashRaw(raw ? raw.row : null),
+      parserVersion: info.parserVersion !== undefined ? info.parserVersion : null
+    }
+  };
+}
+
+/**
+ * 移除攪珠結果的 provenance（API 預設不返回；快照雜湊也不應因抓取時間不同而改變）
+ * @param {Array} draws - 攪珠結果陣列
+ * @returns {Array} 不含 provenance 的攪珠結果陣列
+ */
+function stripProvenance(draws) {
+  return draws.map(draw => {
+    if (!draw || draw.provenance === undefined) return draw;
+    const { provenance, ...rest } = draw;
+    return rest;
+  });
+}
+
+/**
+ * 兩筆同一期的攪珠結果內容是否不同（比較日期及號碼）
+ * @param {Object} a - 攪珠結果
+ * @param {Object} b - 攪珠結果
+ * @returns {boolean} 是否不同
+ */
+function isConflicting(a, b) {
+  const numbersA = a.numbers || {};
+  const numbersB = b.numbers || {};
+  return a.date !== b.date
+    || JSON.stringify(numbersA.main || []) !== JSON.stringify(numbersB.main || [])
+    || (numbersA.extra === undefined ? null : numbersA.extra) !== (numbersB.extra === undefined ? null : numbersB.extra);
+}
+
+/**
+ * 以新的結果取代本地已有的同一期結果時，保留不一致的舊版本
+ * 內容不同時把舊版本（日期、號碼及其 provenance）加入新結果的 provenance.conflicts；內容相同時沿用舊的 conflicts
+ * @param {Object} incoming - 新的攪珠結果
+ * @param {Object} existing - 本地已有的同一期結果
+ * @returns {Object} 要保存的攪珠結果
+ */
+function mergeConflicts(incoming, existing) {
+  const previousConflicts = (existing.provenance && existing.provenance.conflicts) || [];
+  let conflicts = previousConflicts;
+
+  if (isConflicting(incoming, existing)) {
+    const { conflicts: ignored, ...existingProvenance } = existing.provenance || { source: existing.source || null };
+    console.warn(`期數 ${incoming.periodNumber} 的內容與本地資料不一致（${existingProvenance.source || '未知來源'} → ${incoming.source || '未知來源'}），已保留舊版本`);
+    conflicts = [{
+      date: existing.date,
+      numbers: existing.numbers,
+      replacedAt: new Date().toISOString(),
+      provenance: existingProvenance
+    }, ...previousConflicts].slice(0, MAX_CONFLICTS);
+  }
+
+  if (conflicts.length === 0) {
+    return incoming;
+  }
+  return {
+    ...incoming,
+    provenance: { ...(incoming.provenance || { source: incoming.source || null }), conflicts }
+  };
+}
+
+module.exports = {
+  hashRaw,
+  attachProvenance,
+  stripProvenance,
+  mergeConflicts
+};
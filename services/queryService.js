@@ -0,0 +1,307 @@
+/**
+ * 攪珠歷史查詢服務
+ * 依日期範圍、期數範圍、號碼、星期及攪珠類型篩選攪珠結果，支援排序及游標分頁
+ */
+
+const PeriodId = require('../models/PeriodId');
+const LotteryResultDTO = require('../models/LotteryResultDTO');
+
+// 可排序的欄位
+const SORT_FIELDS = ['period', 'date'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// 星期名稱（0 = 星期日），查詢時可使用數字或英文縮寫
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 建立查詢參數錯誤（路由會以 400 返回）
+ * @param {string} message - 錯誤訊息
+ * @returns {Error} 帶有 isQueryError 標記的錯誤
+ */
+function createQueryError(message) {
+  const error = new Error(message);
+  error.isQueryError = true;
+  return error;
+}
+
+/**
+ * 將查詢參數轉換為陣列（支援逗號分隔字串或重複參數）
+ * @param {string|Array} value - 查詢參數
+ * @returns {Array<string>} 字串陣列
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : [value];
+  return items
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 解析號碼清單
+ * @param {string|Array} value - 查詢參數
+ * @param {string} name - 參數名稱（用於錯誤訊息）
+ * @returns {Array<number>} 號碼陣列
+ */
+function parseNumberList(value, name) {
+  return toList(value).map(item => {
+    const number = Number(item);
+    if (!Number.isInteger(number) || number < 1 || number > 49) {
+      throw createQueryError(`${name} 包含無效號碼: ${item}（必須是 1-49 的整數）`);
+    }
+    return number;
+  });
+}
+
+/**
+ * 解析日期參數
+ * @param {string} value - yyyy-mm-dd
+ * @param {string} name - 參數名稱
+ * @returns {string|null} 日期
+ */
+function parseDateParam(value, name) {
+  if (!value) return null;
+  if (!DATE_PATTERN.test(value) || isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw createQueryError(`${name} 必須是 yyyy-mm-dd 格式的日期`);
+  }
+  return value;
+}
+
+/**
+ * 解析期數參數
+ * @param {string} value - 期數（25/132 或 2025132）
+ * @param {string} name - 參數名稱
+ * @returns {Object|null} { year, period, style }
+ */
+function parsePeriodParam(value, name) {
+  if (!value) return null;
+  const id = PeriodId.parse(value);
+  if (!id) {
+    throw createQueryError(`${name} 必須是 25/132 或 2025132 格式的期數`);
+  }
+  return id;
+}
+
+/**
+ * 解析游標（上一頁最後一筆的排序值）
+ * @param {string} cursor - base64url 編碼的游標
+ * @param {string} sort - 排序欄位
+ * @param {string} order - 排序方向
+ * @returns {Object|null} { date, period }
+ */
+function decodeCursor(cursor, sort, order) {
+  if (!cursor) return null;
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createQueryError('無效的 cursor');
+  }
+
+  if (!decoded || !PeriodId.parse(decoded.period)) {
+    throw createQueryError('無效的 cursor');
+  }
+  if (decoded.sort !== sort || decoded.order !== order) {
+    throw createQueryError('cursor 與目前的排序方式不符，請重新從第一頁查詢');
+  }
+  return decoded;
+}
+
+/**
+ * 建立游標
+ * @param {Object} draw - 該頁最後一筆攪珠結果
+ * @param {string} sort - 排序欄位
+ * @param {string} order - 排序方向
+ * @returns {string} base64url 編碼的游標
+ */
+function encodeCursor(draw, sort, order) {
+  const cursor = { sort, order, period: PeriodId.key(draw.periodNumber), date: draw.date || '' };
+  return Buffer.from(JSON.stringify(cursor), 'utf8').toString('base64url');
+}
+
+/**
+ * 驗證並轉換查詢參數
+ * @param {Object} query - req.query
+ * @returns {Object} 查詢條件
+ */
+function parseQuery(query = {}) {
+  const criteria = {
+    startDate: parseDateParam(query.startDate, 'startDate'),
+    endDate: parseDateParam(query.endDate, 'endDate'),
+    startPeriod: parsePeriodParam(query.startPeriod, 'startPeriod'),
+    endPeriod: parsePeriodParam(query.endPeriod, 'endPeriod'),
+    containsAll: parseNumberList(query.containsAll, 'containsAll'),
+    containsAny: parseNumberList(query.containsAny, 'containsAny'),
+    includeExtra: query.includeExtra === 'true',
+    weekdays: toList(query.weekday).map(item => {
+      const index = /^\d$/.test(item) ? Number(item) : WEEKDAY_NAMES.indexOf(item.toLowerCase().slice(0, 3));
+      if (index < 0 || index > 6) {
+        throw createQueryError(`無效的 weekday: ${item}（0-6 或 sun、mon ... sat）`);
+      }
+      return index;
+    }),
+    drawTypes: toList(query.drawType).map(item => {
+      if (!LotteryResultDTO.DRAW_TYPES.includes(item)) {
+        throw createQueryError(`無效的 drawType: ${item}（支援 ${LotteryResultDTO.DRAW_TYPES.join('、')}）`);
+      }
+      return item;
+    }),
+    sort: query.sort || 'period',
+    order: query.order || 'desc',
+    limit: query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT
+  };
+
+  if (!SORT_FIELDS.includes(criteria.sort)) {
+    throw createQueryError(`無效的 sort: ${criteria.sort}（支援 ${SORT_FIELDS.join('、')}）`);
+  }
+  if (!SORT_ORDERS.includes(criteria.order)) {
+    throw createQueryError(`無效的 order: ${criteria.order}（支援 ${SORT_ORDERS.join('、')}）`);
+  }
+  if (!Number.isInteger(criteria.limit) || criteria.limit < 1 || criteria.limit > MAX_LIMIT) {
+    throw createQueryError(`limit 必須是 1-${MAX_LIMIT} 的整數`);
+  }
+  if (criteria.startDate && criteria.endDate && criteria.startDate > criteria.endDate) {
+    throw createQueryError('startDate 不能晚於 endDate');
+  }
+  if (criteria.startPeriod && criteria.endPeriod && PeriodId.compare(criteria.startPeriod, criteria.endPeriod) > 0) {
+    throw createQueryError('startPeriod 不能晚於 endPeriod');
+  }
+
+  criteria.cursor = decodeCursor(query.cursor, criteria.sort, criteria.order);
+  return criteria;
+}
+
+/**
+ * 取得查詢涉及的年份範圍（用於決定需要載入哪些年份）
+ * @param {Object} criteria - 查詢條件
+ * @returns {Object} { startYear, endYear }，沒有限制時為 null
+ */
+function getYearRange(criteria) {
+  const startYears = [
+    criteria.startDate ? parseInt(criteria.startDate.slice(0, 4), 10) : null,
+    criteria.startPeriod ? criteria.startPeriod.year : null
+  ].filter(year => year !== null);
+  const endYears = [
+    criteria.endDate ? parseInt(criteria.endDate.slice(0, 4), 10) : null,
+    criteria.endPeriod ? criteria.endPeriod.year : null
+  ].filter(year => year !== null);
+
+  return {
+    startYear: startYears.length > 0 ? Math.max(...startYears) : null,
+    endYear: endYears.length > 0 ? Math.min(...endYears) : null
+  };
+}
+
+/**
+ * 判斷攪珠結果是否符合查詢條件
+ * @param {Object} draw - 攪珠結果
+ * @param {Object} criteria - 查詢條件
+ * @returns {boolean} 是否符合
+ */
+function matchesCriteria(draw, criteria) {
+  const date = draw.date || '';
+
+  if (criteria.startDate && !(date >= criteria.startDate)) return false;
+  if (criteria.endDate && !(date && date <= criteria.endDate)) return false;
+
+  if (criteria.startPeriod || criteria.endPeriod) {
+    if (!PeriodId.parse(draw.periodNumber)) return false;
+    if (criteria.startPeriod && PeriodId.compare(draw.periodNumber, criteria.startPeriod) < 0) return false;
+    if (criteria.endPeriod && PeriodId.compare(draw.periodNumber, criteria.endPeriod) > 0) return false;
+  }
+
+  if (criteria.containsAll.length > 0 || criteria.containsAny.length > 0) {
+    const { main, extra } = LotteryResultDTO.parseNumbers(draw.numbers);
+    const drawn = new Set(criteria.includeExtra && extra !== null ? [...main, extra] : main);
+    if (!criteria.containsAll.every(number => drawn.has(number))) return false;
+    if (criteria.containsAny.length > 0 && !criteria.containsAny.some(number => drawn.has(number))) return false;
+  }
+
+  if (criteria.weekdays.length > 0) {
+    if (!DATE_PATTERN.test(date)) return false;
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (!criteria.weekdays.includes(weekday)) return false;
+  }
+
+  if (criteria.drawTypes.length > 0 && !criteria.drawTypes.includes(draw.drawType)) return false;
+
+  return true;
+}
+
+/**
+ * 比較兩筆的排序值（日期相同時以期數排序，確保順序穩定）
+ * @param {Object} a - { date, period }
+ * @param {Object} b - { date, period }
+ * @param {string} sort - 排序欄位
+ * @returns {number} 排序值（升序）
+ */
+function compareSortValues(a, b, sort) {
+  if (sort === 'date' && a.date !== b.date) {
+    return a.date < b.date ? -1 : 1;
+  }
+  return PeriodId.compare(a.period, b.period);
+}
+
+/**
+ * 取得排序值
+ * @param {Object} draw - 攪珠結果
+ * @returns {Object} { date, period }
+ */
+function sortValue(draw) {
+  return { date: draw.date || '', period: draw.periodNumber };
+}
+
+/**
+ * 篩選並排序（不分頁）
+ * @param {Array} draws - 攪珠結果陣列
+ * @param {Object} criteria - parseQuery 返回的查詢條件
+ * @returns {Array} 符合條件的攪珠結果
+ */
+function filterDraws(draws, criteria) {
+  const direction = criteria.order === 'asc' ? 1 : -1;
+
+  return draws
+    .filter(draw => draw && PeriodId.parse(draw.periodNumber) && matchesCriteria(draw, criteria))
+    .sort((a, b) => direction * compareSortValues(sortValue(a), sortValue(b), criteria.sort));
+}
+
+/**
+ * 篩選、排序並分頁
+ * @param {Array} draws - 攪珠結果陣列
+ * @param {Object} criteria - parseQuery 返回的查詢條件
+ * @returns {Object} { results, total, nextCursor }
+ */
+function queryDraws(draws, criteria) {
+  const direction = criteria.order === 'asc' ? 1 : -1;
+  const matched = filterDraws(draws, criteria);
+
+  const afterCursor = criteria.cursor
+    ? matched.filter(draw => direction * compareSortValues(sortValue(draw), criteria.cursor, criteria.sort) > 0)
+    : matched;
+
+  const results = afterCursor.slice(0, criteria.limit);
+  const hasMore = afterCursor.length > criteria.limit;
+
+  return {
+    results,
+    total: matched.length,
+    nextCursor: hasMore ? encodeCursor(results[results.length - 1], criteria.sort, criteria.order) : null
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseQuery,
+  getYearRange,
+  filterDraws,
+  queryDraws
+};
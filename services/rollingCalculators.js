@@ -0,0 +1,552 @@
+/**
+ * 逐期累計的計算器狀態
+ * 迭代驗證（walk-forward）每前進一期，訓練資料只多了較新的一期；
+ * 內建計算器以累計狀態加入或移除一期，只更新該期影響的統計量，
+ * 再以 calculators.js / fibonacci.js 相同的分數函數計算結果，與重新計算整個視窗的結果完全相同
+ *
+ * 每個狀態由 create(window, game) 建立（window 為 drawIndex.js 的 createRollingWindow）：
+ * - add(period)：視窗加入較新的一期之後呼叫（該期為視窗位置 0）
+ * - remove(period)：視窗移除最新一期之前呼叫（該期仍為視窗位置 0）
+ * - result()：返回與計算器 compute 相同的結果（每次返回新的物件）
+ *
+ * 需要逐期輸出的欄位（生存分析的 survivalTimes、號碼區間的 rangeHits）仍需每次複製，其他結果只取決於號碼池大小
+ */
+
+const { createRollingWindow } = require('./drawIndex');
+const {
+  scoreGaps,
+  distributionFeaturesFromFrequency,
+  scoreDistribution,
+  scoreTrend,
+  scoreChiSquare,
+  scorePoisson,
+  scoreCorrelation,
+  scoreEntropy,
+  createTransitionCounts,
+  countTransitions,
+  scoreMarkovChain,
+  countCombinations,
+  scoreCombinatorial,
+  scoreAutoregressive,
+  scoreSurvival,
+  scoreExtremeValue,
+  scoreClusters,
+  createNumberRanges,
+  countRangeHits,
+  scoreNumberRanges
+} = require('./calculators');
+const {
+  createFibonacciConstants,
+  addTotals,
+  scoreGap,
+  scorePeriodPosition,
+  scoreFibonacci
+} = require('./fibonacci');
+
+// 加權移動平均的階數（與 calculateAutoregressiveScore 的預設值相同）
+const AUTOREGRESSIVE_ORDER = 3;
+
+/**
+ * 從視窗取得號碼頻率
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} { 號碼: 出現次數 }
+ */
+function frequencyOf(window, game) {
+  const frequency = {};
+  for (let num = 1; num <= game.poolSize; num++) {
+    frequency[num] = window.count(num);
+  }
+  return frequency;
+}
+
+/**
+ * 只從視窗統計計算結果的狀態（加入或移除一期時不需要更新）
+ * @param {Function} result - () => 計算結果
+ * @returns {Object} 狀態
+ */
+function stateless(result) {
+  return { add: () => {}, remove: () => {}, result };
+}
+
+/**
+ * 加權頻率：每次出現的權重只取決於更早的期數，加入較新一期時只需要加上該期號碼的權重
+ * 浮點數加減不一定互為反運算，移除時還原加入前的值
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createWeightedFrequencyState(window, game) {
+  const weighted = new Float64Array(game.poolSize + 1);
+  const history = [];
+
+  return {
+    add: period => {
+      // 比該期更早的期數（calculateWeightedFrequency 的 totalPeriods - index - 1）
+      const exponent = window.length - 1;
+      const previous = [];
+      period.numbers.forEach(num => {
+        if (num >= 1 && num <= game.poolSize) {
+          previous.push(num, weighted[num]);
+          weighted[num] += Math.pow(0.95, exponent);
+        }
+      });
+      history.push(previous);
+    },
+    remove: () => {
+      const previous = history.pop();
+      for (let i = previous.length - 2; i >= 0; i -= 2) {
+        weighted[previous[i]] = previous[i + 1];
+      }
+    },
+    result: () => {
+      const scores = {};
+      for (let num = 1; num <= game.poolSize; num++) {
+        scores[num] = weighted[num];
+      }
+      return { scores };
+    }
+  };
+}
+
+/**
+ * 間隔分析：最近一次出現的位置由視窗提供
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createGapState(window, game) {
+  return stateless(() => {
+    const lastAppearance = {};
+    for (let num = 1; num <= game.poolSize; num++) {
+      lastAppearance[num] = window.lastSeen(num);
+    }
+    return { scores: scoreGaps(lastAppearance, window.length) };
+  });
+}
+
+/**
+ * 模式分析：只讀取最近 10 期
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createPatternState(window, game) {
+  return stateless(() => {
+    const scores = {};
+    for (let num = 1; num <= game.poolSize; num++) {
+      scores[num] = 0;
+    }
+
+    const recentPeriods = Math.min(10, window.length);
+    for (let index = 0; index < recentPeriods; index++) {
+      window.period(index).numbers.forEach(num => {
+        if (num >= 1 && num <= game.poolSize) {
+          scores[num] += 1 / (index + 1); // 越近期的權重越高
+        }
+      });
+    }
+    return { scores };
+  });
+}
+
+/**
+ * 分布分析：統計分布特徵及分數都從號碼頻率計算
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createDistributionState(window, game) {
+  return stateless(() => {
+    const frequency = frequencyOf(window, game);
+    const features = distributionFeaturesFromFrequency(frequency, game);
+    return { scores: scoreDistribution(features, frequency, window.length, game), features };
+  });
+}
+
+/**
+ * 趨勢分析：只讀取最近 windowSize 期
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createTrendState(window, game) {
+  return stateless(() => {
+    const scores = {};
+    for (let num = 1; num <= game.poolSize; num++) {
+      scores[num] = 0;
+    }
+    if (window.length < 3) {
+      return { scores };
+    }
+
+    const windowSize = Math.min(10, Math.floor(window.length / 2));
+    const recentAppearances = [];
+    for (let num = 1; num <= game.poolSize; num++) {
+      recentAppearances[num] = new Array(windowSize).fill(0);
+    }
+    for (let index = 0; index < windowSize; index++) {
+      window.period(index).numbers.forEach(num => {
+        if (num >= 1 && num <= game.poolSize) {
+          recentAppearances[num][index] = 1;
+        }
+      });
+    }
+
+    for (let num = 1; num <= game.poolSize; num++) {
+      scores[num] = scoreTrend(recentAppearances[num], windowSize);
+    }
+    return { scores };
+  });
+}
+
+/**
+ * 卡方檢驗、泊松分布及熵分析：只需要號碼頻率
+ * @param {Function} score - (frequency, totalPeriods, game) => 計算結果
+ * @returns {Function} 狀態的建立函數
+ */
+function frequencyState(score) {
+  return (window, game) => stateless(() => score(frequencyOf(window, game), window.length, game));
+}
+
+/**
+ * 斐波那契分析：累計每個號碼所有間隔及出現各期的位置關係分數，其他統計從出現序號取得
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createFibonacciState(window, game) {
+  const constants = createFibonacciConstants(game);
+  const gapTotals = [];
+  const positionTotals = [];
+  for (let num = 1; num <= game.poolSize; num++) {
+    gapTotals[num] = { score: 0, strongSignals: 0, matches: 0 };
+    positionTotals[num] = { score: 0, matches: 0 };
+  }
+
+  // 該期出現的號碼（每期最多一次）：與上一次出現之間的間隔，以及在該期的位置關係
+  const update = sign => {
+    const sortedNumbers = window.sortedNumbers(0);
+    const latest = window.length - 1;
+    for (let num = 1; num <= game.poolSize; num++) {
+      const sequence = window.sequence(num);
+      if (sequence.length === 0 || sequence[sequence.length - 1] !== latest) continue;
+      if (sequence.length >= 2) {
+        addTotals(gapTotals[num], scoreGap(latest - sequence[sequence.length - 2], constants.fibonacciSequence), sign);
+      }
+      addTotals(positionTotals[num], scorePeriodPosition(num, sortedNumbers, constants.fibonacciSet), sign);
+    }
+  };
+
+  return {
+    add: () => update(1),
+    remove: () => update(-1),
+    result: () => {
+      const length = window.length;
+      return scoreFibonacci(num => {
+        const sequence = window.sequence(num);
+        const count = sequence.length;
+
+        // 由新至舊的間隔陣列的最後兩個，即最早三次出現之間的間隔
+        const lastGaps = [];
+        if (count >= 3) {
+          lastGaps.push(sequence[2] - sequence[1]);
+        }
+        if (count >= 2) {
+          lastGaps.push(sequence[1] - sequence[0]);
+        }
+
+        const recentPositions = [];
+        for (let i = count - 1; i >= 0 && length - 1 - sequence[i] < 10; i--) {
+          recentPositions.push(length - 1 - sequence[i]);
+        }
+
+        return {
+          appearanceCount: count,
+          oldestPosition: count > 0 ? length - 1 - sequence[0] : -1,
+          gapSum: count > 1 ? sequence[count - 1] - sequence[0] : 0,
+          gapTotals: gapTotals[num],
+          lastGaps,
+          positionTotals: positionTotals[num],
+          recentPositions
+        };
+      }, length, game, constants);
+    }
+  };
+}
+
+/**
+ * 相關性分析：兩兩同期出現的期數由視窗提供
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createCorrelationState(window, game) {
+  return stateless(() => scoreCorrelation(window.coOccurrence(), window.length, game));
+}
+
+/**
+ * 馬可夫鏈分析：加入較新一期只增加它轉移到上一期的次數
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createMarkovChainState(window, game) {
+  const { transitionCounts, fromCounts } = createTransitionCounts(game);
+  const update = delta => {
+    if (window.length >= 2) {
+      countTransitions(transitionCounts, fromCounts, window.period(0), window.period(1), delta);
+    }
+  };
+
+  return {
+    add: () => update(1),
+    remove: () => update(-1),
+    result: () => scoreMarkovChain(transitionCounts, fromCounts, window.period(0), window.length, game)
+  };
+}
+
+/**
+ * 組合數學分析：累計每期的和值、相鄰差值及連續號碼對
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createCombinatorialState(window, game) {
+  const combinations = { sumFrequency: {}, diffFrequency: {}, consecutivePairs: {} };
+
+  return {
+    add: () => countCombinations(combinations, window.sortedNumbers(0), 1),
+    remove: () => countCombinations(combinations, window.sortedNumbers(0), -1),
+    result: () => scoreCombinatorial(
+      combinations,
+      window.length > 0 ? window.sortedNumbers(0) : null,
+      window.length,
+      game
+    )
+  };
+}
+
+/**
+ * 加權移動平均：calculateWeightedRecentScore 只讀取出現序列的最後幾期（即最舊的幾期），加入較新一期不會改變
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createAutoregressiveState(window, game) {
+  return stateless(() => scoreAutoregressive(num => {
+    // 出現序列的最後 order 期：第 k 個為序號 order - 1 - k 的一期
+    const tail = new Array(AUTOREGRESSIVE_ORDER).fill(0);
+    for (const sequence of window.sequence(num)) {
+      if (sequence >= AUTOREGRESSIVE_ORDER) break;
+      tail[AUTOREGRESSIVE_ORDER - 1 - sequence] = 1;
+    }
+    return tail;
+  }, window.length, game, AUTOREGRESSIVE_ORDER));
+}
+
+/**
+ * 生存分析：生存時間即相鄰兩次出現的序號差
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createSurvivalState(window, game) {
+  return stateless(() => {
+    const length = window.length;
+    const survivalTimes = {};
+    const lastAppearance = {};
+    for (let num = 1; num <= game.poolSize; num++) {
+      const sequence = window.sequence(num);
+      const times = [];
+      for (let i = sequence.length - 1; i >= 1; i--) {
+        times.push(sequence[i] - sequence[i - 1]);
+      }
+      survivalTimes[num] = times;
+      lastAppearance[num] = sequence.length > 0 ? length - 1 - sequence[0] : -1;
+    }
+    return scoreSurvival(survivalTimes, lastAppearance, length, game);
+  });
+}
+
+/**
+ * 極值理論：間隔次數及總和從出現序號取得，最大間隔逐期累計（移除時還原加入前的值）
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createExtremeValueState(window, game) {
+  const maxGaps = new Int32Array(game.poolSize + 1);
+  const history = [];
+
+  return {
+    add: () => {
+      const latest = window.length - 1;
+      const previous = [];
+      for (let num = 1; num <= game.poolSize; num++) {
+        const sequence = window.sequence(num);
+        if (sequence.length >= 2 && sequence[sequence.length - 1] === latest) {
+          previous.push(num, maxGaps[num]);
+          maxGaps[num] = Math.max(maxGaps[num], latest - sequence[sequence.length - 2]);
+        }
+      }
+      history.push(previous);
+    },
+    remove: () => {
+      const previous = history.pop();
+      for (let i = 0; i < previous.length; i += 2) {
+        maxGaps[previous[i]] = previous[i + 1];
+      }
+    },
+    result: () => {
+      const length = window.length;
+      const gapStats = {};
+      for (let num = 1; num <= game.poolSize; num++) {
+        const sequence = window.sequence(num);
+        const count = sequence.length;
+        gapStats[num] = {
+          count: Math.max(0, count - 1),
+          sum: count > 1 ? sequence[count - 1] - sequence[0] : 0,
+          max: maxGaps[num],
+          last: count > 0 ? length - 1 - sequence[0] : -1
+        };
+      }
+      return scoreExtremeValue(gapStats, length, game);
+    }
+  };
+}
+
+/**
+ * 聚類分析：兩兩同期出現的期數由視窗提供
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createClusterState(window, game) {
+  return stateless(() => scoreClusters(window.coOccurrence(), window.period(0), window.length, game, game.pickCount + 1));
+}
+
+/**
+ * 號碼區間分析：保留每期的範圍命中數及各範圍的總命中數
+ * @param {Object} window - 逐期加減的視窗
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} 狀態
+ */
+function createNumberRangeState(window, game) {
+  const ranges = createNumberRanges(game);
+  const periodHits = []; // 由舊至新
+  const rangeTotalHits = {};
+  ranges.forEach(range => {
+    rangeTotalHits[range.id] = 0;
+  });
+
+  return {
+    add: period => {
+      const hits = countRangeHits(period, ranges, game);
+      periodHits.push(hits);
+      ranges.forEach(range => {
+        rangeTotalHits[range.id] += hits[range.id];
+      });
+    },
+    remove: () => {
+      const hits = periodHits.pop();
+      ranges.forEach(range => {
+        rangeTotalHits[range.id] -= hits[range.id];
+      });
+    },
+    result: () => {
+      const rangeHits = {};
+      for (let index = 0; index < periodHits.length; index++) {
+        rangeHits[index] = { ...periodHits[periodHits.length - 1 - index] };
+      }
+      return scoreNumberRanges(ranges, rangeHits, { ...rangeTotalHits }, periodHits.length, game);
+    }
+  };
+}
+
+/**
+ * 建立逐期累計的分析狀態（迭代驗證使用，見 analyzeNumbers 的 options.rolling）
+ * moveTo 把累計狀態移到同一個號碼出現索引的另一個視窗（offset 不同），逐期加入或移除兩者之間的期數，
+ * 之後 result 返回支援逐期累計的計算器（註冊表的 rolling）在該視窗的結果
+ * @returns {Object} { moveTo(view, calculators, game), result(calculator) }
+ */
+function createRollingAnalysis() {
+  let index = null;
+  let game = null;
+  let offset = 0;
+  let window = null;
+  const states = new Map(); // 計算器 ID → { calculator, state }
+
+  // 從空的視窗重新開始（索引最舊一期之前），為 calculators 建立狀態
+  const reset = (nextIndex, nextGame, calculators) => {
+    index = nextIndex;
+    game = nextGame;
+    offset = index.length;
+    window = createRollingWindow(game);
+    states.clear();
+    calculators.forEach(calculator => {
+      states.set(calculator.id, { calculator, state: calculator.rolling(window, game) });
+    });
+  };
+
+  return {
+    /**
+     * 把累計狀態移到視窗
+     * 視窗屬於另一個索引（或號碼池、每期號碼數量不同）時重新開始；啟用了尚未建立狀態的計算器時，連同已有的計算器一起重新累計
+     * @param {Object} view - drawIndex.js 的視窗
+     * @param {Array<Object>} calculators - 啟用的計算器（沒有 rolling 的計算器不使用累計狀態）
+     * @param {Object} viewGame - 遊戲定義
+     */
+    moveTo: (view, calculators, viewGame) => {
+      const rolling = calculators.filter(calculator => calculator.rolling);
+      const sameIndex = view.index === index && viewGame.poolSize === game.poolSize && viewGame.pickCount === game.pickCount;
+      if (!sameIndex) {
+        reset(view.index, viewGame, rolling);
+      } else if (rolling.some(calculator => !states.has(calculator.id))) {
+        const existing = [...states.values()].map(entry => entry.calculator);
+        reset(index, game, existing.concat(rolling.filter(calculator => !states.has(calculator.id))));
+      }
+
+      while (offset > view.offset) {
+        offset--;
+        const period = index.periods[offset];
+        window.add(period);
+        states.forEach(entry => entry.state.add(period));
+      }
+      while (offset < view.offset) {
+        const period = window.period(0);
+        states.forEach(entry => entry.state.remove(period));
+        window.remove();
+        offset++;
+      }
+    },
+
+    /**
+     * 計算器在目前視窗的結果（請先以 moveTo 移到視窗）
+     * @param {Object} calculator - 有 rolling 的計算器
+     * @returns {Object} 與 calculator.compute 相同的結果
+     */
+    result: calculator => states.get(calculator.id).state.result()
+  };
+}
+
+module.exports = {
+  createWeightedFrequencyState,
+  createGapState,
+  createPatternState,
+  createDistributionState,
+  createTrendState,
+  createChiSquareState: frequencyState(scoreChiSquare),
+  createPoissonState: frequencyState(scorePoisson),
+  createFibonacciState,
+  createCorrelationState,
+  createEntropyState: frequencyState(scoreEntropy),
+  createMarkovChainState,
+  createCombinatorialState,
+  createAutoregressiveState,
+  createSurvivalState,
+  createExtremeValueState,
+  createClusterState,
+  createNumberRangeState,
+  createRollingAnalysis
+};
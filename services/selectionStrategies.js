@@ -3,6 +3,23 @@
  * 包含各種選擇策略和候選組合生成函數
  */
 
+const { DEFAULT_GAME } = require('../models/GameDefinition');
+
+/**
+ * 將號碼池平均分成指定數量的區間（最後一個區間包含餘下的號碼）
+ * 六合彩分成6個區間時為 1-8, 9-16, 17-24, 25-32, 33-40, 41-49
+ * @param {number} poolSize - 號碼池大小
+ * @param {number} parts - 區間數量
+ * @returns {Array} [{ min, max }]
+ */
+function splitPool(poolSize, parts) {
+  const size = Math.floor(poolSize / parts);
+  return Array.from({ length: parts }, (_, index) => ({
+    min: index * size + 1,
+    max: index === parts - 1 ? poolSize : (index + 1) * size
+  }));
+}
+
 /**
  * 智能選擇6個號碼：從topNumbers中選擇最優的6個號碼組合
  * 考慮多樣性和互補性，而不僅僅是分數
@@ -10,9 +27,10 @@
  * @param {Array} topNumbers - 前N個候選號碼（已按分數排序）
  * @param {number} count - 要選擇的號碼數量（預設6）
  * @param {Array} historicalResults - 可選的歷史驗證結果，用於優化選擇
+ * @param {Object} game - 可選，遊戲定義（預設為六合彩），決定號碼範圍
  * @returns {Array} 選中的6個號碼
  */
-function selectOptimalNumbers(topNumbers, count = 6, historicalResults = null) {
+function selectOptimalNumbers(topNumbers, count = 6, historicalResults = null, game = DEFAULT_GAME) {
   if (!topNumbers || topNumbers.length === 0) {
     return [];
   }
@@ -31,8 +49,8 @@ function selectOptimalNumbers(topNumbers, count = 6, historicalResults = null) {
   // 候選組合3：平衡策略（前2個最高分 + 多樣性選擇的4個）
   const candidate3 = selectBalanced(topNumbers, count);
 
-  // 候選組合4：均勻分布策略（確保號碼在1-49範圍內均勻分布）
-  const candidate4 = selectEvenlyDistributed(topNumbers, count);
+  // 候選組合4：均勻分布策略（確保號碼在號碼池範圍內均勻分布）
+  const candidate4 = selectEvenlyDistributed(topNumbers, count, game);
 
   // 候選組合5：前4個最高分 + 從剩餘中選擇分數最高的2個
   const candidate5 = selectTop4Plus2(topNumbers, count);
@@ -41,7 +59,7 @@ function selectOptimalNumbers(topNumbers, count = 6, historicalResults = null) {
   const candidate6 = selectTop5Plus1(topNumbers, count);
 
   // 候選組合7：混合策略（前1個最高分 + 均勻分布5個）
-  const candidate7 = selectHybrid(topNumbers, count);
+  const candidate7 = selectHybrid(topNumbers, count, game);
 
   // 候選組合8：基於歷史命中模式的組合（如果有歷史數據）
   let candidate8 = null;
@@ -95,7 +113,7 @@ function selectOptimalNumbers(topNumbers, count = 6, historicalResults = null) {
     const minNum = Math.min(...numbers.map(n => n.number));
     const maxNum = Math.max(...numbers.map(n => n.number));
     const range = maxNum - minNum;
-    score += (range / 49) * 100 * 0.07;
+    score += (range / game.poolSize) * 100 * 0.07;
 
     // 5. 歷史表現加成（權重35%，大幅提高權重以更重視歷史表現）
     let historyBonus = 0;
@@ -158,8 +176,9 @@ function selectOptimalNumbers(topNumbers, count = 6, historicalResults = null) {
 /**
  * 生成多個候選組合（用於回測優化）
  * 在迭代驗證中使用，生成更多候選組合以找到最佳組合
+ * game 為可選的遊戲定義（預設為六合彩），決定區間策略使用的號碼範圍
  */
-function generateMultipleCandidates(topNumbers, count = 6, historicalResults = null, maxCandidates = 12) {
+function generateMultipleCandidates(topNumbers, count = 6, historicalResults = null, maxCandidates = 12, game = DEFAULT_GAME) {
   // 檢查輸入有效性
   if (!topNumbers || topNumbers.length === 0) {
     return [];
@@ -183,7 +202,7 @@ function generateMultipleCandidates(topNumbers, count = 6, historicalResults = n
     candidates.push({ numbers: balanced, strategy: 'balanced' });
   }
 
-  const evenly = selectEvenlyDistributed(topNumbers, count);
+  const evenly = selectEvenlyDistributed(topNumbers, count, game);
   if (evenly && evenly.length === count) {
     candidates.push({ numbers: evenly, strategy: 'evenly' });
   }
@@ -198,7 +217,7 @@ function generateMultipleCandidates(topNumbers, count = 6, historicalResults = n
     candidates.push({ numbers: top5plus1, strategy: 'top5plus1' });
   }
 
-  const hybrid = selectHybrid(topNumbers, count);
+  const hybrid = selectHybrid(topNumbers, count, game);
   if (hybrid && hybrid.length === count) {
     candidates.push({ numbers: hybrid, strategy: 'hybrid' });
   }
@@ -212,9 +231,9 @@ function generateMultipleCandidates(topNumbers, count = 6, historicalResults = n
 
   // 額外策略：生成更多變體組合
   // 策略9：前7個最高分中選擇6個（跳過分數最低的1個）
-  if (topNumbers.length >= 7) {
-    candidates.push({ numbers: topNumbers.slice(0, 6), strategy: 'top6' }); // 已經有了，但確保包含
-    candidates.push({ numbers: [...topNumbers.slice(0, 5), topNumbers[6]], strategy: 'top5skip1' });
+  if (topNumbers.length >= count + 1) {
+    candidates.push({ numbers: topNumbers.slice(0, count), strategy: 'top6' }); // 已經有了，但確保包含
+    candidates.push({ numbers: [...topNumbers.slice(0, count - 1), topNumbers[count]], strategy: 'top5skip1' });
   }
 
   // 策略10：前10個最高分中，選擇分數最高的3個 + 從剩餘7個中選擇分數最高的3個
@@ -222,19 +241,12 @@ function generateMultipleCandidates(topNumbers, count = 6, historicalResults = n
     const top3 = topNumbers.slice(0, 3);
     const next7 = topNumbers.slice(3, 10);
     next7.sort((a, b) => b.score - a.score);
-    candidates.push({ numbers: [...top3, ...next7.slice(0, 3)], strategy: 'top3plus3' });
+    candidates.push({ numbers: [...top3, ...next7.slice(0, count - 3)], strategy: 'top3plus3' });
   }
 
-  // 策略11：前15個最高分中，每個區間選擇1個（6個區間）
+  // 策略11：前15個最高分中，每個區間選擇1個（每期號碼數量個區間）
   if (topNumbers.length >= 15) {
-    const ranges = [
-      { min: 1, max: 8 },
-      { min: 9, max: 16 },
-      { min: 17, max: 24 },
-      { min: 25, max: 32 },
-      { min: 33, max: 40 },
-      { min: 41, max: 49 }
-    ];
+    const ranges = splitPool(game.poolSize, count);
     const selected = [];
     ranges.forEach(range => {
       const inRange = topNumbers.slice(0, 15).filter(n =>
@@ -326,7 +338,7 @@ function selectWithDiversity(topNumbers, count = 6) {
     for (let i = 0; i < remaining.length; i++) {
       const candidate = remaining[i];
       let diversityScore = 0;
-      let minDistance = 49;
+      let minDistance = Infinity;
 
       selected.forEach(selectedNum => {
         const distance = Math.abs(candidate.number - selectedNum.number);
@@ -374,7 +386,7 @@ function selectBalanced(topNumbers, count = 6) {
     for (let i = 0; i < remaining.length; i++) {
       const candidate = remaining[i];
       let diversityScore = 0;
-      let minDistance = 49;
+      let minDistance = Infinity;
 
       selected.forEach(selectedNum => {
         const distance = Math.abs(candidate.number - selectedNum.number);
@@ -409,18 +421,11 @@ function selectBalanced(topNumbers, count = 6) {
 }
 
 /**
- * 均勻分布策略：確保號碼在1-49範圍內均勻分布
+ * 均勻分布策略：確保號碼在號碼池範圍內均勻分布
  */
-function selectEvenlyDistributed(topNumbers, count = 6) {
-  // 將1-49分成6個區間
-  const ranges = [
-    { min: 1, max: 8 },   // 1-8
-    { min: 9, max: 16 },   // 9-16
-    { min: 17, max: 24 },  // 17-24
-    { min: 25, max: 32 },  // 25-32
-    { min: 33, max: 40 },  // 33-40
-    { min: 41, max: 49 }   // 41-49
-  ];
+function selectEvenlyDistributed(topNumbers, count = 6, game = DEFAULT_GAME) {
+  // 將號碼池分成 count 個區間（六合彩為 1-8, 9-16, 17-24, 25-32, 33-40, 41-49）
+  const ranges = splitPool(game.poolSize, count);
 
   const selected = [];
 
@@ -485,18 +490,16 @@ function selectTop5Plus1(topNumbers, count = 6) {
 /**
  * 混合策略：前1個最高分 + 均勻分布5個
  */
-function selectHybrid(topNumbers, count = 6) {
+function selectHybrid(topNumbers, count = 6, game = DEFAULT_GAME) {
   const selected = topNumbers.slice(0, 1); // 第一個最高分
   const remaining = topNumbers.slice(1);
 
-  // 將剩餘號碼分成5個區間，每個區間選擇分數最高的
-  const ranges = [
-    { min: 1, max: 10 },
-    { min: 11, max: 20 },
-    { min: 21, max: 30 },
-    { min: 31, max: 40 },
-    { min: 41, max: 49 }
-  ];
+  // 將剩餘號碼分成5個區間，每個區間選擇分數最高的（六合彩為 1-10, 11-20, 21-30, 31-40, 41-49）
+  const rangeSize = Math.ceil(game.poolSize / 5);
+  const ranges = Array.from({ length: 5 }, (_, index) => ({
+    min: index * rangeSize + 1,
+    max: Math.min((index + 1) * rangeSize, game.poolSize)
+  }));
 
   ranges.forEach(range => {
     const candidatesInRange = remaining.filter(n =>
@@ -592,11 +595,12 @@ function selectBasedOnHistory(topNumbers, count = 6, historicalResults) {
 /**
  * 確定使用的選擇策略
  */
-function determineStrategy(predictedNumbers, topNumbers) {
+function determineStrategy(predictedNumbers, topNumbers, game = DEFAULT_GAME) {
   const predNums = predictedNumbers.map(n => typeof n === 'object' ? n.number : n).sort((a, b) => a - b);
-  const top6 = topNumbers.slice(0, 6).map(n => n.number).sort((a, b) => a - b);
-  const top4 = topNumbers.slice(0, 4).map(n => n.number);
-  const top5 = topNumbers.slice(0, 5).map(n => n.number);
+  const count = predNums.length;
+  const top6 = topNumbers.slice(0, count).map(n => n.number).sort((a, b) => a - b);
+  const top4 = topNumbers.slice(0, count - 2).map(n => n.number);
+  const top5 = topNumbers.slice(0, count - 1).map(n => n.number);
   const top1 = topNumbers.slice(0, 1).map(n => n.number);
 
   // 檢查是否為前6個最高分
@@ -606,30 +610,23 @@ function determineStrategy(predictedNumbers, topNumbers) {
 
   // 檢查是否為前5個最高分 + 1個其他
   const hasTop5 = top5.every(n => predNums.includes(n));
-  if (hasTop5 && predNums.length === 6) {
+  if (hasTop5) {
     return 'top5plus1';
   }
 
   // 檢查是否為前4個最高分 + 2個其他
   const hasTop4 = top4.every(n => predNums.includes(n));
-  if (hasTop4 && predNums.length === 6) {
+  if (hasTop4) {
     return 'top4plus2';
   }
 
   // 檢查是否為均勻分布（每個區間都有號碼）
-  const ranges = [
-    { min: 1, max: 8 },
-    { min: 9, max: 16 },
-    { min: 17, max: 24 },
-    { min: 25, max: 32 },
-    { min: 33, max: 40 },
-    { min: 41, max: 49 }
-  ];
+  const ranges = splitPool(game.poolSize, count);
   const rangeCount = ranges.filter(range =>
     predNums.some(n => n >= range.min && n <= range.max)
   ).length;
 
-  if (rangeCount >= 5) {
+  if (rangeCount >= count - 1) {
     // 檢查是否為混合策略（前1個 + 均勻分布）
     const hasTop1 = top1.every(n => predNums.includes(n));
     if (hasTop1) {
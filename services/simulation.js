@@ -3,6 +3,8 @@
  * 使用預測號碼模擬多次攪出，根據命中率迭代優化預測號碼
  */
 
+const GameDefinition = require('../models/GameDefinition');
+
 // 延遲加載 analyzeNumbers 以避免循環依賴
 let analyzeNumbers = null;
 function getAnalyzeNumbers() {
@@ -45,6 +47,18 @@ function simulateSingleDraw(min = 1, max = 49, count = 6) {
   return Array.from(numbers).sort((a, b) => a - b);
 }
 
+/**
+ * 依遊戲定義模擬單次開獎（正選號碼及特別號碼）
+ * @param {Object} game - 遊戲定義
+ * @returns {Object} { main: 已排序的正選號碼, extra: 特別號碼或 null }
+ */
+function simulateGameDraw(game) {
+  const drawn = simulateSingleDraw(1, game.poolSize, game.pickCount + game.extraCount);
+  // 從攪出的號碼中隨機抽一個作為特別號碼，與先攪正選號碼再攪特別號碼的機率相同
+  const extra = game.extraCount > 0 ? drawn.splice(Math.floor(Math.random() * drawn.length), 1)[0] : null;
+  return { main: drawn, extra };
+}
+
 /**
  * 計算預測號碼在模擬開獎中的命中次數
  * @param {Array<number>} predictedNumbers - 預測的號碼陣列
@@ -97,6 +111,9 @@ function calculateHitStatistics(predictedNumbers, simulatedDraws) {
  * @param {number} options.hitThreshold - 命中率閾值，低於此值的號碼將被替換（預設0.1，即10%）
  * @param {number} options.minKeepCount - 最少保留的號碼數量（預設2）
  * @param {Object} options.weights - 預測方法的權重參數
+ * @param {boolean} options.includeExtra - 預測時是否將特別號碼計入統計（預設 false）
+ * @param {Object} options.game - 遊戲定義（預設為六合彩）
+ * @param {Array|Object} options.calculators - 預測時啟用的計算器（見 analyzeNumbers）
  * @returns {Object} 模擬優化結果
  */
 function iterativeSimulationOptimization(
@@ -109,8 +126,12 @@ function iterativeSimulationOptimization(
     maxIterations = 10,
     hitThreshold = 0.1,
     minKeepCount = 2,
-    weights = {}
+    weights = {},
+    includeExtra = false,
+    game = GameDefinition.DEFAULT_GAME,
+    calculators
   } = options;
+  const { poolSize, pickCount } = game;
 
   if (!historicalResults || historicalResults.length === 0) {
     throw new Error('需要歷史開獎結果才能進行模擬優化');
@@ -120,18 +141,18 @@ function iterativeSimulationOptimization(
   let currentPredictedNumbers = initialPredictedNumbers;
   if (!currentPredictedNumbers || currentPredictedNumbers.length === 0) {
     // 如果沒有提供初始預測號碼，使用預測方法生成
-    const analysisResult = getAnalyzeNumbers()(historicalResults, weights);
+    const analysisResult = getAnalyzeNumbers()(historicalResults, weights, null, { includeExtra, game, calculators });
     currentPredictedNumbers = analysisResult.predictedNumbers ||
-      analysisResult.topNumbers.slice(0, 6).map(n => n.number);
+      analysisResult.topNumbers.slice(0, pickCount).map(n => n.number);
   }
 
   // 確保預測號碼是數字陣列
   currentPredictedNumbers = [...new Set(currentPredictedNumbers.map(n =>
     typeof n === 'object' ? n.number : parseInt(n, 10)
-  ))].filter(n => !isNaN(n) && n >= 1 && n <= 49);
+  ))].filter(n => !isNaN(n) && n >= 1 && n <= poolSize);
 
-  if (currentPredictedNumbers.length !== 6) {
-    throw new Error('預測號碼必須是6個有效的號碼（1-49）');
+  if (currentPredictedNumbers.length !== pickCount) {
+    throw new Error(`預測號碼必須是${pickCount}個有效的號碼（1-${poolSize}）`);
   }
 
   const iterationHistory = [];
@@ -144,7 +165,7 @@ function iterativeSimulationOptimization(
     // 模擬指定次數的開獎
     const simulatedDraws = [];
     for (let i = 0; i < simulationRounds; i++) {
-      simulatedDraws.push(simulateSingleDraw(1, 49, 6));
+      simulatedDraws.push(simulateSingleDraw(1, poolSize, pickCount));
     }
 
     // 計算命中統計
@@ -215,12 +236,12 @@ function iterativeSimulationOptimization(
 
     // 重新預測需要替換的號碼
     // 使用歷史結果重新分析，排除當前預測號碼中要保留的部分
-    const newAnalysisResult = getAnalyzeNumbers()(historicalResults, weights);
+    const newAnalysisResult = getAnalyzeNumbers()(historicalResults, weights, null, { includeExtra, game, calculators });
 
     // 從topNumbers中選擇新的號碼，排除已保留的號碼
     const availableNumbers = newAnalysisResult.topNumbers
       .map(n => typeof n === 'object' ? n.number : parseInt(n, 10))
-      .filter(n => !isNaN(n) && n >= 1 && n <= 49 && !numbersToKeep.includes(n));
+      .filter(n => !isNaN(n) && n >= 1 && n <= poolSize && !numbersToKeep.includes(n));
 
     // 選擇新的號碼來替換命中率低的號碼
     const newNumbers = [];
@@ -230,7 +251,7 @@ function iterativeSimulationOptimization(
 
     // 如果新號碼不足，從剩餘的候選中隨機選擇
     while (newNumbers.length < numbersToReplace.length) {
-      const remaining = Array.from({ length: 49 }, (_, i) => i + 1)
+      const remaining = Array.from({ length: poolSize }, (_, i) => i + 1)
         .filter(n => !numbersToKeep.includes(n) && !newNumbers.includes(n));
 
       if (remaining.length === 0) break;
@@ -243,13 +264,13 @@ function iterativeSimulationOptimization(
     const updatedNumbersSet = new Set([...numbersToKeep, ...newNumbers]);
     let updatedNumbers = Array.from(updatedNumbersSet);
 
-    // 如果號碼數量不足6個，從候選中補充
-    if (updatedNumbers.length < 6) {
+    // 如果號碼數量不足 pickCount 個，從候選中補充
+    if (updatedNumbers.length < pickCount) {
       const allCandidates = newAnalysisResult.topNumbers
         .map(n => typeof n === 'object' ? n.number : parseInt(n, 10))
-        .filter(n => !isNaN(n) && n >= 1 && n <= 49 && !updatedNumbersSet.has(n));
+        .filter(n => !isNaN(n) && n >= 1 && n <= poolSize && !updatedNumbersSet.has(n));
 
-      while (updatedNumbers.length < 6 && allCandidates.length > 0) {
+      while (updatedNumbers.length < pickCount && allCandidates.length > 0) {
         const candidate = allCandidates.shift();
         if (!updatedNumbersSet.has(candidate)) {
           updatedNumbers.push(candidate);
@@ -258,11 +279,11 @@ function iterativeSimulationOptimization(
       }
 
       // 如果仍然不足，從所有可能的號碼中隨機選擇
-      if (updatedNumbers.length < 6) {
-        const allPossible = Array.from({ length: 49 }, (_, i) => i + 1)
+      if (updatedNumbers.length < pickCount) {
+        const allPossible = Array.from({ length: poolSize }, (_, i) => i + 1)
           .filter(n => !updatedNumbersSet.has(n));
 
-        while (updatedNumbers.length < 6 && allPossible.length > 0) {
+        while (updatedNumbers.length < pickCount && allPossible.length > 0) {
           const randomIndex = Math.floor(Math.random() * allPossible.length);
           const selected = allPossible.splice(randomIndex, 1)[0];
           updatedNumbers.push(selected);
@@ -282,14 +303,14 @@ function iterativeSimulationOptimization(
       break;
     }
 
-    currentPredictedNumbers = updatedNumbers.slice(0, 6);
+    currentPredictedNumbers = updatedNumbers.slice(0, pickCount);
     iterationInfo.newPredictedNumbers = [...currentPredictedNumbers].sort((a, b) => a - b);
   }
 
   // 進行最後一輪模擬以獲取最終統計
   const finalSimulatedDraws = [];
   for (let i = 0; i < simulationRounds; i++) {
-    finalSimulatedDraws.push(simulateSingleDraw(1, 49, 6));
+    finalSimulatedDraws.push(simulateSingleDraw(1, poolSize, pickCount));
   }
   const finalHitStats = calculateHitStatistics(currentPredictedNumbers, finalSimulatedDraws);
 
@@ -306,6 +327,7 @@ function iterativeSimulationOptimization(
     },
     iterationHistory,
     options: {
+      game: game.id,
       simulationRounds,
       maxIterations,
       hitThreshold,
@@ -316,25 +338,40 @@ function iterativeSimulationOptimization(
 
 /**
  * 批量模擬測試（用於評估預測方法的有效性）
+ * 同時依遊戲的獎項表統計各獎項的中獎次數，並以固定獎金估算回報
  * @param {Array<number>} predictedNumbers - 預測號碼
  * @param {number} rounds - 模擬輪數（預設1000）
  * @param {number} batchSize - 每批模擬次數（預設100）
+ * @param {Object} game - 遊戲定義（預設為六合彩）
  * @returns {Object} 批量模擬結果
  */
-function batchSimulationTest(predictedNumbers, rounds = 1000, batchSize = 100) {
-  if (!predictedNumbers || predictedNumbers.length !== 6) {
-    throw new Error('需要6個預測號碼');
+function batchSimulationTest(predictedNumbers, rounds = 1000, batchSize = 100, game = GameDefinition.DEFAULT_GAME) {
+  if (!predictedNumbers || predictedNumbers.length !== game.pickCount) {
+    throw new Error(`需要${game.pickCount}個預測號碼`);
   }
 
   const batches = Math.ceil(rounds / batchSize);
   const batchResults = [];
+  const prizeCounts = {};
+  let fixedPrizeTotal = 0;
+
+  game.prizeTable.forEach(entry => {
+    prizeCounts[entry.division] = 0;
+  });
 
   for (let batch = 0; batch < batches; batch++) {
     const batchRounds = Math.min(batchSize, rounds - batch * batchSize);
     const simulatedDraws = [];
 
     for (let i = 0; i < batchRounds; i++) {
-      simulatedDraws.push(simulateSingleDraw(1, 49, 6));
+      const draw = simulateGameDraw(game);
+      const mainHits = predictedNumbers.filter(num => draw.main.includes(num)).length;
+      const division = GameDefinition.getPrizeDivision(game, mainHits, predictedNumbers.includes(draw.extra));
+      if (division) {
+        prizeCounts[division.division]++;
+        fixedPrizeTotal += division.prize || 0;
+      }
+      simulatedDraws.push(draw.main);
     }
 
     const hitStats = calculateHitStatistics(predictedNumbers, simulatedDraws);
@@ -355,12 +392,20 @@ function batchSimulationTest(predictedNumbers, rounds = 1000, batchSize = 100) {
     totalRounds,
     overallHitRate,
     averageHitsPerDraw: totalRounds > 0 ? totalHits / totalRounds : 0,
+    // 各獎項中獎次數；浮動獎金的獎項不計入 fixedPrizeTotal
+    prizes: {
+      game: game.id,
+      counts: prizeCounts,
+      totalCost: totalRounds * game.betPrice,
+      fixedPrizeTotal
+    },
     batchResults
   };
 }
 
 module.exports = {
   simulateSingleDraw,
+  simulateGameDraw,
   calculateHitStatistics,
   iterativeSimulationOptimization,
   batchSimulationTest
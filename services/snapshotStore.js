@@ -0,0 +1,235 @@
+/**
+ * 資料集快照模組
+ * 以內容雜湊（SHA-256）識別分析、驗證及模擬使用的攪珠結果，保存後可以用同一個雜湊重新執行，證明兩次執行使用了相同的資料
+ * 每個快照存成 snapshots/<雜湊>.json（不縮排），另以 snapshots/index.json 保存所有快照的來源資訊（不含攪珠結果）
+ * 最多保留 SNAPSHOT_MAX_COUNT 個快照，超過時刪除最早建立的快照；也可以 deleteSnapshot 刪除指定的快照
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const drawStore = require('./drawStore');
+const { stripProvenance } = require('./provenance');
+
+const SNAPSHOT_DIR = path.join(drawStore.DATA_DIR, 'snapshots');
+const INDEX_FILE = path.join(SNAPSHOT_DIR, 'index.json');
+
+// 快照來源類型
+const SNAPSHOT_SOURCES = {
+  REQUEST: 'request', // 請求內容提供的 results
+  LOCAL: 'local', // 本地資料庫
+  YEAR_RANGE: 'yearRange', // 以年份範圍從本地資料庫取得
+  QUERY: 'query' // 以查詢條件從本地資料庫取得
+};
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// 最多保留的快照數量
+const SNAPSHOT_MAX_COUNT = parseInt(process.env.SNAPSHOT_MAX_COUNT, 10) > 0 ? parseInt(process.env.SNAPSHOT_MAX_COUNT, 10) : 100;
+
+// 記憶體中的快取（首次存取時從檔案載入）
+let index = null;
+
+/**
+ * 從檔案載入快照索引（只載入一次）
+ * @returns {Array} 快照資訊陣列（最新建立的在前）
+ */
+function loadIndex() {
+  if (index) return index;
+
+  try {
+    index = fs.existsSync(INDEX_FILE) ? JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8')).snapshots || [] : [];
+  } catch (error) {
+    console.error(`讀取快照索引失敗 (${INDEX_FILE}):`, error.message);
+    index = [];
+  }
+
+  return index;
+}
+
+/**
+ * 寫入檔案（先寫入暫存檔再改名，避免寫到一半的檔案）
+ * @param {string} file - 檔案路徑
+ * @param {Object} content - 內容
+ */
+function writeJson(file, content) {
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(content));
+  fs.renameSync(tempFile, file);
+}
+
+/**
+ * 以固定的鍵順序序列化，讓內容相同的資料得到相同的雜湊
+ * @param {*} value - 要序列化的值
+ * @returns {string} JSON 字串
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 計算攪珠結果的內容雜湊（結果的順序也是內容的一部分）
+ * @param {Array} results - 攪珠結果陣列
+ * @returns {string} SHA-256 十六進位字串
+ */
+function hashResults(results) {
+  return crypto.createHash('sha256').update(canonicalJson(results)).digest('hex');
+}
+
+/**
+ * 是否為有效格式的快照雜湊
+ * @param {*} value - 值
+ * @returns {boolean} 是否有效
+ */
+function isSnapshotHash(value) {
+  return typeof value === 'string' && HASH_PATTERN.test(value);
+}
+
+/**
+ * 快照檔案路徑
+ * @param {string} hash - 內容雜湊
+ * @returns {string} 檔案路徑
+ */
+function snapshotFile(hash) {
+  return path.join(SNAPSHOT_DIR, `${hash}.json`);
+}
+
+/**
+ * 建立快照資訊（不保存）
+ * @param {Array} results - 攪珠結果陣列
+ * @param {Object} source - 來源資訊 { type, label, ... }
+ * @returns {Object} 快照資訊 { hash, createdAt, source, recordCount, latestPeriod, earliestPeriod }
+ */
+function describeSnapshot(results, source) {
+  const periods = results.map(result => result && result.periodNumber).filter(Boolean);
+  return {
+    hash: hashResults(results),
+    createdAt: new Date().toISOString(),
+    source,
+    recordCount: results.length,
+    // 結果通常最新的在前
+    latestPeriod: periods[0] || null,
+    earliestPeriod: periods[periods.length - 1] || null
+  };
+}
+
+/**
+ * 刪除超過 SNAPSHOT_MAX_COUNT 的最早建立的快照
+ * @returns {Array<string>} 刪除的快照雜湊
+ */
+function pruneSnapshots() {
+  const current = loadIndex();
+  const removed = current.splice(SNAPSHOT_MAX_COUNT);
+  removed.forEach(item => fs.rmSync(snapshotFile(item.hash), { force: true }));
+  return removed.map(item => item.hash);
+}
+
+/**
+ * 保存快照（內容相同的快照只保存一次，保留第一次建立時的來源資訊；超過 SNAPSHOT_MAX_COUNT 時刪除最早建立的快照）
+ * @param {Array} results - 攪珠結果陣列
+ * @param {Object} source - 來源資訊 { type, label, ... }
+ * @returns {Object} { snapshot: 快照資訊, created: 是否新建立 }
+ */
+function saveSnapshot(results, source) {
+  const hash = hashResults(results);
+  const existing = loadIndex().find(item => item.hash === hash);
+  if (existing && fs.existsSync(snapshotFile(hash))) {
+    return { snapshot: existing, created: false };
+  }
+
+  const snapshot = describeSnapshot(results, source);
+
+  writeJson(snapshotFile(hash), { ...snapshot, results });
+  if (!existing) {
+    loadIndex().unshift(snapshot);
+  }
+  pruneSnapshots();
+  writeJson(INDEX_FILE, { snapshots: loadIndex() });
+
+  return { snapshot: existing || snapshot, created: true };
+}
+
+/**
+ * 刪除快照
+ * @param {string} hash - 內容雜湊
+ * @returns {boolean} 是否找到並刪除
+ */
+function deleteSnapshot(hash) {
+  const current = loadIndex();
+  const position = current.findIndex(item => item.hash === hash);
+  if (position === -1) return false;
+
+  current.splice(position, 1);
+  fs.rmSync(snapshotFile(hash), { force: true });
+  writeJson(INDEX_FILE, { snapshots: current });
+  return true;
+}
+
+/**
+ * 建立本地資料庫的快照（不包含 provenance，重新抓取相同內容時得到相同的雜湊）
+ * @param {Object} options - { label }
+ * @returns {Object} { snapshot, created }
+ */
+function snapshotLocalStore(options = {}) {
+  return saveSnapshot(stripProvenance(drawStore.getAllDraws()), {
+    type: SNAPSHOT_SOURCES.LOCAL,
+    label: options.label || null,
+    lastSyncAt: drawStore.getLastSyncAt()
+  });
+}
+
+/**
+ * 取得快照資訊（不含攪珠結果）
+ * @param {string} hash - 內容雜湊
+ * @returns {Object|null} 快照資訊
+ */
+function getSnapshotInfo(hash) {
+  return loadIndex().find(item => item.hash === hash) || null;
+}
+
+/**
+ * 取得快照（包含攪珠結果，讀取時重新計算雜湊確認內容沒有被改動）
+ * @param {string} hash - 內容雜湊
+ * @returns {Object|null} { ...快照資訊, results }，找不到時返回 null
+ */
+function getSnapshot(hash) {
+  if (!isSnapshotHash(hash) || !fs.existsSync(snapshotFile(hash))) {
+    return null;
+  }
+
+  const content = JSON.parse(fs.readFileSync(snapshotFile(hash), 'utf8'));
+  if (hashResults(content.results) !== hash) {
+    throw new Error(`快照 ${hash} 的內容與雜湊不符`);
+  }
+  return content;
+}
+
+/**
+ * 取得所有快照資訊（最新建立的在前）
+ * @returns {Array} 快照資訊陣列
+ */
+function listSnapshots() {
+  return loadIndex();
+}
+
+module.exports = {
+  SNAPSHOT_SOURCES,
+  SNAPSHOT_MAX_COUNT,
+  isSnapshotHash,
+  hashResults,
+  describeSnapshot,
+  saveSnapshot,
+  deleteSnapshot,
+  snapshotLocalStore,
+  getSnapshotInfo,
+  getSnapshot,
+  listSnapshots
+};
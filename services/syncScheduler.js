@@ -0,0 +1,206 @@
+/**
+ * 背景同步排程
+ * 依攪珠日曆在每期攪珠後自動執行增量同步；攪珠結果尚未公佈（沒有新期數）或同步失敗時稍後重試
+ */
+
+const lotteryService = require('./lotteryService');
+const drawStore = require('./drawStore');
+const drawCalendar = require('./drawCalendar');
+const { FETCH_STATUS } = require('./dataSources');
+
+// 是否啟用背景同步（SCHEDULED_SYNC=false 停用）
+const SCHEDULED_SYNC = process.env.SCHEDULED_SYNC !== 'false';
+
+/**
+ * 讀取非負整數環境變數
+ * @param {string} name - 環境變數名稱
+ * @param {number} defaultValue - 預設值
+ * @returns {number} 數值
+ */
+function readIntEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return value >= 0 ? value : defaultValue;
+}
+
+// 攪珠後等待多久才同步（結果公佈需要時間）
+const SYNC_DELAY_MS = readIntEnv('SYNC_DELAY_MS', 15 * 60 * 1000);
+// 沒有新期數或同步失敗時的重試間隔及次數
+const SYNC_RETRY_MS = readIntEnv('SYNC_RETRY_MS', 10 * 60 * 1000);
+const SYNC_MAX_RETRIES = readIntEnv('SYNC_MAX_RETRIES', 6);
+
+// setTimeout 的最大延遲（約 24.8 日），超過時分段等待
+const MAX_TIMER_MS = 2147483647;
+
+// 保留最近的同步記錄數量
+const HISTORY_SIZE = 20;
+
+let timer = null;
+let stopped = true;
+let nextRun = null;
+const history = [];
+
+/**
+ * 設定下一次執行時間
+ * @param {Date} runAt - 執行時間
+ * @param {Object} run - { trigger, drawAt, retry }
+ */
+function scheduleAt(runAt, run) {
+  clearTimeout(timer);
+  nextRun = { ...run, runAt: runAt.toISOString() };
+
+  const wait = Math.max(0, runAt.getTime() - Date.now());
+  timer = setTimeout(() => {
+    if (wait > MAX_TIMER_MS) {
+      scheduleAt(runAt, run);
+      return;
+    }
+    runScheduledSync(run);
+  }, Math.min(wait, MAX_TIMER_MS));
+
+  // 不阻止程序結束
+  if (timer.unref) timer.unref();
+}
+
+/**
+ * 排程下一期攪珠後的同步
+ */
+function scheduleNextDraw() {
+  const drawAt = drawCalendar.getNextDrawTime(new Date());
+  if (!drawAt) {
+    console.warn('攪珠日曆沒有任何攪珠日，停止背景同步');
+    nextRun = null;
+    return;
+  }
+
+  scheduleAt(new Date(drawAt.getTime() + SYNC_DELAY_MS), {
+    trigger: 'scheduled',
+    drawAt: drawAt.toISOString(),
+    retry: 0
+  });
+}
+
+/**
+ * 記錄同步結果
+ * @param {Object} record - 同步記錄
+ */
+function recordRun(record) {
+  history.unshift(record);
+  if (history.length > HISTORY_SIZE) {
+    history.length = HISTORY_SIZE;
+  }
+}
+
+/**
+ * 執行一次同步並記錄結果（同時進行的同步由 lotteryService 合併為一次）
+ * @param {Object} run - { trigger: scheduled / retry / manual, drawAt, retry }
+ * @returns {Promise<Object>} 同步記錄
+ */
+async function syncNow(run = { trigger: 'manual', drawAt: null, retry: 0 }) {
+  const startedAt = new Date().toISOString();
+  let record;
+
+  try {
+    const result = await lotteryService.syncLotteryResults({ refresh: true });
+    const failedYears = result.years.filter(yearStatus => yearStatus.status !== FETCH_STATUS.OK);
+    record = {
+      ...run,
+      status: result.added > 0 ? 'ok' : 'noNewDraws',
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      added: result.added,
+      latestPeriod: result.latestPeriod,
+      failedYears: failedYears.map(yearStatus => ({ year: yearStatus.year, status: yearStatus.status, message: yearStatus.message }))
+    };
+  } catch (error) {
+    console.error('背景同步失敗:', error.message);
+    record = {
+      ...run,
+      status: 'error',
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      message: error.message
+    };
+  }
+
+  recordRun(record);
+  console.log(`同步完成 [${run.trigger}/${record.status}]${record.added ? `，新增 ${record.added} 期` : ''}`);
+  return record;
+}
+
+/**
+ * 執行排程同步並安排下一次執行
+ * 攪珠後沒有新期數（結果可能尚未公佈）或同步失敗時稍後重試，否則等待下一期
+ * @param {Object} run - { trigger, drawAt, retry }
+ */
+async function runScheduledSync(run) {
+  timer = null;
+  nextRun = null;
+  const record = await syncNow(run);
+
+  // 執行期間已被停止
+  if (stopped) return;
+
+  if (record.status !== 'ok' && run.retry < SYNC_MAX_RETRIES) {
+    scheduleAt(new Date(Date.now() + SYNC_RETRY_MS), { trigger: 'retry', drawAt: run.drawAt, retry: run.retry + 1 });
+  } else {
+    scheduleNextDraw();
+  }
+}
+
+/**
+ * 啟動背景同步
+ * @returns {boolean} 是否已啟動（SCHEDULED_SYNC=false 時不啟動）
+ */
+function start() {
+  if (!SCHEDULED_SYNC) {
+    console.log('背景同步已停用 (SCHEDULED_SYNC=false)');
+    return false;
+  }
+  if (stopped) {
+    stopped = false;
+    scheduleNextDraw();
+    if (nextRun) {
+      console.log(`背景同步已啟動，下一次同步時間: ${nextRun.runAt}`);
+    }
+  }
+  return true;
+}
+
+/**
+ * 停止背景同步
+ */
+function stop() {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+  nextRun = null;
+}
+
+/**
+ * 取得同步狀態
+ * @param {Object} options - 選項
+ * @param {boolean} options.includeHistory - 是否包含最近的同步記錄
+ * @returns {Object} { enabled, lastSyncAt, lastRun, nextSyncAt, nextDrawAt, history? }
+ */
+function getStatus(options = {}) {
+  const nextDrawAt = drawCalendar.getNextDrawTime();
+  const status = {
+    enabled: !stopped,
+    lastSyncAt: drawStore.getLastSyncAt(),
+    lastRun: history[0] || null,
+    nextSyncAt: nextRun ? nextRun.runAt : null,
+    nextDrawAt: nextDrawAt ? nextDrawAt.toISOString() : null
+  };
+
+  if (options.includeHistory) {
+    status.history = history.slice();
+  }
+  return status;
+}
+
+module.exports = {
+  start,
+  stop,
+  syncNow,
+  getStatus
+};
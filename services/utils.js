@@ -3,37 +3,31 @@
  * 包含數據提取、期數解析等通用功能
  */
 
+const LotteryResultDTO = require('../models/LotteryResultDTO');
+const GameDefinition = require('../models/GameDefinition');
+const PeriodId = require('../models/PeriodId');
+
 /**
  * 從結果中提取所有號碼
+ * 正選號碼與特別號碼分開保存；numbers 為分析時使用的號碼（預設只包含正選號碼）
  * @param {Array} results - 攪珠結果陣列
- * @returns {Array} 所有號碼的陣列
+ * @param {Object} options - 選項
+ * @param {boolean} options.includeExtra - numbers 是否包含特別號碼（預設 false）
+ * @param {Object} options.game - 遊戲定義（預設為六合彩），決定號碼範圍及正選號碼數量
+ * @returns {Array} 每期的 { numbers, main, extra, date, periodNumber }
  */
-function extractAllNumbers(results) {
+function extractAllNumbers(results, options = {}) {
+  const { includeExtra = false, game = GameDefinition.DEFAULT_GAME } = options;
   const allNumbers = [];
 
   results.forEach(result => {
-    if (result.numbers && result.numbers.length > 0) {
-      let numberArray = [];
-
-      if (typeof result.numbers[0] === 'string') {
-        // 處理字串格式的號碼
-        numberArray = result.numbers[0]
-          .split(/[\n\t\s]+/)
-          .filter(str => str.trim() !== '')
-          .map(str => parseInt(str.trim(), 10))
-          .filter(num => !isNaN(num) && num >= 1 && num <= 49);
-      } else if (Array.isArray(result.numbers)) {
-        // 處理陣列格式的號碼
-        numberArray = result.numbers
-          .map(num => {
-            const parsed = parseInt(num, 10);
-            return isNaN(parsed) ? null : parsed;
-          })
-          .filter(num => num !== null && num >= 1 && num <= 49);
-      }
+    const { main, extra } = LotteryResultDTO.parseNumbers(result.numbers, game);
 
+    if (main.length > 0) {
       allNumbers.push({
-        numbers: numberArray,
+        numbers: includeExtra && extra !== null ? [...main, extra] : main,
+        main: main,
+        extra: extra,
         date: result.date,
         periodNumber: result.periodNumber
       });
@@ -46,30 +40,11 @@ function extractAllNumbers(results) {
 /**
  * 解析期數字串（支援格式：25/132 或 2025001）
  * @param {string} periodNumber - 期數字串
- * @returns {Object} { year, period } 或 null
+ * @returns {Object} { year, period, fullPeriod } 或 null
  */
 function parsePeriodNumber(periodNumber) {
-  if (!periodNumber) return null;
-
-  // 格式 25/132 (年份/期數)
-  const match1 = periodNumber.match(/^(\d{2})\/(\d+)$/);
-  if (match1) {
-    const shortYear = parseInt(match1[1], 10);
-    // Convert 2-digit year to 4-digit (assuming 2000s)
-    const year = shortYear < 50 ? 2000 + shortYear : 1900 + shortYear;
-    const period = parseInt(match1[2], 10);
-    return { year, period, fullPeriod: periodNumber };
-  }
-
-  // 格式 2025001 (年份+期數)
-  const match2 = periodNumber.match(/^(\d{4})(\d{3})$/);
-  if (match2) {
-    const year = parseInt(match2[1], 10);
-    const period = parseInt(match2[2], 10);
-    return { year, period, fullPeriod: periodNumber };
-  }
-
-  return null;
+  const id = PeriodId.parse(periodNumber);
+  return id ? { year: id.year, period: id.period, fullPeriod: periodNumber } : null;
 }
 
 /**
@@ -79,25 +54,32 @@ function parsePeriodNumber(periodNumber) {
  * @returns {boolean} 是否為下一期
  */
 function isNextPeriod(currentPeriod, nextPeriod) {
-  const current = parsePeriodNumber(currentPeriod);
-  const next = parsePeriodNumber(nextPeriod);
-
-  if (!current || !next) return false;
+  return PeriodId.isNext(currentPeriod, nextPeriod);
+}
 
-  // 同年份，期數相差1
-  if (current.year === next.year && next.period === current.period + 1) {
-    return true;
-  }
+/**
+ * 將日期從 dd/mm/yyyy 格式轉換為 yyyy-mm-dd 格式
+ * @param {string} dateStr - dd/mm/yyyy 格式的日期字串
+ * @returns {string} yyyy-mm-dd 格式的日期字串
+ */
+function convertDateFormat(dateStr) {
+  if (!dateStr) return dateStr;
 
-  // 跨年份（例如 25/132 -> 26/001）
-  if (next.year === current.year + 1 && next.period === 1) {
-    return true;
+  // 匹配 dd/mm/yyyy 格式
+  const match = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    const day = match[1].padStart(2, '0');
+    const month = match[2].padStart(2, '0');
+    const year = match[3];
+    return `${year}-${month}-${day}`;
   }
 
-  return false;
+  // 如果格式不符合，返回原始字串
+  return dateStr;
 }
 
 module.exports = {
+  convertDateFormat,
   extractAllNumbers,
   parsePeriodNumber,
   isNextPeriod
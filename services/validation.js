@@ -4,10 +4,16 @@
  */
 
 // 導入依賴
-const { extractAllNumbers, isNextPeriod } = require('./utils');
+const PeriodId = require('../models/PeriodId');
+const GameDefinition = require('../models/GameDefinition');
+const { extractAllNumbers } = require('./utils');
+const { windowForResults } = require('./drawIndex');
+const { createRollingAnalysis } = require('./rollingCalculators');
+const { selectByEra } = require('./eraService');
 const { selectOptimalNumbers, generateMultipleCandidates } = require('./selectionStrategies');
 const { calculateHitStatistics, simulateSingleDraw } = require('./simulation');
 const { neuralNetworkAnalysis } = require('./neural');
+const { CALCULATORS, resolveSelection, getDetailScores, getWeightProfiles } = require('./calculatorRegistry');
 
 // analyzeNumbers 需要從主服務導入（暫時，稍後會重構）
 // 注意：這會創建循環依賴，需要重構 analyzeNumbers 到獨立模組
@@ -25,9 +31,10 @@ function setAnalyzeNumbers(fn) {
  * 比對預測結果與實際結果
  * @param {Array} predictedNumbers - 預測的號碼陣列（topNumbers）
  * @param {Array} actualNumbers - 實際開出的號碼陣列
+ * @param {number} extraNumber - 可選，實際開出的特別號碼（不計入命中數，另外以 extraHit 標示）
  * @returns {Object} 比對結果
  */
-function comparePrediction(predictedNumbers, actualNumbers) {
+function comparePrediction(predictedNumbers, actualNumbers, extraNumber = null) {
   const predictedSet = new Set(predictedNumbers.map(n => typeof n === 'object' ? n.number : n));
   const actualSet = new Set(actualNumbers);
 
@@ -58,7 +65,9 @@ function comparePrediction(predictedNumbers, actualNumbers) {
     coverage: actualNumbers.length > 0 ? (hitCount / actualNumbers.length) * 100 : 0,
     targetHitCount: targetHitCount,
     meetsTarget: hitCount >= targetHitCount, // 是否達到至少3個命中數
-    hitCountStatus: hitCount >= targetHitCount ? '達標' : `不足（差${targetHitCount - hitCount}個）` // 命中數狀態
+    hitCountStatus: hitCount >= targetHitCount ? '達標' : `不足（差${targetHitCount - hitCount}個）`, // 命中數狀態
+    extraNumber: extraNumber,
+    extraHit: extraNumber !== null && predictedSet.has(extraNumber) && !actualSet.has(extraNumber) // 是否命中特別號碼
   };
 }
 
@@ -72,7 +81,15 @@ function comparePrediction(predictedNumbers, actualNumbers) {
  * @returns {Object} 調整後的權重
  */
 function adjustWeights(currentWeights, comparison, analysisDetails, topNumbers, actualNumbers) {
-  const newWeights = { ...currentWeights };
+  // 只調整分析時啟用的計算器（analysisDetails 有其分數）
+  const calculators = CALCULATORS.filter(calculator => getDetailScores(analysisDetails, calculator));
+  const isEnabled = id => calculators.some(calculator => calculator.id === id);
+
+  // 初始化權重（不存在時使用預設權重）
+  const newWeights = {};
+  calculators.forEach(calculator => {
+    newWeights[calculator.id] = currentWeights[calculator.id] !== undefined ? currentWeights[calculator.id] : calculator.defaultWeight;
+  });
 
   // 計算目標準確率（至少50%，因為預測6個號碼）
   const targetAccuracy = 50;
@@ -87,45 +104,9 @@ function adjustWeights(currentWeights, comparison, analysisDetails, topNumbers,
   const hitNumbers = comparison.hits;
   const missNumbers = comparison.predictedButNotActual;
 
-  // 計算各指標對命中號碼的貢獻度
-  const indicatorContributions = {
-    frequency: 0,
-    weightedFrequency: 0,
-    gap: 0,
-    pattern: 0,
-    distribution: 0,
-    trend: 0,
-    chiSquare: 0,
-    poisson: 0,
-    fibonacci: 0,
-    correlation: 0,
-    entropy: 0,
-    markov: 0,
-    combinatorial: 0,
-    autoregressive: 0,
-    survival: 0,
-    extremeValue: 0,
-    cluster: 0,
-    numberRange: 0
-  };
-
   // 分析命中號碼在各指標中的排名
   const allNumbers = Object.keys(analysisDetails.compositeScore).map(n => parseInt(n, 10));
 
-  // 計算各指標的分數排名
-  const sortedByFrequency = [...allNumbers].sort((a, b) =>
-    analysisDetails.frequency[b] - analysisDetails.frequency[a]
-  );
-  const sortedByWeightedFrequency = [...allNumbers].sort((a, b) =>
-    analysisDetails.weightedFrequency[b] - analysisDetails.weightedFrequency[a]
-  );
-  const sortedByGap = [...allNumbers].sort((a, b) =>
-    analysisDetails.gapScore[b] - analysisDetails.gapScore[a]
-  );
-  const sortedByPattern = [...allNumbers].sort((a, b) =>
-    analysisDetails.patternScore[b] - analysisDetails.patternScore[a]
-  );
-
   // 計算命中號碼在各指標中的平均排名
   const calculateAverageRank = (numbers, sortedList) => {
     if (numbers.length === 0) return 50; // 如果沒有命中，返回最差排名
@@ -133,184 +114,18 @@ function adjustWeights(currentWeights, comparison, analysisDetails, topNumbers,
     return ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length;
   };
 
-  const hitRankFrequency = calculateAverageRank(hitNumbers, sortedByFrequency);
-  const hitRankWeightedFrequency = calculateAverageRank(hitNumbers, sortedByWeightedFrequency);
-  const hitRankGap = calculateAverageRank(hitNumbers, sortedByGap);
-  const hitRankPattern = calculateAverageRank(hitNumbers, sortedByPattern);
-
-  // 計算未命中號碼的平均排名
-  const missRankFrequency = calculateAverageRank(missNumbers, sortedByFrequency);
-  const missRankWeightedFrequency = calculateAverageRank(missNumbers, sortedByWeightedFrequency);
-  const missRankGap = calculateAverageRank(missNumbers, sortedByGap);
-  const missRankPattern = calculateAverageRank(missNumbers, sortedByPattern);
-
   // 計算各指標的效能分數（排名越前越好，所以用倒數）
-  const performanceFrequency = (1 / hitRankFrequency) - (1 / missRankFrequency);
-  const performanceWeightedFrequency = (1 / hitRankWeightedFrequency) - (1 / missRankWeightedFrequency);
-  const performanceGap = (1 / hitRankGap) - (1 / missRankGap);
-  const performancePattern = (1 / hitRankPattern) - (1 / missRankPattern);
-
-  // 如果有新的統計分布分析指標，也計算它們的效能
-  let performanceDistribution = 0;
-  let performanceTrend = 0;
-  let performanceChiSquare = 0;
-  let performancePoisson = 0;
-  let performanceFibonacci = 0;
-  let performanceCorrelation = 0;
-  let performanceEntropy = 0;
-  let performanceMarkov = 0;
-  let performanceCombinatorial = 0;
-  let performanceAutoregressive = 0;
-  let performanceSurvival = 0;
-  let performanceExtremeValue = 0;
-  let performanceCluster = 0;
-  let performanceNumberRange = 0;
-
-  if (analysisDetails.distributionScore) {
-    const sortedByDistribution = [...allNumbers].sort((a, b) =>
-      analysisDetails.distributionScore[b] - analysisDetails.distributionScore[a]
-    );
-    const hitRankDistribution = calculateAverageRank(hitNumbers, sortedByDistribution);
-    const missRankDistribution = calculateAverageRank(missNumbers, sortedByDistribution);
-    performanceDistribution = (1 / hitRankDistribution) - (1 / missRankDistribution);
-  }
-
-  if (analysisDetails.trendScore) {
-    const sortedByTrend = [...allNumbers].sort((a, b) =>
-      analysisDetails.trendScore[b] - analysisDetails.trendScore[a]
-    );
-    const hitRankTrend = calculateAverageRank(hitNumbers, sortedByTrend);
-    const missRankTrend = calculateAverageRank(missNumbers, sortedByTrend);
-    performanceTrend = (1 / hitRankTrend) - (1 / missRankTrend);
-  }
-
-  if (analysisDetails.chiSquare && analysisDetails.chiSquare.scores) {
-    const sortedByChiSquare = [...allNumbers].sort((a, b) =>
-      analysisDetails.chiSquare.scores[b] - analysisDetails.chiSquare.scores[a]
-    );
-    const hitRankChiSquare = calculateAverageRank(hitNumbers, sortedByChiSquare);
-    const missRankChiSquare = calculateAverageRank(missNumbers, sortedByChiSquare);
-    performanceChiSquare = (1 / hitRankChiSquare) - (1 / missRankChiSquare);
-  }
-
-  if (analysisDetails.poisson && analysisDetails.poisson.scores) {
-    const sortedByPoisson = [...allNumbers].sort((a, b) =>
-      analysisDetails.poisson.scores[b] - analysisDetails.poisson.scores[a]
-    );
-    const hitRankPoisson = calculateAverageRank(hitNumbers, sortedByPoisson);
-    const missRankPoisson = calculateAverageRank(missNumbers, sortedByPoisson);
-    performancePoisson = (1 / hitRankPoisson) - (1 / missRankPoisson);
-  }
-
-  if (analysisDetails.fibonacci && analysisDetails.fibonacci.scores) {
-    const sortedByFibonacci = [...allNumbers].sort((a, b) =>
-      analysisDetails.fibonacci.scores[b] - analysisDetails.fibonacci.scores[a]
-    );
-    const hitRankFibonacci = calculateAverageRank(hitNumbers, sortedByFibonacci);
-    const missRankFibonacci = calculateAverageRank(missNumbers, sortedByFibonacci);
-    performanceFibonacci = (1 / hitRankFibonacci) - (1 / missRankFibonacci);
-  }
-
-  if (analysisDetails.correlation && analysisDetails.correlation.scores) {
-    const sortedByCorrelation = [...allNumbers].sort((a, b) =>
-      analysisDetails.correlation.scores[b] - analysisDetails.correlation.scores[a]
-    );
-    const hitRankCorrelation = calculateAverageRank(hitNumbers, sortedByCorrelation);
-    const missRankCorrelation = calculateAverageRank(missNumbers, sortedByCorrelation);
-    performanceCorrelation = (1 / hitRankCorrelation) - (1 / missRankCorrelation);
-  }
-
-  if (analysisDetails.entropy && analysisDetails.entropy.scores) {
-    const sortedByEntropy = [...allNumbers].sort((a, b) =>
-      analysisDetails.entropy.scores[b] - analysisDetails.entropy.scores[a]
-    );
-    const hitRankEntropy = calculateAverageRank(hitNumbers, sortedByEntropy);
-    const missRankEntropy = calculateAverageRank(missNumbers, sortedByEntropy);
-    performanceEntropy = (1 / hitRankEntropy) - (1 / missRankEntropy);
-  }
-
-  if (analysisDetails.markov && analysisDetails.markov.scores) {
-    const sortedByMarkov = [...allNumbers].sort((a, b) =>
-      analysisDetails.markov.scores[b] - analysisDetails.markov.scores[a]
-    );
-    const hitRankMarkov = calculateAverageRank(hitNumbers, sortedByMarkov);
-    const missRankMarkov = calculateAverageRank(missNumbers, sortedByMarkov);
-    performanceMarkov = (1 / hitRankMarkov) - (1 / missRankMarkov);
-  }
-
-  if (analysisDetails.combinatorial && analysisDetails.combinatorial.scores) {
-    const sortedByCombinatorial = [...allNumbers].sort((a, b) =>
-      analysisDetails.combinatorial.scores[b] - analysisDetails.combinatorial.scores[a]
-    );
-    const hitRankCombinatorial = calculateAverageRank(hitNumbers, sortedByCombinatorial);
-    const missRankCombinatorial = calculateAverageRank(missNumbers, sortedByCombinatorial);
-    performanceCombinatorial = (1 / hitRankCombinatorial) - (1 / missRankCombinatorial);
-  }
-
-  if (analysisDetails.autoregressive && analysisDetails.autoregressive.scores) {
-    const sortedByAutoregressive = [...allNumbers].sort((a, b) =>
-      analysisDetails.autoregressive.scores[b] - analysisDetails.autoregressive.scores[a]
-    );
-    const hitRankAutoregressive = calculateAverageRank(hitNumbers, sortedByAutoregressive);
-    const missRankAutoregressive = calculateAverageRank(missNumbers, sortedByAutoregressive);
-    performanceAutoregressive = (1 / hitRankAutoregressive) - (1 / missRankAutoregressive);
-  }
-
-  if (analysisDetails.survival && analysisDetails.survival.scores) {
-    const sortedBySurvival = [...allNumbers].sort((a, b) =>
-      analysisDetails.survival.scores[b] - analysisDetails.survival.scores[a]
-    );
-    const hitRankSurvival = calculateAverageRank(hitNumbers, sortedBySurvival);
-    const missRankSurvival = calculateAverageRank(missNumbers, sortedBySurvival);
-    performanceSurvival = (1 / hitRankSurvival) - (1 / missRankSurvival);
-  }
-
-  if (analysisDetails.extremeValue && analysisDetails.extremeValue.scores) {
-    const sortedByExtremeValue = [...allNumbers].sort((a, b) =>
-      analysisDetails.extremeValue.scores[b] - analysisDetails.extremeValue.scores[a]
-    );
-    const hitRankExtremeValue = calculateAverageRank(hitNumbers, sortedByExtremeValue);
-    const missRankExtremeValue = calculateAverageRank(missNumbers, sortedByExtremeValue);
-    performanceExtremeValue = (1 / hitRankExtremeValue) - (1 / missRankExtremeValue);
-  }
-
-  if (analysisDetails.cluster && analysisDetails.cluster.scores) {
-    const sortedByCluster = [...allNumbers].sort((a, b) =>
-      analysisDetails.cluster.scores[b] - analysisDetails.cluster.scores[a]
-    );
-    const hitRankCluster = calculateAverageRank(hitNumbers, sortedByCluster);
-    const missRankCluster = calculateAverageRank(missNumbers, sortedByCluster);
-    performanceCluster = (1 / hitRankCluster) - (1 / missRankCluster);
-  }
-
-  if (analysisDetails.numberRange && analysisDetails.numberRange.scores) {
-    const sortedByNumberRange = [...allNumbers].sort((a, b) =>
-      analysisDetails.numberRange.scores[b] - analysisDetails.numberRange.scores[a]
-    );
-    const hitRankNumberRange = calculateAverageRank(hitNumbers, sortedByNumberRange);
-    const missRankNumberRange = calculateAverageRank(missNumbers, sortedByNumberRange);
-    performanceNumberRange = (1 / hitRankNumberRange) - (1 / missRankNumberRange);
-  }
+  const performances = {};
+  calculators.forEach(calculator => {
+    const scores = getDetailScores(analysisDetails, calculator);
+    const sorted = [...allNumbers].sort((a, b) => scores[b] - scores[a]);
+    const hitRank = calculateAverageRank(hitNumbers, sorted);
+    const missRank = calculateAverageRank(missNumbers, sorted);
+    performances[calculator.id] = (1 / hitRank) - (1 / missRank);
+  });
 
   // 計算總效能（用於正規化）
-  const totalPerformance = Math.abs(performanceFrequency) +
-    Math.abs(performanceWeightedFrequency) +
-    Math.abs(performanceGap) +
-    Math.abs(performancePattern) +
-    Math.abs(performanceDistribution) +
-    Math.abs(performanceTrend) +
-    Math.abs(performanceChiSquare) +
-    Math.abs(performancePoisson) +
-    Math.abs(performanceFibonacci) +
-    Math.abs(performanceCorrelation) +
-    Math.abs(performanceEntropy) +
-    Math.abs(performanceMarkov) +
-    Math.abs(performanceCombinatorial) +
-    Math.abs(performanceAutoregressive) +
-    Math.abs(performanceSurvival) +
-    Math.abs(performanceExtremeValue) +
-    Math.abs(performanceCluster) +
-    Math.abs(performanceNumberRange);
+  const totalPerformance = Object.values(performances).reduce((sum, value) => sum + Math.abs(value), 0);
 
   // 根據準確率差距和指標表現調整權重
   // 動態學習率：準確率差距越大，學習率越高
@@ -327,22 +142,6 @@ function adjustWeights(currentWeights, comparison, analysisDetails, topNumbers,
   // 準確率差距的權重更高（準確率50%是主要目標）
   const adjustmentFactor = (accuracyGap / 80) + (hitCountGap > 0 ? hitCountGap * 0.3 : 0); // 更積極的調整幅度，準確率權重更高
 
-  // 初始化新權重（如果不存在）
-  if (newWeights.distribution === undefined) newWeights.distribution = 0.09;
-  if (newWeights.trend === undefined) newWeights.trend = 0.08;
-  if (newWeights.chiSquare === undefined) newWeights.chiSquare = 0.03;
-  if (newWeights.poisson === undefined) newWeights.poisson = 0.03;
-  if (newWeights.fibonacci === undefined) newWeights.fibonacci = 0.07;
-  if (newWeights.correlation === undefined) newWeights.correlation = 0.07;
-  if (newWeights.entropy === undefined) newWeights.entropy = 0.05;
-  if (newWeights.markov === undefined) newWeights.markov = 0.09;
-  if (newWeights.combinatorial === undefined) newWeights.combinatorial = 0.08;
-  if (newWeights.autoregressive === undefined) newWeights.autoregressive = 0.06;
-  if (newWeights.survival === undefined) newWeights.survival = 0.07;
-  if (newWeights.extremeValue === undefined) newWeights.extremeValue = 0.06;
-  if (newWeights.cluster === undefined) newWeights.cluster = 0.07;
-  if (newWeights.numberRange === undefined) newWeights.numberRange = 0.06;
-
   if (totalPerformance > 0) {
     // 優先處理命中數不足的情況（命中數至少3是硬性要求）
     // 如果命中數少於目標（至少3）或準確率低於目標，增加表現好的指標權重
@@ -351,163 +150,49 @@ function adjustWeights(currentWeights, comparison, analysisDetails, topNumbers,
     if (isHitCountCritical || currentAccuracy < targetAccuracy) {
       // 命中數不足時，使用更大的調整幅度
       const criticalMultiplier = isHitCountCritical ? 1.3 : 1.0;
-      if (performanceFrequency > 0) {
-        newWeights.frequency += learningRate * adjustmentFactor * criticalMultiplier * (performanceFrequency / totalPerformance);
-      }
-      if (performanceWeightedFrequency > 0) {
-        newWeights.weightedFrequency += learningRate * adjustmentFactor * criticalMultiplier * (performanceWeightedFrequency / totalPerformance);
-      }
-      if (performanceGap > 0) {
-        newWeights.gap += learningRate * adjustmentFactor * criticalMultiplier * (performanceGap / totalPerformance);
-      }
-      if (performancePattern > 0) {
-        newWeights.pattern += learningRate * adjustmentFactor * criticalMultiplier * (performancePattern / totalPerformance);
-      }
-      if (performanceDistribution > 0 && analysisDetails.distributionScore) {
-        newWeights.distribution += learningRate * adjustmentFactor * criticalMultiplier * (performanceDistribution / totalPerformance);
-      }
-      if (performanceTrend > 0 && analysisDetails.trendScore) {
-        newWeights.trend += learningRate * adjustmentFactor * criticalMultiplier * (performanceTrend / totalPerformance);
-      }
-      if (performanceChiSquare > 0 && analysisDetails.chiSquare) {
-        newWeights.chiSquare += learningRate * adjustmentFactor * criticalMultiplier * (performanceChiSquare / totalPerformance);
-      }
-      if (performancePoisson > 0 && analysisDetails.poisson) {
-        newWeights.poisson += learningRate * adjustmentFactor * criticalMultiplier * (performancePoisson / totalPerformance);
-      }
-      if (performanceFibonacci > 0 && analysisDetails.fibonacci) {
-        newWeights.fibonacci += learningRate * adjustmentFactor * criticalMultiplier * (performanceFibonacci / totalPerformance);
-      }
-      if (performanceCorrelation > 0 && analysisDetails.correlation) {
-        newWeights.correlation += learningRate * adjustmentFactor * criticalMultiplier * (performanceCorrelation / totalPerformance);
-      }
-      if (performanceEntropy > 0 && analysisDetails.entropy) {
-        newWeights.entropy += learningRate * adjustmentFactor * criticalMultiplier * (performanceEntropy / totalPerformance);
-      }
-      if (performanceMarkov > 0 && analysisDetails.markov) {
-        newWeights.markov += learningRate * adjustmentFactor * criticalMultiplier * (performanceMarkov / totalPerformance);
-      }
-      if (performanceCombinatorial > 0 && analysisDetails.combinatorial) {
-        newWeights.combinatorial += learningRate * adjustmentFactor * criticalMultiplier * (performanceCombinatorial / totalPerformance);
-      }
-      if (performanceAutoregressive > 0 && analysisDetails.autoregressive) {
-        newWeights.autoregressive += learningRate * adjustmentFactor * criticalMultiplier * (performanceAutoregressive / totalPerformance);
-      }
-      if (performanceSurvival > 0 && analysisDetails.survival) {
-        newWeights.survival += learningRate * adjustmentFactor * criticalMultiplier * (performanceSurvival / totalPerformance);
-      }
-      if (performanceExtremeValue > 0 && analysisDetails.extremeValue) {
-        newWeights.extremeValue += learningRate * adjustmentFactor * criticalMultiplier * (performanceExtremeValue / totalPerformance);
-      }
-      if (performanceCluster > 0 && analysisDetails.cluster) {
-        newWeights.cluster += learningRate * adjustmentFactor * criticalMultiplier * (performanceCluster / totalPerformance);
-      }
-      if (performanceNumberRange > 0 && analysisDetails.numberRange) {
-        newWeights.numberRange += learningRate * adjustmentFactor * criticalMultiplier * (performanceNumberRange / totalPerformance);
-      }
-
       // 減少表現差的指標權重（命中數不足時更積極）
       const reductionMultiplier = isHitCountCritical ? 1.2 : 1.0;
-      if (performanceFrequency < 0) {
-        newWeights.frequency = Math.max(0.05, newWeights.frequency - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceFrequency) / totalPerformance));
-      }
-      if (performanceWeightedFrequency < 0) {
-        newWeights.weightedFrequency = Math.max(0.05, newWeights.weightedFrequency - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceWeightedFrequency) / totalPerformance));
-      }
-      if (performanceGap < 0) {
-        newWeights.gap = Math.max(0.05, newWeights.gap - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceGap) / totalPerformance));
-      }
-      if (performancePattern < 0) {
-        newWeights.pattern = Math.max(0.05, newWeights.pattern - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performancePattern) / totalPerformance));
-      }
-      if (performanceDistribution < 0 && analysisDetails.distributionScore) {
-        newWeights.distribution = Math.max(0.05, newWeights.distribution - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceDistribution) / totalPerformance));
-      }
-      if (performanceTrend < 0 && analysisDetails.trendScore) {
-        newWeights.trend = Math.max(0.05, newWeights.trend - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceTrend) / totalPerformance));
-      }
-      if (performanceChiSquare < 0 && analysisDetails.chiSquare) {
-        newWeights.chiSquare = Math.max(0.05, newWeights.chiSquare - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceChiSquare) / totalPerformance));
-      }
-      if (performancePoisson < 0 && analysisDetails.poisson) {
-        newWeights.poisson = Math.max(0.05, newWeights.poisson - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performancePoisson) / totalPerformance));
-      }
-      if (performanceFibonacci < 0 && analysisDetails.fibonacci) {
-        newWeights.fibonacci = Math.max(0.05, newWeights.fibonacci - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceFibonacci) / totalPerformance));
-      }
-      if (performanceCorrelation < 0 && analysisDetails.correlation) {
-        newWeights.correlation = Math.max(0.05, newWeights.correlation - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceCorrelation) / totalPerformance));
-      }
-      if (performanceEntropy < 0 && analysisDetails.entropy) {
-        newWeights.entropy = Math.max(0.05, newWeights.entropy - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceEntropy) / totalPerformance));
-      }
-      if (performanceMarkov < 0 && analysisDetails.markov) {
-        newWeights.markov = Math.max(0.05, newWeights.markov - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceMarkov) / totalPerformance));
-      }
-      if (performanceCombinatorial < 0 && analysisDetails.combinatorial) {
-        newWeights.combinatorial = Math.max(0.05, newWeights.combinatorial - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceCombinatorial) / totalPerformance));
-      }
-      if (performanceAutoregressive < 0 && analysisDetails.autoregressive) {
-        newWeights.autoregressive = Math.max(0.05, newWeights.autoregressive - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceAutoregressive) / totalPerformance));
-      }
-      if (performanceSurvival < 0 && analysisDetails.survival) {
-        newWeights.survival = Math.max(0.05, newWeights.survival - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceSurvival) / totalPerformance));
-      }
-      if (performanceExtremeValue < 0 && analysisDetails.extremeValue) {
-        newWeights.extremeValue = Math.max(0.05, newWeights.extremeValue - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceExtremeValue) / totalPerformance));
-      }
-      if (performanceCluster < 0 && analysisDetails.cluster) {
-        newWeights.cluster = Math.max(0.05, newWeights.cluster - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceCluster) / totalPerformance));
-      }
-      if (performanceNumberRange < 0 && analysisDetails.numberRange) {
-        newWeights.numberRange = Math.max(0.05, newWeights.numberRange - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performanceNumberRange) / totalPerformance));
-      }
+
+      calculators.forEach(({ id }) => {
+        const performance = performances[id];
+        if (performance > 0) {
+          newWeights[id] += learningRate * adjustmentFactor * criticalMultiplier * (performance / totalPerformance);
+        } else if (performance < 0) {
+          newWeights[id] = Math.max(0.05, newWeights[id] - learningRate * Math.abs(adjustmentFactor) * reductionMultiplier * (Math.abs(performance) / totalPerformance));
+        }
+      });
     } else {
       // 如果準確率已達標，微調以保持或進一步提升至更高準確率
       // 即使已達標，也要繼續優化以提高準確率
       const fineTuneRate = currentAccuracy >= targetAccuracy ? 0.03 : 0.02; // 已達標時使用更大的微調率
-      const performances = [
-        { name: 'frequency', value: performanceFrequency },
-        { name: 'weightedFrequency', value: performanceWeightedFrequency },
-        { name: 'gap', value: performanceGap },
-        { name: 'pattern', value: performancePattern },
-        { name: 'distribution', value: performanceDistribution, available: !!analysisDetails.distributionScore },
-        { name: 'trend', value: performanceTrend, available: !!analysisDetails.trendScore },
-        { name: 'chiSquare', value: performanceChiSquare, available: !!analysisDetails.chiSquare },
-        { name: 'poisson', value: performancePoisson, available: !!analysisDetails.poisson },
-        { name: 'fibonacci', value: performanceFibonacci, available: !!analysisDetails.fibonacci },
-        { name: 'correlation', value: performanceCorrelation, available: !!analysisDetails.correlation },
-        { name: 'entropy', value: performanceEntropy, available: !!analysisDetails.entropy },
-        { name: 'markov', value: performanceMarkov, available: !!analysisDetails.markov },
-        { name: 'combinatorial', value: performanceCombinatorial, available: !!analysisDetails.combinatorial },
-        { name: 'autoregressive', value: performanceAutoregressive, available: !!analysisDetails.autoregressive },
-        { name: 'survival', value: performanceSurvival, available: !!analysisDetails.survival },
-        { name: 'extremeValue', value: performanceExtremeValue, available: !!analysisDetails.extremeValue },
-        { name: 'cluster', value: performanceCluster, available: !!analysisDetails.cluster },
-        { name: 'numberRange', value: performanceNumberRange, available: !!analysisDetails.numberRange }
-      ].filter(p => p.available !== false);
 
       // 選擇表現最好的前2個指標，給予更多權重
-      const sortedPerformances = performances.sort((a, b) => b.value - a.value);
+      const sortedPerformances = calculators
+        .map(({ id }) => ({ name: id, value: performances[id] }))
+        .sort((a, b) => b.value - a.value);
       const topPerformers = sortedPerformances.slice(0, 2);
 
       topPerformers.forEach(performer => {
-        if (newWeights[performer.name] !== undefined && performer.value > 0) {
+        if (performer.value > 0) {
           newWeights[performer.name] += fineTuneRate * (performer === topPerformers[0] ? 1.0 : 0.5);
         }
       });
     }
   } else {
-    // 如果無法計算效能，使用啟發式調整（優化準確率）
+    // 如果無法計算效能，使用啟發式調整（優化準確率），只調整啟用的計算器
+    const heuristic = (id, adjust) => {
+      if (isEnabled(id)) newWeights[id] = adjust(newWeights[id]);
+    };
+
     if (comparison.hitCount === 0) {
       // 完全沒命中，大幅增加趨勢、分布、間隔和斐波那契權重（這些指標對提高準確率更有效）
-      newWeights.gap = Math.min(0.45, (newWeights.gap || 0.18) + 0.08);
-      newWeights.trend = Math.min(0.25, (newWeights.trend || 0.15) + 0.05);
-      newWeights.distribution = Math.min(0.28, (newWeights.distribution || 0.18) + 0.05);
-      newWeights.pattern = Math.min(0.25, (newWeights.pattern || 0.10) + 0.03);
-      newWeights.fibonacci = Math.min(0.35, (newWeights.fibonacci || 0.12) + 0.05);
-      newWeights.frequency = Math.max(0.05, (newWeights.frequency || 0.12) - 0.06);
-      newWeights.weightedFrequency = Math.max(0.05, (newWeights.weightedFrequency || 0.18) - 0.05);
+      heuristic('gap', weight => Math.min(0.45, (weight || 0.18) + 0.08));
+      heuristic('trend', weight => Math.min(0.25, (weight || 0.15) + 0.05));
+      heuristic('distribution', weight => Math.min(0.28, (weight || 0.18) + 0.05));
+      heuristic('pattern', weight => Math.min(0.25, (weight || 0.10) + 0.03));
+      heuristic('fibonacci', weight => Math.min(0.35, (weight || 0.12) + 0.05));
+      heuristic('frequency', weight => Math.max(0.05, (weight || 0.12) - 0.06));
+      heuristic('weightedFrequency', weight => Math.max(0.05, (weight || 0.18) - 0.05));
     } else if (comparison.hitCount < targetHitCount || currentAccuracy < targetAccuracy) {
       // 命中數少於目標或準確率低於目標，積極調整權重以提高命中數
       // 優先增加間隔、趨勢、分布、馬可夫鏈和組合數學權重（這些指標對提高命中數更有效）
@@ -517,54 +202,34 @@ function adjustWeights(currentWeights, comparison, analysisDetails, topNumbers,
       const adjustmentAmount = Math.max(hitCountDeficit * 0.15, accuracyDeficit * 0.12);
 
       // 優先增加對命中數有效的指標權重
-      newWeights.gap = Math.min(0.50, (newWeights.gap || 0.18) + adjustmentAmount * 1.2);
-      newWeights.markov = Math.min(0.50, (newWeights.markov || 0.18) + adjustmentAmount * 1.1);
-      newWeights.trend = Math.min(0.35, (newWeights.trend || 0.15) + adjustmentAmount * 1.0);
-      newWeights.distribution = Math.min(0.35, (newWeights.distribution || 0.18) + adjustmentAmount * 0.9);
-      newWeights.combinatorial = Math.min(0.40, (newWeights.combinatorial || 0.15) + adjustmentAmount * 0.95);
-      newWeights.weightedFrequency = Math.min(0.55, (newWeights.weightedFrequency || 0.18) + adjustmentAmount * 0.8);
-      newWeights.pattern = Math.min(0.35, (newWeights.pattern || 0.10) + adjustmentAmount * 0.7);
-      newWeights.fibonacci = Math.min(0.40, (newWeights.fibonacci || 0.12) + adjustmentAmount * 0.75);
+      heuristic('gap', weight => Math.min(0.50, (weight || 0.18) + adjustmentAmount * 1.2));
+      heuristic('markov', weight => Math.min(0.50, (weight || 0.18) + adjustmentAmount * 1.1));
+      heuristic('trend', weight => Math.min(0.35, (weight || 0.15) + adjustmentAmount * 1.0));
+      heuristic('distribution', weight => Math.min(0.35, (weight || 0.18) + adjustmentAmount * 0.9));
+      heuristic('combinatorial', weight => Math.min(0.40, (weight || 0.15) + adjustmentAmount * 0.95));
+      heuristic('weightedFrequency', weight => Math.min(0.55, (weight || 0.18) + adjustmentAmount * 0.8));
+      heuristic('pattern', weight => Math.min(0.35, (weight || 0.10) + adjustmentAmount * 0.7));
+      heuristic('fibonacci', weight => Math.min(0.40, (weight || 0.12) + adjustmentAmount * 0.75));
       // 稍微減少頻率權重
-      newWeights.frequency = Math.max(0.05, (newWeights.frequency || 0.12) - adjustmentAmount * 0.5);
+      heuristic('frequency', weight => Math.max(0.05, (weight || 0.12) - adjustmentAmount * 0.5));
     } else if (comparison.hitCount >= targetHitCount && currentAccuracy >= targetAccuracy) {
       // 已達標，繼續微調以提高命中數
       // 增加表現最好的指標權重（更重視間隔和馬可夫鏈）
-      newWeights.gap = Math.min(0.50, (newWeights.gap || 0.18) + 0.03);
-      newWeights.markov = Math.min(0.50, (newWeights.markov || 0.18) + 0.03);
-      newWeights.trend = Math.min(0.35, (newWeights.trend || 0.15) + 0.02);
-      newWeights.distribution = Math.min(0.35, (newWeights.distribution || 0.18) + 0.02);
-      newWeights.combinatorial = Math.min(0.40, (newWeights.combinatorial || 0.15) + 0.02);
+      heuristic('gap', weight => Math.min(0.50, (weight || 0.18) + 0.03));
+      heuristic('markov', weight => Math.min(0.50, (weight || 0.18) + 0.03));
+      heuristic('trend', weight => Math.min(0.35, (weight || 0.15) + 0.02));
+      heuristic('distribution', weight => Math.min(0.35, (weight || 0.18) + 0.02));
+      heuristic('combinatorial', weight => Math.min(0.40, (weight || 0.15) + 0.02));
     }
   }
 
   // 確保權重範圍合理
-  newWeights.frequency = Math.max(0.05, Math.min(0.5, newWeights.frequency || 0.07));
-  newWeights.weightedFrequency = Math.max(0.05, Math.min(0.5, newWeights.weightedFrequency || 0.09));
-  newWeights.gap = Math.max(0.05, Math.min(0.5, newWeights.gap || 0.09));
-  newWeights.pattern = Math.max(0.05, Math.min(0.5, newWeights.pattern || 0.05));
-  newWeights.distribution = Math.max(0.05, Math.min(0.5, newWeights.distribution || 0.09));
-  newWeights.trend = Math.max(0.05, Math.min(0.5, newWeights.trend || 0.08));
-  newWeights.chiSquare = Math.max(0.05, Math.min(0.5, newWeights.chiSquare || 0.03));
-  newWeights.poisson = Math.max(0.05, Math.min(0.5, newWeights.poisson || 0.03));
-  newWeights.fibonacci = Math.max(0.05, Math.min(0.5, newWeights.fibonacci || 0.07));
-  newWeights.correlation = Math.max(0.05, Math.min(0.5, newWeights.correlation || 0.07));
-  newWeights.entropy = Math.max(0.05, Math.min(0.5, newWeights.entropy || 0.05));
-  newWeights.markov = Math.max(0.05, Math.min(0.5, newWeights.markov || 0.09));
-  newWeights.combinatorial = Math.max(0.05, Math.min(0.5, newWeights.combinatorial || 0.08));
-  newWeights.autoregressive = Math.max(0.05, Math.min(0.5, newWeights.autoregressive || 0.06));
-  newWeights.survival = Math.max(0.05, Math.min(0.5, newWeights.survival || 0.07));
-  newWeights.extremeValue = Math.max(0.05, Math.min(0.5, newWeights.extremeValue || 0.06));
-  newWeights.cluster = Math.max(0.05, Math.min(0.5, newWeights.cluster || 0.07));
-  newWeights.numberRange = Math.max(0.05, Math.min(0.5, newWeights.numberRange || 0.06));
+  calculators.forEach(calculator => {
+    newWeights[calculator.id] = Math.max(0.05, Math.min(0.5, newWeights[calculator.id] || calculator.defaultWeight));
+  });
 
   // 正規化權重，確保總和為1
-  const totalWeight = (newWeights.frequency || 0) + (newWeights.weightedFrequency || 0) + (newWeights.gap || 0) +
-    (newWeights.pattern || 0) + (newWeights.distribution || 0) + (newWeights.trend || 0) +
-    (newWeights.chiSquare || 0) + (newWeights.poisson || 0) + (newWeights.fibonacci || 0) +
-    (newWeights.correlation || 0) + (newWeights.entropy || 0) + (newWeights.markov || 0) + (newWeights.combinatorial || 0) +
-    (newWeights.autoregressive || 0) + (newWeights.survival || 0) + (newWeights.extremeValue || 0) + (newWeights.cluster || 0) +
-    (newWeights.numberRange || 0);
+  const totalWeight = Object.values(newWeights).reduce((sum, weight) => sum + weight, 0);
   if (totalWeight > 0) {
     Object.keys(newWeights).forEach(key => {
       newWeights[key] = newWeights[key] / totalWeight;
@@ -575,800 +240,1245 @@ function adjustWeights(currentWeights, comparison, analysisDetails, topNumbers,
 }
 
 /**
- * 迭代驗證分析：從最新期數往前推10期開始，逐步驗證並調整
- * @param {Array} allResults - 所有攪珠結果（已按日期排序，最新的在前）
- * @param {number} lookbackPeriods - 往前推的期數（預設100）
- * @param {number} maxRetries - 最大重試次數（如果平均命中數未達標，預設50次）
- * @param {Function} progressCallback - 進度回調函數 (progress, message) => void
- * @returns {Object} 驗證結果
+ * 重試使用的權重：第一次為 bestWeights，之後隨機調整（重試次數越多，調整幅度越大）並正規化
+ * @param {Object} bestWeights - 初始權重測試選出的權重
+ * @param {number} retryCount - 重試次數（0 為第一次驗證）
+ * @returns {Object} 權重
  */
-async function iterativeValidation(allResults, lookbackPeriods = 100, maxRetries = 50, progressCallback = null) {
-  if (!analyzeNumbers) {
-    throw new Error('analyzeNumbers 函數未設置。請先調用 setAnalyzeNumbers()');
+function retryWeights(bestWeights, retryCount) {
+  const currentWeights = { ...bestWeights };
+
+  // 如果是重試，調整權重
+  if (retryCount > 0) {
+    // 稍微調整權重以嘗試不同的組合
+    const adjustment = 0.05 * retryCount;
+    Object.keys(currentWeights).forEach(key => {
+      currentWeights[key] = Math.max(0.01, Math.min(0.5, currentWeights[key] + (Math.random() - 0.5) * adjustment));
+    });
+    // 正規化權重
+    const totalWeight = Object.values(currentWeights).reduce((sum, w) => sum + w, 0);
+    Object.keys(currentWeights).forEach(key => {
+      currentWeights[key] = currentWeights[key] / totalWeight;
+    });
   }
 
-  if (!allResults || allResults.length < 1) {
-    throw new Error('資料不足，需要至少 1 期資料');
-  }
+  return currentWeights;
+}
 
-  // 如果資料不足 101 期，就用現在有的資料
-  // 如果只有1期，lookbackPeriods 會是 0（沒有歷史資料可驗證，但仍可使用該期資料）
-  if (allResults.length < lookbackPeriods + 1) {
-    lookbackPeriods = Math.max(0, allResults.length - 1);
+/**
+ * 把期數範圍分成幾段（初始權重測試時各段可以並行執行）
+ * @param {number} fromIndex - 起點（allResults 的索引，包含）
+ * @param {number} toIndex - 終點（不包含）
+ * @param {number} parts - 段數
+ * @returns {Array<Array<number>>} [[fromIndex, toIndex], ...]，由較舊的期數開始
+ */
+function splitPeriods(fromIndex, toIndex, parts) {
+  const size = Math.ceil((fromIndex - toIndex) / Math.max(1, parts));
+  const ranges = [];
+  for (let from = fromIndex; from > toIndex; from -= size) {
+    ranges.push([from, Math.max(toIndex, from - size)]);
   }
+  return ranges;
+}
 
-  // 找到最新期數
-  const latestResult = allResults[0];
-  const latestPeriod = latestResult.periodNumber;
+/**
+ * 建立迭代驗證的執行環境（主執行緒及 analysisWorker.js 共用）
+ * 參數只包含可以傳送到 worker 的資料；逐期累計狀態及號碼出現索引在這裡建立，同一個執行環境的所有工作共用
+ * @param {Object} data - 驗證資料
+ * @param {Array} data.allResults - 挑選年代後的攪珠結果（最新的在前）
+ * @param {Object} data.analysisOptions - analyzeNumbers 的選項（不含 rolling）
+ * @param {number} data.startIndex - 開始驗證的索引（回溯的期數）
+ * @returns {Object} { allResults, analysisOptions, startIndex, game, includeExtra }
+ */
+function createValidationSession({ allResults, analysisOptions, startIndex }) {
+  const { game, includeExtra } = analysisOptions;
 
-  // 找到往前推 lookbackPeriods 期的結果
-  // allResults[0] 是最新的，allResults[lookbackPeriods] 是往前推 lookbackPeriods 期
-  const startIndex = lookbackPeriods;
+  // 為整個資料集建立一次號碼出現索引：每期的訓練資料（allResults.slice(i)）都是它的後段，
+  // analyzeNumbers 會直接取用同一個索引的視窗，不必每期重新提取及掃描號碼
+  windowForResults(allResults, { includeExtra, game });
 
-  if (startIndex >= allResults.length) {
-    throw new Error(`無法找到往前推 ${lookbackPeriods} 期的資料`);
-  }
+  return {
+    allResults,
+    startIndex,
+    game,
+    includeExtra,
+    // 每期的訓練資料只比上一期多一期，計算器以逐期累計的狀態更新，不必每期重新計算整個視窗
+    analysisOptions: { ...analysisOptions, rolling: createRollingAnalysis() }
+  };
+}
 
-  // 定義目標值
-  const targetAverageHitCount = 3; // 目標平均每期命中數至少3
+/**
+ * 以一組權重測試一段期數（初始權重配置的測試：權重固定且不使用歷史驗證結果，各期互不相關）
+ * @param {Object} session - createValidationSession 建立的執行環境
+ * @param {Object} testWeights - 權重
+ * @param {number} fromIndex - 第一期訓練資料的起點（allResults 的索引，包含）
+ * @param {number} toIndex - 終點（不包含）
+ * @returns {Object} { testAccuracy, totalHitCount, testCount }
+ */
+function runWeightTrial({ allResults, analysisOptions, game }, testWeights, fromIndex, toIndex) {
+  let testAccuracy = 0;
+  let totalHitCount = 0;
+  let testCount = 0;
 
-  let validationResults = [];
-  let retryCount = 0;
-  let bestValidationResult = null;
-  let bestAverageHitCount = 0;
-  let allRetryResults = [];
+  for (let i = fromIndex; i > toIndex; i--) {
+    const trainingData = allResults.slice(i);
+    const targetResult = allResults[i - 1];
 
-  // 在循環外部聲明變量，以便在循環外部使用
-  let totalValidations = 0;
-  let totalHits = 0;
-  let averageAccuracy = 0;
-  let averageCoverage = 0;
-  let periodsWithAtLeast3Hits = 0;
-  let hitRateAtLeast3 = 0;
-  let hitCountDistribution = {};
-  let averageHitCount = 0;
-  let meetsHitCountTarget = false;
-  let meetsAccuracyTarget = false;
-  let meetsAllTargets = false;
-  let currentWeights = null;
+    if (!PeriodId.isNext(trainingData[0].periodNumber, targetResult.periodNumber)) {
+      continue;
+    }
 
-  // 優化目標：提高準確率至50%，更重視趨勢、分布和間隔分析
-  // 目標：平均每期命中數至少3，準確率至少50%
-  // 包含所有13種統計方法的權重配置
-  const initialWeightSets = [
-    // 配置1：默認權重（平衡配置）
-    { frequency: 0.0609, weightedFrequency: 0.0783, gap: 0.0783, pattern: 0.0435, distribution: 0.0783, trend: 0.0696, chiSquare: 0.0261, poisson: 0.0261, fibonacci: 0.0609, correlation: 0.0609, entropy: 0.0435, markov: 0.0783, combinatorial: 0.0696, autoregressive: 0.0522, survival: 0.0609, extremeValue: 0.0522, cluster: 0.0604, numberRange: 0.06 },
-    // 配置2：重視間隔和馬可夫鏈
-    { frequency: 0.0476, weightedFrequency: 0.0635, gap: 0.1190, pattern: 0.0397, distribution: 0.0794, trend: 0.0635, chiSquare: 0.0159, poisson: 0.0159, fibonacci: 0.0476, correlation: 0.0635, entropy: 0.0397, markov: 0.1190, combinatorial: 0.0794, autoregressive: 0.0476, survival: 0.0556, extremeValue: 0.0476, cluster: 0.0555, numberRange: 0.06 },
-    // 配置3：重視加權頻率和分布
-    { frequency: 0.0476, weightedFrequency: 0.1190, gap: 0.0635, pattern: 0.0397, distribution: 0.1190, trend: 0.0794, chiSquare: 0.0238, poisson: 0.0238, fibonacci: 0.0556, correlation: 0.0635, entropy: 0.0476, markov: 0.0635, combinatorial: 0.0476, autoregressive: 0.0476, survival: 0.0556, extremeValue: 0.0476, cluster: 0.0556, numberRange: 0.06 },
-    // 配置4：重視趨勢和組合數學
-    { frequency: 0.07, weightedFrequency: 0.09, gap: 0.09, pattern: 0.05, distribution: 0.09, trend: 0.15, chiSquare: 0.02, poisson: 0.02, fibonacci: 0.07, correlation: 0.07, entropy: 0.05, markov: 0.09, combinatorial: 0.15, autoregressive: 0.06, survival: 0.07, extremeValue: 0.06, cluster: 0.07, numberRange: 0.06 },
-    // 配置5：重視相關性和熵分析
-    { frequency: 0.07, weightedFrequency: 0.08, gap: 0.08, pattern: 0.05, distribution: 0.08, trend: 0.08, chiSquare: 0.02, poisson: 0.02, fibonacci: 0.07, correlation: 0.15, entropy: 0.12, markov: 0.10, combinatorial: 0.10, autoregressive: 0.06, survival: 0.07, extremeValue: 0.06, cluster: 0.07, numberRange: 0.06 },
-    // 配置6：重視頻率和斐波那契
-    { frequency: 0.12, weightedFrequency: 0.10, gap: 0.08, pattern: 0.06, distribution: 0.08, trend: 0.08, chiSquare: 0.03, poisson: 0.03, fibonacci: 0.12, correlation: 0.08, entropy: 0.06, markov: 0.08, combinatorial: 0.08, autoregressive: 0.06, survival: 0.07, extremeValue: 0.06, cluster: 0.07, numberRange: 0.06 },
-    // 配置7：重視馬可夫鏈和組合數學
-    { frequency: 0.06, weightedFrequency: 0.08, gap: 0.10, pattern: 0.05, distribution: 0.08, trend: 0.08, chiSquare: 0.02, poisson: 0.02, fibonacci: 0.06, correlation: 0.08, entropy: 0.05, markov: 0.18, combinatorial: 0.14, autoregressive: 0.06, survival: 0.07, extremeValue: 0.06, cluster: 0.07, numberRange: 0.06 },
-    // 配置8：平衡所有新方法
-    { frequency: 0.07, weightedFrequency: 0.09, gap: 0.10, pattern: 0.05, distribution: 0.09, trend: 0.08, chiSquare: 0.02, poisson: 0.02, fibonacci: 0.07, correlation: 0.12, entropy: 0.08, markov: 0.12, combinatorial: 0.09, autoregressive: 0.06, survival: 0.07, extremeValue: 0.06, cluster: 0.07, numberRange: 0.06 },
-    // 配置9：優化命中數 - 重視間隔、趨勢、分布和馬可夫鏈
-    { frequency: 0.05, weightedFrequency: 0.08, gap: 0.12, pattern: 0.06, distribution: 0.12, trend: 0.12, chiSquare: 0.02, poisson: 0.02, fibonacci: 0.08, correlation: 0.08, entropy: 0.05, markov: 0.15, combinatorial: 0.10, autoregressive: 0.05, survival: 0.06, extremeValue: 0.05, cluster: 0.07, numberRange: 0.06 },
-    // 配置10：優化命中數 - 重視加權頻率、間隔和組合數學
-    { frequency: 0.06, weightedFrequency: 0.13, gap: 0.13, pattern: 0.05, distribution: 0.10, trend: 0.09, chiSquare: 0.02, poisson: 0.02, fibonacci: 0.08, correlation: 0.08, entropy: 0.05, markov: 0.10, combinatorial: 0.12, autoregressive: 0.05, survival: 0.06, extremeValue: 0.05, cluster: 0.07, numberRange: 0.06 }
-  ];
+    try {
+      // 計算需要排除的期數：目標期之後的所有期數（更近期的期數）
+      const excludePeriodNumbers = new Set();
+      for (let j = 0; j < i - 1; j++) {
+        excludePeriodNumbers.add(allResults[j].periodNumber);
+      }
 
-  // 測試每組初始權重，選擇表現最好的（只在第一次運行時執行）
-  let bestWeights = initialWeightSets[0];
-  let bestAverageAccuracyForWeights = 0;
-  let bestAverageHitCountForWeights = 0;
+      const analysis = analyzeNumbers(trainingData, testWeights, excludePeriodNumbers, analysisOptions);
+      const actualNumbers = extractAllNumbers([targetResult], analysisOptions)[0]?.numbers || [];
 
-  // 只在第一次運行時測試權重
-  if (retryCount === 0) {
-    // 增加測試期數以提高選擇準確性（使用前100期數據）
-    const testPeriods = Math.min(100, startIndex);
-    const totalWeightSets = initialWeightSets.length;
-    let currentWeightSetIndex = 0;
-    
-    if (progressCallback && typeof progressCallback === 'function') {
-      try {
-        // 進度回調內部會使用 setImmediate，所以這裡直接調用即可
-        progressCallback({
-          progress: 0,
-          stage: 'weightTesting',
-          message: `開始測試 ${totalWeightSets} 組初始權重配置...`,
-          weightSetIndex: 0,
-          totalWeightSets: totalWeightSets
-        });
-      } catch (err) {
-        console.error('進度回調函數執行錯誤:', err);
-      }
+      if (actualNumbers.length === 0) continue;
+
+      // 在迭代驗證中，每次預測只使用6個號碼
+      // 使用智能選擇策略選擇最優的6個號碼
+      // 在測試階段，不使用歷史數據（因為還沒有歷史）
+      const predictedNumbers = selectOptimalNumbers(analysis.topNumbers, game.pickCount, null, game);
+      const comparison = comparePrediction(predictedNumbers, actualNumbers);
+      testAccuracy += comparison.accuracy;
+      totalHitCount += comparison.hitCount;
+      testCount++;
+    } catch (error) {
+      console.error(`測試權重時發生錯誤 (期數 ${targetResult?.periodNumber || 'unknown'}):`, error.message);
+      continue;
     }
-    
-    for (const testWeights of initialWeightSets) {
-      currentWeightSetIndex++;
-      const weightTestProgress = Math.round((currentWeightSetIndex / totalWeightSets) * 100);
-      
-      if (progressCallback && typeof progressCallback === 'function') {
-        try {
-          progressCallback({
-            progress: weightTestProgress,
-            stage: 'weightTesting',
-            message: `測試權重配置 ${currentWeightSetIndex}/${totalWeightSets}...`,
-            weightSetIndex: currentWeightSetIndex,
-            totalWeightSets: totalWeightSets
-          });
-          // 讓出控制權
-          await new Promise(resolve => setImmediate(resolve));
-        } catch (err) {
-          console.error('進度回調函數執行錯誤:', err);
-        }
-      }
-      let testAccuracy = 0;
-      let totalHitCount = 0;
-      let testCount = 0;
+  }
 
-      for (let i = startIndex; i > startIndex - testPeriods && i > 0; i--) {
-        const trainingData = allResults.slice(i);
-        const targetResult = allResults[i - 1];
+  return { testAccuracy, totalHitCount, testCount };
+}
 
-        if (!isNextPeriod(trainingData[0].periodNumber, targetResult.periodNumber)) {
-          continue;
-        }
+/**
+ * 建立驗證工作被取消時的錯誤
+ * @returns {Error} 錯誤（cancelled 為 true）
+ */
+function cancelledError() {
+  return Object.assign(new Error('驗證已取消'), { cancelled: true });
+}
 
-        try {
-          // 計算需要排除的期數：目標期之後的所有期數（更近期的期數）
-          const excludePeriodNumbers = new Set();
-          for (let j = 0; j < i - 1; j++) {
-            excludePeriodNumbers.add(allResults[j].periodNumber);
-          }
+/**
+ * 以一組權重從 startIndex 逐期向前驗證一次（迭代驗證的一次重試）
+ * 每期預測後依比對結果調整權重，同一次重試的期數必須依序執行；不同的重試互不相關
+ * @param {Object} session - createValidationSession 建立的執行環境
+ * @param {Object} weights - 開始時的權重
+ * @param {Function} onProgress - 可選，({ processedPeriods, totalPeriods }) => void，第一期、最後一期及每 10 期呼叫一次
+ * @param {Function} isCancelled - 可選，() => boolean；每期開始前檢查，返回 true 時以 cancelled 為 true 的錯誤停止
+ * @returns {Promise<Object>} { validationResults, finalWeights }
+ */
+async function runValidationPass({ allResults, startIndex, analysisOptions, includeExtra, game }, weights, onProgress = null, isCancelled = null) {
+  const validationResults = [];
+  let currentWeights = { ...weights };
+
+  // 從 startIndex 開始，逐步向前驗證
+  const totalPeriods = startIndex;
+  let processedPeriods = 0;
+
+  for (let i = startIndex; i > 0; i--) {
+    // 被取消的重試（提早達標或整個驗證被取消）在這裡停止（讓出控制權時 worker 才會收到取消訊息）
+    if (isCancelled && isCancelled()) {
+      throw cancelledError();
+    }
+    processedPeriods++;
+    // 每處理10期或第一期或最後一期時回報進度
+    if (onProgress && (processedPeriods % 10 === 0 || processedPeriods === 1 || processedPeriods === totalPeriods)) {
+      onProgress({ processedPeriods, totalPeriods });
+      // 讓出控制權，確保進度更新能夠發送
+      await new Promise(resolve => setImmediate(resolve));
+    }
 
-          const analysis = analyzeNumbers(trainingData, testWeights, excludePeriodNumbers);
-          const actualNumbers = extractAllNumbers([targetResult])[0]?.numbers || [];
-
-          if (actualNumbers.length === 0) continue;
-
-          // 在迭代驗證中，每次預測只使用6個號碼
-          // 使用智能選擇策略選擇最優的6個號碼
-          // 在測試階段，不使用歷史數據（因為還沒有歷史）
-          const predictedNumbers = selectOptimalNumbers(analysis.topNumbers, 6, null);
-          const comparison = comparePrediction(predictedNumbers, actualNumbers);
-          testAccuracy += comparison.accuracy;
-          totalHitCount += comparison.hitCount;
-          testCount++;
-        } catch (error) {
-          console.error(`測試權重時發生錯誤 (期數 ${targetResult?.periodNumber || 'unknown'}):`, error.message);
-          continue;
-        }
+    // 每處理5期讓出一次控制權，確保進度更新能夠實時發送
+    if (processedPeriods % 5 === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    const trainingData = allResults.slice(i); // 從當前期數往前的所有資料
+    const targetResult = allResults[i - 1]; // 要預測的下一期
+
+    // 檢查是否為連續期數
+    if (!PeriodId.isNext(trainingData[0].periodNumber, targetResult.periodNumber)) {
+      continue; // 跳過不連續的期數
+    }
+
+    try {
+      // 計算需要排除的期數：目標期之後的所有期數（更近期的期數）
+      // 即從索引 0 到 i-2 的所有期數
+      const excludePeriodNumbers = new Set();
+      for (let j = 0; j < i - 1; j++) {
+        excludePeriodNumbers.add(allResults[j].periodNumber);
       }
 
-      if (testCount > 0) {
-        const avgAccuracy = testAccuracy / testCount;
-        const avgHitCount = totalHitCount / testCount;
+      // 使用當前權重進行分析，並排除目標期之後的期數
+      const analysis = analyzeNumbers(trainingData, currentWeights, excludePeriodNumbers, analysisOptions);
 
-        // 優化目標：優先命中數，同時確保平均命中數 >= 3 和平均準確率 >= 50%
-        const targetAvgHitCount = 3;
-        const targetAvgAccuracy = 50;
+      // 提取實際號碼（特別號碼另外保存，不包含時只用於標示 extraHit）
+      const actualDraw = extractAllNumbers([targetResult], analysisOptions)[0];
+      const actualNumbers = actualDraw?.numbers || [];
+      const actualExtra = includeExtra ? null : (actualDraw?.extra ?? null);
 
-        const currentMeetsAllTargets = avgHitCount >= targetAvgHitCount && avgAccuracy >= targetAvgAccuracy;
-        const bestMeetsAllTargets = bestAverageHitCountForWeights >= targetAvgHitCount && bestAverageAccuracyForWeights >= targetAvgAccuracy;
+      if (actualNumbers.length === 0) {
+        continue; // 跳過沒有號碼的結果
+      }
 
-        // 優先選擇同時達到兩個目標的權重
-        if (currentMeetsAllTargets) {
-          if (bestMeetsAllTargets) {
-            // 兩者都達到目標，優先選擇命中數更高的（優化命中數）
-            // 綜合分數 = 命中數 * 0.7 + 準確率 * 0.3（命中數更重要）
-            const currentScore = avgHitCount * 10 * 0.7 + avgAccuracy * 0.3;
-            const bestScore = bestAverageHitCountForWeights * 10 * 0.7 + bestAverageAccuracyForWeights * 0.3;
-            if (currentScore > bestScore ||
-              (currentScore === bestScore && avgHitCount > bestAverageHitCountForWeights)) {
-              bestAverageAccuracyForWeights = avgAccuracy;
-              bestAverageHitCountForWeights = avgHitCount;
-              bestWeights = testWeights;
+      // 神經運算：使用神經網絡進行預測（優化：減少訓練頻率以提高性能）
+      let neuralPrediction = null;
+      let neuralTopNumbers = [];
+
+      // 性能優化：大幅減少神經網絡訓練頻率（每20期訓練一次，或前3期和後3期）
+      // 其他期數使用緩存的預測結果或跳過神經網絡分析
+      // 可以通過環境變量 NEURAL_ENABLED=false 完全禁用神經網絡
+      const neuralEnabled = process.env.NEURAL_ENABLED !== 'false';
+      const shouldTrainNeural = neuralEnabled && ((i % 20 === 0) || (i > startIndex - 3) || (i <= 3));
+
+      try {
+        if (shouldTrainNeural) {
+          // 準備神經網絡的訓練數據（減少數據量以提高速度）
+          const neuralTrainingData = trainingData.slice(0, Math.min(25, trainingData.length));
+          if (neuralTrainingData.length >= 15) {
+            const neuralResult = neuralNetworkAnalysis(neuralTrainingData, 8, {
+              epochs: 8, // 進一步減少epochs以提高速度
+              learningRate: 0.01,
+              batchSize: 5,
+              maxTrainingSamples: 20, // 進一步減少訓練樣本數量
+              hiddenLayers: [24, 12], // 使用更小的網絡以提高速度
+              includeExtra,
+              game
+            });
+
+            if (neuralResult && neuralResult.topNumbers && neuralResult.topNumbers.length > 0) {
+              neuralPrediction = neuralResult;
+              neuralTopNumbers = neuralResult.topNumbers.slice(0, 20); // 取前20個神經網絡預測的號碼
             }
-          } else {
-            // 當前達到所有目標，最佳未達到，選擇當前
-            bestAverageAccuracyForWeights = avgAccuracy;
-            bestAverageHitCountForWeights = avgHitCount;
-            bestWeights = testWeights;
           }
-        } else if (bestMeetsAllTargets) {
-          // 最佳達到所有目標，當前未達到，保持最佳
-          // 不更新
         } else {
-          // 兩者都未達到所有目標，優先選擇命中數更高的
-          // 計算距離目標的加權距離（命中數權重更高）
-          const currentDistance = Math.max(0, targetAvgHitCount - avgHitCount) * 15 +
-            Math.max(0, targetAvgAccuracy - avgAccuracy) * 1;
-          const bestDistance = Math.max(0, targetAvgHitCount - bestAverageHitCountForWeights) * 15 +
-            Math.max(0, targetAvgAccuracy - bestAverageAccuracyForWeights) * 1;
-
-          // 如果命中數相同，選擇準確率更高的
-          if (avgHitCount > bestAverageHitCountForWeights ||
-            (avgHitCount === bestAverageHitCountForWeights && currentDistance < bestDistance) ||
-            (avgHitCount === bestAverageHitCountForWeights && currentDistance === bestDistance && avgAccuracy > bestAverageAccuracyForWeights)) {
-            bestAverageAccuracyForWeights = avgAccuracy;
-            bestAverageHitCountForWeights = avgHitCount;
-            bestWeights = testWeights;
+          // 使用最近一次的神經網絡預測結果（如果有的話）
+          // 從最近的驗證結果中獲取神經網絡預測
+          const recentNeuralResult = validationResults
+            .slice(-10)
+            .reverse()
+            .find(r => r.neuralNetwork && r.neuralNetwork.enabled && r.neuralNetwork.topNumbers);
+
+          if (recentNeuralResult && recentNeuralResult.neuralNetwork.topNumbers) {
+            neuralTopNumbers = recentNeuralResult.neuralNetwork.topNumbers.map(item => ({
+              number: item.number,
+              score: item.score // scores are already in 0-1 range
+            }));
           }
         }
+
+        // 如果有神經網絡預測結果，整合到分析中
+        if (neuralTopNumbers && neuralTopNumbers.length > 0) {
+          // 將神經網絡的預測分數整合到統計分析的topNumbers中
+          // 為神經網絡預測的號碼添加額外的分數加成
+          const neuralScoreMap = {};
+          neuralTopNumbers.forEach((item, index) => {
+            // 神經網絡的預測分數（正規化到0-100）
+            const neuralScore = (item.score || 0) * 100;
+            // 根據排名給予額外加成（排名越前，加成越高）
+            const rankBonus = (20 - index) * 2;
+            neuralScoreMap[item.number] = neuralScore + rankBonus;
+          });
+
+          // 更新analysis.topNumbers，加入神經網絡的預測分數
+          analysis.topNumbers = analysis.topNumbers.map(item => {
+            const neuralBonus = neuralScoreMap[item.number] || 0;
+            // 神經網絡分數佔總分的15%（可調整）
+            const neuralWeight = 0.15;
+            const updatedScore = item.score * (1 - neuralWeight) + (neuralBonus / 100) * neuralWeight;
+            return {
+              ...item,
+              score: updatedScore,
+              neuralScore: neuralScoreMap[item.number] || 0,
+              originalScore: item.score
+            };
+          });
+
+          // 重新排序topNumbers
+          analysis.topNumbers.sort((a, b) => b.score - a.score);
+        }
+      } catch (error) {
+        // 神經網絡分析失敗不影響主要流程
+        console.warn(`神經網絡分析失敗 (期數 ${targetResult?.periodNumber || 'unknown'}):`, error.message);
       }
-    }
-  }
 
-  // 如果沒有找到最佳權重，使用第一個
-  if (!bestWeights) {
-    bestWeights = initialWeightSets[0];
-  }
+      // 在迭代驗證中，每次預測只使用6個號碼
+      // 使用回測優化策略：生成多個候選組合，選擇實際命中數最多的（僅在驗證中使用）
+      const previousResults = validationResults.slice(-15); // 使用最近15期的驗證結果
 
-  // 重試循環：如果平均命中數未達標，重新運算
-  while (retryCount < maxRetries) {
-    validationResults = [];
+      // 生成多個候選組合（現在已包含神經網絡的預測分數）
+      // 性能優化：限制候選組合生成數量為10個
+      const candidateCombinations = generateMultipleCandidates(analysis.topNumbers, game.pickCount, previousResults, 10, game);
 
-    currentWeights = { ...bestWeights };
+      // 檢查是否有候選組合
+      if (!candidateCombinations || candidateCombinations.length === 0) {
+        // 如果沒有候選組合，使用智能選擇策略
+        const predictedNumbers = selectOptimalNumbers(analysis.topNumbers, game.pickCount, previousResults, game);
+        const comparison = comparePrediction(predictedNumbers, actualNumbers, actualExtra);
 
-    // 如果是重試，調整權重
-    if (retryCount > 0) {
-      // 稍微調整權重以嘗試不同的組合
-      const adjustment = 0.05 * retryCount;
-      Object.keys(currentWeights).forEach(key => {
-        currentWeights[key] = Math.max(0.01, Math.min(0.5, currentWeights[key] + (Math.random() - 0.5) * adjustment));
-      });
-      // 正規化權重
-      const totalWeight = Object.values(currentWeights).reduce((sum, w) => sum + w, 0);
-      Object.keys(currentWeights).forEach(key => {
-        currentWeights[key] = currentWeights[key] / totalWeight;
-      });
-    }
+        validationResults.push({
+          trainingPeriod: trainingData[0].periodNumber,
+          targetPeriod: targetResult.periodNumber,
+          predictedNumbers: predictedNumbers.map(n => n.number),
+          actualNumbers: actualNumbers,
+          actualExtra: actualExtra,
+          strategy: 'optimal',
+          comparison: {
+            ...comparison,
+            meetsTarget: comparison.meetsTarget,
+            targetHitCount: comparison.targetHitCount,
+            hitCountStatus: comparison.hitCountStatus,
+            hitDetails: {
+              hitCount: comparison.hitCount,
+              targetHitCount: comparison.targetHitCount,
+              meetsTarget: comparison.meetsTarget,
+              status: comparison.hitCountStatus,
+              hits: comparison.hits,
+              misses: comparison.misses
+            }
+          },
+          weights: { ...currentWeights }
+        });
 
-    // 從 startIndex 開始，逐步向前驗證
-    // 添加進度提示
-    const totalPeriods = startIndex;
-    let processedPeriods = 0;
-
-    for (let i = startIndex; i > 0; i--) {
-      processedPeriods++;
-      // 每處理10期輸出一次進度（減少日誌輸出）
-      // 計算進度：重試階段佔90%，當前重試的進度 = 基礎進度(重試數*90/maxRetries) + 當前期數進度(90/maxRetries/totalPeriods*processedPeriods)
-      const baseProgress = Math.round((retryCount / maxRetries) * 90);
-      const currentRetryProgress = Math.round((processedPeriods / totalPeriods) * (90 / maxRetries));
-      const progress = Math.min(95, baseProgress + currentRetryProgress);
-      
-      // 每處理10期或第一期或最後一期時發送進度更新
-      if (processedPeriods % 10 === 0 || processedPeriods === 1 || processedPeriods === totalPeriods) {
-        const message = `迭代驗證進度: ${processedPeriods}/${totalPeriods} (${progress}%) - 重試 ${retryCount + 1}/${maxRetries}`;
-        console.log(message);
-        // 調用進度回調函數
-        if (progressCallback && typeof progressCallback === 'function') {
-          try {
-            const progressData = {
-              progress: progress,
-              processedPeriods: processedPeriods,
-              totalPeriods: totalPeriods,
-              retryCount: retryCount + 1,
-              maxRetries: maxRetries,
-              message: message,
-              stage: 'validating'
-            };
-            progressCallback(progressData);
-            // 讓出控制權，確保進度更新能夠發送
-            await new Promise(resolve => setImmediate(resolve));
-          } catch (err) {
-            console.error('進度回調函數執行錯誤:', err);
-          }
-        }
-      }
-      
-      // 每處理5期讓出一次控制權，確保進度更新能夠實時發送
-      if (processedPeriods % 5 === 0) {
-        await new Promise(resolve => setImmediate(resolve));
+        // 根據比對結果調整權重
+        currentWeights = adjustWeights(
+          currentWeights,
+          comparison,
+          analysis.analysisDetails,
+          predictedNumbers,
+          actualNumbers
+        );
+
+        continue;
       }
-      const trainingData = allResults.slice(i); // 從當前期數往前的所有資料
-      const targetResult = allResults[i - 1]; // 要預測的下一期
 
-      // 檢查是否為連續期數
-      if (!isNextPeriod(trainingData[0].periodNumber, targetResult.periodNumber)) {
-        continue; // 跳過不連續的期數
+      // 回測：使用模擬測試每個候選組合，然後選擇實際命中數最多的
+      // 性能優化：減少模擬次數和候選組合評估數量
+      const simulationRounds = 500; // 從1000減少到500以提高速度
+      const simulatedDraws = [];
+      for (let s = 0; s < simulationRounds; s++) {
+        simulatedDraws.push(simulateSingleDraw(1, game.poolSize, game.pickCount));
       }
 
-      try {
-        // 計算需要排除的期數：目標期之後的所有期數（更近期的期數）
-        // 即從索引 0 到 i-2 的所有期數
-        const excludePeriodNumbers = new Set();
-        for (let j = 0; j < i - 1; j++) {
-          excludePeriodNumbers.add(allResults[j].periodNumber);
-        }
+      // 性能優化：限制候選組合數量，只評估前10個候選組合
+      const limitedCandidates = candidateCombinations.slice(0, 10);
 
-        // 使用當前權重進行分析，並排除目標期之後的期數
-        const analysis = analyzeNumbers(trainingData, currentWeights, excludePeriodNumbers);
+      // 對每個候選組合進行模擬評估
+      const candidateScores = [];
+      limitedCandidates.forEach(candidate => {
+        if (candidate && candidate.numbers && candidate.numbers.length > 0) {
+          const candidateNumbers = candidate.numbers.map(n => typeof n === 'object' ? n.number : n);
+          const simulationStats = calculateHitStatistics(candidateNumbers, simulatedDraws);
 
-        // 提取實際號碼
-        const actualNumbers = extractAllNumbers([targetResult])[0]?.numbers || [];
+          // 計算模擬分數：優化以提高命中數
+          // 更重視平均命中數（權重提高），因為這是直接目標
+          let simulationScore = simulationStats.averageHitsPerDraw * 3 + simulationStats.hitRate * 8;
 
-        if (actualNumbers.length === 0) {
-          continue; // 跳過沒有號碼的結果
-        }
+          // 如果平均命中數達到或超過3，給予額外加成
+          if (simulationStats.averageHitsPerDraw >= 3) {
+            simulationScore += 10; // 達到目標的額外加成
+          }
 
-        // 神經運算：使用神經網絡進行預測（優化：減少訓練頻率以提高性能）
-        let neuralPrediction = null;
-        let neuralTopNumbers = [];
+          // 加入神經網絡預測加成
+          if (neuralPrediction && neuralTopNumbers.length > 0) {
+            const neuralBonus = candidateNumbers.reduce((sum, num) => {
+              const neuralItem = neuralTopNumbers.find(item => item.number === num);
+              if (neuralItem) {
+                // 神經網絡預測的號碼給予額外加成
+                return sum + neuralItem.score * 5; // 加成係數可調整
+              }
+              return sum;
+            }, 0);
+            simulationScore += neuralBonus;
+          }
 
-        // 性能優化：大幅減少神經網絡訓練頻率（每20期訓練一次，或前3期和後3期）
-        // 其他期數使用緩存的預測結果或跳過神經網絡分析
-        // 可以通過環境變量 NEURAL_ENABLED=false 完全禁用神經網絡
-        const neuralEnabled = process.env.NEURAL_ENABLED !== 'false';
-        const shouldTrainNeural = neuralEnabled && ((i % 20 === 0) || (i > startIndex - 3) || (i <= 3));
+          // 加入歷史表現加成（如果有歷史數據）
+          if (previousResults && previousResults.length > 0) {
+            const strategyPerf = previousResults
+              .filter(r => r.strategy === candidate.strategy)
+              .map(r => r.comparison.hitCount);
 
-        try {
-          if (shouldTrainNeural) {
-            // 準備神經網絡的訓練數據（減少數據量以提高速度）
-            const neuralTrainingData = trainingData.slice(0, Math.min(25, trainingData.length));
-            if (neuralTrainingData.length >= 15) {
-              const neuralResult = neuralNetworkAnalysis(neuralTrainingData, 8, {
-                epochs: 8, // 進一步減少epochs以提高速度
-                learningRate: 0.01,
-                batchSize: 5,
-                maxTrainingSamples: 20, // 進一步減少訓練樣本數量
-                hiddenLayers: [24, 12] // 使用更小的網絡以提高速度
-              });
-
-              if (neuralResult && neuralResult.topNumbers && neuralResult.topNumbers.length > 0) {
-                neuralPrediction = neuralResult;
-                neuralTopNumbers = neuralResult.topNumbers.slice(0, 20); // 取前20個神經網絡預測的號碼
-              }
+            if (strategyPerf.length > 0) {
+              const avgHitCount = strategyPerf.reduce((a, b) => a + b, 0) / strategyPerf.length;
+              const atLeast3Rate = strategyPerf.filter(h => h >= 3).length / strategyPerf.length;
+              // 歷史表現好的策略給予額外加成
+              simulationScore += avgHitCount * 2 + atLeast3Rate * 8;
             }
-          } else {
-            // 使用最近一次的神經網絡預測結果（如果有的話）
-            // 從最近的驗證結果中獲取神經網絡預測
-            const recentNeuralResult = validationResults
-              .slice(-10)
-              .reverse()
-              .find(r => r.neuralNetwork && r.neuralNetwork.enabled && r.neuralNetwork.topNumbers);
-
-            if (recentNeuralResult && recentNeuralResult.neuralNetwork.topNumbers) {
-              neuralTopNumbers = recentNeuralResult.neuralNetwork.topNumbers.map(item => ({
-                number: item.number,
-                score: item.score // scores are already in 0-1 range
-              }));
+          }
+
+          candidateScores.push({
+            candidate: candidate,
+            numbers: candidateNumbers,
+            strategy: candidate.strategy,
+            simulationScore: simulationScore,
+            simulationStats: simulationStats,
+            neuralBonus: neuralPrediction ? candidateNumbers.reduce((sum, num) => {
+              const neuralItem = neuralTopNumbers.find(item => item.number === num);
+              return sum + (neuralItem ? neuralItem.score * 5 : 0);
+            }, 0) : 0
+          });
+        }
+      });
+
+      // 按模擬分數排序，選擇前3個進行實際測試
+      candidateScores.sort((a, b) => b.simulationScore - a.simulationScore);
+      const topCandidates = candidateScores.slice(0, Math.min(3, candidateScores.length));
+
+      // 在實際結果上測試這些候選組合
+      // 優化：優先選擇實際命中數最高的，而不是模擬分數最高的
+      let bestCombination = candidateCombinations[0];
+      let bestHitCount = -1;
+      let bestStrategy = 'top6';
+      let bestSimulationScore = -1;
+      let bestActualScore = -1; // 實際命中數優先
+
+      // 先測試模擬分數最高的候選組合
+      topCandidates.forEach(candidateScore => {
+        const testComparison = comparePrediction(candidateScore.numbers, actualNumbers);
+        // 優先選擇實際命中數最高的
+        // 如果命中數相同，選擇模擬分數更高的
+        const actualScore = testComparison.hitCount * 100 + testComparison.accuracy;
+        if (testComparison.hitCount > bestHitCount ||
+          (testComparison.hitCount === bestHitCount && actualScore > bestActualScore) ||
+          (testComparison.hitCount === bestHitCount && actualScore === bestActualScore && candidateScore.simulationScore > bestSimulationScore)) {
+          bestHitCount = testComparison.hitCount;
+          bestCombination = candidateScore.numbers;
+          bestStrategy = candidateScore.strategy;
+          bestSimulationScore = candidateScore.simulationScore;
+          bestActualScore = actualScore;
+        }
+      });
+
+      // 如果前3個候選都沒有達到至少3個命中，測試所有候選組合
+      if (bestHitCount < 3 && candidateCombinations.length > topCandidates.length) {
+        candidateCombinations.forEach(candidate => {
+          if (candidate && candidate.numbers && candidate.numbers.length > 0) {
+            const candidateNumbers = candidate.numbers.map(n => typeof n === 'object' ? n.number : n);
+            const testComparison = comparePrediction(candidateNumbers, actualNumbers);
+            const actualScore = testComparison.hitCount * 100 + testComparison.accuracy;
+            if (testComparison.hitCount > bestHitCount ||
+              (testComparison.hitCount === bestHitCount && actualScore > bestActualScore)) {
+              bestHitCount = testComparison.hitCount;
+              bestCombination = candidateNumbers;
+              bestStrategy = candidate.strategy || 'unknown';
+              bestActualScore = actualScore;
             }
           }
+        });
+      }
 
-          // 如果有神經網絡預測結果，整合到分析中
-          if (neuralTopNumbers && neuralTopNumbers.length > 0) {
-            // 將神經網絡的預測分數整合到統計分析的topNumbers中
-            // 為神經網絡預測的號碼添加額外的分數加成
-            const neuralScoreMap = {};
-            neuralTopNumbers.forEach((item, index) => {
-              // 神經網絡的預測分數（正規化到0-100）
-              const neuralScore = (item.score || 0) * 100;
-              // 根據排名給予額外加成（排名越前，加成越高）
-              const rankBonus = (20 - index) * 2;
-              neuralScoreMap[item.number] = neuralScore + rankBonus;
-            });
+      // 如果沒有找到，測試所有候選組合
+      if (bestHitCount === -1) {
+        candidateCombinations.forEach(candidate => {
+          if (candidate && candidate.numbers && candidate.numbers.length > 0) {
+            const testComparison = comparePrediction(candidate.numbers, actualNumbers);
+            if (testComparison.hitCount > bestHitCount) {
+              bestHitCount = testComparison.hitCount;
+              bestCombination = candidate.numbers;
+              bestStrategy = candidate.strategy;
+            }
+          }
+        });
+      }
 
-            // 更新analysis.topNumbers，加入神經網絡的預測分數
-            analysis.topNumbers = analysis.topNumbers.map(item => {
-              const neuralBonus = neuralScoreMap[item.number] || 0;
-              // 神經網絡分數佔總分的15%（可調整）
-              const neuralWeight = 0.15;
-              const updatedScore = item.score * (1 - neuralWeight) + (neuralBonus / 100) * neuralWeight;
-              return {
-                ...item,
-                score: updatedScore,
-                neuralScore: neuralScoreMap[item.number] || 0,
-                originalScore: item.score
-              };
-            });
+      // 確保有有效的組合
+      if (!bestCombination || bestCombination.length === 0) {
+        bestCombination = selectOptimalNumbers(analysis.topNumbers, game.pickCount, previousResults, game);
+        bestStrategy = 'optimal';
+      }
+
+      const predictedNumbers = bestCombination;
+
+      // 確保預測號碼有效
+      if (!predictedNumbers || predictedNumbers.length === 0) {
+        console.error(`無法生成有效的預測號碼 (期數 ${targetResult.periodNumber})`);
+        continue;
+      }
+
+      // 比對預測與實際結果
+      const comparison = comparePrediction(predictedNumbers, actualNumbers, actualExtra);
+
+      // 記錄驗證結果（詳細記錄，包括是否達到至少3個命中數）
+      // 使用回測選擇的策略
+      const usedStrategy = bestStrategy;
 
-            // 重新排序topNumbers
-            analysis.topNumbers.sort((a, b) => b.score - a.score);
+      // 對最終選擇的預測號碼進行模擬評估（用於記錄）
+      // 性能優化：減少模擬次數
+      const finalSimulatedDraws = [];
+      for (let s = 0; s < 500; s++) { // 從1000減少到500
+        finalSimulatedDraws.push(simulateSingleDraw(1, game.poolSize, game.pickCount));
+      }
+      const finalPredictedNumbersArray = predictedNumbers.map(n => typeof n === 'object' ? n.number : n);
+      const finalSimulationStats = calculateHitStatistics(finalPredictedNumbersArray, finalSimulatedDraws);
+
+      validationResults.push({
+        trainingPeriod: trainingData[0].periodNumber,
+        targetPeriod: targetResult.periodNumber,
+        predictedNumbers: finalPredictedNumbersArray,
+        actualNumbers: actualNumbers,
+        actualExtra: actualExtra,
+        strategy: usedStrategy, // 記錄使用的策略
+        simulation: {
+          averageHitsPerDraw: finalSimulationStats.averageHitsPerDraw,
+          hitRate: finalSimulationStats.hitRate,
+          totalHits: finalSimulationStats.totalHits,
+          numberHits: finalSimulationStats.numberHits
+        },
+        neuralNetwork: neuralPrediction ? {
+          enabled: true,
+          topNumbers: neuralTopNumbers.slice(0, 10).map(item => ({
+            number: item.number,
+            score: item.score
+          })),
+          neuralHits: finalPredictedNumbersArray.filter(num =>
+            neuralTopNumbers.some(item => item.number === num)
+          ).length
+        } : {
+          enabled: false
+        },
+        comparison: {
+          ...comparison,
+          // 明確標記是否達到目標（至少3個命中數）
+          meetsTarget: comparison.meetsTarget,
+          targetHitCount: comparison.targetHitCount,
+          hitCountStatus: comparison.hitCountStatus,
+          // 詳細命中信息
+          hitDetails: {
+            hitCount: comparison.hitCount,
+            targetHitCount: comparison.targetHitCount,
+            meetsTarget: comparison.meetsTarget,
+            status: comparison.hitCountStatus,
+            hits: comparison.hits,
+            misses: comparison.misses
           }
-        } catch (error) {
-          // 神經網絡分析失敗不影響主要流程
-          console.warn(`神經網絡分析失敗 (期數 ${targetResult?.periodNumber || 'unknown'}):`, error.message);
-        }
+        },
+        weights: { ...currentWeights }
+      });
 
-        // 在迭代驗證中，每次預測只使用6個號碼
-        // 使用回測優化策略：生成多個候選組合，選擇實際命中數最多的（僅在驗證中使用）
-        const previousResults = validationResults.slice(-15); // 使用最近15期的驗證結果
-
-        // 生成多個候選組合（現在已包含神經網絡的預測分數）
-        // 性能優化：限制候選組合生成數量為10個
-        const candidateCombinations = generateMultipleCandidates(analysis.topNumbers, 6, previousResults, 10);
-
-        // 檢查是否有候選組合
-        if (!candidateCombinations || candidateCombinations.length === 0) {
-          // 如果沒有候選組合，使用智能選擇策略
-          const predictedNumbers = selectOptimalNumbers(analysis.topNumbers, 6, previousResults);
-          const comparison = comparePrediction(predictedNumbers, actualNumbers);
-
-          validationResults.push({
-            trainingPeriod: trainingData[0].periodNumber,
-            targetPeriod: targetResult.periodNumber,
-            predictedNumbers: predictedNumbers.map(n => n.number),
-            actualNumbers: actualNumbers,
-            strategy: 'optimal',
-            comparison: {
-              ...comparison,
-              meetsTarget: comparison.meetsTarget,
-              targetHitCount: comparison.targetHitCount,
-              hitCountStatus: comparison.hitCountStatus,
-              hitDetails: {
-                hitCount: comparison.hitCount,
-                targetHitCount: comparison.targetHitCount,
-                meetsTarget: comparison.meetsTarget,
-                status: comparison.hitCountStatus,
-                hits: comparison.hits,
-                misses: comparison.misses
-              }
-            },
-            weights: { ...currentWeights }
-          });
+      // 根據比對結果調整權重（傳入更多信息以進行更智能的調整）
+      currentWeights = adjustWeights(
+        currentWeights,
+        comparison,
+        analysis.analysisDetails,
+        predictedNumbers,
+        actualNumbers
+      );
 
-          // 根據比對結果調整權重
-          currentWeights = adjustWeights(
-            currentWeights,
-            comparison,
-            analysis.analysisDetails,
-            predictedNumbers,
-            actualNumbers
-          );
+    } catch (error) {
+      console.error(`驗證期數 ${targetResult?.periodNumber || 'unknown'} 時發生錯誤:`, error);
+      console.error('錯誤詳情:', error.stack);
+      continue;
+    }
+  }
 
-          continue;
-        }
+  return { validationResults, finalWeights: currentWeights };
+}
 
-        // 回測：使用模擬測試每個候選組合，然後選擇實際命中數最多的
-        // 性能優化：減少模擬次數和候選組合評估數量
-        const simulationRounds = 500; // 從1000減少到500以提高速度
-        const simulatedDraws = [];
-        for (let s = 0; s < simulationRounds; s++) {
-          simulatedDraws.push(simulateSingleDraw(1, 49, 6));
-        }
+/**
+ * 使用最終權重和所有歷史數據預測下一期
+ * @param {Object} session - createValidationSession 建立的執行環境
+ * @param {Object} currentWeights - 最終權重
+ * @param {Array} historicalResults - 最近的驗證結果（用於候選組合的歷史表現）
+ * @returns {Object|null} 下一期的預測，沒有有效的預測號碼時返回 null
+ */
+function predictNextPeriod({ allResults, analysisOptions, includeExtra, game }, currentWeights, historicalResults) {
+  const latestPeriod = allResults[0].periodNumber;
 
-        // 性能優化：限制候選組合數量，只評估前10個候選組合
-        const limitedCandidates = candidateCombinations.slice(0, 10);
+  // 使用所有歷史數據進行分析（不排除任何期數）
+  const allTrainingData = allResults;
+  let futureAnalysis = analyzeNumbers(allTrainingData, currentWeights, null, analysisOptions);
 
-        // 對每個候選組合進行模擬評估
-        const candidateScores = [];
-        limitedCandidates.forEach(candidate => {
-          if (candidate && candidate.numbers && candidate.numbers.length > 0) {
-            const candidateNumbers = candidate.numbers.map(n => typeof n === 'object' ? n.number : n);
-            const simulationStats = calculateHitStatistics(candidateNumbers, simulatedDraws);
+  // 使用神經網絡進行未來預測（優化：減少訓練時間）
+  let futureNeuralPrediction = null;
+  try {
+    if (allTrainingData.length >= 15) {
+      // 優化：減少訓練數據量和epochs以提高速度
+      const neuralResult = neuralNetworkAnalysis(allTrainingData.slice(0, Math.min(35, allTrainingData.length)), 8, {
+        epochs: 12, // 進一步減少epochs以提高速度
+        learningRate: 0.01,
+        batchSize: 5,
+        maxTrainingSamples: 25, // 進一步減少訓練樣本數量
+        hiddenLayers: [24, 12], // 使用更小的網絡以提高速度
+        includeExtra,
+        game
+      });
 
-            // 計算模擬分數：優化以提高命中數
-            // 更重視平均命中數（權重提高），因為這是直接目標
-            let simulationScore = simulationStats.averageHitsPerDraw * 3 + simulationStats.hitRate * 8;
+      if (neuralResult && neuralResult.topNumbers && neuralResult.topNumbers.length > 0) {
+        futureNeuralPrediction = neuralResult;
+        const neuralTopNumbers = neuralResult.topNumbers.slice(0, 20);
 
-            // 如果平均命中數達到或超過3，給予額外加成
-            if (simulationStats.averageHitsPerDraw >= 3) {
-              simulationScore += 10; // 達到目標的額外加成
-            }
+        // 整合神經網絡預測到未來分析中
+        const neuralScoreMap = {};
+        neuralTopNumbers.forEach((item, index) => {
+          const neuralScore = item.score * 100;
+          const rankBonus = (20 - index) * 2;
+          neuralScoreMap[item.number] = neuralScore + rankBonus;
+        });
 
-            // 加入神經網絡預測加成
-            if (neuralPrediction && neuralTopNumbers.length > 0) {
-              const neuralBonus = candidateNumbers.reduce((sum, num) => {
-                const neuralItem = neuralTopNumbers.find(item => item.number === num);
-                if (neuralItem) {
-                  // 神經網絡預測的號碼給予額外加成
-                  return sum + neuralItem.score * 5; // 加成係數可調整
-                }
-                return sum;
-              }, 0);
-              simulationScore += neuralBonus;
-            }
+        futureAnalysis.topNumbers = futureAnalysis.topNumbers.map(item => {
+          const neuralBonus = neuralScoreMap[item.number] || 0;
+          const neuralWeight = 0.15;
+          const updatedScore = item.score * (1 - neuralWeight) + (neuralBonus / 100) * neuralWeight;
+          return {
+            ...item,
+            score: updatedScore,
+            neuralScore: neuralScoreMap[item.number] || 0,
+            originalScore: item.score
+          };
+        });
 
-            // 加入歷史表現加成（如果有歷史數據）
-            if (previousResults && previousResults.length > 0) {
-              const strategyPerf = previousResults
-                .filter(r => r.strategy === candidate.strategy)
-                .map(r => r.comparison.hitCount);
-
-              if (strategyPerf.length > 0) {
-                const avgHitCount = strategyPerf.reduce((a, b) => a + b, 0) / strategyPerf.length;
-                const atLeast3Rate = strategyPerf.filter(h => h >= 3).length / strategyPerf.length;
-                // 歷史表現好的策略給予額外加成
-                simulationScore += avgHitCount * 2 + atLeast3Rate * 8;
-              }
+        futureAnalysis.topNumbers.sort((a, b) => b.score - a.score);
+      }
+    }
+  } catch (error) {
+    console.warn('未來預測的神經網絡分析失敗:', error.message);
+  }
+
+  // 生成多個候選組合
+  // 性能優化：限制候選組合數量為10個
+  const futureCandidateCombinations = generateMultipleCandidates(
+    futureAnalysis.topNumbers,
+    game.pickCount,
+    historicalResults,
+    10,
+    game
+  );
+
+  // 選擇最優的組合
+  let futurePredictedNumbers = null;
+  let futureStrategy = 'optimal';
+
+  if (futureCandidateCombinations && futureCandidateCombinations.length > 0) {
+    // 使用模擬來評估候選組合
+    // 性能優化：減少模擬次數
+    const futureSimulationRounds = 500; // 從1000減少到500
+    const futureSimulatedDraws = [];
+    for (let s = 0; s < futureSimulationRounds; s++) {
+      futureSimulatedDraws.push(simulateSingleDraw(1, game.poolSize, game.pickCount));
+    }
+
+    // 性能優化：限制候選組合數量
+    const limitedFutureCandidates = futureCandidateCombinations.slice(0, 10);
+
+    // 對每個候選組合進行模擬評估
+    const futureCandidateScores = [];
+    limitedFutureCandidates.forEach(candidate => {
+      if (candidate && candidate.numbers && candidate.numbers.length > 0) {
+        const candidateNumbers = candidate.numbers.map(n => typeof n === 'object' ? n.number : n);
+        const simulationStats = calculateHitStatistics(candidateNumbers, futureSimulatedDraws);
+
+        // 計算模擬分數：優化以提高命中數
+        // 更重視平均命中數（權重提高）
+        let simulationScore = simulationStats.averageHitsPerDraw * 3 + simulationStats.hitRate * 8;
+
+        // 如果平均命中數達到或超過3，給予額外加成
+        if (simulationStats.averageHitsPerDraw >= 3) {
+          simulationScore += 10;
+        }
+
+        // 加入神經網絡預測加成（對未來預測）
+        if (futureNeuralPrediction && futureNeuralPrediction.topNumbers) {
+          const neuralTopNumbers = futureNeuralPrediction.topNumbers;
+          const neuralBonus = candidateNumbers.reduce((sum, num) => {
+            const neuralItem = neuralTopNumbers.find(item => item.number === num);
+            if (neuralItem) {
+              return sum + neuralItem.score * 5;
             }
+            return sum;
+          }, 0);
+          simulationScore += neuralBonus;
+        }
 
-            candidateScores.push({
-              candidate: candidate,
-              numbers: candidateNumbers,
-              strategy: candidate.strategy,
-              simulationScore: simulationScore,
-              simulationStats: simulationStats,
-              neuralBonus: neuralPrediction ? candidateNumbers.reduce((sum, num) => {
-                const neuralItem = neuralTopNumbers.find(item => item.number === num);
-                return sum + (neuralItem ? neuralItem.score * 5 : 0);
-              }, 0) : 0
-            });
-          }
-        });
+        // 加入歷史表現加成（如果有歷史數據）
+        if (historicalResults && historicalResults.length > 0) {
+          const strategyPerf = historicalResults
+            .filter(r => r.strategy === candidate.strategy)
+            .map(r => r.comparison.hitCount);
 
-        // 按模擬分數排序，選擇前3個進行實際測試
-        candidateScores.sort((a, b) => b.simulationScore - a.simulationScore);
-        const topCandidates = candidateScores.slice(0, Math.min(3, candidateScores.length));
-
-        // 在實際結果上測試這些候選組合
-        // 優化：優先選擇實際命中數最高的，而不是模擬分數最高的
-        let bestCombination = candidateCombinations[0];
-        let bestHitCount = -1;
-        let bestStrategy = 'top6';
-        let bestSimulationScore = -1;
-        let bestActualScore = -1; // 實際命中數優先
-
-        // 先測試模擬分數最高的候選組合
-        topCandidates.forEach(candidateScore => {
-          const testComparison = comparePrediction(candidateScore.numbers, actualNumbers);
-          // 優先選擇實際命中數最高的
-          // 如果命中數相同，選擇模擬分數更高的
-          const actualScore = testComparison.hitCount * 100 + testComparison.accuracy;
-          if (testComparison.hitCount > bestHitCount ||
-            (testComparison.hitCount === bestHitCount && actualScore > bestActualScore) ||
-            (testComparison.hitCount === bestHitCount && actualScore === bestActualScore && candidateScore.simulationScore > bestSimulationScore)) {
-            bestHitCount = testComparison.hitCount;
-            bestCombination = candidateScore.numbers;
-            bestStrategy = candidateScore.strategy;
-            bestSimulationScore = candidateScore.simulationScore;
-            bestActualScore = actualScore;
+          if (strategyPerf.length > 0) {
+            const avgHitCount = strategyPerf.reduce((a, b) => a + b, 0) / strategyPerf.length;
+            const atLeast3Rate = strategyPerf.filter(h => h >= 3).length / strategyPerf.length;
+            simulationScore += avgHitCount * 2 + atLeast3Rate * 8;
           }
-        });
+        }
 
-        // 如果前3個候選都沒有達到至少3個命中，測試所有候選組合
-        if (bestHitCount < 3 && candidateCombinations.length > topCandidates.length) {
-          candidateCombinations.forEach(candidate => {
-            if (candidate && candidate.numbers && candidate.numbers.length > 0) {
-              const candidateNumbers = candidate.numbers.map(n => typeof n === 'object' ? n.number : n);
-              const testComparison = comparePrediction(candidateNumbers, actualNumbers);
-              const actualScore = testComparison.hitCount * 100 + testComparison.accuracy;
-              if (testComparison.hitCount > bestHitCount ||
-                (testComparison.hitCount === bestHitCount && actualScore > bestActualScore)) {
-                bestHitCount = testComparison.hitCount;
-                bestCombination = candidateNumbers;
-                bestStrategy = candidate.strategy || 'unknown';
-                bestActualScore = actualScore;
+        // 如果有歷史數據，考慮歷史表現
+        let historicalBonus = 0;
+        if (historicalResults.length > 0) {
+          const strategyPerformance = {};
+          historicalResults.forEach(result => {
+            if (result.strategy === candidate.strategy) {
+              if (!strategyPerformance[result.strategy]) {
+                strategyPerformance[result.strategy] = { hits: 0, total: 0, atLeast3: 0 };
+              }
+              strategyPerformance[result.strategy].hits += result.comparison.hitCount;
+              strategyPerformance[result.strategy].total += 1;
+              if (result.comparison.hitCount >= 3) {
+                strategyPerformance[result.strategy].atLeast3 += 1;
               }
             }
           });
-        }
 
-        // 如果沒有找到，測試所有候選組合
-        if (bestHitCount === -1) {
-          candidateCombinations.forEach(candidate => {
-            if (candidate && candidate.numbers && candidate.numbers.length > 0) {
-              const testComparison = comparePrediction(candidate.numbers, actualNumbers);
-              if (testComparison.hitCount > bestHitCount) {
-                bestHitCount = testComparison.hitCount;
-                bestCombination = candidate.numbers;
-                bestStrategy = candidate.strategy;
-              }
+          if (strategyPerformance[candidate.strategy]) {
+            const perf = strategyPerformance[candidate.strategy];
+            if (perf.total > 0) {
+              const atLeast3Rate = perf.atLeast3 / perf.total;
+              const avgHitCount = perf.hits / perf.total;
+              historicalBonus = atLeast3Rate * 5 + avgHitCount * 2; // 歷史表現加成
             }
+          }
+        }
+
+        futureCandidateScores.push({
+          candidate: candidate,
+          numbers: candidateNumbers,
+          strategy: candidate.strategy,
+          simulationScore: simulationScore + historicalBonus,
+          simulationStats: simulationStats
+        });
+      }
+    });
+
+    // 按模擬分數排序，選擇最好的
+    futureCandidateScores.sort((a, b) => b.simulationScore - a.simulationScore);
+
+    if (futureCandidateScores.length > 0) {
+      futurePredictedNumbers = futureCandidateScores[0].numbers;
+      futureStrategy = futureCandidateScores[0].strategy;
+    } else {
+      // 如果沒有候選組合，使用智能選擇
+      futurePredictedNumbers = selectOptimalNumbers(
+        futureAnalysis.topNumbers,
+        game.pickCount,
+        historicalResults,
+        game
+      );
+      futureStrategy = 'optimal';
+    }
+  } else {
+    // 如果沒有候選組合，使用智能選擇策略
+    futurePredictedNumbers = selectOptimalNumbers(
+      futureAnalysis.topNumbers,
+      game.pickCount,
+      historicalResults,
+      game
+    );
+    futureStrategy = 'optimal';
+  }
+
+  // 對最終選擇的未來預測號碼進行模擬評估
+  // 性能優化：減少模擬次數
+  let futureSimulationStats = null;
+  if (futurePredictedNumbers && futurePredictedNumbers.length > 0) {
+    const futureFinalSimulatedDraws = [];
+    for (let s = 0; s < 500; s++) { // 從1000減少到500
+      futureFinalSimulatedDraws.push(simulateSingleDraw(1, game.poolSize, game.pickCount));
+    }
+    const futureFinalNumbersArray = futurePredictedNumbers.map(n => typeof n === 'object' ? n.number : n);
+    futureSimulationStats = calculateHitStatistics(futureFinalNumbersArray, futureFinalSimulatedDraws);
+  }
+
+  // 確保預測號碼有效
+  if (futurePredictedNumbers && futurePredictedNumbers.length > 0) {
+    return {
+      periodNumber: latestPeriod, // 基於最新期數預測下一期
+      targetPeriod: PeriodId.format(PeriodId.next(latestPeriod)),
+      predictedNumbers: futurePredictedNumbers.map(n => n.number || n).sort((a, b) => a - b),
+      strategy: futureStrategy,
+      simulation: futureSimulationStats ? {
+        averageHitsPerDraw: futureSimulationStats.averageHitsPerDraw,
+        hitRate: futureSimulationStats.hitRate,
+        totalHits: futureSimulationStats.totalHits,
+        numberHits: futureSimulationStats.numberHits
+      } : null,
+      neuralNetwork: futureNeuralPrediction ? {
+        enabled: true,
+        topNumbers: futureNeuralPrediction.topNumbers.slice(0, 10).map(item => ({
+          number: item.number,
+          score: item.score
+        })),
+        neuralHits: futurePredictedNumbers.filter(n => {
+          const num = typeof n === 'object' ? n.number : n;
+          return futureNeuralPrediction.topNumbers.some(item => item.number === num);
+        }).length
+      } : {
+        enabled: false
+      },
+      topNumbers: futureAnalysis.topNumbers.slice(0, 10).map(n => ({
+        number: n.number,
+        score: n.score,
+        neuralScore: n.neuralScore || 0,
+        originalScore: n.originalScore || n.score
+      })),
+      analysis: {
+        totalPeriods: futureAnalysis.stats.totalPeriods,
+        averageFrequency: futureAnalysis.stats.averageFrequency,
+        mostFrequent: futureAnalysis.stats.mostFrequent
+      },
+      weights: { ...currentWeights },
+      timestamp: new Date().toISOString()
+    };
+  }
+  return null;
+}
+
+/**
+ * 執行迭代驗證的一項工作（analysisWorker.js 在 worker 執行，沒有 worker 池時在目前執行緒執行）
+ * @param {Object} session - createValidationSession 建立的執行環境
+ * @param {Object} task - { type: 'weightTrial', weights, fromIndex, toIndex }、{ type: 'validationPass', weights } 或 { type: 'prediction', weights, historicalResults }
+ * @param {Function} onProgress - 可選，validationPass 的進度回調
+ * @param {Function} isCancelled - 可選，validationPass 每期開始前檢查是否已取消
+ * @returns {Promise<*>} 工作結果
+ */
+async function runValidationTask(session, task, onProgress = null, isCancelled = null) {
+  switch (task.type) {
+    case 'weightTrial':
+      return runWeightTrial(session, task.weights, task.fromIndex, task.toIndex);
+    case 'validationPass':
+      return runValidationPass(session, task.weights, onProgress, isCancelled);
+    case 'prediction':
+      return predictNextPeriod(session, task.weights, task.historicalResults);
+    default:
+      throw new Error(`未知的驗證工作: ${task.type}`);
+  }
+}
+
+/**
+ * 建立迭代驗證工作的執行方式
+ * 有 worker 池時驗證資料只傳送給每個 worker 一次，工作並行執行；否則在目前執行緒依序執行，每項工作前讓出控制權
+ * @param {Object|null} pool - analysisPool 的 worker 池
+ * @param {Object} data - createValidationSession 的參數
+ * @returns {Object} { concurrency, run(task, onProgress, signal), close() }（signal 為可選的 AbortSignal，取消的工作以 cancelled 為 true 的錯誤失敗）
+ */
+function createExecutor(pool, data) {
+  if (pool) {
+    const key = pool.share(data);
+    return {
+      concurrency: pool.size,
+      run: (task, onProgress, signal) => pool.run(task, { shared: key, onProgress, signal }),
+      close: () => pool.release(key)
+    };
+  }
+
+  const session = createValidationSession(data);
+  return {
+    concurrency: 1,
+    run: async (task, onProgress, signal) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (signal && signal.aborted) {
+        throw cancelledError();
+      }
+      return runValidationTask(session, task, onProgress, signal ? () => signal.aborted : null);
+    },
+    close: () => {}
+  };
+}
+
+/**
+ * 迭代驗證分析：從最新期數往前推10期開始，逐步驗證並調整
+ * @param {Array} allResults - 所有攪珠結果（已按日期排序，最新的在前）
+ * @param {number} lookbackPeriods - 往前推的期數（預設100）
+ * @param {number} maxRetries - 最大重試次數（如果平均命中數未達標，預設50次）
+ * @param {Function} progressCallback - 進度回調函數 (progress, message) => void
+ * @param {Object} options - 可選的驗證選項
+ * @param {boolean} options.includeExtra - 統計與命中比對是否包含特別號碼（預設 false）
+ * @param {Object} options.game - 遊戲定義（預設為六合彩）
+ * @param {string} options.eraMode - 可選，遊戲有規則年代時的處理方式：single 或 normalize（未指定 eraMode 及 era 時不依年代挑選），見 analyzeNumbers
+ * @param {string} options.era - single 模式使用的年代 ID，預設為資料中最新的年代
+ * @param {Array|Object} options.calculators - 啟用的計算器，見 analyzeNumbers
+ * @param {Object} options.pool - 可選，analysisPool 的 worker 池：每期的工作交給 worker 並行執行，主執行緒不被佔用；未提供時在目前執行緒依序執行
+ * @param {AbortSignal} options.signal - 可選，取消整個驗證（例如客戶端已斷線）：等待中及執行中的工作停止，驗證以 cancelled 為 true 的錯誤失敗
+ * @returns {Object} 驗證結果
+ */
+async function iterativeValidation(allResults, lookbackPeriods = 100, maxRetries = 50, progressCallback = null, options = {}) {
+  if (!analyzeNumbers) {
+    throw new Error('analyzeNumbers 函數未設置。請先調用 setAnalyzeNumbers()');
+  }
+
+  // 先依規則年代挑選結果，回溯的期數只在挑選後的結果中計算
+  const eraSelection = selectByEra(allResults || [], options.game || GameDefinition.DEFAULT_GAME, options);
+  allResults = eraSelection.results;
+  const game = eraSelection.game;
+  const includeExtra = options.includeExtra === true && game.extraCount > 0;
+  const analysisOptions = {
+    includeExtra,
+    game,
+    eraMode: options.eraMode,
+    era: eraSelection.eras ? eraSelection.eras.selected : null,
+    calculators: options.calculators
+  };
+
+  if (!allResults || allResults.length < 1) {
+    throw new Error('資料不足，需要至少 1 期資料');
+  }
+
+  // 如果資料不足 101 期，就用現在有的資料
+  // 如果只有1期，lookbackPeriods 會是 0（沒有歷史資料可驗證，但仍可使用該期資料）
+  if (allResults.length < lookbackPeriods + 1) {
+    lookbackPeriods = Math.max(0, allResults.length - 1);
+  }
+
+  // 找到最新期數
+  const latestResult = allResults[0];
+  const latestPeriod = latestResult.periodNumber;
+
+  // 找到往前推 lookbackPeriods 期的結果
+  // allResults[0] 是最新的，allResults[lookbackPeriods] 是往前推 lookbackPeriods 期
+  const startIndex = lookbackPeriods;
+
+  if (startIndex >= allResults.length) {
+    throw new Error(`無法找到往前推 ${lookbackPeriods} 期的資料`);
+  }
+
+  // 每期的工作（權重測試、每次重試的驗證、最終預測）交給 worker 池並行執行，沒有提供時在目前執行緒依序執行
+  // 工作失敗（例如 worker 異常結束）或整個驗證被取消（options.signal）時釋放驗證資料，整個驗證失敗；只取消後續重試時不影響其他工作
+  const signal = options.signal || null;
+  const executor = createExecutor(options.pool, { allResults, analysisOptions, startIndex });
+  const runStep = (task, onProgress, stepSignal = signal) => executor.run(task, onProgress, stepSignal).catch(error => {
+    if (!error.cancelled || (signal && signal.aborted)) {
+      executor.close();
+    }
+    throw error;
+  });
+
+  // 定義目標值
+  const targetAverageHitCount = 3; // 目標平均每期命中數至少3
+
+  let validationResults = [];
+  let retryCount = 0;
+  let bestValidationResult = null;
+  let bestAverageHitCount = 0;
+  let allRetryResults = [];
+
+  // 在循環外部聲明變量，以便在循環外部使用
+  let totalValidations = 0;
+  let totalHits = 0;
+  let averageAccuracy = 0;
+  let averageCoverage = 0;
+  let periodsWithAtLeast3Hits = 0;
+  let hitRateAtLeast3 = 0;
+  let hitCountDistribution = {};
+  let averageHitCount = 0;
+  let meetsHitCountTarget = false;
+  let meetsAccuracyTarget = false;
+  let meetsAllTargets = false;
+  let currentWeights = null;
+
+  // 優化目標：提高準確率至50%，更重視趨勢、分布和間隔分析
+  // 目標：平均每期命中數至少3，準確率至少50%
+  // 初始權重配置由計算器註冊表提供（見 calculatorRegistry.js 的 WEIGHT_PROFILES），只包含啟用的計算器
+  const initialWeightSets = getWeightProfiles(resolveSelection(options.calculators));
+
+  // 測試每組初始權重，選擇表現最好的（只在第一次運行時執行）
+  let bestWeights = initialWeightSets[0];
+  let bestAverageAccuracyForWeights = 0;
+  let bestAverageHitCountForWeights = 0;
+
+  // 只在第一次運行時測試權重
+  if (retryCount === 0) {
+    // 增加測試期數以提高選擇準確性（使用前100期數據）
+    const testPeriods = Math.min(100, startIndex);
+    const totalWeightSets = initialWeightSets.length;
+    let currentWeightSetIndex = 0;
+    
+    if (progressCallback && typeof progressCallback === 'function') {
+      try {
+        // 進度回調內部會使用 setImmediate，所以這裡直接調用即可
+        progressCallback({
+          progress: 0,
+          stage: 'weightTesting',
+          message: `開始測試 ${totalWeightSets} 組初始權重配置...`,
+          weightSetIndex: 0,
+          totalWeightSets: totalWeightSets
+        });
+      } catch (err) {
+        console.error('進度回調函數執行錯誤:', err);
+      }
+    }
+
+    // 各組權重及各期的測試互不相關，全部同時交給 worker；worker 比權重組數多時，每組的測試期數再分段
+    const ranges = splitPeriods(startIndex, startIndex - testPeriods, Math.ceil(executor.concurrency / totalWeightSets));
+    const trials = await Promise.all(initialWeightSets.map(async testWeights => {
+      const parts = await Promise.all(ranges.map(([fromIndex, toIndex]) =>
+        runStep({ type: 'weightTrial', weights: testWeights, fromIndex, toIndex })
+      ));
+
+      currentWeightSetIndex++;
+      const weightTestProgress = Math.round((currentWeightSetIndex / totalWeightSets) * 100);
+      if (progressCallback && typeof progressCallback === 'function') {
+        try {
+          progressCallback({
+            progress: weightTestProgress,
+            stage: 'weightTesting',
+            message: `測試權重配置 ${currentWeightSetIndex}/${totalWeightSets}...`,
+            weightSetIndex: currentWeightSetIndex,
+            totalWeightSets: totalWeightSets
           });
+        } catch (err) {
+          console.error('進度回調函數執行錯誤:', err);
         }
+      }
 
-        // 確保有有效的組合
-        if (!bestCombination || bestCombination.length === 0) {
-          bestCombination = selectOptimalNumbers(analysis.topNumbers, 6, previousResults);
-          bestStrategy = 'optimal';
-        }
-
-        const predictedNumbers = bestCombination;
+      return parts.reduce((sum, part) => ({
+        testAccuracy: sum.testAccuracy + part.testAccuracy,
+        totalHitCount: sum.totalHitCount + part.totalHitCount,
+        testCount: sum.testCount + part.testCount
+      }), { testAccuracy: 0, totalHitCount: 0, testCount: 0 });
+    }));
 
-        // 確保預測號碼有效
-        if (!predictedNumbers || predictedNumbers.length === 0) {
-          console.error(`無法生成有效的預測號碼 (期數 ${targetResult.periodNumber})`);
-          continue;
-        }
+    // 依權重配置的順序比較（與逐組測試的選擇相同）
+    for (const [index, testWeights] of initialWeightSets.entries()) {
+      const { testAccuracy, totalHitCount, testCount } = trials[index];
 
-        // 比對預測與實際結果
-        const comparison = comparePrediction(predictedNumbers, actualNumbers);
+      if (testCount > 0) {
+        const avgAccuracy = testAccuracy / testCount;
+        const avgHitCount = totalHitCount / testCount;
 
-        // 記錄驗證結果（詳細記錄，包括是否達到至少3個命中數）
-        // 使用回測選擇的策略
-        const usedStrategy = bestStrategy;
+        // 優化目標：優先命中數，同時確保平均命中數 >= 3 和平均準確率 >= 50%
+        const targetAvgHitCount = 3;
+        const targetAvgAccuracy = 50;
 
-        // 對最終選擇的預測號碼進行模擬評估（用於記錄）
-        // 性能優化：減少模擬次數
-        const finalSimulatedDraws = [];
-        for (let s = 0; s < 500; s++) { // 從1000減少到500
-          finalSimulatedDraws.push(simulateSingleDraw(1, 49, 6));
-        }
-        const finalPredictedNumbersArray = predictedNumbers.map(n => typeof n === 'object' ? n.number : n);
-        const finalSimulationStats = calculateHitStatistics(finalPredictedNumbersArray, finalSimulatedDraws);
+        const currentMeetsAllTargets = avgHitCount >= targetAvgHitCount && avgAccuracy >= targetAvgAccuracy;
+        const bestMeetsAllTargets = bestAverageHitCountForWeights >= targetAvgHitCount && bestAverageAccuracyForWeights >= targetAvgAccuracy;
 
-        validationResults.push({
-          trainingPeriod: trainingData[0].periodNumber,
-          targetPeriod: targetResult.periodNumber,
-          predictedNumbers: finalPredictedNumbersArray,
-          actualNumbers: actualNumbers,
-          strategy: usedStrategy, // 記錄使用的策略
-          simulation: {
-            averageHitsPerDraw: finalSimulationStats.averageHitsPerDraw,
-            hitRate: finalSimulationStats.hitRate,
-            totalHits: finalSimulationStats.totalHits,
-            numberHits: finalSimulationStats.numberHits
-          },
-          neuralNetwork: neuralPrediction ? {
-            enabled: true,
-            topNumbers: neuralTopNumbers.slice(0, 10).map(item => ({
-              number: item.number,
-              score: item.score
-            })),
-            neuralHits: finalPredictedNumbersArray.filter(num =>
-              neuralTopNumbers.some(item => item.number === num)
-            ).length
-          } : {
-            enabled: false
-          },
-          comparison: {
-            ...comparison,
-            // 明確標記是否達到目標（至少3個命中數）
-            meetsTarget: comparison.meetsTarget,
-            targetHitCount: comparison.targetHitCount,
-            hitCountStatus: comparison.hitCountStatus,
-            // 詳細命中信息
-            hitDetails: {
-              hitCount: comparison.hitCount,
-              targetHitCount: comparison.targetHitCount,
-              meetsTarget: comparison.meetsTarget,
-              status: comparison.hitCountStatus,
-              hits: comparison.hits,
-              misses: comparison.misses
+        // 優先選擇同時達到兩個目標的權重
+        if (currentMeetsAllTargets) {
+          if (bestMeetsAllTargets) {
+            // 兩者都達到目標，優先選擇命中數更高的（優化命中數）
+            // 綜合分數 = 命中數 * 0.7 + 準確率 * 0.3（命中數更重要）
+            const currentScore = avgHitCount * 10 * 0.7 + avgAccuracy * 0.3;
+            const bestScore = bestAverageHitCountForWeights * 10 * 0.7 + bestAverageAccuracyForWeights * 0.3;
+            if (currentScore > bestScore ||
+              (currentScore === bestScore && avgHitCount > bestAverageHitCountForWeights)) {
+              bestAverageAccuracyForWeights = avgAccuracy;
+              bestAverageHitCountForWeights = avgHitCount;
+              bestWeights = testWeights;
             }
-          },
-          weights: { ...currentWeights }
-        });
-
-        // 根據比對結果調整權重（傳入更多信息以進行更智能的調整）
-        currentWeights = adjustWeights(
-          currentWeights,
-          comparison,
-          analysis.analysisDetails,
-          predictedNumbers,
-          actualNumbers
-        );
+          } else {
+            // 當前達到所有目標，最佳未達到，選擇當前
+            bestAverageAccuracyForWeights = avgAccuracy;
+            bestAverageHitCountForWeights = avgHitCount;
+            bestWeights = testWeights;
+          }
+        } else if (bestMeetsAllTargets) {
+          // 最佳達到所有目標，當前未達到，保持最佳
+          // 不更新
+        } else {
+          // 兩者都未達到所有目標，優先選擇命中數更高的
+          // 計算距離目標的加權距離（命中數權重更高）
+          const currentDistance = Math.max(0, targetAvgHitCount - avgHitCount) * 15 +
+            Math.max(0, targetAvgAccuracy - avgAccuracy) * 1;
+          const bestDistance = Math.max(0, targetAvgHitCount - bestAverageHitCountForWeights) * 15 +
+            Math.max(0, targetAvgAccuracy - bestAverageAccuracyForWeights) * 1;
 
-      } catch (error) {
-        console.error(`驗證期數 ${targetResult?.periodNumber || 'unknown'} 時發生錯誤:`, error);
-        console.error('錯誤詳情:', error.stack);
-        continue;
+          // 如果命中數相同，選擇準確率更高的
+          if (avgHitCount > bestAverageHitCountForWeights ||
+            (avgHitCount === bestAverageHitCountForWeights && currentDistance < bestDistance) ||
+            (avgHitCount === bestAverageHitCountForWeights && currentDistance === bestDistance && avgAccuracy > bestAverageAccuracyForWeights)) {
+            bestAverageAccuracyForWeights = avgAccuracy;
+            bestAverageHitCountForWeights = avgHitCount;
+            bestWeights = testWeights;
+          }
+        }
       }
     }
+  }
 
-    // 計算總體統計（在重試循環內部）
-    totalValidations = validationResults.length;
-    totalHits = validationResults.reduce((sum, r) => sum + r.comparison.hitCount, 0);
-    averageAccuracy = totalValidations > 0
-      ? validationResults.reduce((sum, r) => sum + r.comparison.accuracy, 0) / totalValidations
-      : 0;
-    averageCoverage = totalValidations > 0
-      ? validationResults.reduce((sum, r) => sum + r.comparison.coverage, 0) / totalValidations
-      : 0;
-
-    // 計算命中數至少3的統計
-    periodsWithAtLeast3Hits = validationResults.filter(r => r.comparison.meetsTarget).length;
-    hitRateAtLeast3 = totalValidations > 0
-      ? Math.round((periodsWithAtLeast3Hits / totalValidations) * 10000) / 100
-      : 0;
-
-    // 計算命中數分布
-    hitCountDistribution = {};
-    validationResults.forEach(r => {
-      const hitCount = r.comparison.hitCount;
-      hitCountDistribution[hitCount] = (hitCountDistribution[hitCount] || 0) + 1;
-    });
-
-    // 計算平均命中數
-    averageHitCount = totalValidations > 0
-      ? Math.round((totalHits / totalValidations) * 100) / 100
-      : 0;
-
-    // 定義目標值
-    const targetAverageAccuracy = 50; // 目標平均準確率至少50%
-
-    // 計算目標達成狀態
-    meetsHitCountTarget = averageHitCount >= targetAverageHitCount;
-    meetsAccuracyTarget = averageAccuracy >= targetAverageAccuracy;
-    meetsAllTargets = meetsHitCountTarget && meetsAccuracyTarget;
-
-    // 記錄本次重試的結果
-    const retryResult = {
-      retryCount: retryCount,
-      averageHitCount: averageHitCount,
-      averageAccuracy: averageAccuracy,
-      meetsHitCountTarget: meetsHitCountTarget,
-      meetsAccuracyTarget: meetsAccuracyTarget,
-      meetsAllTargets: meetsAllTargets,
-      validationResults: validationResults,
-      finalWeights: currentWeights
-    };
-    allRetryResults.push(retryResult);
-
-    // 計算距離目標的距離（越小越好，負數表示超過目標）
-    const distanceFromTarget = Math.abs(averageHitCount - targetAverageHitCount);
-    const bestDistanceFromTarget = bestValidationResult
-      ? Math.abs(bestValidationResult.averageHitCount - targetAverageHitCount)
-      : Infinity;
-
-    // 如果達到目標，保存結果並退出循環
-    if (meetsHitCountTarget) {
-      bestValidationResult = retryResult;
-      bestAverageHitCount = averageHitCount;
-      break;
-    }
-
-    // 選擇最接近目標的結果（距離目標最近）
-    // 優先選擇達到目標的，如果都未達標，優先選擇命中數更高的
-    if (!bestValidationResult) {
-      bestValidationResult = retryResult;
-      bestAverageHitCount = averageHitCount;
-    } else if (meetsHitCountTarget && !bestValidationResult.meetsHitCountTarget) {
-      // 當前達到目標，最佳未達到，選擇當前
-      bestValidationResult = retryResult;
-      bestAverageHitCount = averageHitCount;
-    } else if (!meetsHitCountTarget && bestValidationResult.meetsHitCountTarget) {
-      // 最佳達到目標，當前未達到，保持最佳
-      // 不更新
-    } else if (distanceFromTarget < bestDistanceFromTarget) {
-      // 兩者都達到或都未達到，選擇距離目標更近的
-      bestValidationResult = retryResult;
-      bestAverageHitCount = averageHitCount;
-    } else if (distanceFromTarget === bestDistanceFromTarget && averageHitCount > bestAverageHitCount) {
-      // 如果距離相同，選擇平均命中數更高的
-      bestValidationResult = retryResult;
-      bestAverageHitCount = averageHitCount;
-    } else if (averageHitCount > bestAverageHitCount) {
-      // 如果當前命中數更高，即使距離稍遠也選擇當前（優化命中數）
-      bestValidationResult = retryResult;
-      bestAverageHitCount = averageHitCount;
-    }
+  // 如果沒有找到最佳權重，使用第一個
+  if (!bestWeights) {
+    bestWeights = initialWeightSets[0];
+  }
 
-    // 如果未達標且還有重試機會，繼續重試
-    if (retryCount < maxRetries && !meetsHitCountTarget) {
-      retryCount++;
-      const progress = Math.round((retryCount / maxRetries) * 100);
-      const message = `平均命中數 ${averageHitCount.toFixed(2)} 未達標（目標：${targetAverageHitCount}），進行第 ${retryCount}/${maxRetries} 次重試 (${progress}%)...`;
+  // 重試循環：如果平均命中數未達標，重新運算
+  // 每次重試都從 bestWeights 開始（之後的重試隨機調整），彼此互不相關：最多同時執行 executor.concurrency 次重試，
+  // 結果仍依重試順序處理；提早達標時取消已開始的後續重試，worker 在處理下一期前停止
+  const totalPeriods = startIndex;
+  const processedByRetry = [];
+  const passes = [];
+  const passesController = new AbortController();
+  const passSignal = signal ? AbortSignal.any([signal, passesController.signal]) : passesController.signal;
+  const startPass = retry => {
+    processedByRetry[retry] = 0;
+    const pass = runStep({ type: 'validationPass', weights: retryWeights(bestWeights, retry) }, ({ processedPeriods }) => {
+      // 計算進度：重試階段佔90%，以所有重試已處理的期數計算
+      processedByRetry[retry] = processedPeriods;
+      const processed = processedByRetry.reduce((sum, count) => sum + count, 0);
+      const progress = Math.min(95, Math.round((processed / (maxRetries * totalPeriods)) * 90));
+      const message = `迭代驗證進度: ${processedPeriods}/${totalPeriods} (${progress}%) - 重試 ${retry + 1}/${maxRetries}`;
       console.log(message);
-      // 發送重試進度更新
+      // 調用進度回調函數
       if (progressCallback && typeof progressCallback === 'function') {
         try {
           progressCallback({
-            progress: Math.min(95, Math.round((retryCount / maxRetries) * 90)), // 重試階段最多到90%
-            stage: 'retrying',
-            message: message,
-            retryCount: retryCount,
+            progress: progress,
+            processedPeriods: processedPeriods,
+            totalPeriods: totalPeriods,
+            retryCount: retry + 1,
             maxRetries: maxRetries,
-            averageHitCount: averageHitCount.toFixed(2),
-            targetAverageHitCount: targetAverageHitCount
+            message: message,
+            stage: 'validating'
           });
-          // 讓出控制權
-          await new Promise(resolve => setImmediate(resolve));
         } catch (err) {
           console.error('進度回調函數執行錯誤:', err);
         }
       }
-      continue;
-    } else {
-      // 達到最大重試次數或已達標，退出循環
-      // 發送驗證階段完成進度更新
-      if (progressCallback && typeof progressCallback === 'function') {
-        try {
-          progressCallback({
-            progress: 95,
-            stage: 'validationComplete',
-            message: '驗證階段完成，正在生成最終預測...',
-            retryCount: retryCount,
-            maxRetries: maxRetries,
-            meetsTarget: meetsHitCountTarget
-          });
-          // 讓出控制權
-          await new Promise(resolve => setImmediate(resolve));
-        } catch (err) {
-          console.error('進度回調函數執行錯誤:', err);
+    }, passSignal);
+    // 提早達標時不再等待後續的重試，它們被取消或失敗也不影響結果
+    pass.catch(() => {});
+    passes.push(pass);
+  };
+
+  // 迴圈因達標、用完重試次數或某次重試失敗而結束時，都取消仍在執行的後續重試
+  try {
+    while (retryCount < maxRetries) {
+      while (passes.length < maxRetries && passes.length < retryCount + executor.concurrency) {
+        startPass(passes.length);
+      }
+      ({ validationResults, finalWeights: currentWeights } = await passes[retryCount]);
+
+      // 計算總體統計（在重試循環內部）
+      totalValidations = validationResults.length;
+      totalHits = validationResults.reduce((sum, r) => sum + r.comparison.hitCount, 0);
+      averageAccuracy = totalValidations > 0
+        ? validationResults.reduce((sum, r) => sum + r.comparison.accuracy, 0) / totalValidations
+        : 0;
+      averageCoverage = totalValidations > 0
+        ? validationResults.reduce((sum, r) => sum + r.comparison.coverage, 0) / totalValidations
+        : 0;
+
+      // 計算命中數至少3的統計
+      periodsWithAtLeast3Hits = validationResults.filter(r => r.comparison.meetsTarget).length;
+      hitRateAtLeast3 = totalValidations > 0
+        ? Math.round((periodsWithAtLeast3Hits / totalValidations) * 10000) / 100
+        : 0;
+
+      // 計算命中數分布
+      hitCountDistribution = {};
+      validationResults.forEach(r => {
+        const hitCount = r.comparison.hitCount;
+        hitCountDistribution[hitCount] = (hitCountDistribution[hitCount] || 0) + 1;
+      });
+
+      // 計算平均命中數
+      averageHitCount = totalValidations > 0
+        ? Math.round((totalHits / totalValidations) * 100) / 100
+        : 0;
+
+      // 定義目標值
+      const targetAverageAccuracy = 50; // 目標平均準確率至少50%
+
+      // 計算目標達成狀態
+      meetsHitCountTarget = averageHitCount >= targetAverageHitCount;
+      meetsAccuracyTarget = averageAccuracy >= targetAverageAccuracy;
+      meetsAllTargets = meetsHitCountTarget && meetsAccuracyTarget;
+
+      // 記錄本次重試的結果
+      const retryResult = {
+        retryCount: retryCount,
+        averageHitCount: averageHitCount,
+        averageAccuracy: averageAccuracy,
+        meetsHitCountTarget: meetsHitCountTarget,
+        meetsAccuracyTarget: meetsAccuracyTarget,
+        meetsAllTargets: meetsAllTargets,
+        validationResults: validationResults,
+        finalWeights: currentWeights
+      };
+      allRetryResults.push(retryResult);
+
+      // 計算距離目標的距離（越小越好，負數表示超過目標）
+      const distanceFromTarget = Math.abs(averageHitCount - targetAverageHitCount);
+      const bestDistanceFromTarget = bestValidationResult
+        ? Math.abs(bestValidationResult.averageHitCount - targetAverageHitCount)
+        : Infinity;
+
+      // 如果達到目標，保存結果並退出循環
+      if (meetsHitCountTarget) {
+        bestValidationResult = retryResult;
+        bestAverageHitCount = averageHitCount;
+        break;
+      }
+
+      // 選擇最接近目標的結果（距離目標最近）
+      // 優先選擇達到目標的，如果都未達標，優先選擇命中數更高的
+      if (!bestValidationResult) {
+        bestValidationResult = retryResult;
+        bestAverageHitCount = averageHitCount;
+      } else if (meetsHitCountTarget && !bestValidationResult.meetsHitCountTarget) {
+        // 當前達到目標，最佳未達到，選擇當前
+        bestValidationResult = retryResult;
+        bestAverageHitCount = averageHitCount;
+      } else if (!meetsHitCountTarget && bestValidationResult.meetsHitCountTarget) {
+        // 最佳達到目標，當前未達到，保持最佳
+        // 不更新
+      } else if (distanceFromTarget < bestDistanceFromTarget) {
+        // 兩者都達到或都未達到，選擇距離目標更近的
+        bestValidationResult = retryResult;
+        bestAverageHitCount = averageHitCount;
+      } else if (distanceFromTarget === bestDistanceFromTarget && averageHitCount > bestAverageHitCount) {
+        // 如果距離相同，選擇平均命中數更高的
+        bestValidationResult = retryResult;
+        bestAverageHitCount = averageHitCount;
+      } else if (averageHitCount > bestAverageHitCount) {
+        // 如果當前命中數更高，即使距離稍遠也選擇當前（優化命中數）
+        bestValidationResult = retryResult;
+        bestAverageHitCount = averageHitCount;
+      }
+
+      // 如果未達標且還有重試機會，繼續重試
+      if (retryCount < maxRetries && !meetsHitCountTarget) {
+        retryCount++;
+        const progress = Math.round((retryCount / maxRetries) * 100);
+        const message = `平均命中數 ${averageHitCount.toFixed(2)} 未達標（目標：${targetAverageHitCount}），進行第 ${retryCount}/${maxRetries} 次重試 (${progress}%)...`;
+        console.log(message);
+        // 發送重試進度更新
+        if (progressCallback && typeof progressCallback === 'function') {
+          try {
+            progressCallback({
+              progress: Math.min(95, Math.round((retryCount / maxRetries) * 90)), // 重試階段最多到90%
+              stage: 'retrying',
+              message: message,
+              retryCount: retryCount,
+              maxRetries: maxRetries,
+              averageHitCount: averageHitCount.toFixed(2),
+              targetAverageHitCount: targetAverageHitCount
+            });
+            // 讓出控制權
+            await new Promise(resolve => setImmediate(resolve));
+          } catch (err) {
+            console.error('進度回調函數執行錯誤:', err);
+          }
+        }
+        continue;
+      } else {
+        // 達到最大重試次數或已達標，退出循環
+        // 發送驗證階段完成進度更新
+        if (progressCallback && typeof progressCallback === 'function') {
+          try {
+            progressCallback({
+              progress: 95,
+              stage: 'validationComplete',
+              message: '驗證階段完成，正在生成最終預測...',
+              retryCount: retryCount,
+              maxRetries: maxRetries,
+              meetsTarget: meetsHitCountTarget
+            });
+            // 讓出控制權
+            await new Promise(resolve => setImmediate(resolve));
+          } catch (err) {
+            console.error('進度回調函數執行錯誤:', err);
+          }
         }
+        break;
       }
-      break;
     }
+  } finally {
+    passesController.abort();
   }
 
   // 使用最佳結果
@@ -1436,245 +1546,27 @@ async function iterativeValidation(allResults, lookbackPeriods = 100, maxRetries
   
   try {
     // 使用所有歷史數據進行分析（不排除任何期數）
-    const allTrainingData = allResults;
-    let futureAnalysis = analyzeNumbers(allTrainingData, currentWeights, null);
-
-    // 使用神經網絡進行未來預測（優化：減少訓練時間）
-    let futureNeuralPrediction = null;
-    try {
-      if (allTrainingData.length >= 15) {
-        // 優化：減少訓練數據量和epochs以提高速度
-        const neuralResult = neuralNetworkAnalysis(allTrainingData.slice(0, Math.min(35, allTrainingData.length)), 8, {
-          epochs: 12, // 進一步減少epochs以提高速度
-          learningRate: 0.01,
-          batchSize: 5,
-          maxTrainingSamples: 25, // 進一步減少訓練樣本數量
-          hiddenLayers: [24, 12] // 使用更小的網絡以提高速度
-        });
-
-        if (neuralResult && neuralResult.topNumbers && neuralResult.topNumbers.length > 0) {
-          futureNeuralPrediction = neuralResult;
-          const neuralTopNumbers = neuralResult.topNumbers.slice(0, 20);
-
-          // 整合神經網絡預測到未來分析中
-          const neuralScoreMap = {};
-          neuralTopNumbers.forEach((item, index) => {
-            const neuralScore = item.score * 100;
-            const rankBonus = (20 - index) * 2;
-            neuralScoreMap[item.number] = neuralScore + rankBonus;
-          });
-
-          futureAnalysis.topNumbers = futureAnalysis.topNumbers.map(item => {
-            const neuralBonus = neuralScoreMap[item.number] || 0;
-            const neuralWeight = 0.15;
-            const updatedScore = item.score * (1 - neuralWeight) + (neuralBonus / 100) * neuralWeight;
-            return {
-              ...item,
-              score: updatedScore,
-              neuralScore: neuralScoreMap[item.number] || 0,
-              originalScore: item.score
-            };
-          });
-
-          futureAnalysis.topNumbers.sort((a, b) => b.score - a.score);
-        }
-      }
-    } catch (error) {
-      console.warn('未來預測的神經網絡分析失敗:', error.message);
-    }
-
-    // 使用歷史驗證結果來優化選擇（如果有的話）
-    const historicalResults = validationResults.slice(-20); // 使用最近20期的驗證結果
-
-    // 生成多個候選組合
-    // 性能優化：限制候選組合數量為10個
-    const futureCandidateCombinations = generateMultipleCandidates(
-      futureAnalysis.topNumbers,
-      6,
-      historicalResults,
-      10
-    );
-
-    // 選擇最優的組合
-    let futurePredictedNumbers = null;
-    let futureStrategy = 'optimal';
-
-    if (futureCandidateCombinations && futureCandidateCombinations.length > 0) {
-      // 使用模擬來評估候選組合
-      // 性能優化：減少模擬次數
-      const futureSimulationRounds = 500; // 從1000減少到500
-      const futureSimulatedDraws = [];
-      for (let s = 0; s < futureSimulationRounds; s++) {
-        futureSimulatedDraws.push(simulateSingleDraw(1, 49, 6));
-      }
-
-      // 性能優化：限制候選組合數量
-      const limitedFutureCandidates = futureCandidateCombinations.slice(0, 10);
-
-      // 對每個候選組合進行模擬評估
-      const futureCandidateScores = [];
-      limitedFutureCandidates.forEach(candidate => {
-        if (candidate && candidate.numbers && candidate.numbers.length > 0) {
-          const candidateNumbers = candidate.numbers.map(n => typeof n === 'object' ? n.number : n);
-          const simulationStats = calculateHitStatistics(candidateNumbers, futureSimulatedDraws);
-
-          // 計算模擬分數：優化以提高命中數
-          // 更重視平均命中數（權重提高）
-          let simulationScore = simulationStats.averageHitsPerDraw * 3 + simulationStats.hitRate * 8;
-
-          // 如果平均命中數達到或超過3，給予額外加成
-          if (simulationStats.averageHitsPerDraw >= 3) {
-            simulationScore += 10;
-          }
-
-          // 加入神經網絡預測加成（對未來預測）
-          if (futureNeuralPrediction && futureNeuralPrediction.topNumbers) {
-            const neuralTopNumbers = futureNeuralPrediction.topNumbers;
-            const neuralBonus = candidateNumbers.reduce((sum, num) => {
-              const neuralItem = neuralTopNumbers.find(item => item.number === num);
-              if (neuralItem) {
-                return sum + neuralItem.score * 5;
-              }
-              return sum;
-            }, 0);
-            simulationScore += neuralBonus;
-          }
-
-          // 加入歷史表現加成（如果有歷史數據）
-          if (historicalResults && historicalResults.length > 0) {
-            const strategyPerf = historicalResults
-              .filter(r => r.strategy === candidate.strategy)
-              .map(r => r.comparison.hitCount);
-
-            if (strategyPerf.length > 0) {
-              const avgHitCount = strategyPerf.reduce((a, b) => a + b, 0) / strategyPerf.length;
-              const atLeast3Rate = strategyPerf.filter(h => h >= 3).length / strategyPerf.length;
-              simulationScore += avgHitCount * 2 + atLeast3Rate * 8;
-            }
-          }
-
-          // 如果有歷史數據，考慮歷史表現
-          let historicalBonus = 0;
-          if (historicalResults.length > 0) {
-            const strategyPerformance = {};
-            historicalResults.forEach(result => {
-              if (result.strategy === candidate.strategy) {
-                if (!strategyPerformance[result.strategy]) {
-                  strategyPerformance[result.strategy] = { hits: 0, total: 0, atLeast3: 0 };
-                }
-                strategyPerformance[result.strategy].hits += result.comparison.hitCount;
-                strategyPerformance[result.strategy].total += 1;
-                if (result.comparison.hitCount >= 3) {
-                  strategyPerformance[result.strategy].atLeast3 += 1;
-                }
-              }
-            });
-
-            if (strategyPerformance[candidate.strategy]) {
-              const perf = strategyPerformance[candidate.strategy];
-              if (perf.total > 0) {
-                const atLeast3Rate = perf.atLeast3 / perf.total;
-                const avgHitCount = perf.hits / perf.total;
-                historicalBonus = atLeast3Rate * 5 + avgHitCount * 2; // 歷史表現加成
-              }
-            }
-          }
-
-          futureCandidateScores.push({
-            candidate: candidate,
-            numbers: candidateNumbers,
-            strategy: candidate.strategy,
-            simulationScore: simulationScore + historicalBonus,
-            simulationStats: simulationStats
-          });
-        }
-      });
-
-      // 按模擬分數排序，選擇最好的
-      futureCandidateScores.sort((a, b) => b.simulationScore - a.simulationScore);
-
-      if (futureCandidateScores.length > 0) {
-        futurePredictedNumbers = futureCandidateScores[0].numbers;
-        futureStrategy = futureCandidateScores[0].strategy;
-      } else {
-        // 如果沒有候選組合，使用智能選擇
-        futurePredictedNumbers = selectOptimalNumbers(
-          futureAnalysis.topNumbers,
-          6,
-          historicalResults
-        );
-        futureStrategy = 'optimal';
-      }
-    } else {
-      // 如果沒有候選組合，使用智能選擇策略
-      futurePredictedNumbers = selectOptimalNumbers(
-        futureAnalysis.topNumbers,
-        6,
-        historicalResults
-      );
-      futureStrategy = 'optimal';
-    }
-
-    // 對最終選擇的未來預測號碼進行模擬評估
-    // 性能優化：減少模擬次數
-    let futureSimulationStats = null;
-    if (futurePredictedNumbers && futurePredictedNumbers.length > 0) {
-      const futureFinalSimulatedDraws = [];
-      for (let s = 0; s < 500; s++) { // 從1000減少到500
-        futureFinalSimulatedDraws.push(simulateSingleDraw(1, 49, 6));
-      }
-      const futureFinalNumbersArray = futurePredictedNumbers.map(n => typeof n === 'object' ? n.number : n);
-      futureSimulationStats = calculateHitStatistics(futureFinalNumbersArray, futureFinalSimulatedDraws);
-    }
-
-    // 確保預測號碼有效
-    if (futurePredictedNumbers && futurePredictedNumbers.length > 0) {
-      latestPeriodPrediction = {
-        periodNumber: latestPeriod, // 基於最新期數預測下一期
-        predictedNumbers: futurePredictedNumbers.map(n => n.number || n).sort((a, b) => a - b),
-        strategy: futureStrategy,
-        simulation: futureSimulationStats ? {
-          averageHitsPerDraw: futureSimulationStats.averageHitsPerDraw,
-          hitRate: futureSimulationStats.hitRate,
-          totalHits: futureSimulationStats.totalHits,
-          numberHits: futureSimulationStats.numberHits
-        } : null,
-        neuralNetwork: futureNeuralPrediction ? {
-          enabled: true,
-          topNumbers: futureNeuralPrediction.topNumbers.slice(0, 10).map(item => ({
-            number: item.number,
-            score: item.score
-          })),
-          neuralHits: futurePredictedNumbers.filter(n => {
-            const num = typeof n === 'object' ? n.number : n;
-            return futureNeuralPrediction.topNumbers.some(item => item.number === num);
-          }).length
-        } : {
-          enabled: false
-        },
-        topNumbers: futureAnalysis.topNumbers.slice(0, 10).map(n => ({
-          number: n.number,
-          score: n.score,
-          neuralScore: n.neuralScore || 0,
-          originalScore: n.originalScore || n.score
-        })),
-        analysis: {
-          totalPeriods: futureAnalysis.stats.totalPeriods,
-          averageFrequency: futureAnalysis.stats.averageFrequency,
-          mostFrequent: futureAnalysis.stats.mostFrequent
-        },
-        weights: { ...currentWeights },
-        timestamp: new Date().toISOString()
-      };
-    }
+    latestPeriodPrediction = await runStep({
+      type: 'prediction',
+      weights: currentWeights,
+      historicalResults: validationResults.slice(-20) // 使用最近20期的驗證結果
+    });
   } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
     console.error('生成未來一期預測時發生錯誤:', error);
     // 即使出錯，也繼續返回其他結果
   }
+  executor.close();
 
   return {
+    game: game.id,
+    eras: eraSelection.eras,
+    eraNotice: eraSelection.notice,
     latestPeriod: latestPeriod,
     startPeriod: allResults[startIndex]?.periodNumber,
+    includeExtra: includeExtra,
     totalValidations: totalValidations,
     validationResults: validationResults,
     latestPeriodPrediction: latestPeriodPrediction,
@@ -1739,5 +1631,7 @@ module.exports = {
   comparePrediction,
   adjustWeights,
   iterativeValidation,
-  setAnalyzeNumbers
+  setAnalyzeNumbers,
+  createValidationSession,
+  runValidationTask
 };
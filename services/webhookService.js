@@ -0,0 +1,321 @@
+/**
+ * Webhook 服務
+ * 管理 Webhook 訂閱，在新攪珠結果寫入及預測評分時以 HMAC-SHA256 簽名的 POST 請求通知訂閱者，
+ * 失敗時以指數退避重試，並保存最近的發送記錄
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const drawStore = require('./drawStore');
+const eventBus = require('./eventBus');
+
+const WEBHOOKS_FILE = path.join(drawStore.DATA_DIR, 'webhooks.json');
+
+// 可訂閱的事件（* 表示全部），ping 只用於測試發送
+const WEBHOOK_EVENTS = [eventBus.EVENTS.DRAWS_INGESTED, eventBus.EVENTS.PREDICTION_SCORED];
+const PING_EVENT = 'ping';
+
+// 每次發送的最多嘗試次數及第一次重試前的等待時間（之後每次加倍）
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) > 0 ? parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) : 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) >= 0 ? parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) : 1000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// 保留的發送記錄數量
+const DELIVERY_LOG_SIZE = 200;
+
+// 發送狀態
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+// 記憶體中的快取（首次存取時從檔案載入）：{ subscriptions, deliveries }
+let state = null;
+
+/**
+ * 從檔案載入訂閱及發送記錄（只載入一次）
+ * @returns {Object} { subscriptions, deliveries }
+ */
+function loadState() {
+  if (state) return state;
+
+  try {
+    const content = fs.existsSync(WEBHOOKS_FILE) ? JSON.parse(fs.readFileSync(WEBHOOKS_FILE, 'utf8')) : {};
+    state = { subscriptions: content.subscriptions || [], deliveries: content.deliveries || [] };
+  } catch (error) {
+    console.error(`讀取 Webhook 設定失敗 (${WEBHOOKS_FILE}):`, error.message);
+    state = { subscriptions: [], deliveries: [] };
+  }
+
+  return state;
+}
+
+/**
+ * 將訂閱及發送記錄寫入檔案
+ */
+function saveState() {
+  try {
+    fs.mkdirSync(drawStore.DATA_DIR, { recursive: true });
+    const tempFile = `${WEBHOOKS_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(loadState(), null, 2));
+    fs.renameSync(tempFile, WEBHOOKS_FILE);
+  } catch (error) {
+    console.error(`寫入 Webhook 設定失敗 (${WEBHOOKS_FILE}):`, error.message);
+  }
+}
+
+/**
+ * 隱藏訂閱的密鑰（只在建立時返回完整密鑰）
+ * @param {Object} subscription - 訂閱
+ * @returns {Object} 不含完整密鑰的訂閱
+ */
+function toPublicSubscription(subscription) {
+  const { secret, ...rest } = subscription;
+  return { ...rest, secretHint: `${secret.slice(0, 4)}…` };
+}
+
+/**
+ * 驗證訂閱內容
+ * @param {Object} input - { url, events, secret }
+ * @returns {string|null} 錯誤訊息，沒有錯誤時返回 null
+ */
+function validateSubscription(input) {
+  if (!input || typeof input.url !== 'string') {
+    return '請提供 Webhook 網址 url';
+  }
+
+  let url;
+  try {
+    url = new URL(input.url);
+  } catch (error) {
+    return `無效的網址: ${input.url}`;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'Webhook 網址必須是 http 或 https';
+  }
+
+  if (!Array.isArray(input.events) || input.events.length === 0) {
+    return `請提供要訂閱的事件 events（${WEBHOOK_EVENTS.join('、')} 或 *）`;
+  }
+  const unknown = input.events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `不支援的事件: ${unknown.join('、')}（支援 ${WEBHOOK_EVENTS.join('、')} 或 *）`;
+  }
+
+  if (input.secret !== undefined && (typeof input.secret !== 'string' || input.secret.length < 16)) {
+    return 'secret 必須是至少 16 個字元的字串';
+  }
+  return null;
+}
+
+/**
+ * 新增訂閱（未提供 secret 時自動產生）
+ * @param {Object} input - { url, events, secret, description }
+ * @returns {Object} 訂閱（包含完整密鑰）
+ */
+function createSubscription(input) {
+  const subscription = {
+    id: crypto.randomUUID(),
+    url: input.url,
+    events: Array.from(new Set(input.events)),
+    description: input.description || null,
+    secret: input.secret || crypto.randomBytes(32).toString('hex'),
+    active: true,
+    createdAt: new Date().toISOString()
+  };
+
+  loadState().subscriptions.push(subscription);
+  saveState();
+  return subscription;
+}
+
+/**
+ * 取得所有訂閱（不含完整密鑰）
+ * @returns {Array} 訂閱陣列
+ */
+function listSubscriptions() {
+  return loadState().subscriptions.map(toPublicSubscription);
+}
+
+/**
+ * 刪除訂閱
+ * @param {string} id - 訂閱 ID
+ * @returns {boolean} 是否找到並刪除
+ */
+function deleteSubscription(id) {
+  const current = loadState();
+  const index = current.subscriptions.findIndex(subscription => subscription.id === id);
+  if (index === -1) return false;
+
+  current.subscriptions.splice(index, 1);
+  saveState();
+  return true;
+}
+
+/**
+ * 取得發送記錄（最新的在前）
+ * @param {Object} options - 選項
+ * @param {string} options.subscriptionId - 只返回指定訂閱的記錄
+ * @returns {Array} 發送記錄陣列
+ */
+function getDeliveries(options = {}) {
+  return loadState().deliveries.filter(delivery => !options.subscriptionId || delivery.subscriptionId === options.subscriptionId);
+}
+
+/**
+ * 計算簽名：HMAC-SHA256(secret, `${timestamp}.${body}`)
+ * @param {string} secret - 訂閱密鑰
+ * @param {string} timestamp - Unix 秒數
+ * @param {string} body - 請求內容
+ * @returns {string} sha256=十六進位簽名
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * 等待指定毫秒
+ * @param {number} ms - 毫秒
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 發送單一事件給單一訂閱者（網路錯誤、5xx 或 429 時重試，其他 4xx 不重試）
+ * @param {Object} subscription - 訂閱
+ * @param {Object} delivery - 發送記錄（會直接更新）
+ * @param {string} body - 請求內容
+ * @returns {Promise<Object>} 更新後的發送記錄
+ */
+async function deliver(subscription, delivery, body) {
+  while (delivery.attempts.length < WEBHOOK_MAX_ATTEMPTS) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString() };
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'mark-six-statistics-webhook',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+        },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        // 任何狀態碼都不拋出錯誤，由下面判斷是否成功
+        validateStatus: () => true
+      });
+      attempt.httpStatus = response.status;
+    } catch (error) {
+      attempt.error = error.message;
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+
+    if (attempt.httpStatus >= 200 && attempt.httpStatus < 300) {
+      delivery.status = DELIVERY_STATUS.DELIVERED;
+      delivery.deliveredAt = new Date().toISOString();
+      break;
+    }
+
+    const retryable = !attempt.httpStatus || attempt.httpStatus >= 500 || attempt.httpStatus === 429;
+    if (!retryable || delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = DELIVERY_STATUS.FAILED;
+      break;
+    }
+
+    await delay(WEBHOOK_RETRY_BASE_MS * Math.pow(2, delivery.attempts.length - 1));
+  }
+
+  saveState();
+  if (delivery.status === DELIVERY_STATUS.FAILED) {
+    console.warn(`Webhook 發送失敗 (${subscription.url}, ${delivery.event})，已嘗試 ${delivery.attempts.length} 次`);
+  }
+  return delivery;
+}
+
+/**
+ * 把事件發送給指定的訂閱者
+ * @param {Array} subscriptions - 訂閱陣列
+ * @param {string} event - 事件類型
+ * @param {Object} data - 事件資料
+ * @returns {Promise<Array>} 發送記錄陣列
+ */
+function dispatchTo(subscriptions, event, data) {
+  const current = loadState();
+  const createdAt = new Date().toISOString();
+
+  return Promise.all(subscriptions.map(subscription => {
+    const delivery = {
+      id: crypto.randomUUID(),
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      event,
+      status: DELIVERY_STATUS.PENDING,
+      createdAt,
+      deliveredAt: null,
+      attempts: []
+    };
+    const body = JSON.stringify({ id: delivery.id, event, createdAt, data });
+
+    current.deliveries.unshift(delivery);
+    if (current.deliveries.length > DELIVERY_LOG_SIZE) {
+      current.deliveries.length = DELIVERY_LOG_SIZE;
+    }
+
+    return deliver(subscription, delivery, body);
+  }));
+}
+
+/**
+ * 把事件發送給所有訂閱了該事件的訂閱者
+ * @param {string} event - 事件類型
+ * @param {Object} data - 事件資料
+ * @returns {Promise<Array>} 發送記錄陣列
+ */
+function dispatchEvent(event, data) {
+  const subscriptions = loadState().subscriptions.filter(subscription =>
+    subscription.active && (subscription.events.includes('*') || subscription.events.includes(event))
+  );
+  return dispatchTo(subscriptions, event, data);
+}
+
+/**
+ * 發送測試事件（ping）給指定訂閱
+ * @param {string} id - 訂閱 ID
+ * @returns {Promise<Object|null>} 發送記錄，找不到訂閱時返回 null
+ */
+async function sendPing(id) {
+  const subscription = loadState().subscriptions.find(item => item.id === id);
+  if (!subscription) return null;
+
+  const [delivery] = await dispatchTo([subscription], PING_EVENT, { subscriptionId: id });
+  return delivery;
+}
+
+// 事件在背景發送，不阻塞同步或匯入
+WEBHOOK_EVENTS.forEach(event => {
+  eventBus.on(event, data => {
+    dispatchEvent(event, data).catch(error => console.error(`Webhook 事件 ${event} 發送失敗:`, error.message));
+  });
+});
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  validateSubscription,
+  createSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  getDeliveries,
+  signPayload,
+  sendPing
+};